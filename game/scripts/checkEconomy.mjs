@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * PIXELVERSUM - HEADLESS ECONOMY CHECKS
+ *
+ * Runs the engine without a browser (see src/engine/HeadlessSimulation.js)
+ * and checks invariants that keep the economy from printing money (trading,
+ * market orders, saving the wallet with the orders it paid for, the trade
+ * ledger, contract freight). Prints one line per check and exits non-zero if
+ * any fails.
+ *
+ * Usage:
+ *   node scripts/checkEconomy.mjs
+ *   node scripts/checkEconomy.mjs --seed 4242
+ */
+
+import { HeadlessSimulation } from '../src/engine/HeadlessSimulation.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+
+const ROUND_TRIPS = 50;
+const LOT = 20;
+
+/**
+ * In-memory stand-in for the browser's localStorage, so SaveSystem (which
+ * moves old save keys on construction) can run under Node
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+globalThis.localStorage ??= new MemoryStorage();
+
+function parseArgs(argv) {
+  const args = { seed: 12345 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--seed': args.seed = parseInt(argv[++i], 10); break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Buying a lot and selling it straight back must never earn credits
+ */
+function checkTradeRoundTrip(game) {
+  const economy = game.economySystem;
+  const systemIndex = game.currentSystemIndex;
+  const startCredits = economy.credits;
+
+  for (let trip = 0; trip < ROUND_TRIPS; trip++) {
+    const bought = economy.buyCommodity('electronics', LOT, systemIndex);
+    if (!bought.success) return `buy failed: ${bought.message}`;
+    const sold = economy.sellCommodity('electronics', LOT, systemIndex);
+    if (!sold.success) return `sell failed: ${sold.message}`;
+    if (sold.totalValue > bought.totalCost) {
+      return `trip ${trip + 1} sold for ${sold.totalValue} CR after buying for ${bought.totalCost} CR`;
+    }
+  }
+
+  return economy.credits > startCredits ? `credits rose from ${startCredits} to ${economy.credits}` : null;
+}
+
+/**
+ * Market orders walk the same prices: filling a sell order and then a buy
+ * order for the same lot must not earn credits either
+ */
+function checkOrderRoundTrip(game) {
+  const economy = game.economySystem;
+  const orders = economy.orders;
+  const systemIndex = game.currentSystemIndex;
+  const market = economy.getMarket(systemIndex);
+  const startCredits = economy.credits;
+  const lot = Math.max(1, Math.round(market.production.electronics * 0.1)); // One fill per order
+
+  const bought = economy.buyCommodity('electronics', lot, systemIndex);
+  if (!bought.success) return `buy failed: ${bought.message}`;
+
+  const sell = orders.placeSellOrder('electronics', lot, 1, systemIndex);
+  if (!sell.success) return `sell order failed: ${sell.message}`;
+  orders.fillOrders();
+
+  const buy = orders.placeBuyOrder('electronics', lot, economy.calculatePrice(market, 'electronics') * 2, systemIndex);
+  if (!buy.success) return `buy order failed: ${buy.message}`;
+  orders.fillOrders();
+  orders.settle(systemIndex);
+
+  if (sell.order.filled !== lot || buy.order.filled !== lot) {
+    return `orders filled ${sell.order.filled}/${lot} and ${buy.order.filled}/${lot}`;
+  }
+
+  // The buy order's goods are in the hold again: sell them off to close the loop
+  const sold = economy.sellCommodity('electronics', lot, systemIndex);
+  if (!sold.success) return `sell failed: ${sold.message}`;
+
+  return economy.credits > startCredits ? `credits rose from ${startCredits} to ${economy.credits}` : null;
+}
+
+/**
+ * Credits are saved with the orders they paid for: cancelling a buy order
+ * after a reload refunds its escrow into the wallet it came from
+ */
+function checkOrderEscrowSurvivesReload(game) {
+  const economy = game.economySystem;
+  const orders = economy.orders;
+  const systemIndex = game.currentSystemIndex;
+  const startCredits = economy.credits;
+
+  const placed = orders.placeBuyOrder('electronics', 1, 1, systemIndex);
+  if (!placed.success) return `buy order failed: ${placed.message}`;
+
+  const saveSystem = new SaveSystem(game);
+  const saveData = saveSystem.gatherSaveData('Economy check');
+  economy.credits = 12345; // Whatever the wallet holds when the save is loaded
+  saveSystem.applySaveData(JSON.parse(JSON.stringify(saveData)));
+
+  const cancelled = orders.cancelOrder(placed.order.id, systemIndex);
+  if (!cancelled.success) return `cancel failed: ${cancelled.message}`;
+
+  return economy.credits !== startCredits ? `credits ended at ${economy.credits}, started at ${startCredits}` : null;
+}
+
+/**
+ * The ledger books the credits that actually moved, not a rounded average
+ * price times the quantity
+ */
+function checkLedgerMatchesCredits(game) {
+  const economy = game.economySystem;
+  const orders = economy.orders;
+  const systemIndex = game.currentSystemIndex;
+  const market = economy.getMarket(systemIndex);
+  const lot = Math.max(1, Math.round(market.production.electronics * 0.1));
+  let spent = 0;
+  let received = 0;
+
+  const bought = economy.buyCommodity('electronics', lot * 2, systemIndex);
+  if (!bought.success) return `buy failed: ${bought.message}`;
+  spent += bought.totalCost;
+  const sold = economy.sellCommodity('electronics', lot, systemIndex);
+  if (!sold.success) return `sell failed: ${sold.message}`;
+  received += sold.totalValue;
+
+  // Standing orders: what the sell order is paid and the buy order costs on settling
+  const before = economy.credits;
+  const sell = orders.placeSellOrder('electronics', lot, 1, systemIndex);
+  if (!sell.success) return `sell order failed: ${sell.message}`;
+  const buy = orders.placeBuyOrder('electronics', lot, economy.calculatePrice(market, 'electronics') * 2, systemIndex);
+  if (!buy.success) return `buy order failed: ${buy.message}`;
+  orders.fillOrders();
+  orders.settle(systemIndex);
+  if (sell.order.filled !== lot || buy.order.filled !== lot) {
+    return `orders filled ${sell.order.filled}/${lot} and ${buy.order.filled}/${lot}`;
+  }
+  // The buy order's escrow came back less what it spent
+  spent += buy.order.spent;
+  received += economy.credits - before + buy.order.spent;
+
+  const totals = economy.ledger.getTotals('electronics');
+  if (totals.spent !== spent) return `ledger spent ${totals.spent} CR, ${spent} CR was paid`;
+  if (totals.revenue !== received) return `ledger revenue ${totals.revenue} CR, ${received} CR was received`;
+  return null;
+}
+
+/**
+ * Delivery freight is loaded free: it can't be sold or put up for sale,
+ * only units the player bought on top of it
+ */
+function checkFreightUnsellable(game) {
+  const economy = game.economySystem;
+  const missions = game.missionSystem;
+  const systemIndex = game.currentSystemIndex;
+
+  let contract = null;
+  for (const station of game.stations) {
+    const offer = missions.getOffers(station, systemIndex)
+      .find(candidate => candidate.type === 'delivery' && economy.commodities[candidate.itemId]);
+    if (!offer) continue;
+    const accepted = missions.acceptContract(offer.offerId, station, systemIndex);
+    if (!accepted.success) return `accept failed: ${accepted.message}`;
+    contract = accepted.contract;
+    break;
+  }
+  if (!contract) return 'no delivery contract on offer';
+
+  if (economy.sellCommodity(contract.itemId, 1, systemIndex).success) return 'sold contract freight';
+  if (economy.orders.placeSellOrder(contract.itemId, 1, 1, systemIndex).success) return 'put contract freight up for sale';
+
+  const bought = economy.buyCommodity(contract.itemId, 1, systemIndex);
+  if (!bought.success) return `buy failed: ${bought.message}`;
+  if (!economy.sellCommodity(contract.itemId, 1, systemIndex).success) return 'could not sell units bought on top of the freight';
+  if (economy.sellCommodity(contract.itemId, 1, systemIndex).success) return 'sold contract freight after selling own units';
+
+  return null;
+}
+
+const CHECKS = {
+  'trade round trip never profits': checkTradeRoundTrip,
+  'order round trip never profits': checkOrderRoundTrip,
+  'order escrow survives save and load': checkOrderEscrowSurvivesReload,
+  'ledger books the credits that moved': checkLedgerMatchesCredits,
+  'contract freight cannot be sold': checkFreightUnsellable
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The engine logs progress for the browser console, keep the report readable
+  const log = console.log;
+  console.log = () => {};
+
+  let failures = 0;
+  const results = [];
+  for (const [name, check] of Object.entries(CHECKS)) {
+    const simulation = await HeadlessSimulation.create({ seed: args.seed });
+    const error = simulation.withSeededRandom(() => check(simulation.game));
+    simulation.destroy();
+
+    if (error) failures++;
+    results.push(error ? `FAIL ${name}: ${error}` : `ok   ${name}`);
+  }
+
+  console.log = log;
+  for (const line of results) console.log(line);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
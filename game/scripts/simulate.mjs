@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * PIXELVERSUM - HEADLESS BALANCE SIMULATION
+ *
+ * Runs the engine without a browser (see src/engine/HeadlessSimulation.js)
+ * and prints a JSON report per run. Runs are deterministic: the same
+ * arguments always print the same report, so reports can be diffed in CI.
+ *
+ * Usage:
+ *   node scripts/simulate.mjs                        # One 60s run, seed 12345
+ *   node scripts/simulate.mjs --seed 4242 --seconds 120
+ *   node scripts/simulate.mjs --ship fighter --runs 5  # Seeds seed..seed+4
+ *   node scripts/simulate.mjs --idle                 # No thrust or firing
+ *   node scripts/simulate.mjs --verbose              # Keep engine logs
+ *   node scripts/simulate.mjs --determinism          # Same seed, same galaxy?
+ */
+
+import { HeadlessSimulation } from '../src/engine/HeadlessSimulation.js';
+
+// Systems whose markets and artifacts the determinism check compares
+const DETERMINISM_SYSTEMS = 20;
+
+function parseArgs(argv) {
+  const args = { seed: 12345, seconds: 60, ship: 'explorer', runs: 1, idle: false, verbose: false, determinism: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--seed': args.seed = parseInt(argv[++i], 10); break;
+      case '--seconds': args.seconds = parseFloat(argv[++i]); break;
+      case '--ship': args.ship = argv[++i]; break;
+      case '--runs': args.runs = parseInt(argv[++i], 10); break;
+      case '--idle': args.idle = true; break;
+      case '--verbose': args.verbose = true; break;
+      case '--determinism': args.determinism = true; break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return args;
+}
+
+async function simulateRun(seed, args) {
+  const simulation = await HeadlessSimulation.create({ seed, shipClass: args.ship });
+
+  // Scripted pilot: circle and fire at whatever comes close
+  if (!args.idle) {
+    simulation.setControls({ thrust: 1, turn: 1, fire: true });
+  }
+  simulation.run(args.seconds);
+
+  const snapshot = simulation.snapshot();
+  simulation.destroy();
+
+  return {
+    seed,
+    seconds: args.seconds,
+    ship: args.ship,
+    hull: snapshot.player.hull,
+    shields: snapshot.player.shields,
+    fuel: snapshot.player.fuel,
+    credits: snapshot.player.credits,
+    kills: snapshot.player.kills,
+    deaths: snapshot.statistics.deaths,
+    shipHealth: snapshot.damage ? snapshot.damage.overallHealth : null,
+    enemiesLeft: snapshot.enemies.length,
+    marketPrices: snapshot.market
+  };
+}
+
+/**
+ * Everything generated from the galaxy seed: gates, faction borders, markets
+ * and artifacts of the first few systems
+ */
+function generationFingerprint(game) {
+  const systems = [];
+  for (let index = 0; index < DETERMINISM_SYSTEMS; index++) {
+    const systemData = game.getSystemData(index);
+    if (!systemData) continue;
+
+    const market = game.economySystem.getMarket(index);
+    const artifacts = game.artifactSystem.generateSystemArtifacts(
+      systemData,
+      index,
+      game.getGenerationRng('artifacts').child(index)
+    );
+    // Artifacts are stamped with the wall clock when generated, leave that out
+    const generated = artifacts.map(artifact => ({ ...artifact, discovered: undefined }));
+    systems.push({ index, prices: market.prices, supply: market.supply, artifacts: generated });
+  }
+
+  return {
+    gates: game.warpGateSystem.gates.map(gate => `${gate.id}:${gate.type}`),
+    borders: Object.entries(game.factionSystem.factions).map(([id, faction]) => [id, faction.territory]),
+    systems
+  };
+}
+
+/**
+ * Build the galaxy twice from one seed with different Math.random streams
+ * @returns {Array<string>} Parts of the galaxy that differ (empty when it repeats)
+ */
+async function checkDeterminism(seed, args) {
+  const fingerprints = [];
+  for (const randomSeed of [seed, seed + 1]) {
+    const simulation = await HeadlessSimulation.create({ seed, shipClass: args.ship }, { randomSeed });
+    fingerprints.push(generationFingerprint(simulation.game));
+    simulation.destroy();
+  }
+
+  const [first, second] = fingerprints;
+  return Object.keys(first).filter(part => JSON.stringify(first[part]) !== JSON.stringify(second[part]));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The engine logs progress for the browser console, keep the report readable
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+  }
+
+  if (args.determinism) {
+    let failed = false;
+    for (let run = 0; run < args.runs; run++) {
+      const seed = args.seed + run;
+      const differing = await checkDeterminism(seed, args);
+      failed = failed || differing.length > 0;
+      log(differing.length > 0 ? `FAIL seed ${seed}: ${differing.join(', ')} differ` : `ok   seed ${seed} generates the same galaxy`);
+    }
+    process.exit(failed ? 1 : 0);
+  }
+
+  const reports = [];
+  for (let run = 0; run < args.runs; run++) {
+    reports.push(await simulateRun(args.seed + run, args));
+  }
+
+  console.log = log;
+  console.log(JSON.stringify(reports, null, 2));
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
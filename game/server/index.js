@@ -8,7 +8,8 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Saves of large galaxies exceed the default 100kb body limit
+app.use(express.json({ limit: '5mb' }));
 
 // Routes
 app.use('/api/savegame', saveGameRouter);
@@ -1,110 +1,192 @@
 import express from 'express';
+import { JsonFileStore } from '../storage/JsonFileStore.js';
+import { validateSaveStructure, getSaveCredits } from '../../src/engine/SaveValidation.js';
+import { verifySaveIntegrity, INTEGRITY_STATUS } from '../../src/engine/SaveIntegrity.js';
 
 export const leaderboardRouter = express.Router();
 
-// In-memory leaderboard (replace with database in production)
-const leaderboard = [];
+// Leaderboard categories, the entry field each one ranks by and where the
+// value is read from in a submitted save
+export const LEADERBOARD_CATEGORIES = {
+  credits: { field: 'credits', max: 999999999, fromSave: save => getSaveCredits(save) },
+  systems: { field: 'systemsExplored', max: 999999, fromSave: save => save.stats && save.stats.systemsVisited },
+  kills: { field: 'kills', max: 999999, fromSave: save => save.player.kills }
+};
 
-// Submit score
-leaderboardRouter.post('/submit', (req, res) => {
+// Entries kept per category
+const MAX_ENTRIES = 100;
+
+const leaderboardStore = new JsonFileStore('leaderboard');
+
+// Cached copy of data/leaderboard/entries.json, loaded on first use
+let entriesCache = null;
+
+const loadEntries = async () => {
+  if (!entriesCache) {
+    entriesCache = (await leaderboardStore.read('entries')) || {};
+  }
+  return entriesCache;
+};
+
+/**
+ * Ranked list for a category (best value first, earlier submission wins ties)
+ */
+const rankCategory = (entries, category) => {
+  const { field } = LEADERBOARD_CATEGORIES[category];
+  return Object.values(entries)
+    .filter(entry => entry[field] > 0)
+    .sort((a, b) => (b[field] - a[field]) || (a.timestamps[field] - b.timestamps[field]))
+    .slice(0, MAX_ENTRIES)
+    .map(entry => ({
+      callsign: entry.callsign,
+      playerName: entry.playerName,
+      value: entry[field],
+      timestamp: entry.timestamps[field]
+    }));
+};
+
+// Validate category parameter
+leaderboardRouter.param('category', (req, res, next, category) => {
+  if (!LEADERBOARD_CATEGORIES[category]) {
+    return res.status(400).json({
+      error: `Invalid category: must be one of ${Object.keys(LEADERBOARD_CATEGORIES).join(', ')}`
+    });
+  }
+  next();
+});
+
+// Submit a run (each category keeps the callsign's best value)
+// The callsign and stats are read from the submitted save, which must pass its integrity check.
+leaderboardRouter.post('/submit', async (req, res) => {
   try {
-    const { playerId, playerName, score, kills } = req.body;
+    const { playerName, saveData } = req.body || {};
 
     // Validate required fields exist
-    if (!playerId || !playerName || score === undefined || kills === undefined) {
+    if (!saveData) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const validation = validateSaveStructure(saveData);
+    if (!validation.valid) {
+      return res.status(400).json({ error: `Invalid save data: ${validation.error}` });
+    }
+
     // Validate data types and constraints
-    if (typeof playerId !== 'string' || playerId.length > 100) {
-      return res.status(400).json({ error: 'Invalid playerId format' });
+    const callsign = saveData.player.callsign;
+    if (typeof callsign !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(callsign)) {
+      return res.status(400).json({ error: 'Invalid callsign in save: use 1-64 letters, digits, _ or -' });
     }
 
-    if (typeof playerName !== 'string' || playerName.length < 1 || playerName.length > 50) {
+    const name = playerName === undefined ? callsign : playerName;
+    if (typeof name !== 'string' || name.length < 1 || name.length > 50) {
       return res.status(400).json({ error: 'Invalid playerName: must be 1-50 characters' });
     }
 
     // Sanitize playerName to prevent XSS
-    const sanitizedName = playerName.replace(/[<>\"'&]/g, '');
+    const sanitizedName = name.replace(/[<>\"'&]/g, '').trim();
     if (sanitizedName.length === 0) {
       return res.status(400).json({ error: 'Invalid playerName: contains only special characters' });
     }
 
-    if (!Number.isInteger(score) || score < 0 || score > 999999999) {
-      return res.status(400).json({ error: 'Invalid score: must be a positive integer' });
+    // Only unmodified runs are ranked
+    const integrity = await verifySaveIntegrity(saveData);
+    if (integrity.status !== INTEGRITY_STATUS.VALID) {
+      return res.status(403).json({ error: `Run rejected: ${integrity.error}`, integrity: integrity.status });
+    }
+    if (saveData.run && saveData.run.flagged) {
+      return res.status(403).json({ error: 'Run rejected: a modified save was loaded during this run' });
     }
 
-    if (!Number.isInteger(kills) || kills < 0 || kills > 999999) {
-      return res.status(400).json({ error: 'Invalid kills: must be a positive integer' });
+    const values = {};
+    for (const [category, { field, max, fromSave }] of Object.entries(LEADERBOARD_CATEGORIES)) {
+      const value = fromSave(saveData);
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value < 0 || value > max) {
+        return res.status(400).json({ error: `Invalid ${field}: must be an integer between 0 and ${max}` });
+      }
+      values[category] = value;
     }
 
-    const entry = {
-      playerId: playerId.trim(),
-      playerName: sanitizedName.trim(),
-      score,
-      kills,
-      timestamp: Date.now()
-    };
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: 'No stats submitted' });
+    }
 
-    // Add or update entry
-    const existingIndex = leaderboard.findIndex(e => e.playerId === playerId);
-    if (existingIndex !== -1) {
-      // Only update if new score is higher
-      if (score > leaderboard[existingIndex].score) {
-        leaderboard[existingIndex] = entry;
+    const entries = await loadEntries();
+    const now = Date.now();
+    const entry = entries[callsign] || {
+      callsign,
+      playerName: sanitizedName,
+      credits: 0,
+      systemsExplored: 0,
+      kills: 0,
+      timestamps: {}
+    };
+    entry.playerName = sanitizedName;
+
+    // Only update a category if the new value is higher
+    for (const [category, value] of Object.entries(values)) {
+      const { field } = LEADERBOARD_CATEGORIES[category];
+      if (value > entry[field]) {
+        entry[field] = value;
+        entry.timestamps[field] = now;
       }
-    } else {
-      leaderboard.push(entry);
     }
 
-    // Sort by score descending
-    leaderboard.sort((a, b) => b.score - a.score);
+    entries[callsign] = entry;
+    await leaderboardStore.write(entries, 'entries');
 
-    // Keep only top 100
-    if (leaderboard.length > 100) {
-      leaderboard.length = 100;
+    const ranks = {};
+    for (const category of Object.keys(LEADERBOARD_CATEGORIES)) {
+      const rank = rankCategory(entries, category).findIndex(e => e.callsign === callsign);
+      ranks[category] = rank === -1 ? null : rank + 1;
     }
 
     res.json({
       success: true,
       message: 'Score submitted successfully',
-      rank: leaderboard.findIndex(e => e.playerId === playerId) + 1
+      ranks
     });
   } catch (error) {
+    console.error('Failed to submit score:', error);
     res.status(500).json({ error: 'Failed to submit score' });
   }
 });
 
-// Get leaderboard
-leaderboardRouter.get('/top/:limit?', (req, res) => {
+// Get top entries for a category
+leaderboardRouter.get('/:category/top/:limit?', async (req, res) => {
   try {
     const limit = parseInt(req.params.limit || '10');
 
     // Validate limit parameter
-    if (isNaN(limit) || limit < 1 || limit > 100) {
-      return res.status(400).json({ error: 'Invalid limit: must be between 1 and 100' });
+    if (isNaN(limit) || limit < 1 || limit > MAX_ENTRIES) {
+      return res.status(400).json({ error: `Invalid limit: must be between 1 and ${MAX_ENTRIES}` });
     }
-    const topScores = leaderboard.slice(0, Math.min(limit, 100));
+
+    const entries = await loadEntries();
 
     res.json({
       success: true,
-      leaderboard: topScores
+      category: req.params.category,
+      leaderboard: rankCategory(entries, req.params.category).slice(0, limit)
     });
   } catch (error) {
+    console.error('Failed to get leaderboard:', error);
     res.status(500).json({ error: 'Failed to get leaderboard' });
   }
 });
 
-// Get player rank
-leaderboardRouter.get('/rank/:playerId', (req, res) => {
+// Get a callsign's rank in a category
+leaderboardRouter.get('/:category/rank/:callsign', async (req, res) => {
   try {
-    const { playerId } = req.params;
+    const { category, callsign } = req.params;
 
-    // Validate playerId
-    if (!playerId || typeof playerId !== 'string' || playerId.length > 100) {
-      return res.status(400).json({ error: 'Invalid playerId' });
+    // Validate callsign
+    if (!callsign || callsign.length > 64) {
+      return res.status(400).json({ error: 'Invalid callsign' });
     }
-    const rank = leaderboard.findIndex(e => e.playerId === playerId);
+
+    const ranked = rankCategory(await loadEntries(), category);
+    const rank = ranked.findIndex(e => e.callsign === callsign);
 
     if (rank === -1) {
       return res.status(404).json({ error: 'Player not found in leaderboard' });
@@ -113,10 +195,11 @@ leaderboardRouter.get('/rank/:playerId', (req, res) => {
     res.json({
       success: true,
       rank: rank + 1,
-      entry: leaderboard[rank],
-      total: leaderboard.length
+      entry: ranked[rank],
+      total: ranked.length
     });
   } catch (error) {
+    console.error('Failed to get player rank:', error);
     res.status(500).json({ error: 'Failed to get player rank' });
   }
 });
@@ -1,53 +1,88 @@
 import express from 'express';
+import { JsonFileStore, isSafeKey } from '../storage/JsonFileStore.js';
+import { validateSaveStructure, getSaveCredits } from '../../src/engine/SaveValidation.js';
 
 export const saveGameRouter = express.Router();
 
-// In-memory storage (replace with database in production)
-const savedGames = new Map();
+// Saves are stored per callsign: data/saves/<callsign>/<slot>.json
+const saveStore = new JsonFileStore('saves');
 
-// Save game state
-saveGameRouter.post('/save', (req, res) => {
+// Maximum slots per callsign (10 manual slots + autosave ring of up to 10 + spare)
+const MAX_SLOTS_PER_CALLSIGN = 24;
+
+/**
+ * Extract the lightweight metadata shown in save lists
+ * (mirrors SaveSystem.extractMetadata on the client)
+ */
+const toMetadata = (slot, record) => ({
+  slot,
+  revision: record.revision || 0,
+  saveName: record.saveData.saveName,
+  timestamp: record.saveData.timestamp,
+  uploadedAt: record.uploadedAt,
+  playtime: record.saveData.playtime,
+  callsign: record.saveData.player.callsign,
+  shipName: record.saveData.player.shipName,
+  level: record.saveData.player.level || 1,
+  credits: getSaveCredits(record.saveData),
+  currentSystem: record.saveData.galaxy.currentSystemIndex,
+  systemsVisited: record.saveData.stats ? record.saveData.stats.systemsVisited : 0
+});
+
+// Validate route parameters before touching the store
+saveGameRouter.param('callsign', (req, res, next, callsign) => {
+  if (!isSafeKey(callsign)) {
+    return res.status(400).json({ error: 'Invalid callsign: use 1-64 letters, digits, _ or -' });
+  }
+  next();
+});
+
+saveGameRouter.param('slot', (req, res, next, slot) => {
+  if (!isSafeKey(slot)) {
+    return res.status(400).json({ error: 'Invalid slot: use 1-64 letters, digits, _ or -' });
+  }
+  next();
+});
+
+// List all saves for a callsign
+saveGameRouter.get('/:callsign', async (req, res) => {
   try {
-    const { playerId, gameState } = req.body;
+    const { callsign } = req.params;
+    const slots = await saveStore.list(callsign);
 
-    if (!playerId || !gameState) {
-      return res.status(400).json({ error: 'Missing playerId or gameState' });
+    const saves = [];
+    for (const slot of slots) {
+      const record = await saveStore.read(callsign, slot);
+      if (record) {
+        saves.push(toMetadata(slot, record));
+      }
     }
 
-    const saveData = {
-      playerId,
-      gameState,
-      timestamp: Date.now()
-    };
+    // Most recent first
+    saves.sort((a, b) => b.timestamp - a.timestamp);
 
-    savedGames.set(playerId, saveData);
-
-    res.json({
-      success: true,
-      message: 'Game saved successfully',
-      timestamp: saveData.timestamp
-    });
+    res.json({ success: true, saves });
   } catch (error) {
-    console.error('Failed to save game:', error);
-    res.status(500).json({ error: 'Failed to save game' });
+    console.error('Failed to list saves:', error);
+    res.status(500).json({ error: 'Failed to list saves' });
   }
 });
 
-// Load game state
-saveGameRouter.get('/load/:playerId', (req, res) => {
+// Fetch a single save
+saveGameRouter.get('/:callsign/:slot', async (req, res) => {
   try {
-    const { playerId } = req.params;
+    const { callsign, slot } = req.params;
+    const record = await saveStore.read(callsign, slot);
 
-    const saveData = savedGames.get(playerId);
-
-    if (!saveData) {
+    if (!record) {
       return res.status(404).json({ error: 'No save data found' });
     }
 
     res.json({
       success: true,
-      gameState: saveData.gameState,
-      timestamp: saveData.timestamp
+      saveData: record.saveData,
+      revision: record.revision || 0,
+      uploadedAt: record.uploadedAt
     });
   } catch (error) {
     console.error('Failed to load game:', error);
@@ -55,29 +90,78 @@ saveGameRouter.get('/load/:playerId', (req, res) => {
   }
 });
 
-// List all saves for a player
-saveGameRouter.get('/list/:playerId', (req, res) => {
+// Upload (create or overwrite) a save
+// Clients send the revision their copy is based on; a mismatch means another
+// client uploaded in between and is answered with 409 unless `force` is set.
+// The check and the write run as one update, and uploads for a callsign one
+// at a time, so two uploads of the same base revision can't both succeed and
+// new slots can't pass the slot limit together.
+saveGameRouter.put('/:callsign/:slot', async (req, res) => {
   try {
-    const { playerId } = req.params;
-    const saveData = savedGames.get(playerId);
+    const { callsign, slot } = req.params;
+    const { saveData, baseRevision = 0, force = false } = req.body || {};
+
+    const validation = validateSaveStructure(saveData);
+    if (!validation.valid) {
+      return res.status(400).json({ error: `Invalid save data: ${validation.error}` });
+    }
+
+    if (!Number.isInteger(baseRevision) || baseRevision < 0) {
+      return res.status(400).json({ error: 'Invalid baseRevision' });
+    }
+
+    let rejection = null;
+    const upload = async existing => {
+      const currentRevision = existing ? existing.revision || 0 : 0;
+
+      if (!force && baseRevision !== currentRevision) {
+        rejection = {
+          error: 'Revision conflict',
+          conflict: true,
+          save: existing ? toMetadata(slot, existing) : null
+        };
+        return null;
+      }
+
+      if (!existing) {
+        const slots = await saveStore.list(callsign);
+        if (slots.length >= MAX_SLOTS_PER_CALLSIGN) {
+          rejection = { error: `Slot limit reached (${MAX_SLOTS_PER_CALLSIGN})` };
+          return null;
+        }
+      }
+
+      return {
+        saveData,
+        revision: currentRevision + 1,
+        uploadedAt: Date.now()
+      };
+    };
+
+    // One upload per callsign at a time: the slot limit counts the other slots
+    const record = await saveStore.withLock(() => saveStore.update(upload, callsign, slot), callsign);
+
+    if (!record) {
+      return res.status(409).json(rejection);
+    }
 
     res.json({
       success: true,
-      saves: saveData ? [saveData] : []
+      message: 'Game saved successfully',
+      save: toMetadata(slot, record)
     });
   } catch (error) {
-    console.error('Failed to list saves:', error);
-    res.status(500).json({ error: 'Failed to list saves' });
+    console.error('Failed to save game:', error);
+    res.status(500).json({ error: 'Failed to save game' });
   }
 });
 
-// Delete save
-saveGameRouter.delete('/delete/:playerId', (req, res) => {
+// Delete a save
+saveGameRouter.delete('/:callsign/:slot', async (req, res) => {
   try {
-    const { playerId } = req.params;
+    const { callsign, slot } = req.params;
 
-    if (savedGames.has(playerId)) {
-      savedGames.delete(playerId);
+    if (await saveStore.remove(callsign, slot)) {
       res.json({ success: true, message: 'Save deleted successfully' });
     } else {
       res.status(404).json({ error: 'No save data found' });
@@ -0,0 +1,147 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Data directory (override with DATA_DIR for deployments)
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Only allow simple identifiers in file names to prevent path traversal
+const SAFE_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check that a key (callsign, slot, file name) is safe to use as a path segment
+ */
+export const isSafeKey = (key) => typeof key === 'string' && SAFE_KEY_PATTERN.test(key);
+
+/**
+ * JsonFileStore - Minimal JSON document store backed by the file system
+ *
+ * Documents live at <DATA_DIR>/<collection>/<...keys>.json. Writes go through a
+ * temp file and rename so a crash never leaves a half-written document, and
+ * writes and read-modify-write updates to the same document are serialized
+ * (withLock does the same for a whole sub-directory).
+ */
+export class JsonFileStore {
+  constructor(collection, baseDir = DATA_DIR) {
+    this.root = path.join(baseDir, collection);
+    this.pendingWrites = new Map();
+  }
+
+  resolve(...keys) {
+    for (const key of keys) {
+      if (!isSafeKey(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+    }
+    return path.join(this.root, ...keys.slice(0, -1), `${keys[keys.length - 1]}.json`);
+  }
+
+  /**
+   * Read a document, or null if it does not exist
+   */
+  async read(...keys) {
+    try {
+      const json = await fs.readFile(this.resolve(...keys), 'utf8');
+      return JSON.parse(json);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a document atomically
+   */
+  async write(data, ...keys) {
+    const file = this.resolve(...keys);
+    await this.enqueue(file, () => this.writeFile(file, data));
+  }
+
+  /**
+   * Read, change and write a document with no other write to it in between
+   * @param {Function} change - Gets the document (or null), returns the new one or null to leave it as is
+   * @returns {Object|null} The document written, or null if nothing was
+   */
+  async update(change, ...keys) {
+    const file = this.resolve(...keys);
+    return this.enqueue(file, async () => {
+      const data = await change(await this.read(...keys));
+      if (data === null || data === undefined) return null;
+      await this.writeFile(file, data);
+      return data;
+    });
+  }
+
+  /**
+   * Run a task with no other locked task on the same sub-directory in between,
+   * for checks across its documents that must hold until a write lands
+   */
+  async withLock(task, ...keys) {
+    for (const key of keys) {
+      if (!isSafeKey(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+    }
+    return this.enqueue(path.join(this.root, ...keys), task);
+  }
+
+  /**
+   * Run a task once every earlier task queued under the same path has finished
+   */
+  async enqueue(file, task) {
+    const previous = this.pendingWrites.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    this.pendingWrites.set(file, next);
+    try {
+      return await next;
+    } finally {
+      if (this.pendingWrites.get(file) === next) {
+        this.pendingWrites.delete(file);
+      }
+    }
+  }
+
+  async writeFile(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Delete a document
+   * @returns {boolean} True if a document was removed
+   */
+  async remove(...keys) {
+    try {
+      await fs.unlink(this.resolve(...keys));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * List document keys inside a sub-directory
+   */
+  async list(...keys) {
+    for (const key of keys) {
+      if (!isSafeKey(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+    }
+    try {
+      const files = await fs.readdir(path.join(this.root, ...keys));
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef, useState } from 'react';
+import { calculateTradeValue, TRADE_ROUTE_MIN_VALUE } from '../engine/EconomySystem';
 
 /**
  * Enhanced Galaxy Map Component
@@ -64,25 +65,10 @@ const GalaxyMap = ({ galaxy, currentSystemIndex, onSelectSystem, onClose }) => {
         const sys2 = galaxy[j];
         if (!sys2.discovered) continue;
 
-        const dx = sys2.position.x - sys1.position.x;
-        const dy = sys2.position.y - sys1.position.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        // Trade likelihood based on multiple factors
-        const maxTradeDistance = 4000;
-        if (dist > maxTradeDistance) continue;
-
-        // Calculate trade value (0-1)
-        const distanceFactor = 1 - (dist / maxTradeDistance);
-        const resourceFactor = (sys1.resourceRichness + sys2.resourceRichness) / 2;
-        const stationFactor = ((sys1.stationCount || 0) + (sys2.stationCount || 0)) / 16;
-        const dangerPenalty = 1 - ((sys1.dangerLevel + sys2.dangerLevel) / 20);
-
-        const tradeValue = distanceFactor * 0.3 + resourceFactor * 0.3 +
-                          stationFactor * 0.2 + dangerPenalty * 0.2;
+        const tradeValue = calculateTradeValue(sys1, sys2);
 
         // Only show significant trade routes
-        if (tradeValue > 0.4) {
+        if (tradeValue > TRADE_ROUTE_MIN_VALUE) {
           routes.push({
             from: i,
             to: j,
@@ -1,7 +1,8 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import SpaceGame from './SpaceGame';
 import UIManager from './ui/UIManager';
-import GameStateManager from '../utils/GameStateManager';
+import { SaveSystem } from '../engine/SaveSystem';
+import { saveSettings } from '../utils/GameStateManager';
 
 /**
  * GameContainer - Top-level game container
@@ -75,22 +76,22 @@ const GameContainer = () => {
   const isInitializingRef = useRef(false); // Prevent multiple simultaneous initializations
 
   // Auto-save function (defined early so useEffect can reference it)
-  const handleAutoSave = useCallback(() => {
+  const handleAutoSave = useCallback(async () => {
     if (!isGameActive || isPaused) return;
 
-    let currentState = gameState;
-    if (gameInstanceRef.current && gameInstanceRef.current.getGameState) {
-      currentState = gameInstanceRef.current.getGameState();
-      setGameState(currentState);
-    }
+    const game = gameInstanceRef.current;
+    const saveSystem = game && game.getSaveSystem ? game.getSaveSystem() : null;
+    if (!saveSystem) return;
+
+    setGameState(game.getGameState());
 
-    const result = GameStateManager.autoSave(currentState);
-    if (result.success) {
+    // Same autosave ring as the in-game autosaves
+    if (await saveSystem.autosave()) {
       console.log('Auto-save successful');
     } else {
-      console.error('Auto-save failed:', result.error);
+      console.error('Auto-save failed');
     }
-  }, [isGameActive, isPaused, gameState]);
+  }, [isGameActive, isPaused]);
 
   // Setup auto-save
   useEffect(() => {
@@ -263,19 +264,36 @@ const GameContainer = () => {
     }
   }, []);
 
-  // Handle game load
-  const handleLoadGame = useCallback((saveData) => {
+  // Handle game load (save is a SaveSystem slot entry from the load screen)
+  const handleLoadGame = useCallback(async (save) => {
     if (isInitializingRef.current) {
       console.warn('[GameContainer] Game initialization already in progress, ignoring duplicate call');
       return;
     }
 
     isInitializingRef.current = true;
-    console.log('Loading game:', saveData);
+    console.log('Loading game:', save.slot);
 
-    const result = GameStateManager.loadGame(saveData.id);
-    if (result.success) {
-      setGameState(result.gameState);
+    try {
+      // The new Game is built from the save's run config, SpaceGame then loads the slot into it
+      const runConfig = await SaveSystem.readRunConfig(save.slot);
+      if (!runConfig) {
+        throw new Error('Save file not found');
+      }
+
+      setGameState(prev => ({
+        ...prev,
+        ...runConfig,
+        loadSlot: save.slot,
+        playtime: save.playtime || 0,
+        credits: save.credits || 0,
+        player: {
+          ...prev.player,
+          callsign: runConfig.callsign,
+          shipName: runConfig.shipName,
+          color: runConfig.shipColor,
+        },
+      }));
       setGameKey(prev => prev + 1); // Force new game instance with unique key
       setShowUI(false);
       setIsGameActive(true);
@@ -284,33 +302,33 @@ const GameContainer = () => {
       setTimeout(() => {
         isInitializingRef.current = false;
       }, 100);
-    } else {
-      console.error('Failed to load game:', result.error);
-      alert(`LOAD FAILED: ${result.error}`);
+    } catch (error) {
+      console.error('Failed to load game:', error);
+      alert(`LOAD FAILED: ${error.message}`);
       isInitializingRef.current = false;
     }
   }, []);
 
   // Handle game save
-  const handleSaveGame = useCallback(async (saveId, saveData) => {
-    console.log('Saving game:', saveId);
-
-    // Get current game state from game instance if available
-    let currentState = gameState;
-    if (gameInstanceRef.current && gameInstanceRef.current.getGameState) {
-      currentState = gameInstanceRef.current.getGameState();
-      setGameState(currentState);
+  const handleSaveGame = useCallback(async (slot, saveName) => {
+    console.log('Saving game:', slot);
+
+    const game = gameInstanceRef.current;
+    const saveSystem = game && game.getSaveSystem ? game.getSaveSystem() : null;
+    if (!saveSystem) {
+      alert('SAVE FAILED: No game running');
+      return;
     }
 
-    const result = GameStateManager.saveGame(saveId, currentState, saveData.name);
-    if (result.success) {
+    setGameState(game.getGameState());
+
+    if (await saveSystem.saveGame(slot, saveName)) {
       console.log('Game saved successfully');
-      // Could show a success message to the user
     } else {
-      console.error('Failed to save game:', result.error);
-      alert(`SAVE FAILED: ${result.error}`);
+      console.error('Failed to save game');
+      alert('SAVE FAILED');
     }
-  }, [gameState]);
+  }, []);
 
   // Handle resume game
   const handleResumeGame = useCallback(() => {
@@ -351,7 +369,7 @@ const GameContainer = () => {
     console.log('Settings changed:', settings);
 
     // Save settings
-    GameStateManager.saveSettings(settings);
+    saveSettings(settings);
 
     // Apply settings to game instance if it exists
     if (gameInstanceRef.current && gameInstanceRef.current.applySettings) {
@@ -29,35 +29,31 @@ const InteractionPanel = ({ game, target, onClose }) => {
 
   const handleTrade = (resourceId, quantity, pricePerUnit) => {
     const totalCost = quantity * pricePerUnit;
+    const economy = game.economySystem;
 
     // Validate credits FIRST
-    if (game.cargoSystem.credits < totalCost) {
+    if (!economy.canAfford(totalCost)) {
       setMessage('Insufficient credits for this transaction.');
       return;
     }
 
     // Validate cargo space BEFORE deducting credits
-    const resourceWeight = 1; // Default weight, adjust based on resource type
-    if (!game.cargoSystem.hasSpace(quantity * resourceWeight)) {
+    const resource = game.resourceSystem.getResource(resourceId);
+    if (!game.cargoSystem.hasSpace(quantity * resource.volume)) {
       setMessage('Insufficient cargo space for this transaction.');
       return;
     }
 
-    // All validations passed, now execute transaction atomically
-    // Remove credits
-    game.cargoSystem.removeCredits(totalCost);
+    // All validations passed, now execute transaction
+    const cargoResult = game.cargoSystem.addCargo(resourceId, quantity, { purchasePrice: pricePerUnit });
 
-    // Add resource
-    const resourceResult = game.resourceSystem.addResource(resourceId, quantity);
-    const cargoResult = game.cargoSystem.addCargo(resourceId, quantity, resourceWeight);
-
-    if (resourceResult && cargoResult.success) {
+    if (cargoResult.success === true) {
+      economy.credits -= totalCost;
       setMessage(`Transaction complete! Acquired ${quantity} ${resourceId} for ${totalCost} credits.`);
     } else {
-      // Rollback transaction if cargo addition failed
-      game.cargoSystem.addCredits(totalCost);
-      if (resourceResult) {
-        game.resourceSystem.removeResource(resourceId, quantity);
+      // Roll back a partial load
+      if (cargoResult.added) {
+        game.cargoSystem.removeCargo(resourceId, cargoResult.added);
       }
       setMessage('Transaction failed: Cargo system error.');
     }
@@ -74,11 +70,10 @@ const InteractionPanel = ({ game, target, onClose }) => {
     }
 
     // Remove resource
-    game.resourceSystem.removeResource(resourceId, quantity);
     game.cargoSystem.removeCargo(resourceId, quantity);
 
     // Add credits
-    game.cargoSystem.addCredits(totalValue);
+    game.economySystem.credits += totalValue;
 
     setMessage(`Sold ${quantity} ${resourceId} for ${totalValue} credits.`);
   };
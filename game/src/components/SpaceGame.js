@@ -31,6 +31,8 @@ const SpaceGame = forwardRef(({ initialState, onStateChange }, ref) => {
       }
       return initialState || {};
     },
+    // Save slots are read and written by the running game's SaveSystem
+    getSaveSystem: () => (gameRef.current ? gameRef.current.saveSystem : null),
     loadGameState: async (state) => {
       if (gameRef.current && gameRef.current.loadState) {
         await gameRef.current.loadState(state);
@@ -171,9 +173,9 @@ const SpaceGame = forwardRef(({ initialState, onStateChange }, ref) => {
 
         gameRef.current = game;
 
-        // Apply initial state if provided (only for loaded games, not new games)
-        if (initialState && initialState.playtime > 0 && game.loadState) {
-          await game.loadState(initialState);
+        // Loaded games: the Game was built from the save's run config, now apply the slot
+        if (initialState && initialState.loadSlot && game.saveSystem) {
+          await game.saveSystem.loadGame(initialState.loadSlot);
         }
 
         // Check if still mounted before setting state
@@ -13,6 +13,44 @@ import {
   drawRivet,
   COCKPIT_COLORS,
 } from './common/CockpitAssets';
+import { CloudSaveBackend, SYNC_STATUS, CONFLICT_CHOICES } from '../../engine/CloudSaveBackend';
+import { SaveSystem } from '../../engine/SaveSystem';
+
+// Labels for the cloud sync status shown on each slot
+const SYNC_LABELS = {
+  [SYNC_STATUS.UP_TO_DATE]: 'SYNCED',
+  [SYNC_STATUS.PUSHED]: 'UPLOADED',
+  [SYNC_STATUS.PULLED]: 'DOWNLOADED',
+  [SYNC_STATUS.CONFLICT]: 'CONFLICT',
+  [SYNC_STATUS.ERROR]: 'OFFLINE',
+};
+
+// Sort orders offered by the SORT button (cycled in this order)
+const SORT_OPTIONS = [
+  { key: 'date', label: 'NEWEST', compare: (a, b) => (b.timestamp || 0) - (a.timestamp || 0) },
+  { key: 'credits', label: 'CREDITS', compare: (a, b) => (b.credits || 0) - (a.credits || 0) },
+  { key: 'playtime', label: 'PLAYTIME', compare: (a, b) => (b.playtime || 0) - (a.playtime || 0) },
+  { key: 'hull', label: 'HULL', compare: (a, b) => (b.hullPercent ?? -1) - (a.hullPercent ?? -1) },
+  { key: 'system', label: 'SYSTEM', compare: (a, b) => (a.systemName || '').localeCompare(b.systemName || '') },
+];
+
+/**
+ * Filters offered by the FILTER button: all saves, then one per ship class
+ * and one per system found in the list
+ */
+const buildFilterOptions = (saves) => {
+  const options = [{ key: 'all', label: 'ALL', test: () => true }];
+  const shipClasses = [...new Set(saves.map(save => save.shipClass).filter(Boolean))].sort();
+  const systems = [...new Set(saves.map(save => save.systemName).filter(Boolean))].sort();
+
+  shipClasses.forEach(shipClass => {
+    options.push({ key: `class:${shipClass}`, label: shipClass.toUpperCase(), test: save => save.shipClass === shipClass });
+  });
+  systems.forEach(system => {
+    options.push({ key: `system:${system}`, label: system.toUpperCase(), test: save => save.systemName === system });
+  });
+  return options;
+};
 
 const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
   const canvasRef = useRef(null);
@@ -27,6 +65,17 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
   const [scrollOffset, setScrollOffset] = useState(0);
   const [buttons, setButtons] = useState([]);
   const [saveSlots, setSaveSlots] = useState([]);
+  // Cloud sync: per-slot status and conflicts waiting for a player decision
+  const [syncStatus, setSyncStatus] = useState({});
+  const [conflicts, setConflicts] = useState([]);
+  const [resolving, setResolving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  // Sorting/filtering of the save list and decoded thumbnails (redraw when one finishes loading)
+  const [sortIndex, setSortIndex] = useState(0);
+  const [filterKey, setFilterKey] = useState('all');
+  const [thumbnailVersion, setThumbnailVersion] = useState(0);
+  const thumbnailsRef = useRef(new Map());
+  const cloudBackendRef = useRef(null);
   // PERFORMANCE: Memoize callback references to avoid re-renders
   const onLoadRef = useRef(onLoad);
   const onCancelRef = useRef(onCancel);
@@ -35,28 +84,53 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
 
   useEffect(() => {
     const loadSavedGames = () => {
-      try {
-        const saves = [];
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (key && key.startsWith('pixelversum_save_')) {
-            const saveData = JSON.parse(localStorage.getItem(key));
-            saves.push({
-              id: key.replace('pixelversum_save_', ''),
-              ...saveData,
-            });
-          }
-        }
-        saves.sort((a, b) => b.timestamp - a.timestamp);
-        setSavedGames(saves);
-        setLoading(false);
-      } catch (error) {
-        console.error('Error loading saved games:', error);
-        setLoading(false);
-      }
+      // Same slots as the in-game load screen (metadata only, nothing is decompressed)
+      setSavedGames(SaveSystem.listStoredSaves());
+      setLoading(false);
     };
-    loadSavedGames();
-  }, []);
+    // Saves from older versions are moved into slots before the first listing
+    SaveSystem.migrateLegacyKeys().then(loadSavedGames);
+
+    // Sync with the server in the background, then refresh the list
+    const backend = CloudSaveBackend.fromSettings();
+    cloudBackendRef.current = backend;
+    if (backend) {
+      backend.syncAll()
+        .then(results => {
+          const status = {};
+          results.forEach(result => {
+            status[result.slot] = result.status;
+          });
+          setSyncStatus(status);
+          setConflicts(results.filter(result => result.status === SYNC_STATUS.CONFLICT));
+          loadSavedGames();
+        })
+        .catch(error => {
+          console.error('Cloud sync failed:', error);
+        });
+    }
+  }, [reloadKey]);
+
+  // Apply the player's choice for the first pending conflict
+  const resolveConflict = (choice) => {
+    const backend = cloudBackendRef.current;
+    const conflict = conflicts[0];
+    if (!backend || !conflict || resolving) return;
+
+    setResolving(true);
+    backend.resolveConflict(conflict.slot, choice).then(result => {
+      setResolving(false);
+      if (!result.success) {
+        alert(`SYNC FAILED: ${result.error}`);
+        return;
+      }
+      setConflicts(prev => prev.slice(1));
+      setSyncStatus(prev => ({ ...prev, [conflict.slot]: SYNC_STATUS.UP_TO_DATE }));
+      setReloadKey(prev => prev + 1);
+    });
+  };
+  const resolveConflictRef = useRef(resolveConflict);
+  resolveConflictRef.current = resolveConflict;
 
   // PERFORMANCE: Removed animation loop - all assets are static for 60fps performance
 
@@ -209,6 +283,26 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     let yOffset = crtY + 20 - scrollOffset;
     const contentX = crtX + 20;
     const newSaveSlots = [];
+    const newButtons = [];
+
+    // Sort and filter the list
+    const sortOption = SORT_OPTIONS[sortIndex];
+    const filterOptions = buildFilterOptions(savedGames);
+    const filterIndex = Math.max(0, filterOptions.findIndex(option => option.key === filterKey));
+    const filterOption = filterOptions[filterIndex];
+    const visibleGames = savedGames.filter(filterOption.test).sort(sortOption.compare);
+
+    const getThumbnail = (dataUrl) => {
+      if (!dataUrl) return null;
+      let image = thumbnailsRef.current.get(dataUrl);
+      if (!image) {
+        image = new Image();
+        image.onload = () => setThumbnailVersion(v => v + 1);
+        image.src = dataUrl;
+        thumbnailsRef.current.set(dataUrl, image);
+      }
+      return image.complete && image.naturalWidth ? image : null;
+    };
 
     if (loading) {
       ctx.font = `16px ${fontLoader.getFontFamily('DigitalDisco')}`;
@@ -226,38 +320,69 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
       ctx.font = `11px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
       ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
       ctx.fillText('START A NEW MISSION TO CREATE A SAVE', centerX, crtY + crtH / 2);
+    } else if (visibleGames.length === 0) {
+      ctx.font = `bold 16px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+      ctx.textAlign = 'center';
+      ctx.fillText('NO SAVES MATCH THIS FILTER', centerX, crtY + crtH / 2);
     } else {
-      const slotH = 80;
+      const slotH = 96;
       const slotSpacing = 10;
+      const thumbW = 128;
+      const thumbH = 72;
 
-      savedGames.forEach((save, index) => {
+      visibleGames.forEach((save, index) => {
         const slotY = yOffset + index * (slotH + slotSpacing);
         const slotX = contentX + 5;
         const slotW = crtW - 50;
-        const isSelected = selectedSave && selectedSave.id === save.id;
+        const isSelected = selectedSave && selectedSave.slot === save.slot;
 
         // Slot background
         ctx.fillStyle = isSelected ? COCKPIT_COLORS.PANEL_DETAIL : COCKPIT_COLORS.PANEL_BG;
         ctx.fillRect(slotX, slotY, slotW, slotH);
 
+        // Thumbnail
+        const thumbX = slotX + 12;
+        const thumbY = slotY + (slotH - thumbH) / 2;
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(thumbX, thumbY, thumbW, thumbH);
+        const thumbnail = getThumbnail(save.thumbnail);
+        if (thumbnail) {
+          ctx.drawImage(thumbnail, thumbX, thumbY, thumbW, thumbH);
+        } else {
+          ctx.font = `9px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+          ctx.fillStyle = COCKPIT_COLORS.TEXT_DIM;
+          ctx.textAlign = 'center';
+          ctx.fillText('NO IMAGE', thumbX + thumbW / 2, thumbY + thumbH / 2);
+        }
+
         // Save info
+        const textX = thumbX + thumbW + 15;
         ctx.font = `bold 12px ${fontLoader.getFontFamily('DigitalDisco')}`;
         ctx.fillStyle = isSelected ? COCKPIT_COLORS.SCREEN_TEXT_BRIGHT : COCKPIT_COLORS.SCREEN_TEXT;
         ctx.textAlign = 'left';
-        ctx.fillText(`${save.callsign || 'UNKNOWN'} | ${save.shipName || 'UNNAMED'}`, slotX + 12, slotY + 18);
+        ctx.fillText(`${(save.saveName || save.slot).toUpperCase()} - ${save.callsign || 'UNKNOWN'} | ${save.shipName || 'UNNAMED'}`, textX, slotY + 18);
 
         ctx.font = `9px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
         ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
 
         const date = new Date(save.timestamp).toLocaleString();
-        ctx.fillText(`DATE: ${date}`, slotX + 12, slotY + 35);
-
-        const playtime = save.playtime || 0;
-        const hours = Math.floor(playtime / 60);
-        const mins = playtime % 60;
-        ctx.fillText(`TIME: ${hours}h ${mins}m`, slotX + 12, slotY + 50);
+        ctx.fillText(`DATE: ${date}`, textX, slotY + 35);
+        ctx.fillText(`TIME: ${SaveSystem.formatPlaytime(save.playtime || 0)}`, textX, slotY + 50);
+        ctx.fillText(`SYSTEM: ${(save.location || save.systemName || 'UNKNOWN').toUpperCase()}`, textX, slotY + 65);
+        ctx.fillText(`SHIP: ${(save.shipClass || 'UNKNOWN').toUpperCase()}`, textX, slotY + 80);
+
+        ctx.fillText(`CREDITS: ${save.credits || 0}`, textX + 280, slotY + 50);
+        if (save.hullPercent !== null && save.hullPercent !== undefined) {
+          ctx.fillStyle = save.hullPercent < 30 ? COCKPIT_COLORS.LED_RED : COCKPIT_COLORS.SCREEN_TEXT;
+          ctx.fillText(`HULL: ${save.hullPercent}%`, textX + 280, slotY + 65);
+        }
 
-        ctx.fillText(`CREDITS: ${save.credits || 0}`, slotX + 250, slotY + 50);
+        const cloudStatus = syncStatus[save.slot];
+        if (cloudStatus) {
+          ctx.fillStyle = cloudStatus === SYNC_STATUS.CONFLICT ? COCKPIT_COLORS.LED_RED : COCKPIT_COLORS.SCREEN_TEXT;
+          ctx.fillText(`CLOUD: ${SYNC_LABELS[cloudStatus]}`, textX + 280, slotY + 35);
+        }
 
         if (isSelected) {
           ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
@@ -278,6 +403,44 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
 
     ctx.restore();
 
+    // Sort / filter toolbar between the title bar and the list
+    const toolbarY = panelY + titleBarHeight + 25;
+    const toolbarButtonW = 260;
+    const toolbarButtons = [
+      {
+        label: `SORT: ${sortOption.label}`,
+        onClick: () => setSortIndex(index => (index + 1) % SORT_OPTIONS.length),
+      },
+      {
+        label: `FILTER: ${filterOption.label}`,
+        onClick: () => setFilterKey(filterOptions[(filterIndex + 1) % filterOptions.length].key),
+      },
+    ];
+    toolbarButtons.forEach((button, index) => {
+      const toolbarX = crtX + index * (toolbarButtonW + 15);
+      const toolbarCanvas = generate3DButton(toolbarButtonW, 35, button.label, {
+        state: 'normal',
+        baseColor: '#2a1a0a',
+        textColor: '#8a6a4a',
+        hasLED: false,
+        pixelSize: 0.8
+      });
+      ctx.drawImage(toolbarCanvas, toolbarX, toolbarY);
+
+      ctx.font = `bold 14px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.TEXT_BRIGHT;
+      ctx.textAlign = 'center';
+      ctx.fillText(button.label, toolbarX + toolbarButtonW / 2, toolbarY + 35 / 2 + 4);
+
+      newButtons.push({
+        x: toolbarX,
+        y: toolbarY,
+        width: toolbarButtonW,
+        height: 35,
+        onClick: button.onClick,
+      });
+    });
+
     const buttonY = panelY + panelHeight - 70;
     const buttonW = 180;
     const buttonH = 45;
@@ -286,8 +449,6 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     const loadBtnX = centerX - buttonW - buttonSpacing / 2;
     const cancelBtnX = centerX + buttonSpacing / 2;
 
-    const newButtons = [];
-
     // Load button - 3D button
     const loadEnabled = selectedSave !== null;
     const loadColor = loadEnabled ? '#2a1a0a' : '#1a120a';
@@ -340,6 +501,75 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
       onClick: () => onCancelRef.current && onCancelRef.current(),
     });
 
+    // Cloud sync conflict dialog - blocks the list until the player decides
+    if (conflicts.length > 0) {
+      const conflict = conflicts[0];
+      const dialogW = Math.min(640, panelWidth - 60);
+      const dialogH = 230;
+      const dialogX = centerX - dialogW / 2;
+      const dialogY = centerY - dialogH / 2;
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+      drawMetalPanel(ctx, dialogX, dialogY, dialogW, dialogH, {
+        rustAmount: 0.1,
+        scratchCount: 4,
+        depth3D: true,
+      });
+
+      ctx.textAlign = 'center';
+      ctx.font = `bold 16px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.TEXT_BRIGHT;
+      ctx.fillText(`SYNC CONFLICT - ${conflict.slot.toUpperCase()}`, centerX, dialogY + 30);
+
+      ctx.font = `11px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT;
+      const localTime = conflict.local ? formatTimestamp(conflict.local.timestamp) : 'NONE';
+      const serverTime = conflict.remote ? formatTimestamp(conflict.remote.timestamp) : 'NONE';
+      ctx.fillText('THIS SLOT CHANGED HERE AND ON THE SERVER', centerX, dialogY + 60);
+      ctx.fillText(`LOCAL: ${localTime}`, centerX, dialogY + 85);
+      ctx.fillText(`SERVER: ${serverTime}`, centerX, dialogY + 105);
+      if (conflicts.length > 1) {
+        ctx.fillText(`${conflicts.length - 1} MORE CONFLICT(S) PENDING`, centerX, dialogY + 125);
+      }
+
+      const choices = [
+        { label: 'KEEP LOCAL', choice: CONFLICT_CHOICES.KEEP_LOCAL },
+        { label: 'KEEP SERVER', choice: CONFLICT_CHOICES.KEEP_SERVER },
+        { label: 'KEEP BOTH', choice: CONFLICT_CHOICES.KEEP_BOTH },
+      ];
+      const choiceW = (dialogW - 80) / 3;
+      const choiceY = dialogY + dialogH - 70;
+
+      // Only the dialog buttons are clickable while it is open
+      newButtons.length = 0;
+      newSaveSlots.length = 0;
+
+      choices.forEach((option, index) => {
+        const choiceX = dialogX + 20 + index * (choiceW + 20);
+        const choiceCanvas = generate3DButton(choiceW, buttonH, option.label, {
+          state: 'normal',
+          baseColor: resolving ? '#1a120a' : '#2a1a0a',
+          textColor: '#8a6a4a',
+          hasLED: false,
+          pixelSize: 0.8
+        });
+        ctx.drawImage(choiceCanvas, choiceX, choiceY);
+
+        ctx.font = `bold 14px ${fontLoader.getFontFamily('DigitalDisco')}`;
+        ctx.fillStyle = resolving ? COCKPIT_COLORS.TEXT_DIM : COCKPIT_COLORS.TEXT_BRIGHT;
+        ctx.fillText(option.label, choiceX + choiceW / 2, choiceY + buttonH / 2 + 4);
+
+        newButtons.push({
+          x: choiceX,
+          y: choiceY,
+          width: choiceW,
+          height: buttonH,
+          onClick: () => resolveConflictRef.current(option.choice),
+        });
+      });
+    }
+
     // PERFORMANCE: Cache scanlines to off-screen canvas
     const scanlinesKey = `scanlines_${width}_${height}`;
     if (!cachedAssets.current[scanlinesKey]) {
@@ -375,7 +605,7 @@ const CanvasLoadGameScreen = ({ onLoad, onCancel }) => {
     setButtons(newButtons);
     setSaveSlots(newSaveSlots);
 
-  }, [savedGames, selectedSave, loading, scrollOffset]);  // PERFORMANCE: Removed animFrame and callback dependencies - use refs
+  }, [savedGames, selectedSave, loading, scrollOffset, syncStatus, conflicts, resolving, sortIndex, filterKey, thumbnailVersion]);  // PERFORMANCE: Removed animFrame and callback dependencies - use refs
 
   return (
     <CockpitFrame>
@@ -1,6 +1,10 @@
 import { useEffect, useRef, useState, useMemo } from 'react';
 import fontLoader from '../../utils/FontLoader';
 import CockpitFrame from './common/CockpitFrame';
+import { SaveSystem } from '../../engine/SaveSystem';
+
+// Manual slots written from this screen (same slots as the in-game save screen)
+const MANUAL_SLOTS = Array.from({ length: 10 }, (_, i) => `save_${i + 1}`);
 
 /**
  * CanvasSaveGameScreen - Enhanced with larger panels, 1px pixelation,
@@ -29,29 +33,13 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
     setSaveName(`SAVE_${date}_${time}`);
   }, []);
 
-  // Load existing saves
+  // Load existing manual saves and the quicksave (newest first)
   useEffect(() => {
-    const loadExistingSaves = () => {
-      try {
-        const saves = [];
-        for (let i = 0; i < localStorage.length; i++) {
-          const key = localStorage.key(i);
-          if (key && key.startsWith('pixelversum_save_')) {
-            const saveData = JSON.parse(localStorage.getItem(key));
-            saves.push({
-              id: key.replace('pixelversum_save_', ''),
-              ...saveData,
-            });
-          }
-        }
-        saves.sort((a, b) => b.timestamp - a.timestamp);
-        setExistingSaves(saves);
-      } catch (error) {
-        console.error('Error loading saves:', error);
-      }
-    };
-
-    loadExistingSaves();
+    SaveSystem.migrateLegacyKeys().then(() => {
+      setExistingSaves(SaveSystem.listStoredSaves().filter(save =>
+        save.slot === 'quicksave' || MANUAL_SLOTS.includes(save.slot)
+      ));
+    });
   }, []);
 
   // Animation loop - optimized with requestAnimationFrame
@@ -122,24 +110,25 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
     return true;
   };
 
-  const handleSaveClick = async () => {
-    if (!validateSaveName()) return;
+  // Saving under an existing name overwrites that slot, otherwise the first empty slot is used
+  const pickSlot = (name) => {
+    const existing = existingSaves.find(save => save.slot !== 'quicksave' && save.saveName === name);
+    if (existing) return existing.slot;
+    return MANUAL_SLOTS.find(slot => !existingSaves.some(save => save.slot === slot)) || null;
+  };
+
+  const saveToSlot = async (slot, name) => {
+    if (!slot) {
+      setError('ALL SAVE SLOTS FULL - REUSE AN EXISTING NAME');
+      return;
+    }
 
     setSaving(true);
     setError('');
 
     try {
-      const saveId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const saveData = {
-        name: saveName.trim(),
-        timestamp: Date.now(),
-        ...gameData,
-      };
-
-      localStorage.setItem(`pixelversum_save_${saveId}`, JSON.stringify(saveData));
-
       if (onSave) {
-        await onSave(saveId, saveData);
+        await onSave(slot, name);
       }
 
       setSaving(false);
@@ -150,9 +139,14 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
     }
   };
 
+  const handleSaveClick = () => {
+    if (!validateSaveName()) return;
+    saveToSlot(pickSlot(saveName.trim()), saveName.trim());
+  };
+
   const handleQuickSave = () => {
     setSaveName('QUICKSAVE');
-    setTimeout(() => handleSaveClick(), 100);
+    saveToSlot('quicksave', 'Quick Save');
   };
 
   // Render
@@ -387,7 +381,7 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
 
       ctx.font = `10px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
       ctx.fillStyle = '#8a6a4a';
-      ctx.fillText('(Click existing save to overwrite)', contentX, yOffset);
+      ctx.fillText('(Saving under an existing name overwrites it)', contentX, yOffset);
 
       yOffset += 20;
 
@@ -397,7 +391,7 @@ const CanvasSaveGameScreen = ({ onSave, onCancel, gameData }) => {
 
         ctx.font = `10px ${fontLoader.getFontFamily('DigitalDisco-Thin')}`;
         ctx.fillStyle = '#8a6a4a';
-        ctx.fillText(`• ${save.name} - ${formatTimestamp(save.timestamp)}`, contentX, saveY);
+        ctx.fillText(`• ${save.saveName} - ${formatTimestamp(save.timestamp)}`, contentX, saveY);
       });
     }
 
@@ -74,6 +74,8 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     // Gameplay
     autoSave: true,
     autoSaveInterval: 5,
+    autoSaveSlots: 3,
+    cloudSync: false,
     showTutorials: true,
     pauseOnLostFocus: true,
     difficultyIndicators: true,
@@ -509,6 +511,7 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
     } else if (activeTab === 'gameplay') {
       const gameplaySettings = [
         { key: 'autoSave', label: 'Auto-Save' },
+        { key: 'cloudSync', label: 'Cloud Save Sync' },
         { key: 'showTutorials', label: 'Show Tutorials' },
         { key: 'pauseOnLostFocus', label: 'Pause When Unfocused' },
         { key: 'difficultyIndicators', label: 'Difficulty Indicators' },
@@ -530,6 +533,42 @@ const CanvasSettingsScreen = ({ onClose, onApply }) => {
 
         yOffset += 25;
       });
+
+      // Autosave ring size (oldest autosave is overwritten once all slots are used)
+      yOffset += 15;
+      ctx.font = `22px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillStyle = COCKPIT_COLORS.SCREEN_TEXT_BRIGHT;
+      ctx.fillText('Autosave Slots:', contentX, yOffset);
+      yOffset += 22;
+
+      const sliderX = contentX + 10;
+      const sliderW = 300;
+      const sliderY = yOffset;
+
+      ctx.fillStyle = COCKPIT_COLORS.PANEL_BG;
+      ctx.fillRect(sliderX, sliderY, sliderW, 8);
+
+      const fillW = (sliderW * (settingsRef.current.autoSaveSlots - 1)) / 9;
+      ctx.fillStyle = COCKPIT_COLORS.LED_AMBER;
+      ctx.fillRect(sliderX, sliderY, fillW, 8);
+
+      ctx.fillStyle = COCKPIT_COLORS.TEXT_BRIGHT;
+      ctx.fillRect(sliderX + fillW - 4, sliderY - 4, 8, 16);
+
+      ctx.font = `20px ${fontLoader.getFontFamily('DigitalDisco')}`;
+      ctx.fillText(`${settingsRef.current.autoSaveSlots}`, sliderX + sliderW + 15, sliderY + 8);
+
+      newSliders.push({
+        x: sliderX,
+        y: sliderY + 4,
+        width: sliderW,
+        min: 1,
+        max: 10,
+        value: settingsRef.current.autoSaveSlots,
+        onChange: (val) => updateSetting('autoSaveSlots', Math.round(val)),
+      });
+
+      yOffset += 35;
     }
 
     const totalContentHeight = yOffset - crtY + scrollOffset;
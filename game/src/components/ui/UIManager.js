@@ -82,16 +82,16 @@ const UIManager = ({
     // setNewGameSetupData(null); // REMOVED: state no longer exists
   }, [onNewGame]);
 
-  const handleLoadGame = useCallback((saveData) => {
+  const handleLoadGame = useCallback((save) => {
     if (onLoadGame) {
-      onLoadGame(saveData);
+      onLoadGame(save);
     }
     setCurrentScreen('game');
   }, [onLoadGame]);
 
-  const handleSaveGame = useCallback(async (saveId, saveData) => {
+  const handleSaveGame = useCallback(async (slot, saveName) => {
     if (onSaveGame) {
-      await onSaveGame(saveId, saveData);
+      await onSaveGame(slot, saveName);
     }
     // Return to in-game menu after saving
     setCurrentScreen('inGameMenu');
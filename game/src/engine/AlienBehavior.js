@@ -0,0 +1,249 @@
+/**
+ * Alien Behavior - Utility AI layer for alien ships
+ *
+ * A few times a second each ship picks a target and then the behavior with
+ * the highest utility. Both choices are driven by the race's doctrine (see
+ * ALIEN_RACES): how far it stands off, whether it flanks, how readily it
+ * piles onto what its wing is shooting, when it falls back on its allies and
+ * when it runs for the warp limit. The behaviors themselves are steering
+ * methods on AlienShip.
+ *
+ * Targets are the player and their wingmen (when the race will attack them or
+ * the ship has been fired on), ships of rival races, ships that shot at it, ships attacking the
+ * player (for helpful races) and stations - raiders' targets, or any that
+ * fired on it. A race's aggression trait makes it keener to attack. Faction
+ * warships (see FactionWarfare) use the same layer with the faction as race.
+ */
+
+// Used for ships without a race (and for fields a race leaves out)
+export const DEFAULT_DOCTRINE = {
+  standoff: 0.7, // Preferred range as a share of engage range
+  flank: 0.3, // 0-1 tendency to work round to the target's flank
+  focusFire: 0.5, // 0-1 tendency to shoot what the wing is shooting
+  retreatAt: 0.3, // Hull share at which it falls back on its allies
+  warpAt: 0.1, // Hull share at which it runs for the warp limit and leaves
+  swarm: false, // Flocks with its wing on the way in
+  raidsStations: false,
+  rivals: [] // Race ids it fights on sight
+};
+
+export const DECISION_INTERVAL = 0.4; // Seconds between re-evaluations
+const STICKINESS = 0.1; // Utility bonus for the current behavior, stops dithering
+const WING_RADIUS = 1500; // Same-race ships this close fly as one wing
+const STATION_DETECTION_FACTOR = 1.5; // Stations are easy to spot
+const RETALIATION_WEIGHT = 2; // Whoever shot at the ship comes first
+const STATION_WEIGHT = 0.6;
+const WINGMAN_WEIGHT = 0.8; // The player comes first
+const DEFENDER_HELPFULNESS = 0.7; // Races at least this helpful defend a player they aren't hostile to
+
+// Hull classes keep their own nerve: thresholds scale with evadeThreshold
+// relative to a fighter's, capped so a cautious hull of a cautious race still
+// takes real damage before it falls back or leaves
+const FIGHTER_EVADE_THRESHOLD = 0.3;
+const MAX_RETREAT_AT = 0.7;
+const MAX_WARP_AT = 0.5;
+
+export function getDoctrine(raceData) {
+  return { ...DEFAULT_DOCTRINE, ...(raceData?.doctrine || {}) };
+}
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function hullShare(entity) {
+  if (entity.maxHp) return entity.hp / entity.maxHp;
+  if (entity.maxHull) return entity.hull / entity.maxHull;
+  return 1;
+}
+
+export function isRival(ship, other) {
+  if (!other.raceData || other.race === ship.race) return false;
+  return ship.doctrine.rivals.includes(other.race) || getDoctrine(other.raceData).rivals.includes(ship.race);
+}
+
+/**
+ * Whether an entity can still be shot at
+ */
+export function isTargetAlive(target) {
+  if (!target) return false;
+  if (target.stationType) return !target.destroyed;
+  if (target.maxHp) return !target.isDead && target.hp > 0;
+  return target.hull > 0;
+}
+
+/**
+ * Same-race ships within wing range
+ */
+export function getWing(ship, ships) {
+  return ships.filter(other => other !== ship && !other.isDead && other.race === ship.race &&
+    distance(ship, other) < WING_RADIUS);
+}
+
+/**
+ * Everything the ship could shoot at, each with a base priority
+ */
+function getCandidates(ship, world) {
+  const candidates = [];
+  const { player, ships, stations, wingmen } = world;
+
+  if (player && isTargetAlive(player) && (ship.isHostile || ship.aggressors.has(player))) {
+    candidates.push({ target: player, weight: ship.aggressors.has(player) ? RETALIATION_WEIGHT : 1 });
+  }
+
+  // The player's wingmen are fair game for anyone at war with the player
+  for (const wingman of wingmen || []) {
+    if (!isTargetAlive(wingman)) continue;
+    if (ship.aggressors.has(wingman)) candidates.push({ target: wingman, weight: RETALIATION_WEIGHT });
+    else if (ship.isHostile) candidates.push({ target: wingman, weight: WINGMAN_WEIGHT });
+  }
+
+  // Helpful races that aren't hostile come to the aid of a player under attack
+  const helpfulness = ship.raceData?.traits?.helpfulness ?? 0;
+  const defendsPlayer = !ship.isHostile && helpfulness >= DEFENDER_HELPFULNESS;
+
+  for (const other of ships) {
+    if (other === ship || !isTargetAlive(other)) continue;
+    if (ship.aggressors.has(other)) candidates.push({ target: other, weight: RETALIATION_WEIGHT });
+    else if (isRival(ship, other)) candidates.push({ target: other, weight: 1 });
+    else if (defendsPlayer && other.target === player && other.race !== ship.race) {
+      candidates.push({ target: other, weight: helpfulness });
+    }
+  }
+
+  // Raiders hit rival factions' stations (any station, once hostile to the
+  // player), and every ship returns a station's fire
+  for (const station of stations || []) {
+    if (station.destroyed || station.x === undefined || station.faction === ship.race) continue;
+    if (ship.aggressors.has(station)) {
+      candidates.push({ target: station, weight: RETALIATION_WEIGHT, detection: STATION_DETECTION_FACTOR });
+    } else if (ship.doctrine.raidsStations && (ship.isHostile || ship.doctrine.rivals.includes(station.faction))) {
+      candidates.push({ target: station, weight: STATION_WEIGHT, detection: STATION_DETECTION_FACTOR });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Pick the most attractive target in detection range, or null
+ */
+export function selectTarget(ship, world, wing) {
+  const doctrine = ship.doctrine;
+
+  // What the wing is already shooting at, for focus fire
+  const wingTargets = new Map();
+  for (const wingmate of wing) {
+    if (wingmate.target) wingTargets.set(wingmate.target, (wingTargets.get(wingmate.target) || 0) + 1);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const { target, weight, detection = 1 } of getCandidates(ship, world)) {
+    const dist = distance(ship, target);
+    if (dist > ship.detectionRange * detection && !ship.aggressors.has(target)) continue;
+
+    let score = weight / (1 + dist / ship.engageRange);
+    if (wingTargets.has(target)) {
+      score += doctrine.focusFire * Math.min(1, wingTargets.get(target) / 2);
+    }
+    // Focused wings finish off what is already hurt
+    score += doctrine.focusFire * (1 - hullShare(target)) * 0.5;
+    if (target === ship.target) score += STICKINESS;
+
+    if (score > bestScore) {
+      best = target;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Behaviors by name: score() is the utility (0-1) in the current situation,
+ * run() steers the ship for one frame
+ */
+export const BEHAVIORS = {
+  patrol: {
+    score: () => 0.1,
+    run: (ship, dt) => ship.patrol(dt)
+  },
+
+  attack: {
+    score: (ship, situation) => (situation.target ? 0.5 + situation.aggression * 0.2 : 0),
+    run: (ship, dt, world, situation) => {
+      if (ship.doctrine.swarm) ship.applyFlocking(dt, situation.wing);
+      ship.engage(dt, ship.target, world.projectiles);
+    }
+  },
+
+  flank: {
+    score: (ship, situation) => {
+      if (!situation.target || ship.swarmBehavior) return 0;
+      return 0.3 + ship.doctrine.flank * (situation.wingOnTarget > 0 ? 0.7 : 0.35);
+    },
+    run: (ship, dt, world) => ship.flank(dt, ship.target, world.projectiles)
+  },
+
+  swarm: {
+    score: (ship, situation) => (situation.target && ship.swarmBehavior ? 0.9 : 0),
+    run: (ship, dt, world, situation) => ship.updateSwarmAI(dt, ship.target, situation.wing)
+  },
+
+  retreat: {
+    score: (ship, situation) => (situation.target && situation.wing.length > 0 && situation.hull < situation.retreatAt ? 0.95 : 0),
+    run: (ship, dt, world, situation) => ship.retreat(dt, ship.target, situation.wing, world.projectiles)
+  },
+
+  evade: {
+    score: (ship, situation) => (situation.target && situation.wing.length === 0 && situation.hull < situation.retreatAt ? 0.9 : 0),
+    run: (ship, dt) => ship.evade(dt, ship.target)
+  },
+
+  warp: {
+    score: (ship, situation) => (situation.hull < situation.warpAt ? 1 : 0),
+    run: (ship, dt, world) => ship.warpOut(dt, world.star)
+  }
+};
+
+/**
+ * Re-evaluate target and behavior
+ * @param {Object} world - { player, ships, stations, wingmen, star, projectiles }
+ */
+export function think(ship, world) {
+  const wing = getWing(ship, world.ships);
+  ship.target = selectTarget(ship, world, wing);
+
+  const caution = ship.evadeThreshold / FIGHTER_EVADE_THRESHOLD;
+  const situation = {
+    target: ship.target,
+    wing,
+    wingOnTarget: wing.filter(wingmate => wingmate.target === ship.target).length,
+    hull: hullShare(ship),
+    retreatAt: Math.min(MAX_RETREAT_AT, ship.doctrine.retreatAt * caution),
+    warpAt: Math.min(MAX_WARP_AT, ship.doctrine.warpAt * caution),
+    aggression: ship.raceData?.traits?.aggression ?? 0.5
+  };
+
+  let best = 'patrol';
+  let bestScore = -Infinity;
+  for (const [name, behavior] of Object.entries(BEHAVIORS)) {
+    let score = behavior.score(ship, situation);
+    if (score > 0 && name === ship.aiState) score += STICKINESS;
+    if (score > bestScore) {
+      best = name;
+      bestScore = score;
+    }
+  }
+
+  // Once a ship commits to the warp limit it keeps going
+  if (ship.aiState === 'warp') best = 'warp';
+
+  if (best !== ship.aiState) {
+    ship.aiState = best;
+    ship.aiTimer = 0;
+  }
+  return situation;
+}
@@ -3,6 +3,11 @@
  * Manages different alien races, their relationships, ship types, and behaviors
  */
 
+/**
+ * Race definitions. doctrine sets how a race's ships fight (see
+ * DEFAULT_DOCTRINE in AlienBehavior.js for the fields); fields left out use
+ * the defaults.
+ */
 export const ALIEN_RACES = {
   // Friendly/Neutral Races
   zenari: {
@@ -23,6 +28,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['scout', 'trader', 'courier'],
     weapons: ['plasma_cannon', 'point_defense'],
+    // Traders: keep their distance and break off early
+    doctrine: {
+      standoff: 1.0,
+      flank: 0.1,
+      focusFire: 0.6,
+      retreatAt: 0.6,
+      warpAt: 0.4,
+      rivals: ['kryllian']
+    },
     greetings: [
       'Greetings, traveler! Safe journeys.',
       'The Collective welcomes you.',
@@ -49,6 +63,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['fighter', 'cruiser', 'destroyer'],
     weapons: ['kinetic_cannon', 'railgun', 'missile_launcher'],
+    // Disciplined line: the whole wing on one target, seldom runs
+    doctrine: {
+      standoff: 0.8,
+      flank: 0.2,
+      focusFire: 0.9,
+      retreatAt: 0.35,
+      warpAt: 0.05,
+      rivals: ['kryllian', 'hivemind']
+    },
     greetings: [
       'State your business, stranger.',
       'Glory to the Empire.',
@@ -75,6 +98,16 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['bio_scout', 'spore_carrier', 'growth_vessel'],
     weapons: ['laser_beam', 'point_defense'],
+    // Swarm in close, no thought of retreat
+    doctrine: {
+      standoff: 0.4,
+      flank: 0.5,
+      focusFire: 0.2,
+      retreatAt: 0,
+      warpAt: 0,
+      swarm: true,
+      rivals: ['plasma']
+    },
     greetings: [
       'The Network senses your presence.',
       'Knowledge be shared between us.',
@@ -102,6 +135,16 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['raider', 'interceptor', 'gunship'],
     weapons: ['kinetic_cannon', 'missile_launcher', 'mine_launcher'],
+    // Hit and run: flank, raid stations, bail out when it gets hot
+    doctrine: {
+      standoff: 0.5,
+      flank: 0.8,
+      focusFire: 0.4,
+      retreatAt: 0.5,
+      warpAt: 0.3,
+      raidsStations: true,
+      rivals: ['zenari', 'nomadic']
+    },
     greetings: [
       'Your cargo is ours!',
       'Surrender or be destroyed!',
@@ -128,6 +171,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['drone', 'constructor', 'harvester'],
     weapons: ['laser_beam', 'railgun', 'point_defense'],
+    // Calculated: perfect focus fire from range
+    doctrine: {
+      standoff: 0.9,
+      flank: 0.5,
+      focusFire: 1.0,
+      retreatAt: 0.2,
+      warpAt: 0.05,
+      rivals: ['technocratic']
+    },
     greetings: [
       'Analyzing... Organic lifeform detected.',
       'Your technology is primitive.',
@@ -154,6 +206,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['void_fighter', 'dreadnought', 'harvester'],
     weapons: ['plasma_cannon', 'nuclear_missile', 'laser_beam'],
+    // Ambushers: come from the flanks and fade away when hurt
+    doctrine: {
+      standoff: 0.6,
+      flank: 0.9,
+      focusFire: 0.3,
+      retreatAt: 0.2,
+      warpAt: 0.3,
+      rivals: ['ethereal']
+    },
     greetings: [
       '...',
       '[Unintelligible transmission]',
@@ -182,6 +243,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['crystal_scout', 'refractor', 'prism_ship'],
     weapons: ['laser_beam', 'crystal_shard', 'light_refractor'],
+    // Long-range lances, steady under fire
+    doctrine: {
+      standoff: 1.1,
+      flank: 0.1,
+      focusFire: 0.7,
+      retreatAt: 0.25,
+      warpAt: 0.1,
+      rivals: ['plasma']
+    },
     greetings: [
       'Resonance detected. Frequencies aligned.',
       'Light and clarity be with you.',
@@ -208,6 +278,14 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['hydro_scout', 'tidal_cruiser', 'deep_explorer'],
     weapons: ['hydro_cannon', 'pressure_beam', 'bio_torpedo'],
+    // Defensive: fall back on the pod early
+    doctrine: {
+      standoff: 0.9,
+      flank: 0.3,
+      focusFire: 0.6,
+      retreatAt: 0.5,
+      warpAt: 0.3
+    },
     greetings: [
       'May your journey flow smoothly.',
       'The currents guide us together.',
@@ -234,6 +312,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['swift_interceptor', 'raptor_scout', 'condor_cruiser'],
     weapons: ['kinetic_talon', 'dive_missile', 'wind_cutter'],
+    // Fast flankers
+    doctrine: {
+      standoff: 0.5,
+      flank: 0.9,
+      focusFire: 0.5,
+      retreatAt: 0.4,
+      warpAt: 0.2,
+      rivals: ['hivemind']
+    },
     greetings: [
       'Swift winds guide you, traveler.',
       'May your flight be steady.',
@@ -260,6 +347,14 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['rock_hauler', 'stone_fortress', 'boulder_crusher'],
     weapons: ['mass_driver', 'seismic_cannon', 'railgun'],
+    // Slow brawlers that never give ground
+    doctrine: {
+      standoff: 0.6,
+      flank: 0,
+      focusFire: 0.8,
+      retreatAt: 0.1,
+      warpAt: 0
+    },
     greetings: [
       'Steady as stone. Greetings.',
       'Time moves slowly. We endure.',
@@ -286,6 +381,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['phase_ship', 'astral_cruiser', 'void_walker'],
     weapons: ['phase_disruptor', 'energy_beam', 'quantum_torpedo'],
+    // Keep out of reach and phase out when pressed
+    doctrine: {
+      standoff: 1.2,
+      flank: 0.4,
+      focusFire: 0.5,
+      retreatAt: 0.4,
+      warpAt: 0.35,
+      rivals: ['voidborn']
+    },
     greetings: [
       'We exist beyond your perception.',
       'Reality shifts. Greetings from the Astral.',
@@ -312,6 +416,17 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['drone_fighter', 'swarm_carrier', 'hive_destroyer'],
     weapons: ['bio_missiles', 'acid_sprayer', 'swarm_launcher'],
+    // Overwhelm by numbers, stations included
+    doctrine: {
+      standoff: 0.3,
+      flank: 0.6,
+      focusFire: 0.3,
+      retreatAt: 0,
+      warpAt: 0,
+      swarm: true,
+      raidsStations: true,
+      rivals: ['avian', 'vorlan']
+    },
     greetings: [
       'The Swarm expands. Resistance futile.',
       'We are many. You are few.',
@@ -338,6 +453,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['nomad_trader', 'caravan_ship', 'pilgrim_cruiser'],
     weapons: ['defensive_turret', 'emp_pulse', 'decoy_launcher'],
+    // Caravans: fight only to get away
+    doctrine: {
+      standoff: 1.0,
+      flank: 0.1,
+      focusFire: 0.5,
+      retreatAt: 0.6,
+      warpAt: 0.5,
+      rivals: ['kryllian']
+    },
     greetings: [
       'Well met, fellow traveler!',
       'The stars are our home. Welcome!',
@@ -364,6 +488,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['efficiency_cruiser', 'logic_destroyer', 'cyber_scout'],
     weapons: ['railgun', 'ion_cannon', 'emp_missile'],
+    // Efficient: concentrate fire, cut losses
+    doctrine: {
+      standoff: 0.9,
+      flank: 0.4,
+      focusFire: 1.0,
+      retreatAt: 0.3,
+      warpAt: 0.15,
+      rivals: ['synthetics']
+    },
     greetings: [
       'Efficiency calculated. Greetings.',
       'Logic dictates cooperation.',
@@ -390,6 +523,15 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['spore_carrier', 'mycelium_ship', 'growth_vessel'],
     weapons: ['spore_launcher', 'bio_beam', 'decomposer'],
+    // Drifting spore clouds
+    doctrine: {
+      standoff: 0.4,
+      flank: 0.4,
+      focusFire: 0.2,
+      retreatAt: 0,
+      warpAt: 0,
+      swarm: true
+    },
     greetings: [
       'Growth and harmony, traveler.',
       'The Network welcomes you.',
@@ -416,6 +558,16 @@ export const ALIEN_RACES = {
     },
     shipTypes: ['plasma_fighter', 'fusion_cruiser', 'star_destroyer'],
     weapons: ['plasma_cannon', 'fusion_beam', 'solar_flare'],
+    // Burn straight in, stations and all
+    doctrine: {
+      standoff: 0.3,
+      flank: 0.5,
+      focusFire: 0.2,
+      retreatAt: 0,
+      warpAt: 0,
+      raidsStations: true,
+      rivals: ['crystalline', 'mycelians']
+    },
     greetings: [
       'Burn and be consumed!',
       'We are the fire of stars!',
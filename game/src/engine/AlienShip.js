@@ -6,8 +6,28 @@
  * 3. Bomber - Slow, heavy weapons, high HP
  * 4. Frigate - Capital ship, very slow, very tanky
  * 5. Hive Drone - Swarm behavior, weak individually
+ *
+ * What a ship does from moment to moment is decided by the utility layer in
+ * AlienBehavior.js from its race's doctrine; the methods here do the steering
+ * and shooting.
  */
 
+import { getDoctrine, think, BEHAVIORS, DECISION_INTERVAL, isTargetAlive } from './AlienBehavior.js';
+
+const WARP_SPOOL_TIME = 5; // Seconds running flat out before a fleeing ship can jump
+const RETREAT_COVER_DISTANCE = 150; // How far behind an ally a retreating ship shelters
+
+// Subsystems the player can target (see TargetingSystem), laid out like
+// ShipDamageSystem.sections. Each holds a share of the hull's hit points;
+// below its critical share it works at half strength, and at zero it's out
+export const SUBSYSTEMS = {
+  engines: { name: 'Engines', share: 0.3, critical: 0.5, icon: '[ENG]', effect: 'Thrust' },
+  weapons: { name: 'Weapons', share: 0.25, critical: 0.5, icon: '[WPN]', effect: 'Rate of fire' },
+  shields: { name: 'Shield Generator', share: 0.25, critical: 0.5, icon: '[SHD]', effect: 'Shield recharge' }
+};
+const SUBSYSTEM_HULL_BLEED = 0.25; // Share of a hit on a subsystem that still reaches the hull
+const ION_DISABLE_CAP = 20; // Seconds of ion lockout hits can stack up to
+
 export class AlienShip {
   constructor(type, x, y, isHostile = true, raceData = null) {
     this.type = type;
@@ -24,15 +44,25 @@ export class AlienShip {
     this.raceName = raceData ? raceData.name : 'Unknown';
     this.raceColor = raceData ? raceData.shipColor : '#aa5588';
     this.raceData = raceData;
+    this.doctrine = getDoctrine(raceData);
 
     // AI state
     this.target = null;
-    this.aiState = 'patrol'; // patrol, engage, evade, retreat, swarm
+    this.aiState = 'patrol'; // See BEHAVIORS in AlienBehavior.js
     this.aiTimer = 0;
+    this.decisionTimer = Math.random() * DECISION_INTERVAL; // Spread decisions across frames
+    this.situation = null;
+    this.aggressors = new Set(); // Whoever has shot at this ship
+    this.lastAttacker = null;
+    this.flankSide = Math.random() < 0.5 ? 1 : -1;
+    this.warpTimer = 0;
+    this.warpedOut = false;
+    this.systemsOffline = 0; // Seconds left of an ion lockout (see ionize)
     this.formation = null; // For hive drones
 
     // Ship stats based on type
     this.initializeStats();
+    this.initializeSubsystems();
 
     // Weapon cooldowns
     this.weaponCooldown = 0;
@@ -152,22 +182,83 @@ export class AlienShip {
     }
   }
 
+  initializeSubsystems() {
+    this.subsystems = {};
+    for (const [id, def] of Object.entries(SUBSYSTEMS)) {
+      const maxHealth = Math.max(1, Math.round(this.maxHp * def.share));
+      this.subsystems[id] = {
+        name: def.name,
+        maxHealth,
+        currentHealth: maxHealth,
+        destroyed: false,
+        criticalThreshold: maxHealth * def.critical,
+        effect: def.effect,
+        icon: def.icon
+      };
+    }
+  }
+
+  /**
+   * How well a subsystem works: 1 intact, 0.5 critical, 0 destroyed
+   */
+  getSubsystemFactor(id) {
+    const system = this.subsystems[id];
+    if (system.destroyed) return 0;
+    return system.currentHealth < system.criticalThreshold ? 0.5 : 1;
+  }
+
+  /**
+   * Dead in space: engines shot out, or systems knocked offline by ion fire
+   */
+  isDisabled() {
+    return this.subsystems.engines.destroyed || this.systemsOffline > 0;
+  }
+
+  /**
+   * An ion hit: once the shields are down (phase-shifted bolts don't wait for
+   * that) it knocks the ship's systems offline, stacking with earlier hits
+   * @returns {boolean} Whether the systems went (or stayed) offline
+   */
+  ionize(seconds, bypassShields = false) {
+    if (this.shields > 0 && !bypassShields) return false;
+    this.systemsOffline = Math.min(ION_DISABLE_CAP, this.systemsOffline + seconds);
+    return true;
+  }
+
   /**
    * Update AI and movement
+   * @param {Object} surroundings - { stations, star, wingmen } of the current system
    */
-  update(dt, player, allEnemies, projectiles) {
+  update(dt, player, allEnemies, projectiles, surroundings = {}) {
     this.aiTimer += dt;
     this.weaponCooldown = Math.max(0, this.weaponCooldown - dt);
     this.specialCooldown = Math.max(0, this.specialCooldown - dt);
     this.damageFlash = Math.max(0, this.damageFlash - dt);
 
-    // Shield recharge
-    if (this.shields < this.maxShields) {
-      this.shields = Math.min(this.maxShields, this.shields + 2 * dt);
+    // Ion lockout: no steering, guns or shield recharge, just drift
+    if (this.systemsOffline > 0) {
+      this.systemsOffline = Math.max(0, this.systemsOffline - dt);
+      this.x += this.vx * dt;
+      this.y += this.vy * dt;
+      this.vx *= 0.98;
+      this.vy *= 0.98;
+      return;
+    }
+
+    // Shield recharge (none once the generator is out)
+    if (this.subsystems.shields.destroyed) {
+      this.shields = 0;
+    } else if (this.shields < this.maxShields) {
+      this.shields = Math.min(this.maxShields, this.shields + 2 * dt * this.getSubsystemFactor('shields'));
     }
 
-    // Update AI
-    this.updateAI(dt, player, allEnemies, projectiles);
+    // Update AI; damaged engines scale whatever thrust it applied
+    const vx = this.vx;
+    const vy = this.vy;
+    this.updateAI(dt, player, allEnemies, projectiles, surroundings);
+    const thrust = this.getSubsystemFactor('engines');
+    this.vx = vx + (this.vx - vx) * thrust;
+    this.vy = vy + (this.vy - vy) * thrust;
 
     // Apply movement
     this.x += this.vx * dt;
@@ -179,48 +270,25 @@ export class AlienShip {
   }
 
   /**
-   * AI behavior logic
+   * AI behavior logic: re-think a few times a second, steer every frame
    */
-  updateAI(dt, player, allEnemies, projectiles) {
-    if (!player) return;
-
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    // Determine AI state
-    const hpPercent = this.hp / this.maxHp;
-
-    if (this.swarmBehavior) {
-      this.updateSwarmAI(dt, player, allEnemies);
-    } else {
-      // Standard AI
-      if (hpPercent < this.evadeThreshold && this.aiState !== 'evade') {
-        this.aiState = 'evade';
-        this.aiTimer = 0;
-      } else if (dist < this.engageRange) {
-        this.aiState = 'engage';
-      } else if (dist < this.detectionRange) {
-        this.aiState = 'approach';
-      } else {
-        this.aiState = 'patrol';
-      }
-
-      switch (this.aiState) {
-        case 'patrol':
-          this.patrol(dt);
-          break;
-        case 'approach':
-          this.approach(dt, player);
-          break;
-        case 'engage':
-          this.engage(dt, player, projectiles);
-          break;
-        case 'evade':
-          this.evade(dt, player, projectiles);
-          break;
-      }
+  updateAI(dt, player, allEnemies, projectiles, surroundings = {}) {
+    const world = {
+      player,
+      ships: allEnemies,
+      stations: surroundings.stations || [],
+      wingmen: surroundings.wingmen || [],
+      star: surroundings.star || null,
+      projectiles
+    };
+
+    this.decisionTimer -= dt;
+    if (this.decisionTimer <= 0 || !this.situation || (this.target && !isTargetAlive(this.target))) {
+      this.decisionTimer = DECISION_INTERVAL;
+      this.situation = think(this, world);
     }
+
+    BEHAVIORS[this.aiState].run(this, dt, world, this.situation);
   }
 
   /**
@@ -238,24 +306,46 @@ export class AlienShip {
   }
 
   /**
-   * Approach behavior - move toward player
+   * Approach behavior - close on the target
    */
-  approach(dt, player) {
-    this.moveToward(player.x, player.y, this.speed * 0.6 * dt);
+  approach(dt, target) {
+    this.moveToward(target.x, target.y, this.speed * 0.6 * dt);
   }
 
   /**
-   * Engage behavior - attack player
+   * Range the doctrine likes to fight at (stations are measured from their hull)
    */
-  engage(dt, player, projectiles) {
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
+  getStandoffDistance(target) {
+    return this.engageRange * this.doctrine.standoff + (target.stationType ? target.size : 0);
+  }
+
+  /**
+   * Shoot when the target is in range and the guns are ready
+   */
+  fireWhenReady(target, dist, projectiles) {
+    const inRange = dist < this.engageRange + (target.stationType ? target.size : 0);
+    if (inRange && this.weaponCooldown <= 0 && !this.subsystems.weapons.destroyed) {
+      this.fireWeapon(projectiles, target);
+    }
+  }
+
+  /**
+   * Engage behavior - hold the doctrine's range and attack
+   */
+  engage(dt, target, projectiles) {
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
-    const angleToPlayer = Math.atan2(dy, dx);
+    const angleToTarget = Math.atan2(dy, dx);
+
+    if (dist > this.detectionRange) {
+      this.approach(dt, target);
+      return;
+    }
 
     // Strafe movement for scouts and fighters
     if (this.type === 'scout' || this.type === 'fighter') {
-      const strafeAngle = angleToPlayer + Math.PI / 2;
+      const strafeAngle = angleToTarget + Math.PI / 2;
       const strafeSpeed = this.speed * 0.4;
 
       // Alternate strafe direction
@@ -266,69 +356,149 @@ export class AlienShip {
     }
 
     // Maintain optimal distance
-    const optimalDist = this.engageRange * 0.7;
+    const optimalDist = this.getStandoffDistance(target);
     if (dist < optimalDist) {
       // Back away
-      this.vx -= Math.cos(angleToPlayer) * this.speed * 0.3 * dt;
-      this.vy -= Math.sin(angleToPlayer) * this.speed * 0.3 * dt;
+      this.vx -= Math.cos(angleToTarget) * this.speed * 0.3 * dt;
+      this.vy -= Math.sin(angleToTarget) * this.speed * 0.3 * dt;
     } else if (dist > optimalDist * 1.3) {
       // Move closer
-      this.vx += Math.cos(angleToPlayer) * this.speed * 0.5 * dt;
-      this.vy += Math.sin(angleToPlayer) * this.speed * 0.5 * dt;
+      this.vx += Math.cos(angleToTarget) * this.speed * 0.5 * dt;
+      this.vy += Math.sin(angleToTarget) * this.speed * 0.5 * dt;
     }
 
-    // Aim at player
-    this.rotation = this.turnToward(angleToPlayer, dt);
+    // Aim at target
+    this.rotation = this.turnToward(angleToTarget, dt);
+    this.fireWhenReady(target, dist, projectiles);
+  }
+
+  /**
+   * Flank behavior - work round to the target's side while the wing holds its front
+   */
+  flank(dt, target, projectiles) {
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    // The target's facing: where it is heading, or where the fight is
+    const speed = Math.sqrt((target.vx || 0) ** 2 + (target.vy || 0) ** 2);
+    const heading = speed > 20 ? Math.atan2(target.vy, target.vx) : Math.atan2(-dy, -dx);
+    const flankAngle = heading + this.flankSide * Math.PI * 0.6;
+    const standoff = this.getStandoffDistance(target);
+
+    this.moveToward(
+      target.x + Math.cos(flankAngle) * standoff,
+      target.y + Math.sin(flankAngle) * standoff,
+      this.speed * 0.7 * dt
+    );
 
-    // Fire weapon
-    if (this.weaponCooldown <= 0) {
-      this.fireWeapon(projectiles, player);
+    this.rotation = this.turnToward(Math.atan2(dy, dx), dt);
+    this.fireWhenReady(target, dist, projectiles);
+  }
+
+  /**
+   * Retreat behavior - shelter behind the healthiest ally and keep shooting
+   */
+  retreat(dt, target, wing, projectiles) {
+    let ally = null;
+    for (const wingmate of wing) {
+      if (wingmate.isDead) continue;
+      if (!ally || wingmate.hp / wingmate.maxHp > ally.hp / ally.maxHp) ally = wingmate;
+    }
+    if (!ally) {
+      this.evade(dt, target);
+      return;
     }
+
+    // Cover is the far side of the ally from the target
+    const ax = ally.x - target.x;
+    const ay = ally.y - target.y;
+    const allyDist = Math.sqrt(ax * ax + ay * ay) || 1;
+    this.moveToward(
+      ally.x + (ax / allyDist) * RETREAT_COVER_DISTANCE,
+      ally.y + (ay / allyDist) * RETREAT_COVER_DISTANCE,
+      this.speed * 0.8 * dt
+    );
+
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    this.rotation = this.turnToward(Math.atan2(dy, dx), dt);
+    this.fireWhenReady(target, Math.sqrt(dx * dx + dy * dy), projectiles);
   }
 
   /**
    * Evade behavior - run away
    */
-  evade(dt, player, projectiles) {
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
-    const angleAwayFromPlayer = Math.atan2(-dy, -dx);
+  evade(dt, threat) {
+    const dx = threat.x - this.x;
+    const dy = threat.y - this.y;
+    const angleAwayFromThreat = Math.atan2(-dy, -dx);
 
     // Run away at full speed
-    this.vx += Math.cos(angleAwayFromPlayer) * this.speed * dt;
-    this.vy += Math.sin(angleAwayFromPlayer) * this.speed * dt;
+    this.vx += Math.cos(angleAwayFromThreat) * this.speed * dt;
+    this.vy += Math.sin(angleAwayFromThreat) * this.speed * dt;
 
     // Evasive maneuvers
-    const evadeAngle = angleAwayFromPlayer + Math.sin(this.aiTimer * 5) * 0.8;
+    const evadeAngle = angleAwayFromThreat + Math.sin(this.aiTimer * 5) * 0.8;
     this.vx += Math.cos(evadeAngle) * this.speed * 0.5 * dt;
     this.vy += Math.sin(evadeAngle) * this.speed * 0.5 * dt;
 
-    this.rotation = this.turnToward(angleAwayFromPlayer, dt);
+    this.rotation = this.turnToward(angleAwayFromThreat, dt);
+  }
+
+  /**
+   * Warp behavior - run straight out from the star and jump once the drive has spooled
+   */
+  warpOut(dt, star) {
+    if (this.isDisabled()) return; // No engines, no jump
+
+    const dx = this.x - (star ? star.x : 0);
+    const dy = this.y - (star ? star.y : 0);
+    const outward = Math.atan2(dy, dx);
 
-    // Return to fight if HP recovers
-    if (this.aiTimer > 4 && this.hp > this.maxHp * 0.6) {
-      this.aiState = 'engage';
-      this.aiTimer = 0;
+    this.vx += Math.cos(outward) * this.speed * 1.2 * dt;
+    this.vy += Math.sin(outward) * this.speed * 1.2 * dt;
+    this.rotation = this.turnToward(outward, dt);
+
+    this.warpTimer += dt;
+    if (this.warpTimer >= WARP_SPOOL_TIME) {
+      this.warpedOut = true;
     }
   }
 
   /**
    * Swarm AI for hive drones
    */
-  updateSwarmAI(dt, player, allEnemies) {
-    const dx = player.x - this.x;
-    const dy = player.y - this.y;
+  updateSwarmAI(dt, target, wing) {
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
 
-    // Swarm behaviors: cohesion, separation, alignment
+    this.applyFlocking(dt, wing);
+
+    // Move toward target
+    if (dist > 100) {
+      this.vx += (dx / dist) * this.speed * 0.5 * dt;
+      this.vy += (dy / dist) * this.speed * 0.5 * dt;
+    }
+
+    // Aim at target
+    const angleToTarget = Math.atan2(dy, dx);
+    this.rotation = this.turnToward(angleToTarget, dt);
+  }
+
+  /**
+   * Swarm behaviors with the wing: cohesion, separation, alignment
+   */
+  applyFlocking(dt, wing) {
     let cohesionX = 0, cohesionY = 0;
     let separationX = 0, separationY = 0;
     let alignmentVx = 0, alignmentVy = 0;
     let nearbyCount = 0;
 
-    // Find nearby hive drones
-    for (const other of allEnemies) {
-      if (other === this || other.type !== 'hive_drone') continue;
+    // Find nearby wingmates
+    for (const other of wing) {
+      if (other.isDead) continue;
 
       const odx = other.x - this.x;
       const ody = other.y - this.y;
@@ -370,16 +540,6 @@ export class AlienShip {
       this.vx += alignmentVx * 0.3 * dt;
       this.vy += alignmentVy * 0.3 * dt;
     }
-
-    // Move toward player
-    if (dist > 100) {
-      this.vx += (dx / dist) * this.speed * 0.5 * dt;
-      this.vy += (dy / dist) * this.speed * 0.5 * dt;
-    }
-
-    // Aim at player
-    const angleToPlayer = Math.atan2(dy, dx);
-    this.rotation = this.turnToward(angleToPlayer, dt);
   }
 
   /**
@@ -417,7 +577,7 @@ export class AlienShip {
    * Fire weapon at target
    */
   fireWeapon(projectiles, target) {
-    this.weaponCooldown = this.weaponCooldownTime;
+    this.weaponCooldown = this.weaponCooldownTime / this.getSubsystemFactor('weapons');
 
     // Predict target position
     const dx = target.x - this.x;
@@ -426,8 +586,8 @@ export class AlienShip {
     const projectileSpeed = 500;
     const timeToHit = dist / projectileSpeed;
 
-    const predictedX = target.x + target.vx * timeToHit;
-    const predictedY = target.y + target.vy * timeToHit;
+    const predictedX = target.x + (target.vx || 0) * timeToHit;
+    const predictedY = target.y + (target.vy || 0) * timeToHit;
 
     const pdx = predictedX - this.x;
     const pdy = predictedY - this.y;
@@ -448,14 +608,25 @@ export class AlienShip {
       color: this.color,
       size: this.type === 'bomber' ? 6 : this.type === 'frigate' ? 4 : 3,
       owner: 'enemy',
-      friendly: false  // FIX: Enemy projectiles must have friendly:false for collision detection
+      friendly: false,  // FIX: Enemy projectiles must have friendly:false for collision detection
+      source: this, // Other races' ships can be hit and will know who fired
+      side: this.race, // Never hits its own side
+      raid: !!target.stationType // Only shots aimed at a station damage stations
     });
   }
 
   /**
    * Take damage
+   * @param {Object} attacker - Ship or station that fired, if known (anything else is the player)
+   * @param {string} subsystem - Key of SUBSYSTEMS the shot was aimed at, if any
    */
-  takeDamage(amount) {
+  takeDamage(amount, attacker = null, subsystem = null) {
+    if (attacker && attacker !== this) {
+      this.aggressors.add(attacker);
+      this.lastAttacker = attacker;
+      if (!(attacker instanceof AlienShip) && !attacker.stationType) this.isHostile = true;
+    }
+
     // Shields absorb first
     if (this.shields > 0) {
       const shieldDamage = Math.min(this.shields, amount);
@@ -463,6 +634,16 @@ export class AlienShip {
       amount -= shieldDamage;
     }
 
+    // A targeted subsystem soaks most of what gets through; once it's out,
+    // the hull takes it all
+    const system = subsystem ? this.subsystems[subsystem] : null;
+    if (system && !system.destroyed && amount > 0) {
+      const systemDamage = amount * (1 - SUBSYSTEM_HULL_BLEED);
+      system.currentHealth = Math.max(0, system.currentHealth - systemDamage);
+      if (system.currentHealth <= 0) system.destroyed = true;
+      amount -= systemDamage;
+    }
+
     // Remaining damage to hull
     this.hp -= amount;
     this.damageFlash = 0.2;
@@ -519,6 +700,33 @@ export class AlienShip {
     if (this.shields > 0) {
       this.renderOrganicShield(ctx, screenX, screenY);
     }
+
+    if (this.systemsOffline > 0) {
+      this.renderIonArcs(ctx, screenX, screenY);
+    }
+  }
+
+  /**
+   * Crackling arcs over a ship whose systems are ion-locked
+   */
+  renderIonArcs(ctx, centerX, centerY) {
+    ctx.save();
+    ctx.strokeStyle = Math.random() > 0.5 ? '#00ffff' : '#00ccff';
+    ctx.lineWidth = 2;
+    ctx.globalAlpha = 0.5 + Math.random() * 0.5;
+    for (let arc = 0; arc < 3; arc++) {
+      let angle = Math.random() * Math.PI * 2;
+      let radius = this.size * (0.4 + Math.random() * 0.6);
+      ctx.beginPath();
+      ctx.moveTo(Math.floor(centerX + Math.cos(angle) * radius), Math.floor(centerY + Math.sin(angle) * radius));
+      for (let step = 0; step < 3; step++) {
+        angle += (Math.random() - 0.5) * 1.2;
+        radius = this.size * (0.4 + Math.random() * 0.6);
+        ctx.lineTo(Math.floor(centerX + Math.cos(angle) * radius), Math.floor(centerY + Math.sin(angle) * radius));
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
   }
 
   /**
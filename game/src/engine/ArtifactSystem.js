@@ -13,11 +13,15 @@ export class ArtifactSystem {
     ];
   }
 
-  generateArtifact() {
-    const type = this.artifactTypes[Math.floor(Math.random() * this.artifactTypes.length)];
-    if (Math.random() > type.rarity) return null;
+  /**
+   * Roll a random artifact piece
+   * @param {SeededRandom} rng - Artifact generation stream
+   */
+  generateArtifact(rng) {
+    const type = rng.choice(this.artifactTypes);
+    if (rng.next() > type.rarity) return null;
     
-    const pieceIndex = Math.floor(Math.random() * type.pieces) + 1;
+    const pieceIndex = rng.nextInt(type.pieces) + 1;
     return {
       typeId: type.id,
       name: type.name + ' - Piece ' + pieceIndex + '/' + type.pieces,
@@ -85,16 +89,13 @@ export class ArtifactSystem {
   /**
    * Generate artifacts for a star system
    * Returns an array of artifacts positioned in the system
+   * @param {Object} systemData - System data from the galaxy generator
+   * @param {number} systemIndex - Galaxy index of the system
+   * @param {SeededRandom} rng - Artifact stream for this system (same seed = same artifacts)
    */
-  generateSystemArtifacts(systemData, systemIndex, seed) {
+  generateSystemArtifacts(systemData, systemIndex, rng) {
     const artifacts = [];
 
-    // Use seed to make artifact generation deterministic for each system
-    const rng = () => {
-      seed = (seed * 9301 + 49297) % 233280;
-      return seed / 233280;
-    };
-
     // Chance of artifacts appearing in a system (rare)
     // Higher chance in special systems (black holes, nebula, megastructures)
     let artifactChance = 0.05; // 5% base chance
@@ -105,20 +106,20 @@ export class ArtifactSystem {
     if (systemData.hasAnomalies) artifactChance += 0.10;
 
     // Check if this system should have artifacts
-    if (rng() > artifactChance) {
+    if (rng.next() > artifactChance) {
       return artifacts; // No artifacts in this system
     }
 
     // Generate 1-3 artifacts for this system
-    const numArtifacts = Math.floor(rng() * 3) + 1;
+    const numArtifacts = rng.nextInt(3) + 1;
 
     for (let i = 0; i < numArtifacts; i++) {
-      const artifact = this.generateArtifact();
+      const artifact = this.generateArtifact(rng);
       if (artifact) {
         // Position artifact in orbit around the star
         // Artifacts orbit at various distances
-        const orbitRadius = 1500 + rng() * 2000; // Between 1500-3500 distance
-        const angle = rng() * Math.PI * 2;
+        const orbitRadius = 1500 + rng.next() * 2000; // Between 1500-3500 distance
+        const angle = rng.next() * Math.PI * 2;
 
         artifacts.push({
           ...artifact,
@@ -126,7 +127,7 @@ export class ArtifactSystem {
           y: Math.sin(angle) * orbitRadius,
           orbitRadius,
           orbitAngle: angle,
-          orbitSpeed: 0.0001 + rng() * 0.0002, // Slow orbital rotation
+          orbitSpeed: 0.0001 + rng.next() * 0.0002, // Slow orbital rotation
           systemIndex
         });
       }
@@ -0,0 +1,385 @@
+/**
+ * Boarding System - Boarding and capturing ion-disabled ships
+ *
+ * Ion weapons (ion cannon, disruptor) knock a ship's systems offline (see
+ * AlienShip.ionize). While they are down the player can come alongside and
+ * send the crew from the new-game roster (gameConfig.crewMembers) across.
+ * The fight aboard runs for a few rounds. Each crew member's role sets what
+ * they bring, and the hull class sets how many defenders there are. Crew who
+ * go down are injured until a medkit or rest puts them back on their feet.
+ * With crew permadeath on, some of them are lost.
+ *
+ * A captured ship is looted into the hold: its cargo and, with luck, an
+ * EnhancedItems piece. The hull comes along as a prize. At a shipyard it can
+ * be sold, or refitted as the player's spare hull (ShipyardSystem.spareHull).
+ */
+
+import { SHIP_CLASSES } from './ShipyardSystem.js';
+import { generateRandomArtifact } from './EnhancedItems.js';
+import { getItemDefinition } from './ItemCatalog.js';
+
+export const BOARDING_RANGE = 200; // Past the target's hull
+const MAX_BOARDING_SPEED = 60; // Relative speed the docking clamps can hold
+const MAX_PRIZES = 2; // Prize crews come out of the same roster
+const MAX_ROUNDS = 6;
+
+// What each role brings to a boarding party (keys as on the new-game crew screen)
+const CREW_ROLES = {
+  engineer: { name: 'Engineer', assault: 0.8, breach: 0.3 }, // Cuts through bulkheads: defenders hit less
+  pilot: { name: 'Pilot', assault: 1 },
+  scientist: { name: 'Scientist', assault: 0.5, salvage: 1 }, // Knows valuable tech when they see it
+  medic: { name: 'Medic', assault: 0.7, care: 0.6 } // Gets downed crew out alive
+};
+const DEFAULT_ROLE = { name: 'Crew', assault: 1 };
+
+const HIT_CHANCE = 0.5; // Per crew member per round, times their assault rating
+const DEFENDER_HIT_CHANCE = 0.3; // Per defender per round, times the race's ferocity
+const CASUALTY_CHANCE = 0.5; // With crew permadeath, chance a downed crew member is lost
+const INJURY_RECOVERY = 1800; // Game seconds an injured crew member is out
+
+// Defenders aboard each hull at full strength (fewer on a battered ship)
+const DEFENDERS = { scout: 2, fighter: 3, bomber: 5, frigate: 8, hive_drone: 1 };
+
+// Prize hulls: the class a yard refits each into, and what a yard pays for one intact
+const PRIZE_HULLS = {
+  scout: { shipClass: 'scout', value: 5000 },
+  fighter: { shipClass: 'fighter', value: 9000 },
+  bomber: { shipClass: 'military', value: 14000 },
+  frigate: { shipClass: 'military', value: 26000 },
+  hive_drone: { shipClass: null, value: 2500 } // Grown, not built: yards only take it apart
+};
+const REFIT_RATE = 0.15; // Refitting a prize costs this share of a new hull of its class
+
+// Aboard each hull: commodities and the chance of an EnhancedItems piece
+const PRIZE_CARGO = {
+  scout: [['electronics', 1, 3], ['fuel_cells', 0, 2]],
+  fighter: [['electronics', 1, 3], ['weapons', 1, 2]],
+  bomber: [['weapons', 2, 4], ['machinery', 1, 3]],
+  frigate: [['weapons', 2, 5], ['machinery', 2, 4], ['medicine', 1, 3], ['alien_artifacts', 0, 1]],
+  hive_drone: [['alien_tissue', 1, 3]]
+};
+const ITEM_CHANCE = { scout: 0.2, fighter: 0.3, bomber: 0.4, frigate: 0.7, hive_drone: 0.15 };
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+export class BoardingSystem {
+  constructor(game) {
+    this.game = game;
+    this.crewStatus = {}; // crewId -> { injuredUntil, lost }
+    this.prizes = [];
+    this.nextPrizeId = 1;
+  }
+
+  get clock() {
+    return this.game.economySystem.clock;
+  }
+
+  /**
+   * The roster with each member's role and condition
+   * The new-game screen keys crew by role; array rosters fall back to member.role.
+   */
+  getCrew() {
+    const roster = this.game.gameConfig.crewMembers || {};
+    const entries = Array.isArray(roster)
+      ? roster.map((member, index) => [member.role || `crew_${index}`, member])
+      : Object.entries(roster);
+
+    return entries.map(([id, member]) => {
+      const status = this.crewStatus[id] || {};
+      return {
+        id,
+        member,
+        role: CREW_ROLES[member.role || id] || DEFAULT_ROLE,
+        lost: !!status.lost,
+        injured: !status.lost && status.injuredUntil > this.clock
+      };
+    });
+  }
+
+  getBoardingParty() {
+    return this.getCrew().filter(crew => !crew.lost && !crew.injured);
+  }
+
+  /**
+   * Ion hit from the player: announce it when the ship's systems first go down
+   */
+  onIonHit(ship, proj) {
+    const wasOffline = ship.systemsOffline > 0;
+    if (!ship.ionize(proj.disableDuration, proj.phaseShift) || wasOffline) return;
+    this.game.showNotification(`${ship.raceName} ${ship.type} systems offline - come alongside to board`, 'success');
+  }
+
+  canBoard(ship) {
+    const player = this.game.player;
+    if (!ship || ship.isDead || ship.isWingman || !(ship.systemsOffline > 0)) return false;
+    if (!this.game.enemies.includes(ship)) return false;
+
+    const dist = Math.sqrt((ship.x - player.x) ** 2 + (ship.y - player.y) ** 2);
+    const relativeSpeed = Math.sqrt((ship.vx - (player.vx || 0)) ** 2 + (ship.vy - (player.vy || 0)) ** 2);
+    return dist < BOARDING_RANGE + (ship.size || 20) && relativeSpeed < MAX_BOARDING_SPEED;
+  }
+
+  /**
+   * Nearest ship the player could board right now, with its distance
+   */
+  getBoardable() {
+    const player = this.game.player;
+    let best = null;
+    for (const ship of this.game.enemies) {
+      if (!this.canBoard(ship)) continue;
+      const distance = Math.sqrt((ship.x - player.x) ** 2 + (ship.y - player.y) ** 2);
+      if (!best || distance < best.distance) best = { ship, distance };
+    }
+    return best;
+  }
+
+  /**
+   * Defenders still aboard (those killed in earlier attempts stay dead)
+   */
+  getDefenders(ship) {
+    if (ship.defenders === undefined) {
+      const base = DEFENDERS[ship.type] || DEFENDERS.fighter;
+      ship.defenders = Math.max(1, Math.round(base * (0.5 + 0.5 * Math.max(0, ship.hp / ship.maxHp))));
+    }
+    return ship.defenders;
+  }
+
+  /**
+   * Send the crew across
+   * @returns {Object} { success, message }
+   */
+  board(ship) {
+    if (!this.canBoard(ship)) return { success: false, message: 'Target must be ion-disabled and alongside' };
+    if (this.prizes.length >= MAX_PRIZES) {
+      return { success: false, message: `Prize crews stretched thin (${MAX_PRIZES} prizes) - sell or refit one first` };
+    }
+    const party = this.getBoardingParty();
+    if (party.length === 0) return { success: false, message: 'No crew fit to board' };
+
+    const fight = this.resolveBoarding(ship, party);
+    const casualties = this.treatCasualties(fight.downed, fight.standing);
+    console.log(`[BoardingSystem] ${party.length} crew vs ${ship.type}: ${fight.captured ? 'captured' : 'repelled'} after ${fight.rounds} rounds`);
+
+    if (!fight.captured) {
+      const message = `Boarding repelled - ${ship.defenders} defenders hold the ship${casualties}`;
+      this.game.showNotification(message, 'warning');
+      return { success: false, message };
+    }
+
+    const prize = this.capture(ship, party);
+    const loot = this.lootPrize(prize.id);
+    const message = `${prize.name} captured${casualties}. ${loot.message}`;
+    this.game.showNotification(message, 'success');
+    return { success: true, message };
+  }
+
+  /**
+   * Fight it out: every round each side's fighters take their shots
+   * @returns {Object} { captured, rounds, downed: crew, standing: crew }
+   */
+  resolveBoarding(ship, party) {
+    const breach = party.reduce((sum, crew) => sum + (crew.role.breach || 0), 0);
+    const ferocity = (0.8 + (ship.raceData?.traits?.aggression ?? 0.5) * 0.4) * Math.max(0.3, 1 - breach);
+
+    const standing = [...party];
+    const downed = [];
+    let defenders = this.getDefenders(ship);
+    let rounds = 0;
+    while (rounds < MAX_ROUNDS && defenders > 0 && standing.length > 0) {
+      rounds++;
+      for (const crew of standing) {
+        if (defenders > 0 && Math.random() < HIT_CHANCE * crew.role.assault) defenders--;
+      }
+      for (let i = 0; i < defenders && standing.length > 0; i++) {
+        if (Math.random() < DEFENDER_HIT_CHANCE * ferocity) {
+          downed.push(...standing.splice(Math.floor(Math.random() * standing.length), 1));
+        }
+      }
+    }
+    ship.defenders = defenders;
+    return { captured: defenders <= 0, rounds, downed, standing };
+  }
+
+  /**
+   * Downed crew are injured; with crew permadeath some are lost (less often
+   * with a medic still standing)
+   * @returns {string} Summary for the notification ('' if nobody went down)
+   */
+  treatCasualties(downed, standing) {
+    if (downed.length === 0) return '';
+    const care = Math.max(0, ...standing.map(crew => crew.role.care || 0));
+    const lost = [];
+
+    for (const crew of downed) {
+      if (this.game.gameConfig.crewPermadeath && Math.random() < CASUALTY_CHANCE * (1 - care)) {
+        this.crewStatus[crew.id] = { lost: true };
+        lost.push(crew.role.name);
+      } else {
+        this.crewStatus[crew.id] = { injuredUntil: this.clock + INJURY_RECOVERY };
+      }
+    }
+
+    const injured = downed.length - lost.length;
+    const parts = [];
+    if (injured > 0) parts.push(`${injured} injured`);
+    if (lost.length > 0) parts.push(`lost: ${lost.join(', ')}`);
+    return ` (${parts.join('; ')})`;
+  }
+
+  /**
+   * Take the ship out of the fight, strip it and keep the hull as a prize
+   */
+  capture(ship, party) {
+    const game = this.game;
+    game.enemies.splice(game.enemies.indexOf(ship), 1);
+    ship.isDead = true;
+    ship.captured = true;
+    ship.lastAttacker = game.player;
+    game.factionWarfare.onShipCaptured(ship);
+
+    const cargo = {};
+    for (const [itemId, min, max] of PRIZE_CARGO[ship.type] || PRIZE_CARGO.fighter) {
+      const quantity = randomInt(min, max);
+      if (quantity > 0) cargo[itemId] = quantity;
+    }
+
+    // A scientist aboard turns up more (and rarer) tech
+    const salvage = party.reduce((sum, crew) => sum + (crew.role.salvage || 0), 0);
+    if (Math.random() < (ITEM_CHANCE[ship.type] || 0.3) * (1 + salvage * 0.5)) {
+      const rng = game.getGenerationRng('artifacts').child(`prize_${this.nextPrizeId}`);
+      const item = generateRandomArtifact(1 + salvage * 0.5, rng);
+      if (item.rarity !== 'quest') cargo[item.id] = (cargo[item.id] || 0) + 1;
+    }
+
+    const prize = {
+      id: this.nextPrizeId++,
+      hull: ship.type,
+      name: `${ship.raceName} ${ship.type.replace(/_/g, ' ')}`,
+      condition: Math.max(0.1, ship.hp / ship.maxHp),
+      cargo
+    };
+    this.prizes.push(prize);
+    return prize;
+  }
+
+  getPrize(prizeId) {
+    return this.prizes.find(prize => prize.id === prizeId);
+  }
+
+  /**
+   * Move what fits of a prize's cargo into the hold
+   */
+  lootPrize(prizeId) {
+    const prize = this.getPrize(prizeId);
+    if (!prize) return { success: false, message: 'No such prize' };
+
+    const taken = [];
+    for (const [itemId, quantity] of Object.entries(prize.cargo)) {
+      const result = this.game.cargoSystem.addCargo(itemId, quantity, { purchasePrice: 0 });
+      if (!result.success || !result.added) continue;
+      taken.push(`${result.added} ${getItemDefinition(itemId)?.name || itemId}`);
+      if (result.added >= quantity) delete prize.cargo[itemId];
+      else prize.cargo[itemId] = quantity - result.added;
+    }
+
+    if (taken.length === 0) {
+      const empty = Object.keys(prize.cargo).length === 0;
+      return { success: false, message: empty ? 'Nothing left aboard' : 'Cargo hold full' };
+    }
+    return { success: true, message: `Looted ${taken.join(', ')}` };
+  }
+
+  getPrizeValue(prize) {
+    return Math.round(PRIZE_HULLS[prize.hull].value * (0.5 + 0.5 * prize.condition));
+  }
+
+  /**
+   * Player ship class a prize refits into, or null if it can't be flown
+   */
+  getPrizeClass(prize) {
+    return PRIZE_HULLS[prize.hull].shipClass;
+  }
+
+  getRefitFee(prize) {
+    const classId = this.getPrizeClass(prize);
+    return classId ? Math.round(SHIP_CLASSES[classId].price * REFIT_RATE) : null;
+  }
+
+  /**
+   * Shipyard the player is docked at, for selling and refitting prizes
+   */
+  getDockyard() {
+    const shipyard = this.game.shipyardSystem;
+    const station = shipyard.getDockedStation();
+    return shipyard.isDockyard(station) ? station : null;
+  }
+
+  sellPrize(prizeId) {
+    const prize = this.getPrize(prizeId);
+    if (!prize) return { success: false, message: 'No such prize' };
+    if (!this.getDockyard()) return { success: false, message: 'Prizes are sold at shipyards' };
+
+    const value = this.getPrizeValue(prize);
+    this.game.economySystem.credits += value;
+    this.prizes = this.prizes.filter(entry => entry !== prize);
+    console.log(`[BoardingSystem] Sold prize ${prize.name} for ${value} CR`);
+    return { success: true, message: `Sold the ${prize.name} (+${value} CR)` };
+  }
+
+  /**
+   * Refit a prize as the player's spare hull
+   */
+  keepPrize(prizeId) {
+    const prize = this.getPrize(prizeId);
+    const shipyard = this.game.shipyardSystem;
+    const economy = this.game.economySystem;
+    if (!prize) return { success: false, message: 'No such prize' };
+    if (!this.getDockyard()) return { success: false, message: 'Prizes are refitted at shipyards' };
+
+    const classId = this.getPrizeClass(prize);
+    if (!classId) return { success: false, message: `No yard can refit a ${prize.name} for a crew` };
+    if (shipyard.spareHull) return { success: false, message: 'You already have a spare hull' };
+    const fee = this.getRefitFee(prize);
+    if (!economy.canAfford(fee)) return { success: false, message: 'Not enough credits' };
+
+    economy.credits -= fee;
+    // The refit makes it crewable, not whole: it is laid up as it was boarded, shields down
+    shipyard.spareHull = classId;
+    shipyard.spareCondition = { hull: prize.condition, shields: 0, fuel: prize.condition };
+    this.prizes = this.prizes.filter(entry => entry !== prize);
+    console.log(`[BoardingSystem] Refitted prize ${prize.name} as a ${SHIP_CLASSES[classId].name}`);
+    return { success: true, message: `The ${prize.name} is refitted as your spare ${SHIP_CLASSES[classId].name} (-${fee} CR)` };
+  }
+
+  /**
+   * Medkit: every injured crew member is back on their feet
+   */
+  treatInjuries() {
+    const injured = this.getCrew().filter(crew => crew.injured);
+    if (injured.length === 0) return { success: false, message: 'No injured crew' };
+    for (const crew of injured) delete this.crewStatus[crew.id];
+    return { success: true, message: `Treated ${injured.map(crew => crew.role.name).join(', ')}` };
+  }
+
+  serialize() {
+    return {
+      crewStatus: { ...this.crewStatus },
+      prizes: this.prizes.map(prize => ({ ...prize, cargo: { ...prize.cargo } })),
+      nextPrizeId: this.nextPrizeId
+    };
+  }
+
+  deserialize(data) {
+    this.crewStatus = {};
+    this.prizes = [];
+    this.nextPrizeId = 1;
+    if (!data) return;
+
+    this.crewStatus = { ...(data.crewStatus || {}) };
+    this.prizes = (data.prizes || []).filter(prize => PRIZE_HULLS[prize.hull])
+      .map(prize => ({ ...prize, cargo: { ...(prize.cargo || {}) } }));
+    this.nextPrizeId = data.nextPrizeId || this.prizes.reduce((max, prize) => Math.max(max, prize.id + 1), 1);
+  }
+}
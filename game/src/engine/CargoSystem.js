@@ -1,147 +1,199 @@
 /**
- * Cargo System - Manages cargo capacity, storage, and inventory
+ * Cargo System - The ship's hold, the one inventory for everything the player carries
  * Based on PROMPT 16: Resource System
+ *
+ * Trade goods, mined resources and surface finds all live here. Items are
+ * defined in ItemCatalog; capacity is counted in volume, and every unit also
+ * has a mass. Screens read the hold from here, and systems that need to react
+ * to cargo changes register with onChange().
  */
 
+import { getItemDefinition } from './ItemCatalog.js';
+
 export class CargoSystem {
   constructor(maxCapacity = 100) {
     this.maxCapacity = maxCapacity;
-    this.currentCapacity = 0;
-    this.cargo = {}; // resourceId -> quantity
-    this.cargoWeights = {}; // resourceId -> weight per unit (for capacity tracking)
-    this.credits = 1000; // Starting credits
+    this.hiddenCapacity = 0; // Volume shielded from customs scans (see CustomsSystem)
+    this.items = []; // [{ itemId, quantity, purchasePrice, freight? }] in loading order
+    this.listeners = new Set();
   }
 
   /**
-   * Add item to cargo hold
+   * Listen for cargo changes
+   * @param {Function} listener - Called with ({ type, itemId, quantity }, cargoSystem);
+   *   type is 'add', 'remove', 'jettison', 'capacity' or 'load'
+   * @returns {Function} Unsubscribe
    */
-  addCargo(resourceId, quantity, resourceWeight = 1) {
-    const totalWeight = quantity * resourceWeight;
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
 
-    if (this.currentCapacity + totalWeight > this.maxCapacity) {
-      // Not enough space
-      const availableSpace = this.maxCapacity - this.currentCapacity;
-      const maxQuantity = Math.floor(availableSpace / resourceWeight);
+  notifyChange(change) {
+    for (const listener of this.listeners) {
+      listener(change, this);
+    }
+  }
 
-      if (maxQuantity > 0) {
-        // Add what we can
-        this.cargo[resourceId] = (this.cargo[resourceId] || 0) + maxQuantity;
-        this.currentCapacity += maxQuantity * resourceWeight;
-        return { success: 'partial', added: maxQuantity, requested: quantity };
-      }
+  /**
+   * Add item to cargo hold
+   * @param {string} itemId - Commodity, resource or item id (see ItemCatalog)
+   * @param {number} quantity - Units to add
+   * @param {Object} options
+   * @param {number} options.purchasePrice - Price paid per unit (0 for mined or found items)
+   * @param {boolean} options.freight - Carried for a contract (see MissionSystem): counted in the
+   *   stack but kept out of its purchase price
+   * @returns {Object} { success: true | 'partial' | false, added, requested, reason }
+   */
+  addCargo(itemId, quantity, { purchasePrice = 0, freight = false } = {}) {
+    const item = getItemDefinition(itemId);
+    if (!item) {
+      return { success: false, reason: 'unknown_item' };
+    }
 
+    const availableSpace = this.getAvailableSpace();
+    const added = Math.min(quantity, Math.floor(availableSpace / item.volume));
+    if (added <= 0) {
       return { success: false, reason: 'cargo_full', available: availableSpace };
     }
 
-    // Add full quantity
-    this.cargo[resourceId] = (this.cargo[resourceId] || 0) + quantity;
-    this.cargoWeights[resourceId] = resourceWeight; // Store weight for removal
-    this.currentCapacity += totalWeight;
-    return { success: true, added: quantity };
+    const entry = this.items.find(existing => existing.itemId === itemId);
+    if (freight) {
+      if (entry) {
+        entry.quantity += added;
+        entry.freight = (entry.freight || 0) + added;
+      } else {
+        this.items.push({ itemId, quantity: added, purchasePrice: 0, freight: added });
+      }
+    } else if (entry) {
+      // Average the price paid so profit stays right when stacks merge (freight has no price)
+      const owned = entry.quantity - (entry.freight || 0);
+      entry.purchasePrice = Math.round((entry.purchasePrice * owned + purchasePrice * added) / (owned + added));
+      entry.quantity += added;
+    } else {
+      this.items.push({ itemId, quantity: added, purchasePrice });
+    }
+
+    this.notifyChange({ type: 'add', itemId, quantity: added });
+
+    if (added < quantity) {
+      return { success: 'partial', added, requested: quantity };
+    }
+    return { success: true, added };
   }
 
   /**
    * Remove item from cargo hold
+   * @param {Object} options
+   * @param {boolean} options.freight - Contract freight being handed over (see addCargo)
    */
-  removeCargo(resourceId, quantity) {
-    if (!this.cargo[resourceId] || this.cargo[resourceId] < quantity) {
+  removeCargo(itemId, quantity, { freight = false } = {}) {
+    const entry = this.items.find(existing => existing.itemId === itemId);
+    if (!entry || entry.quantity < quantity) {
       return { success: false, reason: 'insufficient_quantity' };
     }
 
-    // Use stored weight, default to 1 if not found
-    const resourceWeight = this.cargoWeights[resourceId] || 1;
-    const totalWeight = quantity * resourceWeight;
-
-    this.cargo[resourceId] -= quantity;
-    this.currentCapacity -= totalWeight;
-
-    if (this.cargo[resourceId] === 0) {
-      delete this.cargo[resourceId];
-      delete this.cargoWeights[resourceId]; // Clean up weight tracking
+    entry.quantity -= quantity;
+    if (entry.quantity === 0) {
+      this.items.splice(this.items.indexOf(entry), 1);
+    } else if (entry.freight) {
+      // Anything taken beyond the player's own units came out of the freight
+      entry.freight = Math.min(entry.quantity, freight ? Math.max(0, entry.freight - quantity) : entry.freight);
+      if (entry.freight === 0) delete entry.freight;
     }
 
+    this.notifyChange({ type: 'remove', itemId, quantity });
     return { success: true, removed: quantity };
   }
 
+  /**
+   * Contract freight becomes the player's (a failed contract charged for it)
+   * @param {number} purchasePrice - What the player was charged per unit
+   */
+  releaseFreight(itemId, quantity, purchasePrice) {
+    const entry = this.items.find(existing => existing.itemId === itemId);
+    if (!entry || !entry.freight) return;
+
+    const released = Math.min(quantity, entry.freight);
+    const owned = entry.quantity - entry.freight;
+    entry.purchasePrice = Math.round((entry.purchasePrice * owned + purchasePrice * released) / (owned + released));
+    entry.freight -= released;
+    if (entry.freight === 0) delete entry.freight;
+  }
+
   /**
    * Get quantity of specific cargo
    */
-  getCargoQuantity(resourceId) {
-    return this.cargo[resourceId] || 0;
+  getCargoQuantity(itemId) {
+    const entry = this.items.find(existing => existing.itemId === itemId);
+    return entry ? entry.quantity : 0;
   }
 
   /**
-   * Get cargo usage percentage
+   * Hold contents with item definitions
+   * @returns {Array} [{ itemId, item, quantity, purchasePrice }]
    */
-  getCapacityUsage() {
-    return (this.currentCapacity / this.maxCapacity) * 100;
+  getAllCargo() {
+    return this.items.map(entry => ({ ...entry, item: getItemDefinition(entry.itemId) }));
   }
 
   /**
-   * Check if there's space for more cargo
+   * Volume in use
    */
-  hasSpace(requiredSpace = 1) {
-    return (this.currentCapacity + requiredSpace) <= this.maxCapacity;
+  getUsedSpace() {
+    return this.items.reduce((sum, entry) => sum + getItemDefinition(entry.itemId).volume * entry.quantity, 0);
   }
 
   /**
-   * Get available space
+   * Mass of the hold's contents in tonnes
    */
-  getAvailableSpace() {
-    return this.maxCapacity - this.currentCapacity;
+  getTotalMass() {
+    return this.items.reduce((sum, entry) => sum + getItemDefinition(entry.itemId).mass * entry.quantity, 0);
   }
 
   /**
-   * Upgrade cargo capacity
+   * Base value of the hold's contents
    */
-  upgradeCapacity(additionalCapacity, cost) {
-    if (this.credits >= cost) {
-      this.maxCapacity += additionalCapacity;
-      this.credits -= cost;
-      return { success: true, newCapacity: this.maxCapacity };
-    }
-    return { success: false, reason: 'insufficient_credits' };
+  getTotalValue() {
+    return this.items.reduce((sum, entry) => sum + getItemDefinition(entry.itemId).baseValue * entry.quantity, 0);
   }
 
   /**
-   * Add credits
+   * Get cargo usage percentage
    */
-  addCredits(amount) {
-    this.credits += amount;
+  getCapacityUsage() {
+    return (this.getUsedSpace() / this.maxCapacity) * 100;
   }
 
   /**
-   * Remove credits
+   * Check if there's space for more cargo
    */
-  removeCredits(amount) {
-    if (this.credits >= amount) {
-      this.credits -= amount;
-      return true;
-    }
-    return false;
+  hasSpace(requiredSpace = 1) {
+    return (this.getUsedSpace() + requiredSpace) <= this.maxCapacity;
   }
 
   /**
-   * Get all cargo items
+   * Get available space
    */
-  getAllCargo() {
-    const items = [];
-    for (const resourceId in this.cargo) {
-      items.push({
-        resourceId,
-        quantity: this.cargo[resourceId]
-      });
-    }
-    return items;
+  getAvailableSpace() {
+    return this.maxCapacity - this.getUsedSpace();
+  }
+
+  /**
+   * Upgrade cargo capacity (the caller charges for it)
+   */
+  upgradeCapacity(additionalCapacity) {
+    this.maxCapacity += additionalCapacity;
+    this.notifyChange({ type: 'capacity', quantity: additionalCapacity });
+    return { success: true, newCapacity: this.maxCapacity };
   }
 
   /**
    * Clear all cargo (emergency jettison)
    */
   jettison() {
-    this.cargo = {};
-    this.cargoWeights = {}; // Clear weight tracking too
-    this.currentCapacity = 0;
+    this.items = [];
+    this.notifyChange({ type: 'jettison' });
     return { success: true, message: 'All cargo jettisoned' };
   }
 
@@ -151,21 +203,24 @@ export class CargoSystem {
   serialize() {
     return {
       maxCapacity: this.maxCapacity,
-      currentCapacity: this.currentCapacity,
-      cargo: { ...this.cargo },
-      cargoWeights: { ...this.cargoWeights },
-      credits: this.credits
+      hiddenCapacity: this.hiddenCapacity,
+      items: this.items.map(entry => ({ ...entry }))
     };
   }
 
   /**
-   * Load cargo from saved data
+   * Load cargo from saved data (a missing capacity keeps the ship's current one)
    */
   deserialize(data) {
-    this.maxCapacity = data.maxCapacity || 100;
-    this.currentCapacity = data.currentCapacity || 0;
-    this.cargo = data.cargo || {};
-    this.cargoWeights = data.cargoWeights || {}; // Load weight tracking
-    this.credits = data.credits || 1000;
+    this.maxCapacity = data.maxCapacity || this.maxCapacity;
+    this.hiddenCapacity = data.hiddenCapacity || 0;
+    this.items = (data.items || [])
+      .filter(entry => getItemDefinition(entry.itemId) && entry.quantity > 0)
+      .map(entry => {
+        const loaded = { itemId: entry.itemId, quantity: entry.quantity, purchasePrice: entry.purchasePrice || 0 };
+        if (entry.freight > 0) loaded.freight = Math.min(entry.quantity, entry.freight);
+        return loaded;
+      });
+    this.notifyChange({ type: 'load' });
   }
 }
@@ -0,0 +1,340 @@
+/**
+ * CloudSaveBackend - Optional remote storage for SaveSystem slots
+ *
+ * Pushes and pulls save slots to the /api/savegame server and keeps the
+ * server revision each slot was last synced at. A slot whose local copy and
+ * server copy both changed since that revision is reported as a conflict and
+ * left untouched until the player resolves it (keep local / server / both).
+ */
+
+import { SaveSystem } from './SaveSystem.js';
+import { readSave, writeSave } from './SaveStorage.js';
+import { loadSettings } from '../utils/GameStateManager.js';
+
+const SYNC_STATE_KEY = 'pixelversum_cloud_sync';
+
+// Sync status values returned by syncSlot / syncAll
+export const SYNC_STATUS = {
+  UP_TO_DATE: 'up_to_date',
+  PUSHED: 'pushed',
+  PULLED: 'pulled',
+  CONFLICT: 'conflict',
+  ERROR: 'error'
+};
+
+// Conflict resolution choices offered to the player
+export const CONFLICT_CHOICES = {
+  KEEP_LOCAL: 'local',
+  KEEP_SERVER: 'server',
+  KEEP_BOTH: 'both'
+};
+
+/**
+ * Error raised when the server rejects an upload because its revision moved on
+ */
+export class SyncConflictError extends Error {
+  constructor(slot, remote) {
+    super(`Save slot ${slot} changed on the server`);
+    this.name = 'SyncConflictError';
+    this.slot = slot;
+    this.remote = remote;
+  }
+}
+
+export class CloudSaveBackend {
+  /**
+   * @param {string} callsign - Pilot callsign the remote saves are stored under
+   * @param {Object} options
+   * @param {string} options.baseUrl - Savegame API root
+   * @param {number} options.maxSaveSlots - Manual slots available for "keep both"
+   * @param {number} options.maxAutosaveSlots - Size limit of the autosave ring
+   */
+  constructor(callsign, { baseUrl = '/api/savegame', maxSaveSlots = 10, maxAutosaveSlots = 10 } = {}) {
+    this.callsign = CloudSaveBackend.sanitizeCallsign(callsign);
+    this.baseUrl = baseUrl;
+    this.maxSaveSlots = maxSaveSlots;
+    this.maxAutosaveSlots = maxAutosaveSlots;
+    this.state = this.loadSyncState();
+
+    // Remember the active pilot so menus can sync without a running game
+    if (this.state.callsign !== this.callsign) {
+      this.state = { callsign: this.callsign, slots: {} };
+      this.saveSyncState();
+    }
+  }
+
+  /**
+   * Whether the player enabled cloud sync in the settings screen
+   */
+  static isEnabled() {
+    const result = loadSettings();
+    return !!(result.success && result.settings && result.settings.cloudSync);
+  }
+
+  /**
+   * Create a backend for the last synced pilot, or null if sync is disabled
+   */
+  static fromSettings(options) {
+    if (!CloudSaveBackend.isEnabled()) return null;
+
+    try {
+      const state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+      if (!state || !state.callsign) return null;
+      return new CloudSaveBackend(state.callsign, options);
+    } catch (error) {
+      console.error('[CloudSave] Failed to read sync state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Server keys only allow letters, digits, '_' and '-'
+   */
+  static sanitizeCallsign(callsign) {
+    const safe = String(callsign || 'PILOT').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+    return safe || 'PILOT';
+  }
+
+  loadSyncState() {
+    try {
+      const state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+      if (state && state.slots) return state;
+    } catch (error) {
+      console.error('[CloudSave] Sync state corrupted, resetting:', error);
+    }
+    return { callsign: null, slots: {} };
+  }
+
+  saveSyncState() {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(this.state));
+  }
+
+  /**
+   * Record that the local and server copies of a slot are identical
+   */
+  markSynced(slot, revision, timestamp) {
+    this.state.slots[slot] = { revision, syncedTimestamp: timestamp };
+    this.saveSyncState();
+  }
+
+  readLocal(slot) {
+    return readSave(SaveSystem.getSlotKey(slot));
+  }
+
+  writeLocal(slot, saveData) {
+    return writeSave(SaveSystem.getSlotKey(slot), saveData, SaveSystem.extractMetadata(saveData));
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}/${this.callsign}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, ok: response.ok, body };
+  }
+
+  /**
+   * List remote saves for this pilot
+   * @returns {Promise<Object>} Map of slot -> remote metadata (includes revision)
+   */
+  async listRemote() {
+    const { ok, body } = await this.request('');
+    if (!ok) {
+      throw new Error(body.error || 'Failed to list remote saves');
+    }
+
+    const remote = {};
+    for (const save of body.saves) {
+      remote[save.slot] = save;
+    }
+    return remote;
+  }
+
+  /**
+   * Upload the local copy of a slot
+   * @param {string} slot - Save slot name
+   * @param {Object} options
+   * @param {boolean} options.force - Overwrite the server copy even if it changed
+   * @returns {Promise<Object>} Remote metadata after upload
+   */
+  async push(slot, { force = false } = {}) {
+    const saveData = await this.readLocal(slot);
+    if (!saveData) {
+      throw new Error(`No local save in ${slot}`);
+    }
+
+    const known = this.state.slots[slot];
+    const { status, ok, body } = await this.request(`/${slot}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        saveData,
+        baseRevision: known ? known.revision : 0,
+        force
+      })
+    });
+
+    if (status === 409 && body.conflict) {
+      throw new SyncConflictError(slot, body.save);
+    }
+    if (!ok) {
+      throw new Error(body.error || `Failed to upload ${slot}`);
+    }
+
+    this.markSynced(slot, body.save.revision, saveData.timestamp);
+    return body.save;
+  }
+
+  /**
+   * Download the server copy of a slot, replacing the local copy
+   * @returns {Promise<Object>} Downloaded save data
+   */
+  async pull(slot) {
+    const { ok, body } = await this.request(`/${slot}`);
+    if (!ok) {
+      throw new Error(body.error || `Failed to download ${slot}`);
+    }
+
+    await this.writeLocal(slot, body.saveData);
+    this.markSynced(slot, body.revision, body.saveData.timestamp);
+    return body.saveData;
+  }
+
+  /**
+   * Bring one slot in line with the server
+   * @param {string} slot - Save slot name
+   * @param {Object|undefined} remote - Remote metadata from listRemote()
+   * @returns {Promise<Object>} { slot, status, local, remote }
+   */
+  async syncSlot(slot, remote) {
+    const local = await this.readLocal(slot);
+    const known = this.state.slots[slot];
+    const result = { slot, status: SYNC_STATUS.UP_TO_DATE, local, remote: remote || null };
+
+    if (!local && !remote) return result;
+
+    try {
+      const localChanged = local && (!known || local.timestamp !== known.syncedTimestamp);
+      const remoteChanged = remote && (!known || remote.revision !== known.revision);
+
+      if (local && remote && local.timestamp === remote.timestamp) {
+        // Same save on both sides (e.g. first sync from a second device)
+        if (!known || known.revision !== remote.revision) {
+          this.markSynced(slot, remote.revision, local.timestamp);
+        }
+      } else if (!remote || (localChanged && !remoteChanged)) {
+        if (!remote && known) {
+          // Server copy was deleted elsewhere; upload as a new save
+          delete this.state.slots[slot];
+        }
+        await this.push(slot);
+        result.status = SYNC_STATUS.PUSHED;
+      } else if (!local || (remoteChanged && !localChanged)) {
+        await this.pull(slot);
+        result.status = SYNC_STATUS.PULLED;
+      } else if (localChanged && remoteChanged) {
+        result.status = SYNC_STATUS.CONFLICT;
+      }
+    } catch (error) {
+      if (error instanceof SyncConflictError) {
+        result.status = SYNC_STATUS.CONFLICT;
+        result.remote = error.remote;
+      } else {
+        console.error(`[CloudSave] Sync failed for ${slot}:`, error);
+        result.status = SYNC_STATUS.ERROR;
+        result.error = error.message;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Sync every local and remote slot
+   * @returns {Promise<Array>} Per-slot results (see syncSlot)
+   */
+  async syncAll() {
+    const remote = await this.listRemote();
+
+    const slots = new Set(['quicksave', ...Object.keys(remote)]);
+    for (let i = 1; i <= this.maxSaveSlots; i++) {
+      slots.add(`save_${i}`);
+    }
+    for (let i = 1; i <= this.maxAutosaveSlots; i++) {
+      slots.add(`autosave_${i}`);
+    }
+
+    const results = [];
+    for (const slot of slots) {
+      results.push(await this.syncSlot(slot, remote[slot]));
+    }
+    return results;
+  }
+
+  /**
+   * Resolve a conflicted slot with the player's choice
+   * @param {string} slot - Save slot name
+   * @param {string} choice - One of CONFLICT_CHOICES
+   * @returns {Promise<Object>} { success, slot, copySlot?, error? }
+   */
+  async resolveConflict(slot, choice) {
+    try {
+      if (choice === CONFLICT_CHOICES.KEEP_LOCAL) {
+        await this.push(slot, { force: true });
+        return { success: true, slot };
+      }
+
+      if (choice === CONFLICT_CHOICES.KEEP_SERVER) {
+        await this.pull(slot);
+        return { success: true, slot };
+      }
+
+      if (choice === CONFLICT_CHOICES.KEEP_BOTH) {
+        // Move the local copy to a manual slot that is free here and on the
+        // server, then take the server copy. The copy is pushed as a new save,
+        // so a slot another device fills in the meantime still conflicts.
+        const copySlot = this.findFreeSlot(await this.listRemote());
+        if (!copySlot) {
+          return { success: false, slot, error: 'No free save slot for the local copy' };
+        }
+
+        await this.writeLocal(copySlot, await this.readLocal(slot));
+        delete this.state.slots[copySlot];
+        await this.pull(slot);
+        await this.push(copySlot);
+        return { success: true, slot, copySlot };
+      }
+
+      return { success: false, slot, error: `Unknown choice: ${choice}` };
+    } catch (error) {
+      console.error(`[CloudSave] Failed to resolve conflict for ${slot}:`, error);
+      return { success: false, slot, error: error.message };
+    }
+  }
+
+  /**
+   * First manual slot with no local save, no sync record and no server copy
+   * @param {Object} remote - Remote metadata from listRemote()
+   */
+  findFreeSlot(remote = {}) {
+    for (let i = 1; i <= this.maxSaveSlots; i++) {
+      const slot = `save_${i}`;
+      if (!localStorage.getItem(SaveSystem.getSlotKey(slot)) && !this.state.slots[slot] && !remote[slot]) {
+        return slot;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget a slot locally and on the server
+   */
+  async deleteRemote(slot) {
+    const { ok, status, body } = await this.request(`/${slot}`, { method: 'DELETE' });
+    if (!ok && status !== 404) {
+      throw new Error(body.error || `Failed to delete ${slot}`);
+    }
+    delete this.state.slots[slot];
+    this.saveSyncState();
+  }
+}
@@ -206,7 +206,7 @@ export class CollisionSystem {
 
     // Damage enemy
     if (enemy.takeDamage) {
-      enemy.takeDamage(damage);
+      enemy.takeDamage(damage, player);
     } else {
       enemy.hp = (enemy.hp || 100) - damage;
     }
@@ -378,7 +378,8 @@ export class CollisionSystem {
     // Heat damage from star
     if (this.game.star) {
       const heatInfo = this.calculateHeatDamage(player, this.game.star, dt);
-      player.temperature = heatInfo.heatLevel * 100; // 0-100 scale
+      // Star heat sets a floor (0-100 scale); other heat sources cool off below
+      player.temperature = Math.max(player.temperature || 20, heatInfo.heatLevel * 100);
       player.heatStatus = heatInfo.heatStatus;
 
       if (heatInfo.heatDamage > 0) {
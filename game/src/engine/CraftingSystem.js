@@ -0,0 +1,422 @@
+/**
+ * Crafting System - Refine mined ore into materials and fabricate parts
+ *
+ * Refining turns raw ore (MiningSystem, SurfaceExploration) into materials and
+ * needs a refinery: docked at a refinery station, or the slower onboard
+ * refinery module. The ship's fabricator works anywhere and turns materials
+ * into components, ammunition and consumables. Advanced recipes are locked
+ * until the matching schematic (blueprint item) has been read into the ship's
+ * databanks.
+ *
+ * Jobs run one at a time from a queue on the economy clock. Inputs are taken
+ * from the hold when a job is queued; the energy cost is drawn from ship power
+ * when it starts, and the job waits while the reactor is short. Refining runs
+ * at the speed of the refinery at hand, so a job queued at a refinery station
+ * slows to the onboard rate after undocking (or waits without a module).
+ */
+
+import { getItemDefinition } from './ItemCatalog.js';
+import { ENHANCED_ARTIFACTS, applyItemEffect } from './EnhancedItems.js';
+
+// Onboard refining takes this much longer than a refinery station
+const ONBOARD_REFINING_TIME_FACTOR = 2;
+
+const MAX_QUEUE = 6;
+
+// What each schematic unlocks is listed on the recipes (blueprint field)
+export const BLUEPRINTS = ['blueprint_weapon', 'blueprint_engine', 'blueprint_shield'];
+
+/**
+ * Recipes: inputs/outputs are item ids (see ItemCatalog), time in game
+ * seconds, energy in units of ship power (kept under the stock reactor's 100)
+ */
+export const RECIPES = {
+  // === REFINING ===
+  steel_plate: {
+    facility: 'refinery',
+    inputs: { iron: 4 },
+    outputs: { steel_plate: 2 },
+    time: 20,
+    energy: 20
+  },
+  alloy_titanium: {
+    facility: 'refinery',
+    inputs: { titanium: 3, iron: 1 },
+    outputs: { alloy_titanium: 1 },
+    time: 30,
+    energy: 30
+  },
+  polymer_advanced: {
+    facility: 'refinery',
+    inputs: { carbon: 3, water: 2 },
+    outputs: { polymer_advanced: 2 },
+    time: 25,
+    energy: 20
+  },
+  composite_carbon: {
+    facility: 'refinery',
+    inputs: { carbon: 5, silicon: 2 },
+    outputs: { composite_carbon: 1 },
+    time: 40,
+    energy: 35
+  },
+  ceramic_armor: {
+    facility: 'refinery',
+    inputs: { silicon: 4, titanium: 1 },
+    outputs: { ceramic_armor: 1 },
+    time: 40,
+    energy: 40
+  },
+  superconductor: {
+    facility: 'refinery',
+    inputs: { copper: 3, platinum: 1 },
+    outputs: { superconductor: 1 },
+    time: 45,
+    energy: 45
+  },
+  nanomaterial: {
+    facility: 'refinery',
+    inputs: { crystalline_matrix: 1, rare_isotopes: 1, carbon: 2 },
+    outputs: { nanomaterial: 1 },
+    time: 60,
+    energy: 60
+  },
+
+  // === FABRICATION ===
+  fuel_cell: {
+    facility: 'fabricator',
+    inputs: { deuterium: 3, water: 1 },
+    outputs: { fuel_cell: 1 },
+    time: 20,
+    energy: 15
+  },
+  repair_nanobots: {
+    facility: 'fabricator',
+    inputs: { nanomaterial: 1, steel_plate: 2 },
+    outputs: { repair_nanobots: 1 },
+    time: 30,
+    energy: 25
+  },
+  hull_plating: {
+    facility: 'fabricator',
+    inputs: { ceramic_armor: 3, steel_plate: 4 },
+    outputs: { hull_plating: 1 },
+    time: 120,
+    energy: 60
+  },
+  refinery_module: {
+    facility: 'fabricator',
+    inputs: { steel_plate: 8, copper: 4, superconductor: 1 },
+    outputs: { refinery_module: 1 },
+    time: 120,
+    energy: 70
+  },
+  ammo_standard: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_weapon',
+    inputs: { steel_plate: 1, polymer_advanced: 1 },
+    outputs: { ammo_standard: 5 },
+    time: 15,
+    energy: 10
+  },
+  ammo_torpedo: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_weapon',
+    inputs: { alloy_titanium: 2, deuterium: 2 },
+    outputs: { ammo_torpedo: 2 },
+    time: 30,
+    energy: 25
+  },
+  ammo_emp: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_weapon',
+    inputs: { superconductor: 1, copper: 2 },
+    outputs: { ammo_emp: 2 },
+    time: 30,
+    energy: 30
+  },
+  mining_laser_mk2: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_weapon',
+    inputs: { alloy_titanium: 4, superconductor: 2, crystalline_matrix: 1 },
+    outputs: { mining_laser_mk2: 1 },
+    time: 120,
+    energy: 80
+  },
+  engine_basic: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_engine',
+    inputs: { steel_plate: 6, copper: 4 },
+    outputs: { engine_basic: 1 },
+    time: 90,
+    energy: 60
+  },
+  engine_advanced: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_engine',
+    inputs: { alloy_titanium: 6, superconductor: 3 },
+    outputs: { engine_advanced: 1 },
+    time: 150,
+    energy: 80
+  },
+  reactor_fusion: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_engine',
+    inputs: { alloy_titanium: 4, superconductor: 2, deuterium: 4 },
+    outputs: { reactor_fusion: 1 },
+    time: 150,
+    energy: 80
+  },
+  shield_battery: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_shield',
+    inputs: { superconductor: 1, polymer_advanced: 1 },
+    outputs: { shield_battery: 1 },
+    time: 30,
+    energy: 30
+  },
+  advanced_shields: {
+    facility: 'fabricator',
+    blueprint: 'blueprint_shield',
+    inputs: { superconductor: 3, nanomaterial: 1, composite_carbon: 2 },
+    outputs: { advanced_shields: 1 },
+    time: 150,
+    energy: 90
+  }
+};
+
+export class CraftingSystem {
+  constructor(game) {
+    this.game = game;
+    // Jobs in order: { recipeId, time (seconds to run), remaining, started }
+    this.queue = [];
+    this.knownBlueprints = new Set();
+  }
+
+  getRecipe(recipeId) {
+    return RECIPES[recipeId] || null;
+  }
+
+  isUnlocked(recipeId) {
+    const recipe = RECIPES[recipeId];
+    return !!recipe && (!recipe.blueprint || this.knownBlueprints.has(recipe.blueprint));
+  }
+
+  /**
+   * Where ore can be refined right now
+   * @returns {string|null} 'station', 'onboard' or null
+   */
+  getRefinery() {
+    const station = this.game.shipyardSystem.getDockedStation();
+    if (station && station.stationType === 'refinery') return 'station';
+    if ((this.game.player.components || []).includes('refinery_module')) return 'onboard';
+    return null;
+  }
+
+  /**
+   * Seconds a recipe takes with the facilities at hand
+   */
+  getCraftTime(recipeId) {
+    const recipe = RECIPES[recipeId];
+    if (recipe.facility === 'refinery' && this.getRefinery() === 'onboard') {
+      return recipe.time * ONBOARD_REFINING_TIME_FACTOR;
+    }
+    return recipe.time;
+  }
+
+  /**
+   * Why a recipe can't be queued right now
+   * @returns {string|null} Reason, or null when it can be
+   */
+  getBlocker(recipeId) {
+    const recipe = RECIPES[recipeId];
+    if (!recipe) return 'Unknown recipe';
+    if (!this.isUnlocked(recipeId)) return `Requires ${ENHANCED_ARTIFACTS[recipe.blueprint].name}`;
+    if (recipe.facility === 'refinery' && !this.getRefinery()) {
+      return 'Requires a refinery station or refinery module';
+    }
+    if (this.queue.length >= MAX_QUEUE) return 'Fabrication queue full';
+
+    // Contract freight in the hold can't be used up
+    const missions = this.game.missionSystem;
+    for (const [itemId, quantity] of Object.entries(recipe.inputs)) {
+      if (missions.getFreeQuantity(itemId) < quantity) {
+        return `Needs ${quantity} ${getItemDefinition(itemId).name}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Take a recipe's inputs from the hold and add it to the queue
+   */
+  queueRecipe(recipeId) {
+    const blocker = this.getBlocker(recipeId);
+    if (blocker) {
+      this.game.showNotification(blocker, 'warning');
+      return { success: false, message: blocker };
+    }
+
+    const recipe = RECIPES[recipeId];
+    const hold = this.game.cargoSystem;
+    for (const [itemId, quantity] of Object.entries(recipe.inputs)) {
+      hold.removeCargo(itemId, quantity);
+    }
+
+    const time = this.getCraftTime(recipeId);
+    const refinery = recipe.facility === 'refinery' ? this.getRefinery() : null;
+    this.queue.push({ recipeId, time, remaining: time, started: false, refinery });
+
+    const name = getItemDefinition(recipeId).name;
+    console.log(`[CraftingSystem] Queued ${name} (${time}s, ${recipe.energy} energy)`);
+    this.game.showNotification(`${name} queued for ${recipe.facility === 'refinery' ? 'refining' : 'fabrication'}`, 'info');
+    return { success: true };
+  }
+
+  /**
+   * Cancel a queued job and return its inputs to the hold
+   */
+  cancelJob(index) {
+    const job = this.queue[index];
+    if (!job) return { success: false, message: 'No such job' };
+
+    this.queue.splice(index, 1);
+    const hold = this.game.cargoSystem;
+    let lost = 0;
+    for (const [itemId, quantity] of Object.entries(RECIPES[job.recipeId].inputs)) {
+      const result = hold.addCargo(itemId, quantity);
+      lost += quantity - (result.added || 0);
+    }
+
+    const message = lost > 0 ? `Job cancelled - ${lost} units jettisoned, hold full` : 'Job cancelled - materials returned';
+    this.game.showNotification(message, lost > 0 ? 'warning' : 'info');
+    return { success: true, message };
+  }
+
+  /**
+   * What the job at the head of the queue is waiting for, if anything
+   */
+  getStatus() {
+    const job = this.queue[0];
+    if (!job) return 'idle';
+    if (RECIPES[job.recipeId].facility === 'refinery' && !this.getRefinery()) return 'refinery';
+    if (!job.started) return 'power';
+    if (job.remaining <= 0) return 'hold_full';
+    return 'running';
+  }
+
+  /**
+   * Advance the head of the queue (game time)
+   */
+  update(dt) {
+    const job = this.queue[0];
+    if (!job) return;
+
+    const recipe = RECIPES[job.recipeId];
+    const p = this.game.player;
+
+    if (recipe.facility === 'refinery') {
+      const refinery = this.getRefinery();
+      if (!refinery) return;
+      if (refinery !== job.refinery) this.moveJob(job, refinery);
+    }
+
+    if (!job.started) {
+      if (p.power < recipe.energy) return;
+      p.power -= recipe.energy;
+      job.started = true;
+    }
+
+    job.remaining = Math.max(0, job.remaining - dt);
+    if (job.remaining > 0) return;
+
+    // Finished parts wait in the fabricator until the hold can take them all
+    const hold = this.game.cargoSystem;
+    const volume = Object.entries(recipe.outputs)
+      .reduce((sum, [itemId, quantity]) => sum + getItemDefinition(itemId).volume * quantity, 0);
+    if (hold.getAvailableSpace() < volume) return;
+
+    for (const [itemId, quantity] of Object.entries(recipe.outputs)) {
+      hold.addCargo(itemId, quantity);
+    }
+    this.queue.shift();
+
+    const name = getItemDefinition(job.recipeId).name;
+    console.log(`[CraftingSystem] Completed ${name}`);
+    this.game.showNotification(`${name} complete`, 'success');
+  }
+
+  /**
+   * Rescale a refining job's time to another refinery, keeping its progress
+   */
+  moveJob(job, refinery) {
+    const factor = refinery === 'onboard' ? ONBOARD_REFINING_TIME_FACTOR : 1 / ONBOARD_REFINING_TIME_FACTOR;
+    job.time *= factor;
+    job.remaining *= factor;
+    job.refinery = refinery;
+  }
+
+  /**
+   * Read a schematic from the hold into the databanks (the item is used up)
+   */
+  learnBlueprint(blueprintId) {
+    const name = ENHANCED_ARTIFACTS[blueprintId]?.name;
+    if (!BLUEPRINTS.includes(blueprintId)) return { success: false, message: 'Not a schematic' };
+    if (this.knownBlueprints.has(blueprintId)) return { success: false, message: `${name} already known` };
+    if (this.game.cargoSystem.getCargoQuantity(blueprintId) < 1) {
+      return { success: false, message: `No ${name} in the hold` };
+    }
+
+    this.game.cargoSystem.removeCargo(blueprintId, 1);
+    this.knownBlueprints.add(blueprintId);
+
+    const unlocked = Object.keys(RECIPES).filter(recipeId => RECIPES[recipeId].blueprint === blueprintId);
+    this.game.showNotification(`${name} decoded - ${unlocked.length} recipes unlocked`, 'success');
+    return { success: true, unlocked };
+  }
+
+  /**
+   * Use a consumable from the hold (ammunition is loaded into the missile launcher)
+   */
+  useItem(itemId) {
+    const item = ENHANCED_ARTIFACTS[itemId];
+    if (!item || !item.consumable) return { success: false, message: 'Not usable' };
+    if (this.game.missionSystem.getFreeQuantity(itemId) < 1) {
+      return { success: false, message: `No ${item.name} in the hold` };
+    }
+
+    const result = item.category === 'ammo'
+      ? this.game.weaponSystem.loadWarheads(itemId)
+      : applyItemEffect(item, this.game.player, this.game);
+    if (result.success) {
+      this.game.cargoSystem.removeCargo(itemId, 1);
+      this.game.showNotification(result.message, 'success');
+    } else {
+      this.game.showNotification(result.message, 'warning');
+    }
+    return result;
+  }
+
+  serialize() {
+    return {
+      queue: this.queue.map(job => ({ ...job })),
+      knownBlueprints: [...this.knownBlueprints]
+    };
+  }
+
+  deserialize(data) {
+    this.queue = [];
+    this.knownBlueprints = new Set();
+    if (!data) return;
+
+    this.queue = (data.queue || []).filter(job => RECIPES[job.recipeId]).map(job => {
+      const recipe = RECIPES[job.recipeId];
+      // Older saves didn't record the refinery; the job time tells which one it was
+      if (recipe.facility === 'refinery' && !job.refinery) {
+        return { ...job, refinery: job.time > recipe.time ? 'onboard' : 'station' };
+      }
+      return { ...job };
+    });
+    this.knownBlueprints = new Set((data.knownBlueprints || []).filter(id => BLUEPRINTS.includes(id)));
+  }
+}
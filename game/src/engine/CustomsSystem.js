@@ -0,0 +1,244 @@
+/**
+ * Customs System
+ * Cargo scans on docking, contraband fines and confiscation, pirate stations
+ * with black markets, and hidden cargo compartments
+ */
+
+// Pirate faction (see FactionSystem); its stations run black markets and never scan
+export const PIRATE_FACTION = 'rim_syndicate';
+
+// How hard each faction's station security looks at docking ships
+const CUSTOMS_PROFILES = {
+  terran_coalition: { scanChance: 0.6, fineRate: 1.5, thoroughChance: 0.3 },
+  independent_worlds: { scanChance: 0.35, fineRate: 1.0, thoroughChance: 0.15 },
+  mining_consortium: { scanChance: 0.3, fineRate: 0.8, thoroughChance: 0.1 },
+  hive_collective: { scanChance: 0.5, fineRate: 2.0, thoroughChance: 0.2 },
+  free_traders: { scanChance: 0.15, fineRate: 0.5, thoroughChance: 0.05 }
+};
+const DEFAULT_CUSTOMS_PROFILE = { scanChance: 0.3, fineRate: 1.0, thoroughChance: 0.1 };
+
+// Patrol bases sweep every ship and search more carefully
+const PATROL_STATION_TYPES = ['military', 'listening_post'];
+const PATROL_SCAN_MULTIPLIER = 1.5;
+
+// Reputation lost when contraband is found (grows with the amount)
+const REPUTATION_LOSS_BASE = 5;
+const REPUTATION_LOSS_MAX = 25;
+
+// Pirate reputation gained per black-market sale
+const FENCE_REPUTATION_GAIN = 1;
+
+// Pirate stations: always in lawless stations, otherwise more likely in dangerous systems
+const PIRATE_STATION_BASE_CHANCE = 0.05;
+const PIRATE_STATION_DANGER_CHANCE = 0.03; // Per danger level
+
+// Pirate standings at which a pirate station opens its black market
+const BLACK_MARKET_RELATIONS = ['friendly', 'allied'];
+
+export const HIDDEN_COMPARTMENT = {
+  name: 'Hidden Cargo Compartment',
+  cost: 6000,
+  capacity: 20, // Cargo volume shielded from routine scans
+  maxInstalled: 3
+};
+
+export class CustomsSystem {
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * Faction a station answers to (flagged with its system's owner on load, see Game.loadSystem)
+   */
+  getStationFaction(station) {
+    return station.faction || 'Independent';
+  }
+
+  isPirateFaction(factionId) {
+    const faction = this.game.factionSystem && this.game.factionSystem.factions[factionId];
+    return !!faction && faction.type === 'pirates';
+  }
+
+  /**
+   * Black market trading is open at pirate stations whose faction is friendly with the player
+   */
+  isBlackMarketOpen(station) {
+    if (!station) return false;
+
+    const factionId = this.getStationFaction(station);
+    if (!this.isPirateFaction(factionId)) return false;
+
+    return BLACK_MARKET_RELATIONS.includes(this.game.factionSystem.getRelation(factionId));
+  }
+
+  /**
+   * Hand some of a system's stations to the pirate faction
+   * @param {Array} stations - Stations of the loaded system
+   * @param {Object} systemData - Galaxy system data
+   * @param {SeededRandom} rng - Pirate station stream for this system (same seed = same stations)
+   */
+  assignPirateStations(stations, systemData, rng) {
+    const chance = PIRATE_STATION_BASE_CHANCE + (systemData.dangerLevel || 0) * PIRATE_STATION_DANGER_CHANCE;
+
+    for (const station of stations) {
+      // Draw for every station so the sequence doesn't depend on the hostile flag
+      const roll = rng.next();
+      if (station.hostile || roll < chance) {
+        station.faction = PIRATE_FACTION;
+      }
+    }
+  }
+
+  /**
+   * Contraband in the hold with how much of each the hidden compartments cover
+   * Compartments are filled with contraband in cargo order.
+   * @returns {Array} [{ entry, hidden, exposed }] (entry as in CargoSystem.getAllCargo)
+   */
+  getContrabandManifest() {
+    const hold = this.game.cargoSystem;
+    let hiddenSpace = hold.hiddenCapacity;
+
+    return hold.getAllCargo()
+      .filter(entry => entry.item.illegal)
+      .map(entry => {
+        const hidden = Math.min(entry.quantity, Math.floor(hiddenSpace / entry.item.volume));
+        hiddenSpace -= hidden * entry.item.volume;
+        return { entry, hidden, exposed: entry.quantity - hidden };
+      });
+  }
+
+  /**
+   * Station security scans the hold as the player docks
+   * @param {Object} station - Station being docked at
+   * @returns {Object|null} Scan report, null if no scan took place
+   */
+  scanOnDocking(station) {
+    const game = this.game;
+    const factionId = this.getStationFaction(station);
+
+    // Pirates don't care what you carry
+    if (this.isPirateFaction(factionId)) return null;
+
+    const profile = CUSTOMS_PROFILES[factionId] || DEFAULT_CUSTOMS_PROFILE;
+    const isPatrolBase = PATROL_STATION_TYPES.includes(station.stationType);
+    const scanChance = isPatrolBase ? Math.min(1, profile.scanChance * PATROL_SCAN_MULTIPLIER) : profile.scanChance;
+    const thoroughChance = isPatrolBase ? profile.thoroughChance * PATROL_SCAN_MULTIPLIER : profile.thoroughChance;
+
+    if (Math.random() >= scanChance) return null;
+
+    // A thorough search also opens the hidden compartments
+    const thorough = Math.random() < thoroughChance;
+    const found = this.getContrabandManifest()
+      .map(({ entry, exposed }) => ({ entry, quantity: thorough ? entry.quantity : exposed }))
+      .filter(entry => entry.quantity > 0);
+
+    const report = { factionId, thorough, confiscated: [], fine: 0, reputationChange: 0 };
+
+    if (found.length === 0) {
+      game.showNotification('Customs scan complete. Cargo cleared.', 'info');
+      return report;
+    }
+
+    return this.penalize(report, found, profile);
+  }
+
+  /**
+   * Fine, confiscation and reputation loss for contraband found in a scan
+   */
+  penalize(report, found, profile) {
+    const game = this.game;
+    const economy = game.economySystem;
+
+    let units = 0;
+    let contrabandValue = 0;
+    for (const { entry, quantity } of found) {
+      units += quantity;
+      contrabandValue += entry.item.baseValue * quantity;
+      report.confiscated.push({ itemId: entry.itemId, quantity });
+      game.cargoSystem.removeCargo(entry.itemId, quantity);
+    }
+
+    // Fines take what the player has, they don't go into debt
+    report.fine = Math.min(economy.credits, Math.round(contrabandValue * profile.fineRate));
+    economy.credits -= report.fine;
+
+    report.reputationChange = -Math.min(REPUTATION_LOSS_MAX, REPUTATION_LOSS_BASE + units);
+    if (game.factionSystem) {
+      game.factionSystem.modifyReputation(report.factionId, report.reputationChange);
+    }
+
+    console.log(`[CustomsSystem] Contraband found (${units} units): fined ${report.fine} CR`);
+    game.showNotification(
+      `CUSTOMS: ${units} units of contraband confiscated. Fined ${report.fine} CR.`,
+      'error'
+    );
+    if (report.thorough) {
+      game.showNotification('Inspectors searched your hidden compartments!', 'warning');
+    }
+
+    return report;
+  }
+
+  /**
+   * Buy contraband at the docked station's black market
+   */
+  buyContraband(commodityId, quantity) {
+    const station = this.game.uiState.selectedStation;
+    if (!this.isBlackMarketOpen(station)) {
+      return { success: false, message: 'No black market here' };
+    }
+
+    const result = this.game.economySystem.buyCommodity(
+      commodityId, quantity, this.game.currentSystemIndex, { blackMarket: true }
+    );
+    this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    return result;
+  }
+
+  /**
+   * Fence contraband at the docked station's black market
+   */
+  sellContraband(commodityId, quantity) {
+    const station = this.game.uiState.selectedStation;
+    if (!this.isBlackMarketOpen(station)) {
+      return { success: false, message: 'No black market here' };
+    }
+
+    const result = this.game.economySystem.sellCommodity(
+      commodityId, quantity, this.game.currentSystemIndex, { blackMarket: true }
+    );
+    if (result.success && this.game.factionSystem) {
+      this.game.factionSystem.modifyReputation(PIRATE_FACTION, FENCE_REPUTATION_GAIN);
+    }
+    this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    return result;
+  }
+
+  /**
+   * Fit a hidden cargo compartment (black market ship upgrade)
+   */
+  installHiddenCompartment() {
+    const economy = this.game.economySystem;
+    const hold = this.game.cargoSystem;
+    const installed = hold.hiddenCapacity / HIDDEN_COMPARTMENT.capacity;
+
+    let result;
+    if (!this.isBlackMarketOpen(this.game.uiState.selectedStation)) {
+      result = { success: false, message: 'No black market here' };
+    } else if (installed >= HIDDEN_COMPARTMENT.maxInstalled) {
+      result = { success: false, message: 'No room for more hidden compartments' };
+    } else if (!economy.canAfford(HIDDEN_COMPARTMENT.cost)) {
+      result = { success: false, message: 'Not enough credits' };
+    } else {
+      economy.credits -= HIDDEN_COMPARTMENT.cost;
+      hold.hiddenCapacity += HIDDEN_COMPARTMENT.capacity;
+      result = {
+        success: true,
+        message: `${HIDDEN_COMPARTMENT.name} installed (${hold.hiddenCapacity} hidden cargo space)`
+      };
+    }
+
+    this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+    return result;
+  }
+}
@@ -1,8 +1,217 @@
 /**
  * Economy System
  * Manages player credits, fuel, trading, prices, and economic simulation
+ *
+ * Markets move on game time: every tick, stock regenerates toward each
+ * system's production level, demand drifts, and price pressure spreads to
+ * markets linked by warp gates or trade routes. Selling into a market raises
+ * its stock, so dumped goods keep prices down until the surplus is consumed.
+ *
+ * Each unit traded moves the stock, so large trades walk the price: buying
+ * gets dearer and selling cheaper within a single transaction. Standing
+ * orders (MarketOrders) fill on market ticks while the player travels.
+ *
+ * Trades, refuels and the prices the player has seen go into the trade ledger.
  */
 
+import { TradeLedger } from './TradeLedger.js';
+import { MarketOrders } from './MarketOrders.js';
+
+// Market simulation
+const MARKET_TICK_INTERVAL = 10; // Seconds of game time between market ticks
+const SUPPLY_REGEN_RATE = 0.03; // Share of the gap to the production level closed per tick
+const DEMAND_DRIFT = 0.04; // Largest random demand change per tick
+const DEMAND_REVERSION = 0.05; // Pull back toward the system's base demand per tick
+const DEMAND_RANGE = [0.3, 3.0];
+const PRICE_ELASTICITY = 0.6; // How strongly stock levels move prices
+const SCARCITY_RANGE = [0.4, 2.5];
+const PRICE_SPREAD = 0.2; // Share of linked markets' price pressure picked up per tick
+
+// Black market fences pay less than the listed price for contraband
+export const BLACK_MARKET_FENCE_RATE = 0.7;
+
+// Trade routes (also drawn on the galaxy map)
+export const TRADE_ROUTE_MAX_DISTANCE = 4000;
+export const TRADE_ROUTE_MIN_VALUE = 0.4;
+
+// Commodity types and base prices; volume is hold space and mass is tonnes per unit
+export const COMMODITIES = {
+  // Basic Resources
+  water: {
+    id: 'water',
+    name: 'Water',
+    category: 'basic',
+    basePrice: 10,
+    volume: 2,
+    mass: 2,
+    description: 'Essential for life support'
+  },
+  minerals: {
+    id: 'minerals',
+    name: 'Minerals',
+    category: 'basic',
+    basePrice: 25,
+    volume: 3,
+    mass: 3,
+    description: 'Raw minerals for industry'
+  },
+  food: {
+    id: 'food',
+    name: 'Food',
+    category: 'basic',
+    basePrice: 15,
+    volume: 2,
+    mass: 1,
+    description: 'Agricultural products'
+  },
+
+  // Industrial Goods
+  metals: {
+    id: 'metals',
+    name: 'Refined Metals',
+    category: 'industrial',
+    basePrice: 50,
+    volume: 4,
+    mass: 6,
+    description: 'Processed metal alloys'
+  },
+  electronics: {
+    id: 'electronics',
+    name: 'Electronics',
+    category: 'industrial',
+    basePrice: 80,
+    volume: 1,
+    mass: 0.5,
+    description: 'Advanced electronics and circuits'
+  },
+  machinery: {
+    id: 'machinery',
+    name: 'Machinery',
+    category: 'industrial',
+    basePrice: 120,
+    volume: 5,
+    mass: 8,
+    description: 'Industrial equipment'
+  },
+
+  // Luxury Goods
+  luxuries: {
+    id: 'luxuries',
+    name: 'Luxury Goods',
+    category: 'luxury',
+    basePrice: 200,
+    volume: 1,
+    mass: 0.5,
+    description: 'High-end consumer products'
+  },
+  art: {
+    id: 'art',
+    name: 'Artworks',
+    category: 'luxury',
+    basePrice: 300,
+    volume: 1,
+    mass: 0.5,
+    description: 'Cultural artifacts and art'
+  },
+
+  // Special Goods
+  medicine: {
+    id: 'medicine',
+    name: 'Medicine',
+    category: 'special',
+    basePrice: 150,
+    volume: 1,
+    mass: 0.3,
+    description: 'Medical supplies and drugs'
+  },
+  weapons: {
+    id: 'weapons',
+    name: 'Weapons',
+    category: 'special',
+    basePrice: 250,
+    volume: 2,
+    mass: 2,
+    description: 'Military armaments'
+  },
+  fuel_cells: {
+    id: 'fuel_cells',
+    name: 'Fuel Cells',
+    category: 'special',
+    basePrice: 100,
+    volume: 3,
+    mass: 2,
+    description: 'Starship fuel'
+  },
+
+  // Contraband
+  narcotics: {
+    id: 'narcotics',
+    name: 'Narcotics',
+    category: 'contraband',
+    basePrice: 400,
+    volume: 1,
+    mass: 0.2,
+    description: 'Illegal substances',
+    illegal: true
+  },
+  stolen_tech: {
+    id: 'stolen_tech',
+    name: 'Stolen Technology',
+    category: 'contraband',
+    basePrice: 500,
+    volume: 2,
+    mass: 1,
+    description: 'Black market tech',
+    illegal: true
+  },
+
+  // Rare Resources
+  exotic_matter: {
+    id: 'exotic_matter',
+    name: 'Exotic Matter',
+    category: 'rare',
+    basePrice: 1000,
+    volume: 1,
+    mass: 0.5,
+    description: 'Rare quantum materials'
+  },
+  alien_artifacts: {
+    id: 'alien_artifacts',
+    name: 'Alien Artifacts',
+    category: 'rare',
+    basePrice: 2000,
+    volume: 1,
+    mass: 1,
+    description: 'Ancient alien technology'
+  }
+};
+
+const clamp = (value, [min, max]) => Math.max(min, Math.min(max, value));
+
+/**
+ * Trade value between two systems (0-1), routes exist above TRADE_ROUTE_MIN_VALUE
+ * Systems without full data (galaxy placeholders) have no trade value.
+ * @param {Object} sys1 - Galaxy system
+ * @param {Object} sys2 - Galaxy system
+ * @returns {number} Trade value, 0 if out of range
+ */
+export function calculateTradeValue(sys1, sys2) {
+  if (!sys1 || !sys2 || sys1.isPlaceholder || sys2.isPlaceholder) return 0;
+
+  const dx = sys2.position.x - sys1.position.x;
+  const dy = sys2.position.y - sys1.position.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+  if (dist > TRADE_ROUTE_MAX_DISTANCE) return 0;
+
+  const distanceFactor = 1 - (dist / TRADE_ROUTE_MAX_DISTANCE);
+  const resourceFactor = (sys1.resourceRichness + sys2.resourceRichness) / 2;
+  const stationFactor = ((sys1.stationCount || 0) + (sys2.stationCount || 0)) / 16;
+  const dangerPenalty = 1 - ((sys1.dangerLevel + sys2.dangerLevel) / 20);
+
+  return distanceFactor * 0.3 + resourceFactor * 0.3 +
+         stationFactor * 0.2 + dangerPenalty * 0.2;
+}
+
 export class EconomySystem {
   constructor(game) {
     this.game = game;
@@ -11,161 +220,41 @@ export class EconomySystem {
     this.credits = 10000; // Starting credits
     this.fuel = 100; // Starting fuel (0-100%)
     this.maxFuel = 100;
-    this.cargoCapacity = 50;
-    this.cargo = []; // Items player is carrying
+    // Cargo lives in the ship's hold (game.cargoSystem)
 
     // Commodity types and base prices
     this.commodities = this.initializeCommodities();
 
     // System-specific market data
     this.systemMarkets = new Map(); // systemIndex -> market data
+
+    // Market simulation clock (game seconds, saved with the markets)
+    this.clock = 0;
+    this.tick = 0;
+    this.tickTimer = 0;
+
+    // Player's trading books and observed prices
+    this.ledger = new TradeLedger();
+
+    // Standing buy and sell orders at stations
+    this.orders = new MarketOrders(this);
   }
 
   /**
-   * Initialize commodity types with base prices
+   * Commodity types with base prices (see COMMODITIES)
    */
   initializeCommodities() {
-    return {
-      // Basic Resources
-      water: {
-        id: 'water',
-        name: 'Water',
-        category: 'basic',
-        basePrice: 10,
-        volume: 2,
-        description: 'Essential for life support'
-      },
-      minerals: {
-        id: 'minerals',
-        name: 'Minerals',
-        category: 'basic',
-        basePrice: 25,
-        volume: 3,
-        description: 'Raw minerals for industry'
-      },
-      food: {
-        id: 'food',
-        name: 'Food',
-        category: 'basic',
-        basePrice: 15,
-        volume: 2,
-        description: 'Agricultural products'
-      },
-
-      // Industrial Goods
-      metals: {
-        id: 'metals',
-        name: 'Refined Metals',
-        category: 'industrial',
-        basePrice: 50,
-        volume: 4,
-        description: 'Processed metal alloys'
-      },
-      electronics: {
-        id: 'electronics',
-        name: 'Electronics',
-        category: 'industrial',
-        basePrice: 80,
-        volume: 1,
-        description: 'Advanced electronics and circuits'
-      },
-      machinery: {
-        id: 'machinery',
-        name: 'Machinery',
-        category: 'industrial',
-        basePrice: 120,
-        volume: 5,
-        description: 'Industrial equipment'
-      },
-
-      // Luxury Goods
-      luxuries: {
-        id: 'luxuries',
-        name: 'Luxury Goods',
-        category: 'luxury',
-        basePrice: 200,
-        volume: 1,
-        description: 'High-end consumer products'
-      },
-      art: {
-        id: 'art',
-        name: 'Artworks',
-        category: 'luxury',
-        basePrice: 300,
-        volume: 1,
-        description: 'Cultural artifacts and art'
-      },
-
-      // Special Goods
-      medicine: {
-        id: 'medicine',
-        name: 'Medicine',
-        category: 'special',
-        basePrice: 150,
-        volume: 1,
-        description: 'Medical supplies and drugs'
-      },
-      weapons: {
-        id: 'weapons',
-        name: 'Weapons',
-        category: 'special',
-        basePrice: 250,
-        volume: 2,
-        description: 'Military armaments'
-      },
-      fuel_cells: {
-        id: 'fuel_cells',
-        name: 'Fuel Cells',
-        category: 'special',
-        basePrice: 100,
-        volume: 3,
-        description: 'Starship fuel'
-      },
-
-      // Contraband
-      narcotics: {
-        id: 'narcotics',
-        name: 'Narcotics',
-        category: 'contraband',
-        basePrice: 400,
-        volume: 1,
-        description: 'Illegal substances',
-        illegal: true
-      },
-      stolen_tech: {
-        id: 'stolen_tech',
-        name: 'Stolen Technology',
-        category: 'contraband',
-        basePrice: 500,
-        volume: 2,
-        description: 'Black market tech',
-        illegal: true
-      },
-
-      // Rare Resources
-      exotic_matter: {
-        id: 'exotic_matter',
-        name: 'Exotic Matter',
-        category: 'rare',
-        basePrice: 1000,
-        volume: 1,
-        description: 'Rare quantum materials'
-      },
-      alien_artifacts: {
-        id: 'alien_artifacts',
-        name: 'Alien Artifacts',
-        category: 'rare',
-        basePrice: 2000,
-        volume: 1,
-        description: 'Ancient alien technology'
-      }
-    };
+    return COMMODITIES;
   }
 
   /**
    * Generate market for a star system
+   * @param {number} systemIndex - Galaxy index of the system
+   * @param {Object} systemData - System data from the galaxy generator
+   * @param {Object} factionData - Controlling faction, if any
+   * @param {SeededRandom} rng - Market stream for this system (same seed = same market)
    */
-  generateSystemMarket(systemIndex, systemData, factionData) {
+  generateSystemMarket(systemIndex, systemData, factionData, rng) {
     // Check if market already exists
     if (this.systemMarkets.has(systemIndex)) {
       return this.systemMarkets.get(systemIndex);
@@ -173,17 +262,20 @@ export class EconomySystem {
 
     const market = {
       systemIndex,
-      lastUpdate: Date.now(),
+      lastUpdate: this.clock, // Economy clock time of the last tick
+      production: {}, // commodity -> stock level the system settles at
       supply: {}, // commodity -> quantity available
+      baseDemand: {}, // commodity -> demand multiplier the drift returns to
       demand: {}, // commodity -> demand multiplier
+      regional: {}, // commodity -> price pressure picked up from linked markets
       prices: {} // commodity -> actual price
     };
 
     // Generate supply and demand based on system type and faction
     for (const [commodityId, commodity] of Object.entries(this.commodities)) {
       // Base supply (random)
-      let supply = Math.floor(Math.random() * 100) + 50;
-      let demandMultiplier = 0.8 + Math.random() * 0.4; // 0.8 to 1.2
+      let supply = Math.floor(rng.next() * 100) + 50;
+      let demandMultiplier = 0.8 + rng.next() * 0.4; // 0.8 to 1.2
 
       // Modify based on system characteristics
       if (systemData.inhabited) {
@@ -250,16 +342,16 @@ export class EconomySystem {
         }
       }
 
-      // Calculate final price
-      const basePrice = commodity.basePrice;
-      const supplyFactor = Math.max(0.5, Math.min(2.0, 100 / supply));
-      const finalPrice = Math.round(basePrice * demandMultiplier * supplyFactor);
-
-      market.supply[commodityId] = Math.floor(supply);
+      const production = Math.max(1, Math.floor(supply));
+      market.production[commodityId] = production;
+      market.supply[commodityId] = production;
+      market.baseDemand[commodityId] = demandMultiplier;
       market.demand[commodityId] = demandMultiplier;
-      market.prices[commodityId] = finalPrice;
+      market.regional[commodityId] = 1;
     }
 
+    this.updatePrices(market);
+
     // Add fuel pricing
     market.fuelPrice = this.calculateFuelPrice(systemData, factionData);
 
@@ -291,15 +383,263 @@ export class EconomySystem {
     return Math.round(basePrice);
   }
 
+  /**
+   * Price of a commodity from the market's current state
+   * At production-level stock this is the price the system was generated with.
+   * @param {number} stock - Stock level to price at (defaults to the market's)
+   */
+  calculatePrice(market, commodityId, stock = market.supply[commodityId]) {
+    const commodity = this.commodities[commodityId];
+    const production = market.production[commodityId];
+    const supply = Math.max(1, stock);
+
+    const supplyFactor = clamp(100 / production, [0.5, 2.0]);
+    const scarcity = clamp((production / supply) ** PRICE_ELASTICITY, SCARCITY_RANGE);
+
+    return Math.max(1, Math.round(
+      commodity.basePrice * market.demand[commodityId] * supplyFactor * scarcity * market.regional[commodityId]
+    ));
+  }
+
+  /**
+   * Walk the order book: each unit is priced at the stock level it leaves behind
+   * (after a bought unit is removed, after a sold unit is added). Prices fall as
+   * stock rises, so selling a batch straight back never pays more than it cost.
+   * PERFORMANCE: One price evaluation per unit; trades are a few hundred units at most.
+   * @param {string} side - 'buy' takes stock off the market, 'sell' adds to it
+   * @returns {Object} { total, averagePrice, lastPrice }
+   */
+  quoteTrade(market, commodityId, quantity, side) {
+    const step = side === 'buy' ? -1 : 1;
+    let stock = market.supply[commodityId];
+    let total = 0;
+    let lastPrice = market.prices[commodityId];
+
+    for (let unit = 0; unit < quantity; unit++) {
+      stock += step;
+      lastPrice = this.calculatePrice(market, commodityId, stock);
+      total += lastPrice;
+    }
+
+    return { total, averagePrice: quantity > 0 ? Math.round(total / quantity) : lastPrice, lastPrice };
+  }
+
+  /**
+   * Recalculate all commodity prices of a market
+   */
+  updatePrices(market) {
+    for (const commodityId of Object.keys(this.commodities)) {
+      market.prices[commodityId] = this.calculatePrice(market, commodityId);
+    }
+  }
+
+  /**
+   * Local price pressure per commodity (1 = settled), what linked markets pick up
+   */
+  getLocalPressure(market) {
+    const pressure = {};
+    for (const commodityId of Object.keys(this.commodities)) {
+      const production = market.production[commodityId];
+      const supply = Math.max(1, market.supply[commodityId]);
+      const scarcity = clamp((production / supply) ** PRICE_ELASTICITY, SCARCITY_RANGE);
+      pressure[commodityId] = scarcity * market.demand[commodityId] / market.baseDemand[commodityId];
+    }
+    return pressure;
+  }
+
+  /**
+   * Market for any system, generated on first access
+   * Uses the same seeded stream as loading the system, so the market is
+   * identical whether it was first seen through a link or by arriving there.
+   */
+  getMarket(systemIndex) {
+    if (this.systemMarkets.has(systemIndex)) {
+      return this.systemMarkets.get(systemIndex);
+    }
+
+    const systemData = this.game.getSystemData(systemIndex);
+    if (!systemData) return null;
+
+    return this.generateSystemMarket(
+      systemIndex,
+      systemData,
+      systemData.factionData,
+      this.game.getGenerationRng('economy').child(systemIndex)
+    );
+  }
+
+  /**
+   * Links between existing markets: warp gate connections and trade routes
+   * @returns {Map<number, Array<number>>} systemIndex -> linked systemIndices
+   */
+  getMarketLinks() {
+    const indices = Array.from(this.systemMarkets.keys());
+    const links = new Map(indices.map(index => [index, new Set()]));
+    const link = (a, b) => {
+      if (a === b || !links.has(a) || !links.has(b)) return;
+      links.get(a).add(b);
+      links.get(b).add(a);
+    };
+
+    const gates = this.game.warpGateSystem;
+    if (gates) {
+      for (const index of indices) {
+        for (const target of gates.getConnectedSystems(index)) {
+          link(index, target);
+        }
+      }
+    }
+
+    const galaxy = this.game.galaxy || [];
+    for (let i = 0; i < indices.length; i++) {
+      for (let j = i + 1; j < indices.length; j++) {
+        if (calculateTradeValue(galaxy[indices[i]], galaxy[indices[j]]) > TRADE_ROUTE_MIN_VALUE) {
+          link(indices[i], indices[j]);
+        }
+      }
+    }
+
+    const result = new Map();
+    for (const [index, linked] of links) {
+      result.set(index, Array.from(linked));
+    }
+    return result;
+  }
+
+  /**
+   * Advance the market simulation (call every frame with game time)
+   * @param {number} dt - Elapsed game time in seconds
+   */
+  update(dt) {
+    this.clock += dt;
+    this.tickTimer += dt;
+
+    if (this.tickTimer >= MARKET_TICK_INTERVAL) {
+      this.tickTimer -= MARKET_TICK_INTERVAL;
+      this.tickMarkets();
+
+      // The player can see the market of the system they are in
+      this.observeMarket(this.game.currentSystemIndex);
+    }
+  }
+
+  /**
+   * One market tick for every known market
+   * DETERMINISM: Drift comes from a seeded stream keyed by system and tick
+   * number, so a run replays the same way after saving and loading.
+   */
+  tickMarkets() {
+    this.tick++;
+
+    // Gate neighbours of the current system get markets, so news reaches them
+    const currentIndex = this.game.currentSystemIndex;
+    if (this.systemMarkets.has(currentIndex) && this.game.warpGateSystem) {
+      for (const target of this.game.warpGateSystem.getConnectedSystems(currentIndex)) {
+        this.getMarket(target);
+      }
+    }
+
+    const links = this.getMarketLinks();
+    const driftRng = this.game.getGenerationRng('economyDrift');
+
+    // Read every market's pressure before any market changes this tick
+    const pressures = new Map();
+    for (const [systemIndex, market] of this.systemMarkets) {
+      pressures.set(systemIndex, this.getLocalPressure(market));
+    }
+
+    for (const [systemIndex, market] of this.systemMarkets) {
+      const rng = driftRng.child(`${systemIndex}:${this.tick}`);
+      const linked = links.get(systemIndex) || [];
+
+      for (const commodityId of Object.keys(this.commodities)) {
+        // Production refills stock, consumption clears surplus (dumped goods)
+        const gap = market.production[commodityId] - market.supply[commodityId];
+        if (gap !== 0) {
+          const change = Math.max(1, Math.round(Math.abs(gap) * SUPPLY_REGEN_RATE));
+          market.supply[commodityId] += Math.sign(gap) * Math.min(change, Math.abs(gap));
+        }
+
+        // Demand wanders, pulled back toward the system's base demand
+        const demand = market.demand[commodityId];
+        const reversion = (market.baseDemand[commodityId] - demand) * DEMAND_REVERSION;
+        const drift = (rng.next() * 2 - 1) * DEMAND_DRIFT;
+        market.demand[commodityId] = clamp(demand + reversion + drift, DEMAND_RANGE);
+
+        // Linked markets pass on their pressure, unlinked markets settle back to 1
+        let target = 1;
+        if (linked.length > 0) {
+          target = linked.reduce((sum, index) => sum + pressures.get(index)[commodityId], 0) / linked.length;
+        }
+        market.regional[commodityId] += (target - market.regional[commodityId]) * PRICE_SPREAD;
+      }
+
+      market.lastUpdate = this.clock;
+      this.updatePrices(market);
+    }
+
+    // Standing orders trade against the new prices
+    this.orders.fillOrders();
+  }
+
+  /**
+   * Market state for save files
+   */
+  serializeMarkets() {
+    return {
+      clock: this.clock,
+      tick: this.tick,
+      tickTimer: this.tickTimer,
+      markets: Array.from(this.systemMarkets.values())
+    };
+  }
+
+  /**
+   * Restore market state from a save
+   * Saves without market data start fresh; markets regenerate from the seed.
+   */
+  restoreMarkets(data) {
+    this.systemMarkets.clear();
+    this.clock = data?.clock || 0;
+    this.tick = data?.tick || 0;
+    this.tickTimer = data?.tickTimer || 0;
+
+    for (const market of data?.markets || []) {
+      this.systemMarkets.set(market.systemIndex, market);
+    }
+  }
+
+  /**
+   * Where a trade happened, for the ledger
+   */
+  getLedgerPlace(systemIndex) {
+    const systemData = this.game.galaxy && this.game.galaxy[systemIndex];
+    return { systemIndex, systemName: systemData ? systemData.name : `System ${systemIndex}` };
+  }
+
+  /**
+   * Note a market's current prices in the ledger (the player has seen them)
+   */
+  observeMarket(systemIndex) {
+    const market = this.systemMarkets.get(systemIndex);
+    if (!market) return;
+    this.ledger.observeMarket(market, this.getLedgerPlace(systemIndex).systemName, this.clock);
+  }
+
   /**
    * Buy commodity
+   * @param {Object} options
+   * @param {boolean} options.blackMarket - Trade at a black market (required for contraband)
    */
-  buyCommodity(commodityId, quantity, systemIndex) {
+  buyCommodity(commodityId, quantity, systemIndex, { blackMarket = false } = {}) {
     const market = this.systemMarkets.get(systemIndex);
     if (!market) return { success: false, message: 'No market available' };
 
     const commodity = this.commodities[commodityId];
     if (!commodity) return { success: false, message: 'Invalid commodity' };
+    if (commodity.illegal && !blackMarket) {
+      return { success: false, message: 'Contraband is only traded on the black market' };
+    }
 
     // Check supply
     const available = market.supply[commodityId] || 0;
@@ -308,15 +648,15 @@ export class EconomySystem {
     }
 
     // Check cargo space
-    const spaceNeeded = commodity.volume * quantity;
-    const spaceUsed = this.getCargoSpaceUsed();
-    if (spaceUsed + spaceNeeded > this.cargoCapacity) {
+    const hold = this.game.cargoSystem;
+    if (!hold.hasSpace(commodity.volume * quantity)) {
       return { success: false, message: 'Not enough cargo space' };
     }
 
-    // Check credits
-    const price = market.prices[commodityId];
-    const totalCost = price * quantity;
+    // Check credits (the price rises as the purchase takes stock)
+    const quote = this.quoteTrade(market, commodityId, quantity, 'buy');
+    const totalCost = quote.total;
+    const price = quote.averagePrice;
     if (this.credits < totalCost) {
       return { success: false, message: 'Not enough credits' };
     }
@@ -324,70 +664,81 @@ export class EconomySystem {
     // Execute purchase
     this.credits -= totalCost;
     market.supply[commodityId] -= quantity;
+    this.updatePrices(market);
 
-    // Add to cargo
-    const existingItem = this.cargo.find(item => item.commodityId === commodityId);
-    if (existingItem) {
-      existingItem.quantity += quantity;
-      existingItem.totalValue += totalCost;
-    } else {
-      this.cargo.push({
-        commodityId,
-        commodity,
-        quantity,
-        purchasePrice: price,
-        totalValue: totalCost
-      });
-    }
+    hold.addCargo(commodityId, quantity, { purchasePrice: price });
+
+    this.ledger.recordBuy(commodityId, quantity, totalCost, this.getLedgerPlace(systemIndex), this.clock);
+    this.observeMarket(systemIndex);
 
     return {
       success: true,
-      message: `Purchased ${quantity} ${commodity.name} for ${totalCost} credits`,
-      totalCost
+      message: `Purchased ${quantity} ${commodity.name} for ${totalCost} credits (avg ${price} CR)`,
+      totalCost,
+      averagePrice: price
     };
   }
 
   /**
    * Sell commodity
+   * @param {Object} options
+   * @param {boolean} options.blackMarket - Sell to a black market fence (required for contraband)
    */
-  sellCommodity(commodityId, quantity, systemIndex) {
+  sellCommodity(commodityId, quantity, systemIndex, { blackMarket = false } = {}) {
     const market = this.systemMarkets.get(systemIndex);
     if (!market) return { success: false, message: 'No market available' };
 
     const commodity = this.commodities[commodityId];
     if (!commodity) return { success: false, message: 'Invalid commodity' };
+    if (commodity.illegal && !blackMarket) {
+      return { success: false, message: 'Contraband is only traded on the black market' };
+    }
 
     // Check if player has the commodity
-    const cargoItem = this.cargo.find(item => item.commodityId === commodityId);
+    const hold = this.game.cargoSystem;
+    const cargoItem = hold.items.find(item => item.itemId === commodityId);
     if (!cargoItem || cargoItem.quantity < quantity) {
       return { success: false, message: 'Not enough in cargo' };
     }
+    if (this.game.missionSystem.getFreeQuantity(commodityId) < quantity) {
+      return { success: false, message: 'Contract freight is not yours to sell' };
+    }
+    const purchasePrice = cargoItem.purchasePrice;
 
-    // Calculate sale price
-    const price = market.prices[commodityId];
-    const totalValue = price * quantity;
+    // Calculate sale price (the price falls as the sale adds stock)
+    const quote = this.quoteTrade(market, commodityId, quantity, 'sell');
+    const totalValue = blackMarket ? Math.round(quote.total * BLACK_MARKET_FENCE_RATE) : quote.total;
+    const price = Math.round(totalValue / quantity);
 
-    // Execute sale
+    // Execute sale (surplus stock depresses the price until it is consumed)
     this.credits += totalValue;
     market.supply[commodityId] += quantity;
+    this.updatePrices(market);
 
-    // Remove from cargo
-    cargoItem.quantity -= quantity;
-    if (cargoItem.quantity <= 0) {
-      const index = this.cargo.indexOf(cargoItem);
-      this.cargo.splice(index, 1);
-    }
+    hold.removeCargo(commodityId, quantity);
+
+    this.ledger.recordSell(commodityId, quantity, totalValue, purchasePrice, this.getLedgerPlace(systemIndex), this.clock);
+    this.observeMarket(systemIndex);
 
-    const profit = totalValue - (cargoItem.purchasePrice * quantity);
+    const profit = totalValue - (purchasePrice * quantity);
 
     return {
       success: true,
-      message: `Sold ${quantity} ${commodity.name} for ${totalValue} credits`,
+      message: `Sold ${quantity} ${commodity.name} for ${totalValue} credits (avg ${price} CR)`,
       totalValue,
+      averagePrice: price,
       profit
     };
   }
 
+  /**
+   * Price a market pays for the next unit of a commodity
+   */
+  getSellPrice(market, commodityId, blackMarket = false) {
+    const price = market.prices[commodityId];
+    return blackMarket ? Math.round(price * BLACK_MARKET_FENCE_RATE) : price;
+  }
+
   /**
    * Refuel ship
    */
@@ -416,6 +767,8 @@ export class EconomySystem {
     this.credits -= totalCost;
     this.fuel += actualAmount;
 
+    this.ledger.recordRefuel(actualAmount, totalCost, this.getLedgerPlace(systemIndex), this.clock);
+
     return {
       success: true,
       message: `Refueled ${actualAmount.toFixed(1)} units for ${totalCost} credits`,
@@ -432,24 +785,6 @@ export class EconomySystem {
     return this.fuel;
   }
 
-  /**
-   * Get cargo space used
-   */
-  getCargoSpaceUsed() {
-    let used = 0;
-    for (const item of this.cargo) {
-      used += item.commodity.volume * item.quantity;
-    }
-    return used;
-  }
-
-  /**
-   * Get cargo space remaining
-   */
-  getCargoSpaceRemaining() {
-    return this.cargoCapacity - this.getCargoSpaceUsed();
-  }
-
   /**
    * Check if player can afford something
    */
@@ -805,6 +805,45 @@ export const ENHANCED_ARTIFACTS = {
     size: 50
   },
 
+  mining_laser_mk2: {
+    id: 'mining_laser_mk2',
+    name: 'Mining Laser Mk2',
+    category: 'equipment',
+    rarity: 'uncommon',
+    value: 6000,
+    description: 'Focused cutting laser for ore extraction. Runs hotter than the stock laser.',
+    effect: '+50% mining yield',
+    icon: 'MINING1',
+    installable: true,
+    size: 30
+  },
+
+  mining_laser_mk3: {
+    id: 'mining_laser_mk3',
+    name: 'Mining Laser Mk3',
+    category: 'equipment',
+    rarity: 'rare',
+    value: 15000,
+    description: 'Industrial pulse laser used by consortium deep-core rigs.',
+    effect: '+120% mining yield',
+    icon: 'MINING2',
+    installable: true,
+    size: 35
+  },
+
+  refinery_module: {
+    id: 'refinery_module',
+    name: 'Onboard Refinery',
+    category: 'equipment',
+    rarity: 'uncommon',
+    value: 8000,
+    description: 'Compact smelter and separator. Slower than a refinery station.',
+    effect: 'Refine ore anywhere',
+    icon: 'REFINERY',
+    installable: true,
+    size: 30
+  },
+
   // === MATERIALS (NEW) ===
   steel_plate: {
     id: 'steel_plate',
@@ -1097,8 +1136,10 @@ export const RARITY_COLORS = {
 
 /**
  * Get random artifact based on rarity weights
+ * @param {number} luck - Shifts weight toward rarer artifacts
+ * @param {SeededRandom} rng - Generation stream (same seed = same artifact)
  */
-export function generateRandomArtifact(luck = 1.0) {
+export function generateRandomArtifact(luck = 1.0, rng) {
   const artifacts = Object.values(ENHANCED_ARTIFACTS);
 
   // Rarity weights (affected by luck)
@@ -1113,7 +1154,7 @@ export function generateRandomArtifact(luck = 1.0) {
 
   // Filter artifacts by weighted random rarity
   const totalWeight = Object.values(rarityWeights).reduce((a, b) => a + b, 0);
-  let roll = Math.random() * totalWeight;
+  let roll = rng.next() * totalWeight;
 
   let selectedRarity = 'common';
   for (const [rarity, weight] of Object.entries(rarityWeights)) {
@@ -1128,10 +1169,10 @@ export function generateRandomArtifact(luck = 1.0) {
   const artifactsOfRarity = artifacts.filter(a => a.rarity === selectedRarity);
 
   if (artifactsOfRarity.length === 0) {
-    return artifacts[Math.floor(Math.random() * artifacts.length)];
+    return rng.choice(artifacts);
   }
 
-  return artifactsOfRarity[Math.floor(Math.random() * artifactsOfRarity.length)];
+  return rng.choice(artifactsOfRarity);
 }
 
 /**
@@ -1172,8 +1213,12 @@ export function applyItemEffect(item, player, game) {
     return { success: true, message: 'Shields fully restored' };
   }
 
+  if (item.id === 'medkit') {
+    return game.boardingSystem.treatInjuries();
+  }
+
   if (item.id === 'fuel_cell') {
-    game.fuel = Math.min(100, game.fuel + 50);
+    player.fuel = Math.min(player.maxFuel, player.fuel + 50);
     return { success: true, message: 'Refueled +50' };
   }
 
@@ -10,6 +10,16 @@ import {
   checkOverlap
 } from './ScaleSystem.js';
 
+// Ores by asteroid class, with the share of asteroids carrying each
+const ASTEROID_ORES = {
+  'C-type': [['carbon', 0.45], ['water', 0.35], ['deuterium', 0.15], ['exotic_matter', 0.05]],
+  'S-type': [['silicon', 0.45], ['iron', 0.3], ['titanium', 0.17], ['crystalline_matrix', 0.08]],
+  'M-type': [['iron', 0.4], ['copper', 0.25], ['platinum', 0.25], ['rare_isotopes', 0.1]]
+};
+
+// Orbit that gets Earth-like sunlight from a sun-like star (the third planet slot)
+const TEMPERATE_ORBIT_DISTANCE = DISTANCE_SYSTEM.PLANET_SPACING * 3.5;
+
 /**
  * Enhanced Star System Generator
  * Uses proper scaling and prevents overlaps
@@ -549,6 +559,10 @@ export class EnhancedSystemGenerator {
     const beltCount = this.systemData.asteroidBelts;
 
     for (let b = 0; b < beltCount; b++) {
+      // DETERMINISM: Ore comes from its own stream so the belt layout is unchanged
+      const oreRng = this.rng.child(`ore_${b}`);
+      const richness = oreRng.range(0.7, 1.3);
+
       const beltDistance = DISTANCE_SYSTEM.MIN_ASTEROID_BELT_DISTANCE +
                           (b * 800) + // Much closer belt spacing (was 1500)
                           this.rng.range(-200, 200);
@@ -589,20 +603,57 @@ export class EnhancedSystemGenerator {
           type: asteroidType,
           color: asteroidColor,
           hp: asteroidType === 'M-type' ? this.rng.int(60, 120) : this.rng.int(30, 80), // Metal asteroids are tougher
-          resources: asteroidType === 'M-type' ? this.rng.int(40, 100) : this.rng.int(15, 50) // Metal asteroids have more resources
+          resources: asteroidType === 'M-type' ? this.rng.int(40, 100) : this.rng.int(15, 50), // Metal asteroids have more resources
+          ...this.generateAsteroidOre(asteroidType, richness, oreRng),
+          belt: b,
+          index: i
         });
       }
 
       belts.push({
         distance: beltDistance,
         asteroids,
-        density: asteroidCount / 100
+        density: asteroidCount / 100,
+        richness,
+        composition: this.summarizeBeltComposition(asteroids)
       });
     }
 
     return belts;
   }
 
+  /**
+   * Roll an asteroid's ore and grade (share of the rock that is ore, 0.1-1)
+   * Most rock is low grade; the belt's richness shifts the whole belt
+   */
+  generateAsteroidOre(asteroidType, richness, oreRng) {
+    const roll = oreRng.next();
+    let cumulative = 0;
+    let ore = ASTEROID_ORES[asteroidType][0][0];
+    for (const [oreId, share] of ASTEROID_ORES[asteroidType]) {
+      cumulative += share;
+      if (roll < cumulative) {
+        ore = oreId;
+        break;
+      }
+    }
+
+    const grade = Math.min(1, Math.max(0.1, (0.15 + Math.pow(oreRng.next(), 2) * 0.75) * richness));
+    return { ore, grade };
+  }
+
+  /**
+   * Share of a belt's asteroids carrying each ore
+   * @returns {Object} { oreId: share }
+   */
+  summarizeBeltComposition(asteroids) {
+    const composition = {};
+    for (const asteroid of asteroids) {
+      composition[asteroid.ore] = (composition[asteroid.ore] || 0) + 1 / asteroids.length;
+    }
+    return composition;
+  }
+
   /**
    * Generate asteroid shape
    */
@@ -728,11 +779,12 @@ export class EnhancedSystemGenerator {
   }
 
   /**
-   * Calculate planet temperature based on distance from star
+   * Calculate planet temperature (Kelvin) based on distance from star
+   * Equilibrium temperature: 278K at the temperate orbit, scaled by L^0.25 / sqrt(d)
    */
   calculatePlanetTemperature(distance) {
     const starLuminosity = this.star.luminosity || 1.0;
-    const temperature = (starLuminosity * 1000) / Math.sqrt(distance);
+    const temperature = 278 * Math.pow(starLuminosity, 0.25) / Math.sqrt(distance / TEMPERATE_ORBIT_DISTANCE);
     return Math.min(temperature, 2000);
   }
 
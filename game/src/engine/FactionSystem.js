@@ -1,3 +1,14 @@
+// Factions at war with each other (either listing the other is enough).
+// Kept out of this.factions, which is saved wholesale and replaced on load.
+const FACTION_ENEMIES = {
+  terran_coalition: ['hive_collective', 'rim_syndicate'],
+  independent_worlds: ['hive_collective'],
+  mining_consortium: ['rim_syndicate'],
+  hive_collective: ['terran_coalition', 'independent_worlds', 'mining_consortium', 'free_traders'],
+  free_traders: ['rim_syndicate', 'hive_collective'],
+  rim_syndicate: ['terran_coalition', 'mining_consortium', 'free_traders']
+};
+
 export class FactionSystem {
   constructor() {
     this.factions = {
@@ -5,7 +16,9 @@ export class FactionSystem {
       independent_worlds: { name: 'Independent Worlds Alliance', reputation: 50, color: '#44ff88', territory: [], attitude: 'neutral', tradeBonus: 0 },
       mining_consortium: { name: 'Deep Space Mining Consortium', reputation: 50, color: '#ffaa44', territory: [], attitude: 'neutral', tradeBonus: 0 },
       hive_collective: { name: 'Hive Collectives', reputation: 30, color: '#ff4444', territory: [], attitude: 'hostile', tradeBonus: -0.5 },
-      free_traders: { name: 'Free Traders Guild', reputation: 60, color: '#ffdd44', territory: [], attitude: 'friendly', tradeBonus: 0.1 }
+      free_traders: { name: 'Free Traders Guild', reputation: 60, color: '#ffdd44', territory: [], attitude: 'friendly', tradeBonus: 0.1 },
+      // Holds no territory, runs pirate stations and their black markets (see CustomsSystem)
+      rim_syndicate: { name: 'Rim Syndicate', type: 'pirates', territorial: false, reputation: 45, color: '#aa44ff', territory: [], attitude: 'neutral', tradeBonus: 0 }
     };
   }
 
@@ -18,6 +31,38 @@ export class FactionSystem {
     return { faction: faction.name, newRep: faction.reputation, attitude: faction.attitude };
   }
 
+  /**
+   * Attitude of a faction towards the player ('neutral' for unknown factions)
+   */
+  getRelation(factionId) {
+    const faction = this.factions[factionId];
+    return faction ? faction.attitude : 'neutral';
+  }
+
+  getFaction(factionId) {
+    return this.factions[factionId] || null;
+  }
+
+  getFactionColor(factionId) {
+    const faction = this.factions[factionId];
+    return faction ? faction.color : '#888888';
+  }
+
+  /**
+   * Whether two factions are at war
+   */
+  areHostile(a, b) {
+    if (!a || !b || a === b) return false;
+    return (FACTION_ENEMIES[a] || []).includes(b) || (FACTION_ENEMIES[b] || []).includes(a);
+  }
+
+  /**
+   * Factions at war with the given one
+   */
+  getEnemies(factionId) {
+    return Object.keys(this.factions).filter(id => this.areHostile(factionId, id));
+  }
+
   getFactionStatus() {
     return Object.entries(this.factions).map(([id, f]) => ({ id, name: f.name, reputation: Math.floor(f.reputation), attitude: f.attitude, color: f.color, tradeBonus: Math.floor(f.tradeBonus * 100) }));
   }
@@ -26,22 +71,46 @@ export class FactionSystem {
     for (const f of Object.values(this.factions)) f.territory = [];
     galaxy.forEach((sys, i) => {
       if (!sys.discovered) return;
-      if (sys.hasHiveAliens) this.factions.hive_collective.territory.push(i);
-      else if (sys.resourceRichness > 0.7 && (sys.stationCount || 0) > 5) this.factions.mining_consortium.territory.push(i);
-      else if (i === 0 || (sys.hasMegastructure && sys.visited)) this.factions.terran_coalition.territory.push(i);
-      else this.factions.independent_worlds.territory.push(i);
+      this.factions[this.classifySystem(sys, i)].territory.push(i);
     });
   }
 
-  assignFactionsToGalaxy(galaxy) {
+  /**
+   * Territorial faction a system falls to under assignTerritories
+   */
+  classifySystem(sys, index) {
+    if (sys.hasHiveAliens) return 'hive_collective';
+    if (sys.resourceRichness > 0.7 && (sys.stationCount || 0) > 5) return 'mining_consortium';
+    if (index === 0 || (sys.hasMegastructure && sys.visited)) return 'terran_coalition';
+    return 'independent_worlds';
+  }
+
+  /**
+   * Faction that holds a system: its assigned faction, else the territory it
+   * was counted in, else the faction it would be counted in
+   */
+  getSystemOwner(sys, index) {
+    if (sys.faction && this.factions[sys.faction]) return sys.faction;
+    for (const [id, faction] of Object.entries(this.factions)) {
+      if (faction.territory.includes(index)) return id;
+    }
+    return this.classifySystem(sys, index);
+  }
+
+  /**
+   * Assign every system to the faction with the nearest territory center
+   * @param {Array} galaxy - Galaxy systems
+   * @param {SeededRandom} rng - Faction generation stream (same seed = same borders)
+   */
+  assignFactionsToGalaxy(galaxy, rng) {
     // Assign each faction a center point in the galaxy
     const factionCenters = {};
-    const factionIds = Object.keys(this.factions);
+    const factionIds = Object.keys(this.factions).filter(id => this.factions[id].territorial !== false);
 
     // Distribute factions evenly across the galaxy
     factionIds.forEach((factionId, index) => {
       const angle = (index / factionIds.length) * Math.PI * 2;
-      const distance = 200 + Math.random() * 100;
+      const distance = 200 + rng.next() * 100;
       factionCenters[factionId] = {
         x: Math.cos(angle) * distance,
         y: Math.sin(angle) * distance
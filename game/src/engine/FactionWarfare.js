@@ -0,0 +1,417 @@
+/**
+ * Faction Warfare - Factions at war fight wherever they meet
+ *
+ * Stations fly the flag of the faction holding their system, and their
+ * turrets fire on that faction's enemies (and on the player and their wing,
+ * once the faction is hostile). Each system gets a patrol wing from its owner and
+ * sometimes a raiding wing from one of the owner's enemies. Faction warships
+ * are AlienShips whose race is the faction id, so AlienBehavior's targeting
+ * and doctrine drive them like any alien wing.
+ *
+ * The player can take a side: a kill (or capture) costs reputation with the
+ * victim's faction and earns it with that faction's enemies in the system. Or
+ * they can stay out of it and pick over the wrecks, since every destroyed
+ * ship leaves salvage behind.
+ */
+
+import { AlienShip } from './AlienShip.js';
+import { getItemDefinition } from './ItemCatalog.js';
+
+// Faction navies fight in disciplined wings
+const FACTION_DOCTRINE = { standoff: 0.6, flank: 0.4, focusFire: 0.7, retreatAt: 0.35, warpAt: 0.15 };
+const ATTITUDE_HELPFULNESS = { hostile: 0, unfriendly: 0.2, neutral: 0.4, friendly: 0.8, allied: 1 };
+const ATTITUDE_AGGRESSION = { hostile: 0.9, unfriendly: 0.7, neutral: 0.5, friendly: 0.4, allied: 0.4 };
+
+// Alien races a faction never fights (the hives are kin)
+const ALIEN_KIN = { hive_collective: ['hivemind', 'mycelians', 'fungal'] };
+
+const PATROL_SIZE = { min: 2, max: 3 };
+const RAID_SIZE = { min: 2, max: 4 };
+const RAID_BASE_CHANCE = 0.2;
+const RAID_DANGER_CHANCE = 0.04; // Per danger level
+const PATROL_DISTANCE = 400; // From the station it guards
+const RAID_DISTANCE = 2500; // From the station it raids
+
+const TURRET_RANGE = 900;
+const TURRET_DAMAGE = 20;
+const TURRET_COOLDOWN = 1.5;
+const TURRET_PROJECTILE_SPEED = 600;
+const MILITARY_STATION_TYPES = ['military', 'listening_post'];
+const MILITARY_TURRET_RATE = 2; // Fire rate multiplier
+
+const KILL_REPUTATION_LOSS = 5; // With the destroyed warship's faction
+const KILL_REPUTATION_GAIN = 3; // With each faction in the system at war with it
+const DEFENCE_REPUTATION_GAIN = 2; // For downing an alien that was attacking a faction
+
+const WRECK_LIFETIME = 180; // Seconds before a wreck breaks up
+const WRECK_PICKUP_RANGE = 60;
+const MAX_WRECKS = 20;
+
+// Salvage by hull: [itemId, min, max]
+const WRECK_LOOT = {
+  scout: [['metals', 1, 3], ['electronics', 0, 2]],
+  fighter: [['metals', 2, 5], ['electronics', 1, 3], ['weapons', 0, 1]],
+  bomber: [['metals', 3, 6], ['machinery', 1, 3], ['weapons', 1, 2]],
+  frigate: [['metals', 5, 10], ['machinery', 2, 4], ['weapons', 1, 3], ['fuel_cells', 1, 3]],
+  hive_drone: [['alien_tissue', 1, 2], ['minerals', 0, 2]]
+};
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+export class FactionWarfare {
+  constructor(game) {
+    this.game = game;
+    this.wrecks = []; // { x, y, rotation, cargo: { itemId: quantity }, life, fullWarned }
+  }
+
+  /**
+   * Faction holding the current system, or null outside it
+   */
+  getOwner() {
+    const game = this.game;
+    if (!game.currentSystemData) return null;
+    return game.factionSystem.getSystemOwner(game.currentSystemData, game.currentSystemIndex);
+  }
+
+  /**
+   * New system: old wrecks stay behind (stations were flagged by Game.loadSystem)
+   */
+  onSystemLoaded() {
+    this.wrecks = [];
+  }
+
+  /**
+   * Enemy factions plus the alien races at war with the player, less the faction's kin
+   */
+  getRivals(factionId) {
+    const races = this.game.alienRaceSystem;
+    const kin = ALIEN_KIN[factionId] || [];
+    const hostileRaces = Object.keys(races.races)
+      .filter(raceId => !kin.includes(raceId) && races.getRelationshipStatus(raceId) === 'hostile');
+    return [...this.game.factionSystem.getEnemies(factionId), ...hostileRaces];
+  }
+
+  /**
+   * Stand-in race data so AlienShip and AlienBehavior can fly a faction's warships
+   */
+  getFactionRaceData(factionId, raiding) {
+    const faction = this.game.factionSystem.getFaction(factionId);
+    return {
+      id: factionId,
+      name: faction.name,
+      shipColor: faction.color,
+      traits: {
+        aggression: ATTITUDE_AGGRESSION[faction.attitude] ?? 0.5,
+        helpfulness: ATTITUDE_HELPFULNESS[faction.attitude] ?? 0.4
+      },
+      doctrine: { ...FACTION_DOCTRINE, raidsStations: raiding, rivals: this.getRivals(factionId) }
+    };
+  }
+
+  createWarship(factionId, type, x, y, raiding) {
+    const isHostile = this.game.factionSystem.getRelation(factionId) === 'hostile';
+    return new AlienShip(type, x, y, isHostile, this.getFactionRaceData(factionId, raiding));
+  }
+
+  /**
+   * Hull for a faction warship (heavier ships in more dangerous systems)
+   */
+  pickHull(dangerLevel) {
+    const roll = Math.random();
+    if (dangerLevel > 6 && roll < 0.2) return 'frigate';
+    if (roll < 0.3) return 'scout';
+    if (roll < 0.8) return 'fighter';
+    return 'bomber';
+  }
+
+  spawnWing(factionId, count, centerX, centerY, dangerLevel, raiding) {
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const offset = Math.random() * 150;
+      this.game.enemies.push(this.createWarship(
+        factionId,
+        this.pickHull(dangerLevel),
+        centerX + Math.cos(angle) * offset,
+        centerY + Math.sin(angle) * offset,
+        raiding
+      ));
+    }
+  }
+
+  /**
+   * Patrol of the system's owner and, sometimes, raiders from one of its enemies
+   * Called after spawnEnemies, with the player in position.
+   */
+  spawnFactionShips() {
+    const game = this.game;
+    const owner = this.getOwner();
+    if (!owner) return;
+
+    const dangerLevel = game.currentSystemData.dangerLevel || 3;
+    const ownStations = (game.stations || []).filter(station => station.faction === owner && !station.destroyed);
+    const star = game.star || { x: 0, y: 0 };
+
+    // The patrol guards one of the owner's stations (or the star)
+    const guarded = ownStations.length > 0 ? ownStations[Math.floor(Math.random() * ownStations.length)] : null;
+    const guardX = guarded ? star.x + Math.cos(guarded.angle) * guarded.distance : star.x;
+    const guardY = guarded ? star.y + Math.sin(guarded.angle) * guarded.distance : star.y;
+    const patrolAngle = Math.random() * Math.PI * 2;
+    this.spawnWing(owner, randomInt(PATROL_SIZE.min, PATROL_SIZE.max),
+      guardX + Math.cos(patrolAngle) * PATROL_DISTANCE, guardY + Math.sin(patrolAngle) * PATROL_DISTANCE,
+      dangerLevel, false);
+
+    const enemies = game.factionSystem.getEnemies(owner);
+    if (enemies.length === 0 || Math.random() >= RAID_BASE_CHANCE + dangerLevel * RAID_DANGER_CHANCE) return;
+
+    const raider = enemies[Math.floor(Math.random() * enemies.length)];
+    const raidAngle = Math.random() * Math.PI * 2;
+    this.spawnWing(raider, randomInt(RAID_SIZE.min, RAID_SIZE.max),
+      guardX + Math.cos(raidAngle) * RAID_DISTANCE, guardY + Math.sin(raidAngle) * RAID_DISTANCE,
+      dangerLevel, true);
+    console.log(`[FactionWarfare] ${raider} raiders entering ${owner} space`);
+    game.showNotification(`${game.factionSystem.getFaction(raider).name} raiders detected in system`, 'warning');
+  }
+
+  /**
+   * Factions with a stake in the system: its owner and any with warships here
+   */
+  getPresentFactions() {
+    const factions = this.game.factionSystem.factions;
+    const present = new Set();
+    const owner = this.getOwner();
+    if (owner) present.add(owner);
+    for (const enemy of this.game.enemies) {
+      if (!enemy.isDead && factions[enemy.race]) present.add(enemy.race);
+    }
+    return present;
+  }
+
+  /**
+   * Faction a ship or station fights for, or null
+   */
+  getSide(entity) {
+    const side = entity.stationType ? entity.faction : entity.race;
+    return side && this.game.factionSystem.factions[side] ? side : null;
+  }
+
+  update(dt) {
+    if (this.game.scene !== 'system') return;
+    this.updateTurrets(dt);
+    this.updateWrecks(dt);
+  }
+
+  /**
+   * Station turrets fire on the nearest enemy of their faction in range
+   */
+  updateTurrets(dt) {
+    const game = this.game;
+    const player = game.player;
+    const rivalsByFaction = new Map();
+
+    for (const station of game.stations || []) {
+      if (station.destroyed || !station.faction || station.x === undefined) continue;
+
+      const rate = MILITARY_STATION_TYPES.includes(station.stationType) ? MILITARY_TURRET_RATE : 1;
+      station.turretCooldown = Math.max(0, (station.turretCooldown || 0) - dt * rate);
+      if (station.turretCooldown > 0) continue;
+
+      if (!rivalsByFaction.has(station.faction)) rivalsByFaction.set(station.faction, this.getRivals(station.faction));
+      const rivals = rivalsByFaction.get(station.faction);
+
+      let target = null;
+      let nearest = TURRET_RANGE;
+      for (const ship of game.enemies) {
+        if (ship.isDead || ship.race === station.faction) continue;
+        if (!rivals.includes(ship.race) && ship.target !== station) continue;
+        const dist = distance(station, ship);
+        if (dist < nearest) {
+          target = ship;
+          nearest = dist;
+        }
+      }
+      // The player and their wing, once the faction is hostile
+      if (game.factionSystem.getRelation(station.faction) === 'hostile') {
+        if (!player.docked && player.hull > 0 && distance(station, player) < nearest) {
+          target = player;
+          nearest = distance(station, player);
+        }
+        for (const wingman of [...game.fleetSystem.wingmen, ...game.missionSystem.convoyShips]) {
+          if (distance(station, wingman) < nearest) {
+            target = wingman;
+            nearest = distance(station, wingman);
+          }
+        }
+      }
+
+      if (target) this.fireTurret(station, target);
+    }
+  }
+
+  fireTurret(station, target) {
+    station.turretCooldown = TURRET_COOLDOWN;
+
+    // Lead the target
+    const timeToHit = distance(station, target) / TURRET_PROJECTILE_SPEED;
+    const aimX = target.x + (target.vx || 0) * timeToHit;
+    const aimY = target.y + (target.vy || 0) * timeToHit;
+    const angle = Math.atan2(aimY - station.y, aimX - station.x);
+    const muzzle = station.size || 40;
+
+    this.game.projectiles.push({
+      x: station.x + Math.cos(angle) * muzzle,
+      y: station.y + Math.sin(angle) * muzzle,
+      vx: Math.cos(angle) * TURRET_PROJECTILE_SPEED,
+      vy: Math.sin(angle) * TURRET_PROJECTILE_SPEED,
+      damage: TURRET_DAMAGE,
+      life: 2,
+      maxLife: 2,
+      color: this.game.factionSystem.getFactionColor(station.faction),
+      size: 4,
+      owner: 'enemy',
+      friendly: false,
+      source: station,
+      side: station.faction,
+      raid: false
+    });
+  }
+
+  /**
+   * Salvage and reputation for a destroyed ship
+   * Called for every ship that dies, whoever killed it.
+   */
+  onShipDestroyed(ship) {
+    this.dropWreck(ship);
+    this.applyTakedownReputation(ship);
+  }
+
+  /**
+   * A ship boarded and taken by the player counts as a kill, minus the wreck
+   */
+  onShipCaptured(ship) {
+    this.applyTakedownReputation(ship);
+  }
+
+  applyTakedownReputation(ship) {
+    const game = this.game;
+    if (!game.fleetSystem.isPlayerSide(ship.lastAttacker)) return;
+
+    const factionSystem = game.factionSystem;
+    const side = this.getSide(ship);
+
+    if (side) {
+      // Taking a side: the victim's faction remembers, its enemies here are grateful
+      factionSystem.modifyReputation(side, -KILL_REPUTATION_LOSS);
+      const grateful = [...this.getPresentFactions()].filter(id => factionSystem.areHostile(id, side));
+      for (const id of grateful) factionSystem.modifyReputation(id, KILL_REPUTATION_GAIN);
+
+      let message = `${factionSystem.getFaction(side).name} reputation -${KILL_REPUTATION_LOSS}`;
+      if (grateful.length > 0) {
+        message += `, ${grateful.map(id => factionSystem.getFaction(id).name).join(', ')} +${KILL_REPUTATION_GAIN}`;
+      }
+      game.showNotification(message, grateful.length > 0 ? 'info' : 'warning');
+      return;
+    }
+
+    // Downing an alien that was attacking a faction's ship or station
+    const victim = ship.target;
+    const defended = victim && !game.fleetSystem.isPlayerSide(victim) ? this.getSide(victim) : null;
+    if (defended) {
+      factionSystem.modifyReputation(defended, DEFENCE_REPUTATION_GAIN);
+      game.showNotification(`${factionSystem.getFaction(defended).name} reputation +${DEFENCE_REPUTATION_GAIN}`, 'success');
+    }
+  }
+
+  dropWreck(ship) {
+    const cargo = {};
+    for (const [itemId, min, max] of WRECK_LOOT[ship.type] || WRECK_LOOT.fighter) {
+      const quantity = randomInt(min, max);
+      if (quantity > 0) cargo[itemId] = quantity;
+    }
+    if (Object.keys(cargo).length === 0) return;
+
+    this.wrecks.push({
+      x: ship.x,
+      y: ship.y,
+      rotation: ship.rotation || 0,
+      size: ship.size || 16,
+      color: ship.color || '#888888',
+      cargo,
+      life: WRECK_LIFETIME,
+      fullWarned: false
+    });
+    if (this.wrecks.length > MAX_WRECKS) this.wrecks.shift();
+  }
+
+  /**
+   * Wrecks break up over time and are salvaged by flying over them
+   */
+  updateWrecks(dt) {
+    const player = this.game.player;
+
+    for (let i = this.wrecks.length - 1; i >= 0; i--) {
+      const wreck = this.wrecks[i];
+      wreck.life -= dt;
+      if (wreck.life > 0 && distance(wreck, player) < WRECK_PICKUP_RANGE + wreck.size) {
+        this.salvage(wreck);
+      }
+      if (wreck.life <= 0 || Object.keys(wreck.cargo).length === 0) {
+        this.wrecks.splice(i, 1);
+      }
+    }
+  }
+
+  salvage(wreck) {
+    const game = this.game;
+    const taken = [];
+
+    for (const [itemId, quantity] of Object.entries(wreck.cargo)) {
+      const result = game.cargoSystem.addCargo(itemId, quantity, { purchasePrice: 0 });
+      if (!result.success || !result.added) continue;
+      taken.push(`${result.added} ${getItemDefinition(itemId)?.name || itemId}`);
+      if (result.added >= quantity) delete wreck.cargo[itemId];
+      else wreck.cargo[itemId] = quantity - result.added;
+    }
+
+    if (taken.length > 0) {
+      game.showNotification(`Salvaged ${taken.join(', ')}`, 'success');
+    } else if (!wreck.fullWarned) {
+      wreck.fullWarned = true;
+      game.showNotification('Cargo hold full - cannot salvage wreck', 'warning');
+    }
+  }
+
+  /**
+   * Wreckage: a few tumbling hull fragments in the ship's colors
+   */
+  render(ctx, camera) {
+    for (const wreck of this.wrecks) {
+      const x = Math.floor(wreck.x - camera.x);
+      const y = Math.floor(wreck.y - camera.y);
+      if (x < -50 || x > this.game.width + 50 || y < -50 || y > this.game.height + 50) continue;
+
+      // Fades out over the last 20 seconds
+      ctx.save();
+      ctx.globalAlpha = Math.min(1, wreck.life / 20);
+      ctx.translate(x, y);
+      ctx.rotate(wreck.rotation + this.game.time * 0.2);
+
+      const s = wreck.size;
+      ctx.fillStyle = '#555555';
+      ctx.fillRect(-s * 0.6, -s * 0.3, s * 0.7, s * 0.4);
+      ctx.fillStyle = wreck.color;
+      ctx.fillRect(s * 0.2, -s * 0.1, s * 0.4, s * 0.3);
+      ctx.fillStyle = '#333333';
+      ctx.fillRect(-s * 0.2, s * 0.2, s * 0.3, s * 0.2);
+
+      ctx.restore();
+    }
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Fleet System - Wingmen hired at stations
+ *
+ * Stations list a few pilots for hire, seeded per station and reposted every
+ * ROSTER_REFRESH_SECONDS of game time. A hired pilot flies a Wingman beside
+ * the player and draws a daily wage from credits on the economy clock; a
+ * pilot who goes unpaid leaves. Squad commands (SQUAD_COMMANDS) go to the
+ * whole wing.
+ *
+ * A wingman who is shot down ejects and rejoins, in a new ship, the next time
+ * the player docks. With crew permadeath on, they are lost for good.
+ */
+
+import { Wingman, SQUAD_COMMANDS } from './Wingman.js';
+
+export const MAX_WINGMEN = 3;
+
+// Game seconds in a paid day (wages run on the economy clock)
+export const WAGE_PERIOD = 600;
+
+const ROSTER_REFRESH_SECONDS = 1800;
+const PILOTS_PER_ROSTER = [1, 3];
+
+// Per hull: signing fee (covers the first day) and daily wage at skill 1
+const HULL_TERMS = {
+  scout: { fee: 400, wage: 80 },
+  fighter: { fee: 800, wage: 150 },
+  bomber: { fee: 1200, wage: 220 },
+  frigate: { fee: 2500, wage: 400 }
+};
+const MILITARY_STATION_TYPES = ['military', 'listening_post']; // Only these have frigate crews for hire
+const SKILL_RANGE = [0.8, 1.3]; // Damage multiplier; wages scale with it
+
+const PILOT_NAMES = ['Vega', 'Okafor', 'Lindqvist', 'Tanaka', 'Moreau', 'Haldane', 'Reyes', 'Kovac',
+  'Asante', 'Ibarra', 'Novak', 'Sato', 'Quill', 'Brandt', 'Oyelaran', 'Castellan'];
+const CALLSIGNS = ['Ghost', 'Rook', 'Viper', 'Halo', 'Mako', 'Jinx', 'Comet', 'Saber', 'Wren', 'Flint',
+  'Echo', 'Nomad', 'Talon', 'Spark'];
+
+// "Attack my target" without a lock (see TargetingSystem): the ship nearest the nose, within this cone and range
+const AIM_CONE = 0.35; // Radians either side
+const AIM_RANGE = 2000;
+
+export class FleetSystem {
+  constructor(game) {
+    this.game = game;
+    this.pilots = []; // Hired pilots, in hiring order
+    this.wingmen = []; // Wingman ships of the pilots flying in this system
+    this.command = 'formation';
+    this.hiredOffers = new Map(); // pilotId -> roster epoch, so hired pilots leave the roster
+    this.rosters = new Map(); // rosterKey -> pilots (regenerated from the seed, not saved)
+  }
+
+  get clock() {
+    return this.game.economySystem.clock;
+  }
+
+  getEpoch() {
+    return Math.floor(this.clock / ROSTER_REFRESH_SECONDS);
+  }
+
+  /**
+   * Pilots looking for work at a station
+   * DETERMINISM: Seeded by station and epoch only
+   */
+  getRoster(station, systemIndex) {
+    const epoch = this.getEpoch();
+    const rosterKey = `${systemIndex}:${station.name || station.stationType || 'Station'}:${epoch}`;
+
+    if (!this.rosters.has(rosterKey)) {
+      for (const [key, pilots] of this.rosters) {
+        if (pilots.epoch !== epoch) this.rosters.delete(key);
+      }
+      for (const [pilotId, hiredEpoch] of this.hiredOffers) {
+        if (hiredEpoch !== epoch) this.hiredOffers.delete(pilotId);
+      }
+
+      const rng = this.game.getGenerationRng('fleet').child(rosterKey);
+      const hulls = Object.keys(HULL_TERMS).filter(hull =>
+        hull !== 'frigate' || MILITARY_STATION_TYPES.includes(station.stationType));
+      const pilots = [];
+      const count = rng.int(PILOTS_PER_ROSTER[0], PILOTS_PER_ROSTER[1]);
+      for (let i = 0; i < count; i++) {
+        pilots.push(this.generatePilot(rng, `${rosterKey}:${i}`, rng.choice(hulls)));
+      }
+      pilots.epoch = epoch;
+      this.rosters.set(rosterKey, pilots);
+    }
+
+    return this.rosters.get(rosterKey).filter(pilot => !this.hiredOffers.has(pilot.pilotId));
+  }
+
+  generatePilot(rng, pilotId, hull) {
+    const skill = Math.round(rng.range(SKILL_RANGE[0], SKILL_RANGE[1]) * 100) / 100;
+    const terms = HULL_TERMS[hull];
+    return {
+      pilotId,
+      name: `${rng.choice(PILOT_NAMES)} "${rng.choice(CALLSIGNS)}"`,
+      hull,
+      skill,
+      hireFee: Math.round(terms.fee * skill),
+      wage: Math.round(terms.wage * skill)
+    };
+  }
+
+  hire(pilotId, station, systemIndex) {
+    const game = this.game;
+    const economy = game.economySystem;
+    const offer = this.getRoster(station, systemIndex).find(pilot => pilot.pilotId === pilotId);
+
+    if (!game.player.docked) return { success: false, message: 'Hiring requires docking' };
+    if (!offer) return { success: false, message: 'Pilot no longer available' };
+    if (this.pilots.length >= MAX_WINGMEN) return { success: false, message: `Wing full (${MAX_WINGMEN} pilots)` };
+    if (economy.credits < offer.hireFee) return { success: false, message: 'Insufficient credits' };
+
+    economy.credits -= offer.hireFee;
+    const pilot = { ...offer, paidUntil: this.clock + WAGE_PERIOD, downed: false, hp: null, shields: null };
+    this.pilots.push(pilot);
+    this.hiredOffers.set(pilotId, this.getEpoch());
+    this.launch(pilot);
+
+    console.log(`[FleetSystem] Hired ${pilot.name} (${pilot.hull}) for ${offer.hireFee} CR`);
+    return { success: true, message: `${pilot.name} joins your wing` };
+  }
+
+  dismiss(pilotId) {
+    const pilot = this.pilots.find(entry => entry.pilotId === pilotId);
+    if (!pilot) return;
+    this.removePilot(pilot);
+    this.game.showNotification(`${pilot.name} has left your wing`, 'info');
+  }
+
+  removePilot(pilot) {
+    this.pilots = this.pilots.filter(entry => entry !== pilot);
+    this.wingmen = this.wingmen.filter(wingman => wingman.pilot !== pilot);
+    this.assignSlots();
+  }
+
+  assignSlots() {
+    this.wingmen.forEach((wingman, index) => {
+      wingman.slot = index;
+    });
+  }
+
+  /**
+   * Put a pilot's ship in space on the player's wing
+   */
+  launch(pilot) {
+    const player = this.game.player;
+    const wingman = new Wingman(pilot, player.x, player.y);
+    if (pilot.hp !== null) wingman.hp = Math.min(wingman.maxHp, pilot.hp);
+    if (pilot.shields !== null) wingman.shields = Math.min(wingman.maxShields, pilot.shields);
+    wingman.command = this.command;
+    this.wingmen.push(wingman);
+    this.assignSlots();
+
+    const slot = wingman.getSlotPosition(player);
+    wingman.x = slot.x;
+    wingman.y = slot.y;
+    wingman.vx = player.vx || 0;
+    wingman.vy = player.vy || 0;
+    wingman.rotation = player.rotation;
+    return wingman;
+  }
+
+  /**
+   * New system (or respawn): the wing forms up on the player again
+   */
+  regroup() {
+    for (const pilot of this.pilots) {
+      const wingman = this.wingmen.find(entry => entry.pilot === pilot);
+      if (wingman) this.stowState(wingman);
+    }
+    this.wingmen = [];
+    for (const pilot of this.pilots) {
+      if (!pilot.downed) this.launch(pilot);
+    }
+  }
+
+  /**
+   * Keep a ship's damage with its pilot (for regrouping and saves)
+   */
+  stowState(wingman) {
+    wingman.pilot.hp = wingman.hp;
+    wingman.pilot.shields = wingman.shields;
+  }
+
+  /**
+   * Pilots who ejected rejoin at the station, in a fresh ship
+   */
+  onDock() {
+    for (const pilot of this.pilots) {
+      if (!pilot.downed) continue;
+      pilot.downed = false;
+      pilot.hp = null;
+      pilot.shields = null;
+      this.launch(pilot);
+      this.game.showNotification(`${pilot.name} is back on your wing`, 'success');
+    }
+  }
+
+  /**
+   * Order the whole wing
+   * @param {string} command - Key of SQUAD_COMMANDS
+   */
+  issueCommand(command) {
+    if (!SQUAD_COMMANDS[command] || this.wingmen.length === 0) return;
+
+    if (command === 'attack' && !this.getPlayerTarget()) {
+      this.game.showNotification('Wing: no target', 'warning');
+      return;
+    }
+
+    this.command = command;
+    for (const wingman of this.wingmen) {
+      wingman.command = command;
+      wingman.holdPoint = command === 'hold' ? { x: wingman.x, y: wingman.y } : null;
+    }
+    this.game.showNotification(`Wing: ${SQUAD_COMMANDS[command].label}`, 'info');
+  }
+
+  /**
+   * What the player is shooting at: the locked target, else the ship nearest the nose
+   */
+  getPlayerTarget() {
+    const game = this.game;
+    const player = game.player;
+    const locked = game.targetingSystem.target;
+    if (locked) return locked;
+
+    let best = null;
+    let bestDist = AIM_RANGE;
+    for (const ship of game.enemies) {
+      if (ship.isDead) continue;
+      const dx = ship.x - player.x;
+      const dy = ship.y - player.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      let offAxis = Math.atan2(dy, dx) - player.rotation;
+      offAxis = Math.atan2(Math.sin(offAxis), Math.cos(offAxis));
+      if (Math.abs(offAxis) < AIM_CONE && dist < bestDist) {
+        best = ship;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether a kill or hit counts as the player's (their own guns or their wing's)
+   */
+  isPlayerSide(entity) {
+    return !!entity && (entity === this.game.player || entity.isWingman === true);
+  }
+
+  /**
+   * Wages and the wing's flying
+   * @param {Object} surroundings - { stations, star } as passed to alien ships
+   */
+  update(dt, surroundings = {}) {
+    this.payWages();
+
+    const game = this.game;
+    if (game.scene !== 'system') return;
+
+    const wingSurroundings = { ...surroundings, fleet: this };
+    for (const wingman of [...this.wingmen]) {
+      wingman.update(dt, game.player, game.enemies, game.projectiles, wingSurroundings);
+      if (wingman.isDead || wingman.hp <= 0) this.onWingmanLost(wingman);
+    }
+  }
+
+  /**
+   * Pay each pilot for every day they've worked; those who can't be paid quit
+   */
+  payWages() {
+    const economy = this.game.economySystem;
+    for (const pilot of [...this.pilots]) {
+      while (pilot.paidUntil <= this.clock) {
+        if (economy.credits < pilot.wage) {
+          this.removePilot(pilot);
+          this.game.showNotification(`${pilot.name} quit: wages unpaid`, 'warning');
+          break;
+        }
+        economy.credits -= pilot.wage;
+        pilot.paidUntil += WAGE_PERIOD;
+      }
+    }
+  }
+
+  onWingmanLost(wingman) {
+    const game = this.game;
+    const pilot = wingman.pilot;
+    game.createExplosion(wingman.x, wingman.y, wingman.size || 30);
+
+    if (game.gameConfig.crewPermadeath) {
+      this.removePilot(pilot);
+      game.showNotification(`${pilot.name} was killed in action`, 'error');
+      return;
+    }
+
+    pilot.downed = true;
+    this.wingmen = this.wingmen.filter(entry => entry !== wingman);
+    this.assignSlots();
+    game.showNotification(`${pilot.name} ejected - will rejoin at the next station`, 'warning');
+  }
+
+  render(ctx, camera) {
+    for (const wingman of this.wingmen) {
+      const sx = wingman.x - camera.x;
+      const sy = wingman.y - camera.y;
+      if (sx < -100 || sx > this.game.width + 100 || sy < -100 || sy > this.game.height + 100) continue;
+      wingman.render(ctx, camera);
+    }
+  }
+
+  serialize() {
+    for (const wingman of this.wingmen) this.stowState(wingman);
+    return {
+      pilots: this.pilots.map(pilot => ({ ...pilot })),
+      command: this.command,
+      hiredOffers: [...this.hiredOffers]
+    };
+  }
+
+  deserialize(data) {
+    this.pilots = [];
+    this.wingmen = [];
+    this.command = 'formation';
+    this.hiredOffers = new Map();
+    if (!data) return;
+
+    this.pilots = (data.pilots || []).filter(pilot => HULL_TERMS[pilot.hull]).map(pilot => ({ ...pilot }));
+    this.command = SQUAD_COMMANDS[data.command] ? data.command : 'formation';
+    this.hiredOffers = new Map(data.hiredOffers || []);
+    this.regroup();
+  }
+}
@@ -1,5 +1,6 @@
 import { RETRO_PALETTE } from './constants.js';
 import { SeededRandom } from '../utils/SeededRandom.js';
+import { loadSettings } from '../utils/GameStateManager.js';
 import { GalaxyGenerator } from './GalaxyGenerator.js';
 import { AdvancedPhysics } from './AdvancedPhysics.js';
 import { EnhancedSystemGenerator } from './EnhancedSystemGenerator.js';
@@ -8,6 +9,7 @@ import { Megastructure } from './Megastructure.js';
 import { AlienShip } from './AlienShip.js';
 import { WeaponSystem, updateProjectile } from './WeaponSystem.js';
 import { ShieldSystem } from './ShieldSystem.js';
+import { ArmorSystem } from './ArmorSystem.js';
 import { InertialMovement } from './InertialMovement.js';
 import { BlackholeRenderer } from './BlackholeRenderer.js';
 import { BlackHoleWarpEffect } from './BlackHoleWarpEffect.js';
@@ -20,15 +22,26 @@ import { MobileControls } from './MobileControls.js';
 import { ResourceSystem } from './ResourceSystem.js';
 import { CargoSystem } from './CargoSystem.js';
 import { MiningSystem } from './MiningSystem.js';
+import { CraftingSystem } from './CraftingSystem.js';
+import { FleetSystem } from './FleetSystem.js';
+import { SQUAD_COMMANDS } from './Wingman.js';
+import { TargetingSystem } from './TargetingSystem.js';
+import { BoardingSystem } from './BoardingSystem.js';
 import { AlienRaceSystem } from './AlienRaceSystem.js';
 import { AlienShipRenderer } from './AlienShipRenderer.js';
 import { FactionSystem } from './FactionSystem.js';
 import { EconomySystem } from './EconomySystem.js';
+import { CustomsSystem } from './CustomsSystem.js';
+import { FactionWarfare } from './FactionWarfare.js';
+import { MissionSystem } from './MissionSystem.js';
+import { SurfaceExploration } from './SurfaceExploration.js';
+import { ShipyardSystem, SHIP_CLASSES, STOCK_LOADOUT } from './ShipyardSystem.js';
 import { WarpGateSystem } from './WarpGateSystem.js';
 import { ArtifactSystem } from './ArtifactSystem.js';
 import { UIRenderer } from './UIRenderer.js';
 import { InteractionSystem } from './InteractionSystem.js';
 import { SaveSystem } from './SaveSystem.js';
+import { CloudSaveBackend } from './CloudSaveBackend.js';
 // Enhanced systems
 import { PerformanceOptimizer } from './PerformanceOptimizer.js';
 import { EnhancedEffects } from './EnhancedEffects.js';
@@ -108,25 +121,36 @@ export class Game {
   }
 
   constructor(canvas, config = {}) {
-    this.canvas = canvas;
-    const ctx = canvas.getContext('2d', { alpha: false });
-    if (!ctx) throw new Error('Could not get 2D context');
-    this.ctx = ctx;
-    // CRITICAL: Disable image smoothing for crisp pixelated graphics
-    // Must be set every frame as canvas operations can reset it
-    this.ctx.imageSmoothingEnabled = false;
-    this.ctx.mozImageSmoothingEnabled = false;
-    this.ctx.webkitImageSmoothingEnabled = false;
-    this.ctx.msImageSmoothingEnabled = false;
+    // HEADLESS: No canvas, DOM input, rendering, storage or requestAnimationFrame.
+    // The simulation only advances through step() (see HeadlessSimulation).
+    this.headless = config.headless || false;
 
+    this.canvas = canvas;
     this.width = 1920;
     this.height = 1080;
-    this.scale = Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
 
-    canvas.width = this.width;
-    canvas.height = this.height;
-    canvas.style.width = `${this.width * this.scale}px`;
-    canvas.style.height = `${this.height * this.scale}px`;
+    let ctx = null;
+    if (this.headless) {
+      this.ctx = null;
+      this.scale = 1;
+    } else {
+      ctx = canvas.getContext('2d', { alpha: false });
+      if (!ctx) throw new Error('Could not get 2D context');
+      this.ctx = ctx;
+      // CRITICAL: Disable image smoothing for crisp pixelated graphics
+      // Must be set every frame as canvas operations can reset it
+      this.ctx.imageSmoothingEnabled = false;
+      this.ctx.mozImageSmoothingEnabled = false;
+      this.ctx.webkitImageSmoothingEnabled = false;
+      this.ctx.msImageSmoothingEnabled = false;
+
+      this.scale = Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
+
+      canvas.width = this.width;
+      canvas.height = this.height;
+      canvas.style.width = `${this.width * this.scale}px`;
+      canvas.style.height = `${this.height * this.scale}px`;
+    }
 
     // Game version for save compatibility
     this.VERSION = '0.2.0';
@@ -135,6 +159,9 @@ export class Game {
     this.playtime = 0; // Total playtime in milliseconds
     this.sessionStartTime = Date.now();
 
+    // Set when a modified save is loaded (see SaveSystem.checkIntegrity)
+    this.runIntegrityFlagged = false;
+
     // NEW GAME SETUP OPTIONS: Apply configuration from setup screen
     this.gameConfig = {
       // Player customization
@@ -192,7 +219,6 @@ export class Game {
       'wealthy': 5000,
     };
     this.credits = startingCreditsMap[this.gameConfig.startingBonus] || 1000;
-    this.cargo = [];
 
     // Statistics tracking
     this.statistics = {
@@ -283,6 +309,7 @@ export class Game {
       selectedTradeTab: 'buy', // For trading: buy, sell, refuel
       selectedFaction: null, // For diplomacy screen
       selectedSaveSlot: null, // For save/load screens
+      loadScreenTab: 'slots', // 'slots' or 'recovery' (autosaves and restore points)
       hoveredItem: null,
       scrollOffset: 0,
       // Pop-up system
@@ -339,7 +366,9 @@ export class Game {
     };
     this.star = { x: 0, y: 0, radius: 400, mass: 10000 };
 
-    this.initInput();
+    if (!this.headless) {
+      this.initInput();
+    }
     this.initStarfield();
     this.initPlayer();
 
@@ -362,8 +391,18 @@ export class Game {
     // Initialize faction, economy, and other new systems
     this.factionSystem = new FactionSystem();
     this.economySystem = new EconomySystem(this);
+    this.customsSystem = new CustomsSystem(this);
+    this.factionWarfare = new FactionWarfare(this);
     this.warpGateSystem = new WarpGateSystem();
     this.artifactSystem = new ArtifactSystem();
+    this.missionSystem = new MissionSystem(this);
+    this.shipyardSystem = new ShipyardSystem(this);
+    this.surfaceExploration = new SurfaceExploration(this);
+    this.miningSystem = new MiningSystem(this);
+    this.craftingSystem = new CraftingSystem(this);
+    this.fleetSystem = new FleetSystem(this);
+    this.targetingSystem = new TargetingSystem(this);
+    this.boardingSystem = new BoardingSystem(this);
 
     // Make enhanced items available to UI
     this.ENHANCED_ARTIFACTS = ENHANCED_ARTIFACTS;
@@ -379,29 +418,29 @@ export class Game {
     this.galaxyInitialized = false;
 
     // Initialize mobile controls
-    this.mobileControls = new MobileControls(canvas, this);
+    this.mobileControls = this.headless ? null : new MobileControls(canvas, this);
 
     // Initialize UI renderer
-    this.uiRenderer = new UIRenderer(this);
+    this.uiRenderer = this.headless ? null : new UIRenderer(this);
 
     // Initialize interaction system
     this.interactionSystem = new InteractionSystem(this);
 
-    // Initialize enhanced systems
-    this.performanceOptimizer = new PerformanceOptimizer(this);
-    this.enhancedEffects = new EnhancedEffects(this);
-    this.retroScreenEffects = new RetroScreenEffects(canvas, ctx);
+    // Initialize enhanced systems (visual only, not needed headless)
+    this.performanceOptimizer = this.headless ? null : new PerformanceOptimizer(this);
+    this.enhancedEffects = this.headless ? null : new EnhancedEffects(this);
+    this.retroScreenEffects = this.headless ? null : new RetroScreenEffects(canvas, ctx);
 
     // PERFORMANCE: Initialize optimized rendering and particle systems
-    this.optimizedRenderer = new OptimizedRenderer(this);
+    this.optimizedRenderer = this.headless ? null : new OptimizedRenderer(this);
     this.particleManager = new ParticleManager(800); // OPTIMIZED: Reduced from 3000 to 800 for better performance
     // LAZY LOAD: Thruster effects initialized on first use
     this.thrusterEffects = null;
 
     // SPRITES: Initialize sprite-based rendering system
-    this.spriteManager = new SpriteManager(this);
+    this.spriteManager = this.headless ? null : new SpriteManager(this);
     // PERFORMANCE FIX: Generate only star sprite initially, planets on-demand
-    this.useSpriteRendering = true; // ENABLED: Using optimized progressive generation
+    this.useSpriteRendering = !this.headless; // ENABLED: Using optimized progressive generation
     this.progressiveSpriteGeneration = true; // Generate sprites across multiple frames
 
     // HUD UI OVERHAUL: Initialize ship damage system
@@ -428,10 +467,24 @@ export class Game {
     // PHYSICS ENGINE: Extracted physics engine for better code organization
     this.physicsEngine = new PhysicsEngine(this);
 
-    // Initialize save system
-    this.saveSystem = new SaveSystem(this);
+    // Initialize save system (headless runs never touch localStorage)
+    this.saveSystem = this.headless ? null : new SaveSystem(this);
     this.lastSaveTime = 0;
 
+    // Cloud sync is opt-in from the settings screen
+    if (this.saveSystem && CloudSaveBackend.isEnabled()) {
+      this.saveSystem.cloudBackend = new CloudSaveBackend(this.gameConfig.callsign, {
+        maxSaveSlots: this.saveSystem.MAX_SAVE_SLOTS,
+        maxAutosaveSlots: this.saveSystem.MAX_AUTOSAVE_SLOTS
+      });
+    }
+
+    // Autosave ring size from the settings screen
+    const savedSettings = this.saveSystem ? loadSettings() : null;
+    if (savedSettings && savedSettings.success && savedSettings.settings && savedSettings.settings.autoSaveSlots) {
+      this.saveSystem.setAutosaveRingSize(savedSettings.settings.autoSaveSlots);
+    }
+
     // Performance settings (can be modified by optimizer)
     // OPTIMIZED: Aggressively reduced for better startup FPS
     this.maxParticles = 150; // PERFORMANCE: Reduced from 200 to 150 for better FPS
@@ -455,7 +508,7 @@ export class Game {
     // FIXED: Load star system and ensure systemLoading is properly managed
     // Don't set systemLoading=false here, let loadStarSystem handle it completely
     console.log('[Game] Starting async star system load...');
-    this.loadStarSystem(0)
+    const systemLoaded = this.loadStarSystem(0)
       .then(() => {
         console.log('[Game] ✓ Star system load promise resolved');
         // Don't set systemLoading here - sprite generation handles it
@@ -479,7 +532,15 @@ export class Game {
     // this.saveSystem.startAutosave();
 
     // PERFORMANCE FIX: Initialize galaxy systems asynchronously (doesn't block first render)
-    this.initializeGalaxySystemsAsync();
+    const galaxyInitialized = this.initializeGalaxySystemsAsync();
+
+    // Resolves once the starting system and galaxy systems are set up (HeadlessSimulation waits on it)
+    this.ready = Promise.all([systemLoaded, galaxyInitialized]);
+
+    // Headless games are stepped by the caller instead of a render loop
+    if (this.headless) {
+      return;
+    }
 
     // FIX: Render initial frame immediately to prevent black screen flash
     // This ensures the canvas shows the game background before the first loop iteration
@@ -517,7 +578,7 @@ export class Game {
       await new Promise(resolve => setTimeout(resolve, 0));
 
       // Generate warp gate network
-      this.warpGateSystem.generateGateNetwork(this.galaxy);
+      this.warpGateSystem.generateGateNetwork(this.galaxy, this.getGenerationRng('warpGates'));
 
       this.galaxyInitialized = true;
       console.log('[Performance] Galaxy systems initialized');
@@ -527,6 +588,34 @@ export class Game {
     }
   }
 
+  /**
+   * Full galaxy data for a system
+   * PERFORMANCE FIX: Placeholders are generated on-demand and replace their galaxy entry
+   * @param {number} systemIndex - Galaxy index
+   * @returns {Object|undefined} System data
+   */
+  getSystemData(systemIndex) {
+    let systemData = this.galaxy[systemIndex];
+
+    if (systemData && systemData.isPlaceholder) {
+      systemData = this.galaxyGenerator.generateSystemOnDemand(systemIndex);
+      this.galaxy[systemIndex] = systemData; // Update galaxy array with full data
+    }
+
+    return systemData;
+  }
+
+  /**
+   * DETERMINISM: Child random stream for a generation subsystem
+   * Derived from the game seed only, so two players sharing a seed get the same
+   * gates, faction borders, markets and artifacts regardless of play order.
+   * @param {string} streamName - Subsystem name ('warpGates', 'economy', ...)
+   * @returns {SeededRandom} Generator for that subsystem
+   */
+  getGenerationRng(streamName) {
+    return new SeededRandom(this.seed).child(streamName);
+  }
+
   initInput() {
     // Store event handlers for cleanup
     this.eventHandlers = {
@@ -545,6 +634,8 @@ export class Game {
 
     this.eventHandlers.keydown = (e) => {
       this.input.keys.add(e.code);
+      // On a surface WASD drives the rover and E extracts (see SurfaceExploration), so D and E keep off their ship binds
+      const roving = this.player && this.player.landed;
       if (e.code === 'Space') {
         this.input.fire = true;
         e.preventDefault();
@@ -563,7 +654,7 @@ export class Game {
         this.weaponSystem.previousWeapon();
       }
       // 'E' key - prioritize interaction over weapon switching
-      if (e.code === 'KeyE') {
+      if (e.code === 'KeyE' && !roving) {
         if (this.interactionSystem && this.uiState.showInteractionPrompt) {
           // Activate full interaction popup when prompt is showing
           this.interactionSystem.activateFullPopup();
@@ -613,7 +704,7 @@ export class Game {
         }
         this.updatePauseState();
       }
-      if (e.code === 'KeyD') {
+      if (e.code === 'KeyD' && !roving) {
         // Diplomacy/Factions screen (D for Diplomacy)
         this.uiState.showDiplomacy = !this.uiState.showDiplomacy;
         if (this.uiState.showDiplomacy) {
@@ -629,6 +720,25 @@ export class Game {
         return;
       }
 
+      // Targeting: Tab cycles, R snaps to the nearest ship, G picks a subsystem
+      if (e.code === 'Tab' && this.targetingSystem) {
+        e.preventDefault();
+        this.targetingSystem.cycleTarget(1);
+      }
+      if (e.code === 'KeyR' && this.targetingSystem) {
+        this.targetingSystem.targetNearest();
+      }
+      if (e.code === 'KeyG' && this.targetingSystem) {
+        this.targetingSystem.cycleSubsystem();
+      }
+
+      // Squad commands (1-4)
+      for (const [command, { key }] of Object.entries(SQUAD_COMMANDS)) {
+        if (e.code === key && this.fleetSystem) {
+          this.fleetSystem.issueCommand(command);
+        }
+      }
+
       if (e.code === 'Escape') {
         // Close popup if showing
         if (this.uiState.showPopup) {
@@ -649,9 +759,9 @@ export class Game {
       // Save/Load shortcuts
       if (e.code === 'F5') {
         e.preventDefault();
-        // Quick save to slot 1
+        // Quick save to the quicksave slot
         if (this.saveSystem) {
-          this.saveSystem.saveGame('save_1', 'Quick Save');
+          this.saveSystem.quickSave();
         }
       }
       if (e.code === 'F6') {
@@ -686,23 +796,7 @@ export class Game {
         e.preventDefault();
         // Quick load from most recent save
         if (this.saveSystem) {
-          const saves = this.saveSystem.getSaveList();
-          // Find most recent save
-          let mostRecent = null;
-          let latestTime = 0;
-          for (const save of saves) {
-            if (!save.empty && save.timestamp && save.timestamp > latestTime) {
-              latestTime = save.timestamp;
-              mostRecent = save;
-            }
-          }
-          if (mostRecent) {
-            this.saveSystem.loadGame(mostRecent.slot);
-          } else {
-            if (this.notificationSystem) {
-              this.notificationSystem.show('No saves found', 'warning');
-            }
-          }
+          this.saveSystem.quickLoad();
         }
       }
     };
@@ -889,17 +983,9 @@ export class Game {
   }
 
   initPlayer() {
-    // Apply ship class bonuses
-    const shipClassBonuses = {
-      'scout': { hull: 0.7, shields: 0.8, speed: 1.4, fuel: 1.2, cargo: 0.6 },
-      'explorer': { hull: 1.0, shields: 1.0, speed: 1.0, fuel: 1.5, cargo: 1.0 },
-      'fighter': { hull: 0.8, shields: 1.2, speed: 1.2, fuel: 0.8, cargo: 0.5 },
-      'trader': { hull: 0.9, shields: 0.9, speed: 0.8, fuel: 1.0, cargo: 2.0 },
-      'research': { hull: 0.85, shields: 1.1, speed: 0.9, fuel: 1.3, cargo: 1.2 },
-      'military': { hull: 1.5, shields: 1.5, speed: 0.7, fuel: 0.9, cargo: 0.8 },
-    };
+    // Apply ship class bonuses (hull classes are defined with the shipyard)
     const shipClass = this.gameConfig.shipClass || 'explorer';
-    const bonuses = shipClassBonuses[shipClass] || shipClassBonuses['explorer'];
+    const bonuses = SHIP_CLASSES[shipClass] || SHIP_CLASSES['explorer'];
 
     this.player = {
       // Player identity from game setup
@@ -938,6 +1024,9 @@ export class Game {
       temperature: 20,
       heatStatus: 'safe',
       mass: Math.floor(100 * (2.0 - bonuses.speed)), // Faster ships = lighter
+      thrustMultiplier: 1, // Raised by engine components (see ShipyardSystem)
+      miningLaserTier: 1, // Raised by mining laser components
+      components: [], // Installed EnhancedItems component ids
       warpCharge: 0,
       warpActive: false,
       warpCooldown: 0,
@@ -955,40 +1044,34 @@ export class Game {
       isDying: false
     };
 
-    // Initialize new combat systems - Add ALL weapon types
+    // Initialize new combat systems with the stock loadout (outfitting changes it later)
     this.weaponSystem = new WeaponSystem();
-    this.weaponSystem.addWeapon('plasma_cannon', 1);
-    this.weaponSystem.addWeapon('kinetic_cannon', 1);
-    this.weaponSystem.addWeapon('laser_beam', 1);
-    this.weaponSystem.addWeapon('missile_launcher', 1);
-    this.weaponSystem.addWeapon('railgun', 1);
-    this.weaponSystem.addWeapon('nuclear_missile', 1);
-    this.weaponSystem.addWeapon('mine_launcher', 1);
-    this.weaponSystem.addWeapon('point_defense', 1);
+    STOCK_LOADOUT.weapons.forEach(type => this.weaponSystem.addWeapon(type, 1));
 
     // Assign weapon system to player for mobile controls access
     this.player.weaponSystem = this.weaponSystem;
 
     this.shieldSystem = new ShieldSystem();
-    this.shieldSystem.addShield('energy_shield', 1);
-    this.shieldSystem.addShield('kinetic_barrier', 1);
+    STOCK_LOADOUT.shields.forEach(type => this.shieldSystem.addShield(type, 1));
+
+    // No armor plates until some are bought
+    this.armorSystem = new ArmorSystem();
 
     this.inertialSystem = new InertialMovement(this.player);
 
-    // Initialize resource and cargo systems (cargo capacity modified by ship class)
-    this.resourceSystem = new ResourceSystem();
+    // Initialize the cargo hold (capacity modified by ship class); resources are a view over it
     const cargoCapacity = Math.floor(100 * bonuses.cargo);
     this.cargoSystem = new CargoSystem(cargoCapacity);
+    this.resourceSystem = new ResourceSystem(this.cargoSystem);
 
     // Add some starting resources for testing
-    this.resourceSystem.addResource('iron', 10);
-    this.resourceSystem.addResource('water', 5);
     this.cargoSystem.addCargo('iron', 10);
     this.cargoSystem.addCargo('water', 5);
 
-    // Initialize mining system (pass 'this' after all systems are ready)
-    this.miningSystem = null; // Will be initialized after first frame
-    this.miningSystemReady = false;
+    // The mining system outlives the ship (belt depletion is world state), just stop the laser
+    if (this.miningSystem) {
+      this.miningSystem.stopMining();
+    }
 
     // Initialize alien race system
     this.alienRaceSystem = new AlienRaceSystem();
@@ -1026,13 +1109,7 @@ export class Game {
       }
     }
 
-    let systemData = this.galaxy[systemIndex];
-
-    // PERFORMANCE FIX: Generate full system data on-demand if it's a placeholder
-    if (systemData && systemData.isPlaceholder) {
-      systemData = this.galaxyGenerator.generateSystemOnDemand(systemIndex);
-      this.galaxy[systemIndex] = systemData; // Update galaxy array with full data
-    }
+    const systemData = this.getSystemData(systemIndex);
 
     this.currentSystemIndex = systemIndex;
     this.currentSystemData = systemData;
@@ -1071,7 +1148,19 @@ export class Game {
     for (const belt of system.asteroidBelts) {
       this.asteroids.push(...belt.asteroids);
     }
+    this.miningSystem.applyDepletion();
     this.stations = system.stations;
+    // Stations fly the flag of the faction holding their system (pirate bases are picked next)
+    const owner = this.factionSystem.getSystemOwner(systemData, systemIndex);
+    for (const station of this.stations) {
+      if (!station.faction) station.faction = owner;
+    }
+    this.customsSystem.assignPirateStations(
+      this.stations,
+      systemData,
+      this.getGenerationRng('pirateStations').child(systemIndex)
+    );
+    this.factionWarfare.onSystemLoaded();
     this.comets = system.comets || [];
 
     // NOTE: Feature generation removed - using sprite-based rendering only
@@ -1153,15 +1242,21 @@ export class Game {
     this.systemArtifacts = this.artifactSystem.generateSystemArtifacts(
       systemData,
       systemIndex,
-      systemData.seed
+      this.getGenerationRng('artifacts').child(systemIndex)
     );
 
     // Get warp gates for this system
     this.systemWarpGates = this.warpGateSystem.getGatesInSystem(systemIndex);
 
-    // Generate market for this system
+    // Generate market for this system (arriving shows its prices, see TradeLedger)
     const factionData = systemData.factionData;
-    this.currentMarket = this.economySystem.generateSystemMarket(systemIndex, systemData, factionData);
+    this.currentMarket = this.economySystem.generateSystemMarket(
+      systemIndex,
+      systemData,
+      factionData,
+      this.getGenerationRng('economy').child(systemIndex)
+    );
+    this.economySystem.observeMarket(systemIndex);
 
     // Mark spatial grid for rebuild (new system loaded)
     if (this.interactionSystem) {
@@ -1196,7 +1291,10 @@ export class Game {
         this.useSpriteRendering = false;
       }
     } else {
-      console.warn('[Game] No sprite manager available');
+      // Headless games never have one
+      if (!this.headless) {
+        console.warn('[Game] No sprite manager available');
+      }
       this.systemLoading = false;
     }
   }
@@ -1281,7 +1379,7 @@ export class Game {
     // Autosave when changing systems (important game state change)
     if (this.saveSystem && this.currentSystemIndex !== 0) { // Don't autosave on initial load
       try {
-        this.saveSystem.saveGame('autosave', 'Autosave');
+        this.saveSystem.autosave();
       } catch (error) {
         console.warn('[Game] Autosave failed:', error);
         // Don't crash - continue anyway
@@ -1419,6 +1517,13 @@ export class Game {
     if (systemData && systemData.hasHiveAliens) {
       this.spawnHiveDrones();
     }
+
+    // Faction patrols and raiders
+    this.factionWarfare.spawnFactionShips();
+
+    // The player's wing and escorted convoys form up around them
+    this.fleetSystem.regroup();
+    this.missionSystem.regroupConvoys();
   }
 
   spawnHiveDrones() {
@@ -1773,7 +1878,7 @@ export class Game {
 
           // Apply damage using enemy's takeDamage method
           if (enemy.takeDamage) {
-            enemy.takeDamage(finalDamage);
+            enemy.takeDamage(finalDamage, this.player);
             if (enemy.shields > 0) {
               this.createShieldImpact(enemy.x, enemy.y);
             } else {
@@ -2043,6 +2148,11 @@ export class Game {
     const worldX = clickX - this.width / 2 + this.camera.x;
     const worldY = clickY - this.height / 2 + this.camera.y;
 
+    // Ships: lock as target
+    if (this.targetingSystem.lockAt(worldX, worldY)) {
+      return;
+    }
+
     // Check planets
     for (const planet of this.planets) {
       const dx = planet.x - worldX;
@@ -2190,23 +2300,14 @@ export class Game {
       case 'Mine':
         // Start mining the target asteroid
         if (this.miningSystem && target && target.object) {
-          // Set mining target directly to the asteroid object
-          this.miningSystem.miningTarget = target.object;
-          this.miningSystem.miningProgress = 0;
-          this.miningSystem.miningActive = true;
-
-          // Create mining beam visual
-          this.miningSystem.miningBeam = {
-            startX: this.player.x,
-            startY: this.player.y,
-            endX: target.object.x,
-            endY: target.object.y,
-            color: '#00ff88',
-            width: 3,
-            particles: []
-          };
-
-          this.showNotification('Mining started...', 'info');
+          const miningResult = this.miningSystem.startMining(target.object);
+          if (miningResult.success) {
+            this.showNotification('Mining started...', 'info');
+          } else if (miningResult.reason === 'mined_out') {
+            this.showNotification('Asteroid is mined out', 'warning');
+          } else if (miningResult.reason === 'overheated') {
+            this.showNotification('Mining laser is still too hot', 'warning');
+          }
         }
         this.uiState.showPopup = false;
         break;
@@ -2245,6 +2346,7 @@ export class Game {
         // Perform detailed scan of the target
         if (target && target.object) {
           const scanData = this.performDetailedScan(target.type, target.object);
+          this.missionSystem.onBodyScanned(target.type, target.object);
 
           // Create scan results popup
           this.uiState.showPopup = true;
@@ -2346,28 +2448,17 @@ export class Game {
       scanData.mass = targetObject.mass || 8;
       scanData.rotation = (targetObject.rotationSpeed * 100).toFixed(2) + ' rad/s';
 
-      // Mineral composition
-      scanData.minerals = [];
-      const mineralTypes = [
-        { name: 'Iron Ore', probability: 0.9, yield: '50-100 units' },
-        { name: 'Silicon', probability: 0.7, yield: '30-70 units' },
-        { name: 'Carbon', probability: 0.6, yield: '20-50 units' },
-        { name: 'Titanium', probability: 0.3, yield: '10-30 units' },
-        { name: 'Platinum', probability: 0.1, yield: '5-15 units' },
-        { name: 'Exotic Matter', probability: 0.05, yield: '1-5 units' }
-      ];
-
-      for (const mineral of mineralTypes) {
-        if (Math.random() < mineral.probability) {
-          scanData.minerals.push({
-            name: mineral.name,
-            estimatedYield: mineral.yield
-          });
-        }
-      }
+      // Ore survey
+      const survey = this.miningSystem.getSurvey(targetObject);
+      targetObject.scanned = true;
+      scanData.minerals = [{
+        name: survey.ore.name,
+        grade: survey.grade,
+        estimatedYield: `${survey.reserves}/${survey.capacity} units`
+      }];
 
       scanData.miningDifficulty = targetObject.hp > 40 ? 'High' : (targetObject.hp > 25 ? 'Moderate' : 'Low');
-      scanData.estimatedValue = (targetObject.resources * 10 + Math.floor(Math.random() * 100)) + ' credits';
+      scanData.estimatedValue = (survey.reserves * survey.ore.baseValue) + ' credits';
 
     } else if (targetType === 'station') {
       // Station scan
@@ -2581,6 +2672,11 @@ export class Game {
   performLanding(targetObject, targetX, targetY) {
     const p = this.player;
 
+    // Restore point while still in orbit
+    if (this.saveSystem) {
+      this.saveSystem.createRestorePoint('Landing');
+    }
+
     // Stop all movement
     p.vx = 0;
     p.vy = 0;
@@ -2615,51 +2711,8 @@ export class Game {
       });
     }
 
-    // Surface resources available for collection
-    p.surfaceResources = this.generateSurfaceResources(targetObject);
-  }
-
-  /**
-   * Generate resources available on planet surface
-   */
-  generateSurfaceResources(targetObject) {
-    const resources = [];
-    const planetTypeLower = (targetObject.type || '').toLowerCase();
-
-    // Different resources based on planet type
-    if (planetTypeLower.includes('terran') || planetTypeLower.includes('oceanic')) {
-      resources.push(
-        { id: 'water', name: 'Water', quantity: 20 + Math.floor(Math.random() * 30) },
-        { id: 'organic_compounds', name: 'Organic Compounds', quantity: 10 + Math.floor(Math.random() * 20) }
-      );
-    } else if (planetTypeLower.includes('desert') || planetTypeLower.includes('volcanic')) {
-      resources.push(
-        { id: 'silicon', name: 'Silicon', quantity: 15 + Math.floor(Math.random() * 25) },
-        { id: 'iron', name: 'Iron Ore', quantity: 10 + Math.floor(Math.random() * 20) }
-      );
-    } else if (planetTypeLower.includes('ice')) {
-      resources.push(
-        { id: 'water_ice', name: 'Water Ice', quantity: 30 + Math.floor(Math.random() * 40) },
-        { id: 'frozen_gases', name: 'Frozen Gases', quantity: 10 + Math.floor(Math.random() * 15) }
-      );
-    } else {
-      // Rocky/unknown planets
-      resources.push(
-        { id: 'minerals', name: 'Minerals', quantity: 15 + Math.floor(Math.random() * 25) },
-        { id: 'iron', name: 'Iron Ore', quantity: 10 + Math.floor(Math.random() * 20) }
-      );
-    }
-
-    // Rare chance of special resources
-    if (Math.random() > 0.8) {
-      resources.push({
-        id: 'rare_isotopes',
-        name: 'Rare Isotopes',
-        quantity: 2 + Math.floor(Math.random() * 5)
-      });
-    }
-
-    return resources;
+    // Roll the rover out onto the surface
+    this.surfaceExploration.land(targetObject, this.currentSystemIndex);
   }
 
   /**
@@ -2672,6 +2725,10 @@ export class Game {
       return { success: false, message: 'Not currently landed' };
     }
 
+    if (!this.surfaceExploration.canLaunch()) {
+      return { success: false, message: 'Return the rover to the lander first' };
+    }
+
     // Check fuel requirement
     const launchFuelCost = 50;
     if (p.fuel < launchFuelCost) {
@@ -2684,7 +2741,7 @@ export class Game {
     // Clear landed state
     p.landed = false;
     p.landedOn = null;
-    p.surfaceResources = null;
+    this.surfaceExploration.leave();
 
     // Give upward velocity
     p.vy = -200; // Launch upward
@@ -2710,52 +2767,6 @@ export class Game {
     return { success: true };
   }
 
-  /**
-   * Collect resources from surface
-   */
-  collectSurfaceResources() {
-    const p = this.player;
-
-    if (!p.landed || !p.surfaceResources) {
-      return { success: false, message: 'Not on a surface' };
-    }
-
-    if (p.surfaceResources.length === 0) {
-      return { success: false, message: 'No resources remaining' };
-    }
-
-    const collected = [];
-
-    for (const resource of p.surfaceResources) {
-      const result = this.cargoSystem.addCargo(resource.id, resource.quantity);
-
-      if (result.success) {
-        this.resourceSystem.addResource(resource.id, resource.quantity);
-        collected.push({
-          name: resource.name,
-          quantity: resource.quantity
-        });
-      } else if (result.success === 'partial') {
-        this.resourceSystem.addResource(resource.id, result.added);
-        collected.push({
-          name: resource.name,
-          quantity: result.added,
-          partial: true
-        });
-      }
-    }
-
-    // Clear surface resources after collection
-    p.surfaceResources = [];
-
-    // Show notifications
-    for (const item of collected) {
-      this.showNotification(`+${item.quantity} ${item.name}`, 'success');
-    }
-
-    return { success: true, collected };
-  }
-
   render() {
     // CRASH PREVENTION: Wrap entire render in try-catch
     try {
@@ -4125,6 +4136,13 @@ export class Game {
       this.miningSystem.render(ctx, { x: camX, y: camY });
     }
 
+    // Wrecks
+    this.factionWarfare.render(ctx, { x: camX, y: camY });
+
+    // Wingmen and escorted convoys
+    this.fleetSystem.render(ctx, { x: camX, y: camY });
+    this.missionSystem.renderConvoys(ctx, { x: camX, y: camY });
+
     // Enemies
     for (const enemy of this.enemies) {
       const ex = Math.floor(enemy.x - camX);
@@ -4349,6 +4367,9 @@ export class Game {
       }
     }
 
+    // Target lock and lead pip
+    this.targetingSystem.render(ctx, { x: camX, y: camY });
+
     // Player ship
     const p = this.player;
     // CAMERA FIX: Calculate player screen position (should always be centered due to camera)
@@ -5724,124 +5745,165 @@ export class Game {
         return;
       }
 
-      this.time += dt;
+      this.update(dt);
 
-      // Update playtime
-      this.playtime += dt * 1000; // Convert to milliseconds
-      if (this.statistics) {
-        this.statistics.totalPlaytime = this.playtime;
+      try {
+        this.render();
+      } catch (error) {
+        console.error('[Game Loop] Render error:', error);
       }
 
-      this.fps = this.fps * 0.9 + (1 / dt) * 0.1;
+      requestAnimationFrame(() => this.loop());
+    } catch (error) {
+      console.error('[Game Loop] Critical error in game loop:', error);
+      console.error('[Game Loop] Error stack:', error.stack);
+      // Try to continue running despite the error
+      requestAnimationFrame(() => this.loop());
+    }
+  }
 
-      // PERFORMANCE FIX: Enforce array size limits to prevent memory leaks
-      if (this.particles && this.particles.length > this.maxParticles) {
-        this.particles = this.particles.slice(-this.maxParticles);  // Keep only newest
-      }
-      if (this.projectiles && this.projectiles.length > 100) {
-        this.projectiles = this.projectiles.slice(-100);  // Keep only newest 100
-      }
-      if (this.explosions && this.explosions.length > 50) {
-        this.explosions = this.explosions.slice(-50);  // Keep only newest 50
-      }
-      if (this.enemies && this.enemies.length > 50) {
-        // Remove enemies farthest from player to keep performance good
-        this.enemies.sort((a, b) => {
-          const distA = Math.hypot(a.x - this.player.x, a.y - this.player.y);
-          const distB = Math.hypot(b.x - this.player.x, b.y - this.player.y);
-          return distB - distA;  // Farthest first
-        });
-        this.enemies = this.enemies.slice(0, 50);
-      }
-      if (this.notifications && this.notifications.length > 10) {
-        this.notifications = this.notifications.slice(-10);  // Keep only newest 10
-      }
+  /**
+   * Advance the simulation by one step without rendering
+   * Used with a fixed timestep by HeadlessSimulation. Unlike the render loop,
+   * input and physics errors are thrown so automated runs fail loudly.
+   * @param {number} dt - Timestep in seconds
+   */
+  step(dt) {
+    if (this.paused) return;
+    this.update(dt);
+  }
 
-      // PERFORMANCE: Broadcast state disabled - no longer needed as GameContainer uses ref
-      // State is accessed via gameInstanceRef.current.getGameState() when needed
-      // This saves CPU cycles by not dispatching unused events every 2 seconds
+  /**
+   * Simulation part of a frame: playtime, effects, interactions, input, physics and markets
+   * @param {number} dt - Frame time in seconds
+   */
+  update(dt) {
+    this.time += dt;
 
-      // Update performance optimizer (FPS monitoring, adaptive quality, cleanup)
-      if (this.performanceOptimizer) {
-        this.performanceOptimizer.update(dt);
-        // Run cleanup every 2 seconds to manage memory
-        if (Math.floor(this.time) % 2 === 0 && this.time - Math.floor(this.time) < dt) {
-          this.performanceOptimizer.cleanup();
-        }
-      }
+    // Update playtime
+    this.playtime += dt * 1000; // Convert to milliseconds
+    if (this.statistics) {
+      this.statistics.totalPlaytime = this.playtime;
+    }
 
-      // OPTIMIZED: Update enhanced effects every other frame
-      if (this.enhancedEffects) {
-        if (!this._enhancedEffectsCounter) this._enhancedEffectsCounter = 0;
-        this._enhancedEffectsCounter++;
-        if (this._enhancedEffectsCounter >= 2) {
-          this._enhancedEffectsCounter = 0;
-          this.enhancedEffects.update(dt * 2); // Scale dt for missed frame
-        }
-      }
+    this.fps = this.fps * 0.9 + (1 / dt) * 0.1;
 
-      // OPTIMIZED: Update retro screen effects every other frame
-      if (this.retroScreenEffects) {
-        if (!this._retroEffectsCounter) this._retroEffectsCounter = 0;
-        this._retroEffectsCounter++;
-        if (this._retroEffectsCounter >= 2) {
-          this._retroEffectsCounter = 0;
-          this.retroScreenEffects.update(dt * 2); // Scale dt for missed frame
-        }
-      }
-
-      // PERFORMANCE: Disable stellar renderer updates (corona ejections, etc.)
-      // if (this.stellarRenderer && this.fps > 30) {
-      //   if (!this._stellarUpdateCounter) this._stellarUpdateCounter = 0;
-      //   this._stellarUpdateCounter++;
-      //   if (this._stellarUpdateCounter >= 3) {
-      //     this._stellarUpdateCounter = 0;
-      //     this.stellarRenderer.update(dt * 3);
-      //   }
-      // }
+    // PERFORMANCE FIX: Enforce array size limits to prevent memory leaks
+    if (this.particles && this.particles.length > this.maxParticles) {
+      this.particles = this.particles.slice(-this.maxParticles);  // Keep only newest
+    }
+    if (this.projectiles && this.projectiles.length > 100) {
+      this.projectiles = this.projectiles.slice(-100);  // Keep only newest 100
+    }
+    if (this.explosions && this.explosions.length > 50) {
+      this.explosions = this.explosions.slice(-50);  // Keep only newest 50
+    }
+    if (this.enemies && this.enemies.length > 50) {
+      // Remove enemies farthest from player to keep performance good
+      this.enemies.sort((a, b) => {
+        const distA = Math.hypot(a.x - this.player.x, a.y - this.player.y);
+        const distB = Math.hypot(b.x - this.player.x, b.y - this.player.y);
+        return distB - distA;  // Farthest first
+      });
+      this.enemies = this.enemies.slice(0, 50);
+    }
+    if (this.notifications && this.notifications.length > 10) {
+      this.notifications = this.notifications.slice(-10);  // Keep only newest 10
+    }
 
-      // NOTE: Celestial renderer update removed - using sprite-based rendering only
+    // PERFORMANCE: Broadcast state disabled - no longer needed as GameContainer uses ref
+    // State is accessed via gameInstanceRef.current.getGameState() when needed
+    // This saves CPU cycles by not dispatching unused events every 2 seconds
 
-      // OPTIMIZED: Update mobile controls only if actually in use
-      if (this.mobileControls && this.mobileControls.isMobile) {
-        this.mobileControls.update();
+    // Update performance optimizer (FPS monitoring, adaptive quality, cleanup)
+    if (this.performanceOptimizer) {
+      this.performanceOptimizer.update(dt);
+      // Run cleanup every 2 seconds to manage memory
+      if (Math.floor(this.time) % 2 === 0 && this.time - Math.floor(this.time) < dt) {
+        this.performanceOptimizer.cleanup();
       }
+    }
 
-      // OPTIMIZED: Update interaction system every other frame
-      if (this.interactionSystem) {
-        if (!this._interactionUpdateCounter) this._interactionUpdateCounter = 0;
-        this._interactionUpdateCounter++;
-        if (this._interactionUpdateCounter >= 2) {
-          this._interactionUpdateCounter = 0;
-          this.interactionSystem.update();
-        }
+    // OPTIMIZED: Update enhanced effects every other frame
+    if (this.enhancedEffects) {
+      if (!this._enhancedEffectsCounter) this._enhancedEffectsCounter = 0;
+      this._enhancedEffectsCounter++;
+      if (this._enhancedEffectsCounter >= 2) {
+        this._enhancedEffectsCounter = 0;
+        this.enhancedEffects.update(dt * 2); // Scale dt for missed frame
       }
+    }
 
-      // CRASH FIX: Wrap critical operations in try-catch
-      try {
-        this.processInput();
-      } catch (error) {
-        console.error('[Game Loop] Input processing error:', error);
-      }
+    // OPTIMIZED: Update retro screen effects every other frame
+    if (this.retroScreenEffects) {
+      if (!this._retroEffectsCounter) this._retroEffectsCounter = 0;
+      this._retroEffectsCounter++;
+      if (this._retroEffectsCounter >= 2) {
+        this._retroEffectsCounter = 0;
+        this.retroScreenEffects.update(dt * 2); // Scale dt for missed frame
+      }
+    }
+
+    // PERFORMANCE: Disable stellar renderer updates (corona ejections, etc.)
+    // if (this.stellarRenderer && this.fps > 30) {
+    //   if (!this._stellarUpdateCounter) this._stellarUpdateCounter = 0;
+    //   this._stellarUpdateCounter++;
+    //   if (this._stellarUpdateCounter >= 3) {
+    //     this._stellarUpdateCounter = 0;
+    //     this.stellarRenderer.update(dt * 3);
+    //   }
+    // }
 
-      try {
-        this.physicsEngine.update(dt);
-      } catch (error) {
-        console.error('[Game Loop] Physics update error:', error);
-      }
+    // NOTE: Celestial renderer update removed - using sprite-based rendering only
 
-      try {
-        this.render();
-      } catch (error) {
-        console.error('[Game Loop] Render error:', error);
+    // OPTIMIZED: Update mobile controls only if actually in use
+    if (this.mobileControls && this.mobileControls.isMobile) {
+      this.mobileControls.update();
+    }
+
+    // OPTIMIZED: Update interaction system every other frame
+    if (this.interactionSystem) {
+      if (!this._interactionUpdateCounter) this._interactionUpdateCounter = 0;
+      this._interactionUpdateCounter++;
+      if (this._interactionUpdateCounter >= 2) {
+        this._interactionUpdateCounter = 0;
+        this.interactionSystem.update();
       }
+    }
 
-      requestAnimationFrame(() => this.loop());
+    // CRASH FIX: Wrap critical operations in try-catch
+    try {
+      this.processInput();
     } catch (error) {
-      console.error('[Game Loop] Critical error in game loop:', error);
-      console.error('[Game Loop] Error stack:', error.stack);
-      // Try to continue running despite the error
-      requestAnimationFrame(() => this.loop());
+      if (this.headless) throw error;
+      console.error('[Game Loop] Input processing error:', error);
+    }
+
+    try {
+      this.physicsEngine.update(dt);
+    } catch (error) {
+      if (this.headless) throw error;
+      console.error('[Game Loop] Physics update error:', error);
+    }
+
+    // Markets keep moving while the player is away (game time, not wall-clock)
+    if (this.economySystem) {
+      this.economySystem.update(dt);
+    }
+
+    // Contract deadlines run on the same game clock
+    if (this.missionSystem) {
+      this.missionSystem.update(dt);
+    }
+
+    // So do refining and fabrication jobs
+    if (this.craftingSystem) {
+      this.craftingSystem.update(dt);
+    }
+
+    // Station turrets and wreck salvage
+    if (this.factionWarfare) {
+      this.factionWarfare.update(dt);
     }
   }
 
@@ -5900,7 +5962,7 @@ export class Game {
 
       // Economy
       credits: this.credits || 0,
-      cargo: this.cargo || [],
+      cargo: this.cargoSystem ? this.cargoSystem.serialize() : null,
 
       // Discovered systems
       discoveredSystems: Array.from(this.discoveredSystems),
@@ -5990,7 +6052,9 @@ export class Game {
 
       // Restore economy
       this.credits = state.credits || 0;
-      this.cargo = state.cargo || [];
+      if (this.cargoSystem && state.cargo && !Array.isArray(state.cargo)) {
+        this.cargoSystem.deserialize(state.cargo);
+      }
 
       // Restore discovered systems
       if (state.discoveredSystems) {
@@ -6011,7 +6075,7 @@ export class Game {
           this.galaxyGenerator = new GalaxyGenerator(this.seed);
           this.galaxy = this.galaxyGenerator.generate();
           if (this.factionSystem) this.factionSystem.assignTerritories(this.galaxy);
-          if (this.warpGateSystem) this.warpGateSystem.generateGateNetwork(this.galaxy);
+          if (this.warpGateSystem) this.warpGateSystem.generateGateNetwork(this.galaxy, this.getGenerationRng('warpGates'));
           this.interstellarRenderer = new InterstellarRenderer(this.galaxy);
         } catch (error) {
           console.error('Error regenerating galaxy:', error);
@@ -6102,6 +6166,10 @@ export class Game {
         this.autoSaveInterval = settings.autoSaveInterval * 60 * 1000; // Convert minutes to ms
       }
 
+      if (settings.autoSaveSlots !== undefined && this.saveSystem) {
+        this.saveSystem.setAutosaveRingSize(settings.autoSaveSlots);
+      }
+
       if (settings.pauseOnLostFocus !== undefined) {
         this.pauseOnLostFocus = settings.pauseOnLostFocus;
       }
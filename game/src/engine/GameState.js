@@ -118,9 +118,7 @@ export class GameState {
       weaponCooldown: 200,
       lastFireTime: 0,
 
-      // Resources and cargo
-      cargo: {},
-      cargoCapacity: 100,
+      // Cargo lives in the ship's hold (CargoSystem)
       money: 1000,
       reputation: {},
 
@@ -417,42 +415,6 @@ export class GameState {
     }
   }
 
-  // Resource helpers
-  addCargo(item, amount) {
-    const current = this.player.cargo[item] || 0;
-    const total = current + amount;
-    const capacity = this.player.cargoCapacity;
-
-    if (total <= capacity) {
-      this.player.cargo[item] = total;
-      return amount;
-    } else {
-      const added = capacity - current;
-      this.player.cargo[item] = capacity;
-      return added;
-    }
-  }
-
-  removeCargo(item, amount) {
-    const current = this.player.cargo[item] || 0;
-    const removed = Math.min(current, amount);
-    this.player.cargo[item] = current - removed;
-
-    if (this.player.cargo[item] === 0) {
-      delete this.player.cargo[item];
-    }
-
-    return removed;
-  }
-
-  getTotalCargoUsed() {
-    return Object.values(this.player.cargo).reduce((sum, amount) => sum + amount, 0);
-  }
-
-  getCargoSpace() {
-    return this.player.cargoCapacity - this.getTotalCargoUsed();
-  }
-
   // Money helpers
   addMoney(amount) {
     this.player.money += amount;
@@ -554,8 +554,8 @@ export class HUDRenderer {
     // Cargo (BIGGER)
     ctx.fillStyle = this.game.PALETTE.statusBlue;
     ctx.font = '11px DigitalDisco, monospace';
-    const cargoUsed = this.game.economySystem?.getCargoSpaceUsed() || 0;
-    const cargoMax = this.game.economySystem?.cargoCapacity || 100;
+    const cargoUsed = this.game.cargoSystem?.getUsedSpace() || 0;
+    const cargoMax = this.game.cargoSystem?.maxCapacity || 100;
     const cargoPercent = Math.floor((cargoUsed / cargoMax) * 100);
     ctx.fillText(`CARGO: ${cargoUsed}/${cargoMax}`, xPos, yBase + 20);
 
@@ -1172,6 +1172,27 @@ export class HUDRenderer {
       }
     }
 
+    // Wingmen and escorted freighters (steady, in the player's color)
+    for (const wingman of [...this.game.fleetSystem.wingmen, ...this.game.missionSystem.convoyShips]) {
+      const dx = wingman.x - this.game.player.x;
+      const dy = wingman.y - this.game.player.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < radarRange) {
+        const scale = (radarRadius - 15) / radarRange;
+        const rx = radarX + radarRadius + dx * scale;
+        const ry = radarY + radarRadius + dy * scale;
+
+        ctx.fillStyle = this.game.PALETTE.statusGreen;
+        ctx.beginPath();
+        ctx.moveTo(rx, ry - 4);
+        ctx.lineTo(rx - 3, ry + 3);
+        ctx.lineTo(rx + 3, ry + 3);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+
     // Label with enhanced info (BIGGER)
     ctx.fillStyle = this.game.PALETTE.statusBlue;
     ctx.font = 'bold 13px monospace';
@@ -1194,10 +1215,11 @@ export class HUDRenderer {
     const gaugeSpacing = 40;
     const gaugeStartX = radarX + radarRadius - gaugeSize - gaugeSpacing;
 
-    // Calculate target distance for first gauge
+    // Calculate target distance for first gauge (the locked target, else the first enemy)
     let targetDist = 0;
-    if (this.game.enemies && this.game.enemies.length > 0) {
-      const enemy = this.game.enemies[0];
+    const lockedTarget = this.game.targetingSystem ? this.game.targetingSystem.target : null;
+    if (lockedTarget || (this.game.enemies && this.game.enemies.length > 0)) {
+      const enemy = lockedTarget || this.game.enemies[0];
       const dx = enemy.x - this.game.player.x;
       const dy = enemy.y - this.game.player.y;
       targetDist = Math.sqrt(dx * dx + dy * dy) / 100;
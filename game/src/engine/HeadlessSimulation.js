@@ -0,0 +1,200 @@
+/**
+ * HeadlessSimulation - Runs the engine without a canvas, DOM or render loop
+ *
+ * Builds a headless Game (no rendering, input listeners, sprites or storage)
+ * and advances it with a fixed timestep, so physics, enemy AI, shields, ship
+ * damage, orbital mechanics and the economy can be exercised under plain
+ * Node for balance runs and regression checks in CI.
+ *
+ * DETERMINISM: Generation already follows the galaxy seed, but runtime code
+ * (AI decisions, weapon spread, particles) still calls Math.random. While the
+ * simulation is being built or stepped, Math.random is routed through a
+ * SeededRandom stream derived from the seed, so the same seed, timestep and
+ * controls always produce the same run.
+ *
+ * Usage:
+ *   const sim = await HeadlessSimulation.create({ seed: 4242, shipClass: 'fighter' });
+ *   sim.setControls({ thrust: 1, fire: true });
+ *   sim.run(30);
+ *   console.log(sim.snapshot());
+ *   sim.destroy();
+ */
+
+import { Game } from './Game.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+// 60 updates per simulated second, matching the render loop's target frame rate
+export const DEFAULT_TIMESTEP = 1 / 60;
+
+export class HeadlessSimulation {
+  /**
+   * Use HeadlessSimulation.create(), which also waits for the starting system
+   * @param {Object} config - Game config (same options as the new game setup screen)
+   * @param {Object} options
+   * @param {number} options.timestep - Fixed timestep in seconds
+   * @param {number} options.randomSeed - Seed of the Math.random stream (defaults to the galaxy seed)
+   */
+  constructor(config = {}, { timestep = DEFAULT_TIMESTEP, randomSeed } = {}) {
+    this.timestep = timestep;
+    this.steps = 0;
+
+    this.rng = new SeededRandom(randomSeed ?? (config.seed || 12345)).child('simulation');
+    this.game = this.withSeededRandom(() => new Game(null, { ...config, headless: true }));
+  }
+
+  /**
+   * Build a simulation and wait until the starting system and galaxy systems are ready
+   * @param {Object} config - Game config
+   * @param {Object} options - See constructor
+   * @returns {Promise<HeadlessSimulation>}
+   */
+  static async create(config = {}, options = {}) {
+    const simulation = new HeadlessSimulation(config, options);
+
+    // Galaxy setup continues after the constructor returns, keep it on the seeded stream
+    await simulation.withSeededRandom(() => simulation.game.ready);
+
+    return simulation;
+  }
+
+  /**
+   * Run a callback with Math.random replaced by the simulation's seeded stream
+   * (for async callbacks, until the returned promise settles)
+   */
+  withSeededRandom(callback) {
+    const originalRandom = Math.random;
+    const restore = () => {
+      Math.random = originalRandom;
+    };
+
+    Math.random = () => this.rng.next();
+    let result;
+    try {
+      result = callback();
+    } catch (error) {
+      restore();
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(restore);
+    }
+    restore();
+    return result;
+  }
+
+  /**
+   * Advance a number of fixed timesteps
+   * @param {number} count - Steps to run
+   */
+  step(count = 1) {
+    this.withSeededRandom(() => {
+      for (let i = 0; i < count; i++) {
+        this.game.step(this.timestep);
+        this.steps++;
+      }
+    });
+  }
+
+  /**
+   * Advance by simulated time
+   * @param {number} seconds - Simulated seconds (rounded to whole timesteps)
+   */
+  run(seconds) {
+    this.step(Math.round(seconds / this.timestep));
+  }
+
+  /**
+   * Hold ship controls until changed (scripted stand-in for keyboard input)
+   * @param {Object} controls
+   * @param {number} controls.thrust - 1 forward, -1 reverse, 0 none
+   * @param {number} controls.turn - -1 left, 1 right, 0 none
+   * @param {boolean} controls.fire - Fire weapons
+   * @param {boolean} controls.brake - Brake
+   * @param {boolean} controls.shield - Raise shields
+   */
+  setControls({ thrust = 0, turn = 0, fire = false, brake = false, shield = false } = {}) {
+    const input = this.game.input;
+
+    // processInput rebuilds thrust and rotation from held keys every step
+    input.keys.clear();
+    if (thrust > 0) input.keys.add('KeyW');
+    if (thrust < 0) input.keys.add('KeyS');
+    if (turn < 0) input.keys.add('KeyA');
+    if (turn > 0) input.keys.add('KeyD');
+
+    input.fire = fire;
+    input.brake = brake;
+    input.shield = shield;
+  }
+
+  /**
+   * Load another star system (enemies and orbits are regenerated, known markets keep their state)
+   * @param {number} systemIndex - Galaxy index
+   * @returns {Promise<void>}
+   */
+  jumpToSystem(systemIndex) {
+    return this.withSeededRandom(async () => {
+      await this.game.loadStarSystem(systemIndex);
+      this.game.enemies = [];
+      this.game.spawnEnemies();
+    });
+  }
+
+  /**
+   * Plain-data summary of the simulated subsystems, for assertions and balance reports
+   * @returns {Object} Snapshot
+   */
+  snapshot() {
+    const game = this.game;
+    const player = game.player;
+    const damage = game.shipDamageSystem;
+    const market = game.currentMarket;
+
+    return {
+      steps: this.steps,
+      time: game.time,
+      scene: game.scene,
+      systemIndex: game.currentSystemIndex,
+      player: {
+        x: player.x,
+        y: player.y,
+        vx: player.vx,
+        vy: player.vy,
+        hull: player.hull,
+        maxHull: player.maxHull,
+        shields: player.shields,
+        maxShields: player.maxShields,
+        fuel: player.fuel,
+        power: player.power,
+        credits: game.economySystem.credits,
+        kills: player.kills || 0,
+        isDying: player.isDying || false
+      },
+      damage: damage ? {
+        overallHealth: damage.getOverallHealth(),
+        criticalSections: damage.getCriticalSections().map(section => section.key)
+      } : null,
+      enemies: game.enemies.map(enemy => ({
+        type: enemy.type || null,
+        x: enemy.x,
+        y: enemy.y,
+        hp: enemy.hp,
+        shields: enemy.shields || 0,
+        aiState: enemy.aiState || null
+      })),
+      projectiles: game.projectiles.length,
+      planets: game.planets.map(planet => ({ name: planet.name, x: planet.x, y: planet.y })),
+      market: market ? { ...market.prices } : null,
+      statistics: { ...game.statistics },
+      gameOver: game.gameOver
+    };
+  }
+
+  /**
+   * Stop the game (no timers or listeners are left behind)
+   */
+  destroy() {
+    this.game.destroy();
+  }
+}
@@ -374,29 +374,13 @@ export class InputHandler {
 
   handleQuickSave() {
     if (this.game.saveSystem) {
-      this.game.saveSystem.saveGame('save_1', 'Quick Save');
+      this.game.saveSystem.quickSave();
     }
   }
 
   handleQuickLoad() {
     if (this.game.saveSystem) {
-      const saves = this.game.saveSystem.getSaveList();
-      // Find most recent save
-      let mostRecent = null;
-      let latestTime = 0;
-      for (const save of saves) {
-        if (!save.empty && save.timestamp && save.timestamp > latestTime) {
-          latestTime = save.timestamp;
-          mostRecent = save;
-        }
-      }
-      if (mostRecent) {
-        this.game.saveSystem.loadGame(mostRecent.slot);
-      } else {
-        if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('No saves found', 'warning');
-        }
-      }
+      this.game.saveSystem.quickLoad();
     }
   }
 
@@ -9,6 +9,7 @@
  * - OPTIMIZED: Uses spatial partitioning for O(1) lookups instead of O(n²)
  */
 import { SpatialGrid } from './SpatialGrid.js';
+import { getItemDefinition } from './ItemCatalog.js';
 
 export class InteractionSystem {
   constructor(game) {
@@ -249,8 +250,19 @@ export class InteractionSystem {
       }
     }
 
+    // Ion-disabled ships alongside can be boarded (ships move, so they stay out of the grid)
+    const boardable = this.game.boardingSystem.getBoardable();
+    if (boardable && boardable.distance < nearestDist) {
+      nearest = {
+        type: 'ship',
+        object: boardable.ship,
+        x: boardable.ship.x,
+        y: boardable.ship.y,
+        distance: boardable.distance
+      };
+    }
+
     // TODO: Add checks for:
-    // - Enemy ships (for interaction/hailing)
     // - Debris fields (for salvage)
     // - Comets
     // - Megastructures
@@ -351,6 +363,13 @@ export class InteractionSystem {
         );
         break;
 
+      case 'ship':
+        buttons.push(
+          { label: 'BOARD', key: 'Enter', action: () => this.actionBoard(targetData) },
+          { label: 'EXIT', key: 'Esc', action: () => this.closePopup() }
+        );
+        break;
+
       default:
         buttons.push({ label: 'EXIT', key: 'Esc', action: () => this.closePopup() });
     }
@@ -394,7 +413,13 @@ export class InteractionSystem {
         info.title = 'Asteroid';
         info.details.push(`Size: ${Math.floor(obj.size)} m`);
         info.details.push(`Distance: ${Math.floor(targetData.distance)} km`);
-        info.details.push('Mineable: Yes');
+        if (obj.scanned) {
+          const survey = this.game.miningSystem.getSurvey(obj);
+          info.details.push(`Ore: ${survey.ore.name} (grade ${Math.round(survey.grade * 100)}%)`);
+          info.details.push(`Reserves: ${survey.reserves}/${survey.capacity} units`);
+        } else {
+          info.details.push('Composition: unknown - scan to survey');
+        }
         break;
 
       case 'station':
@@ -420,6 +445,17 @@ export class InteractionSystem {
         info.details.push(`Distance: ${Math.floor(targetData.distance)} km`);
         info.details.push('Status: Active');
         break;
+
+      case 'ship': {
+        const boarding = this.game.boardingSystem;
+        const party = boarding.getBoardingParty();
+        info.title = `${obj.raceName} ${obj.type.replace(/_/g, ' ')}`;
+        info.details.push(`Status: Systems offline (${Math.ceil(obj.systemsOffline)}s)`);
+        info.details.push(`Hull: ${Math.round((obj.hp / obj.maxHp) * 100)}%`);
+        info.details.push(`Defenders aboard: ${boarding.getDefenders(obj)}`);
+        info.details.push(`Boarding party: ${party.length > 0 ? party.map(crew => crew.role.name).join(', ') : 'none fit'}`);
+        break;
+      }
     }
 
     return info;
@@ -507,7 +543,7 @@ export class InteractionSystem {
     // Use the proper landing function from Game.js
     game.performLanding(obj, targetData.x, targetData.y);
 
-    game.showNotification(`Landed on ${obj.name || targetData.type}. Press SPACE or L to launch, C or E to collect resources.`, 'success');
+    game.showNotification(`Landed on ${obj.name || targetData.type}. Drive the rover with WASD, C or E to extract and search, return to the lander and press SPACE or L to launch.`, 'success');
 
     this.closePopup();
   }
@@ -565,7 +601,8 @@ export class InteractionSystem {
       }
 
       if (obj.temperature) {
-        scanData.details.push(`Surface Temp: ${obj.temperature}°C`);
+        // Generated in Kelvin (see EnhancedSystemGenerator.calculatePlanetTemperature)
+        scanData.details.push(`Surface Temp: ${Math.round(obj.temperature - 273)}°C`);
       }
 
       // Discover resources
@@ -581,8 +618,25 @@ export class InteractionSystem {
       // Add to scanned database
       if (!game.scannedObjects) game.scannedObjects = [];
       game.scannedObjects.push(scanData);
+    } else if (targetData.type === 'asteroid') {
+      const survey = game.miningSystem.getSurvey(obj);
+      const laser = game.miningSystem.getLaser();
+      const beltOres = Object.entries(survey.beltComposition)
+        .sort((a, b) => b[1] - a[1])
+        .map(([oreId, share]) => `${getItemDefinition(oreId).name} ${Math.round(share * 100)}%`);
+
+      scanData.details.push(`Ore: ${survey.ore.name}`);
+      scanData.details.push(`Grade: ${Math.round(survey.grade * 100)}%`);
+      scanData.details.push(`Reserves: ${survey.reserves}/${survey.capacity} units`);
+      scanData.details.push(`Yield: ~${survey.yieldPerCycle} units per cycle (${laser.name})`);
+      scanData.details.push(`Belt reserves: ${Math.round(survey.beltReserves * 100)}%`);
+      if (beltOres.length > 0) {
+        scanData.details.push(`Belt: ${beltOres.join(', ')}`);
+      }
     }
 
+    game.missionSystem.onBodyScanned(targetData.type, obj);
+
     game.showNotification(`Scan complete: ${scanData.details.length} data points recorded`, 'success');
 
     // Update popup to show new info
@@ -641,6 +695,12 @@ export class InteractionSystem {
     const game = this.game;
     const player = game.player;
 
+    // Restore point before docking with a hostile faction (stations are flagged on system load)
+    const faction = station.faction || 'Independent';
+    if (game.saveSystem && game.factionSystem && game.factionSystem.getRelation(faction) === 'hostile') {
+      game.saveSystem.createRestorePoint('Hostile docking');
+    }
+
     // Stop player movement
     player.vx = 0;
     player.vy = 0;
@@ -656,9 +716,24 @@ export class InteractionSystem {
     // Full repairs and refuel at station
     player.hull = player.maxHull;
     player.shields = player.maxShields;
+    game.armorSystem.repair(Infinity);
 
     game.showNotification(`Docked at ${station.name || station.stationType}. Repairs complete.`, 'success');
 
+    // Station security scans the hold for contraband
+    if (game.customsSystem) {
+      game.customsSystem.scanOnDocking(station);
+    }
+
+    // Filled market orders pay out, goods bought here are collected
+    game.economySystem.orders.settleOnDock(game.currentSystemIndex);
+
+    // Deliveries, escorts and turn-ins complete at the station
+    game.missionSystem.onDock(station, game.currentSystemIndex);
+
+    // Wingmen who ejected are waiting here
+    game.fleetSystem.onDock();
+
     // Open trading UI
     game.uiState.showTrading = true;
     game.uiState.selectedStation = station;
@@ -706,8 +781,9 @@ export class InteractionSystem {
 
       // Add to player inventory
       if (this.game.artifactSystem) {
-        this.game.artifactSystem.collectArtifact(targetData.object);
+        this.game.artifactSystem.addArtifact(targetData.object);
       }
+      this.game.missionSystem.onArtifactCollected(targetData.object);
 
       this.game.showNotification(`Artifact collected: ${targetData.object.name || 'Unknown'}`, 'success');
     }
@@ -722,6 +798,12 @@ export class InteractionSystem {
     this.game.showNotification(`Inspecting ${obj.name || targetData.type}...`, 'info');
   }
 
+  actionBoard(targetData) {
+    // BoardingSystem reports the outcome
+    this.game.boardingSystem.board(targetData.object);
+    this.closePopup();
+  }
+
   actionUseGate(targetData) {
     if (this.game.warpGateSystem && targetData.object.targetSystemIndex !== undefined) {
       const destName = targetData.object.targetSystemName || 'Unknown System';
@@ -0,0 +1,91 @@
+/**
+ * Item Catalog - One definition per item id for everything that fits in the hold
+ *
+ * Merges trade commodities (EconomySystem), mined resources (ResourceSystem)
+ * and equipment/loot (EnhancedItems). Where an id appears in more than one
+ * table (water, exotic matter, antimatter...) the earlier table defines the
+ * trade data and later tables only fill in missing display fields.
+ */
+
+import { COMMODITIES } from './EconomySystem.js';
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { ENHANCED_ARTIFACTS } from './EnhancedItems.js';
+
+let catalog = null;
+
+function fromCommodity(commodity) {
+  return {
+    id: commodity.id,
+    name: commodity.name,
+    category: commodity.category,
+    source: 'commodity',
+    volume: commodity.volume,
+    mass: commodity.mass,
+    baseValue: commodity.basePrice,
+    illegal: commodity.illegal || false,
+    description: commodity.description
+  };
+}
+
+function fromResource(resource) {
+  return {
+    id: resource.id,
+    name: resource.name,
+    category: 'resource',
+    source: 'resource',
+    volume: resource.volume,
+    mass: resource.mass,
+    baseValue: resource.baseValue,
+    rarity: resource.rarity,
+    color: resource.color,
+    icon: resource.icon,
+    description: resource.description
+  };
+}
+
+function fromEnhancedItem(item) {
+  // Item size is its hold volume; one tonne per unit of volume unless stated
+  const volume = item.volume || item.size || 1;
+  return {
+    id: item.id,
+    name: item.name,
+    category: item.category,
+    source: 'item',
+    volume,
+    mass: item.mass ?? volume,
+    baseValue: item.value,
+    rarity: item.rarity,
+    icon: item.icon,
+    description: item.description
+  };
+}
+
+function buildCatalog() {
+  const definitions = new Map();
+  const merge = (definition) => {
+    const existing = definitions.get(definition.id);
+    if (!existing) {
+      definitions.set(definition.id, definition);
+      return;
+    }
+    for (const [key, value] of Object.entries(definition)) {
+      if (existing[key] === undefined) existing[key] = value;
+    }
+  };
+
+  Object.values(COMMODITIES).forEach(commodity => merge(fromCommodity(commodity)));
+  Object.values(RESOURCE_TYPES).forEach(resource => merge(fromResource(resource)));
+  Object.values(ENHANCED_ARTIFACTS).forEach(item => merge(fromEnhancedItem(item)));
+
+  return definitions;
+}
+
+/**
+ * Definition of an item
+ * @param {string} itemId - Commodity, resource or item id
+ * @returns {Object|null} { id, name, category, source, volume, mass, baseValue, ... }
+ */
+export function getItemDefinition(itemId) {
+  if (!catalog) catalog = buildCatalog();
+  return catalog.get(itemId) || null;
+}
@@ -0,0 +1,259 @@
+/**
+ * Market Orders - Standing buy and sell orders the player leaves at stations
+ *
+ * A sell order moves goods from the hold into the station's warehouse and
+ * sells them whenever the local price is at or above the limit; a buy order
+ * holds the credits back and buys while the price is at or below the limit.
+ * Orders fill on market ticks while the player is elsewhere, walking the
+ * price like any other trade. Proceeds (and savings on buy orders) are paid
+ * out the next time the player docks anywhere; bought goods wait at the
+ * order's station until the player docks there.
+ */
+
+// Share of a market's production level an order can trade per market tick
+const ORDER_FILL_RATE = 0.1;
+
+export const MAX_OPEN_ORDERS = 10;
+
+// Units per order and how far from the market price the terminal sets limits
+export const ORDER_LOT_SIZE = 10;
+export const ORDER_LIMIT_MARGIN = 0.15;
+
+export class MarketOrders {
+  /**
+   * @param {EconomySystem} economy - Owner; orders trade on its markets
+   */
+  constructor(economy) {
+    this.economy = economy;
+    this.orders = []; // In placement order, which is also fill order
+    this.nextId = 1;
+  }
+
+  get game() {
+    return this.economy.game;
+  }
+
+  getOpenOrders() {
+    return this.orders.filter(order => order.filled < order.quantity);
+  }
+
+  /**
+   * Checks shared by both order types
+   * @returns {string|null} Why the order can't be placed
+   */
+  validate(commodityId, quantity, limitPrice, systemIndex) {
+    const commodity = this.economy.commodities[commodityId];
+    if (!commodity) return 'Invalid commodity';
+    if (commodity.illegal) return 'Contraband is only traded on the black market';
+    if (!this.economy.systemMarkets.has(systemIndex)) return 'No market available';
+    if (!(quantity > 0) || !(limitPrice > 0)) return 'Invalid order';
+    if (this.getOpenOrders().length >= MAX_OPEN_ORDERS) return `No more than ${MAX_OPEN_ORDERS} open orders`;
+    return null;
+  }
+
+  createOrder(type, commodityId, quantity, limitPrice, systemIndex) {
+    const order = {
+      id: this.nextId++,
+      type,
+      commodityId,
+      ...this.economy.getLedgerPlace(systemIndex),
+      quantity,
+      filled: 0,
+      limitPrice,
+      placedAt: this.economy.clock,
+      unpaid: 0, // Credits owed to the player, paid on the next dock
+      costBasis: 0, // Sell orders: average price paid for the goods
+      spent: 0, // Buy orders: credits spent on filled units
+      awaiting: 0 // Buy orders: filled units waiting at the station
+    };
+    this.orders.push(order);
+    return order;
+  }
+
+  /**
+   * Leave goods from the hold for sale at the current station
+   */
+  placeSellOrder(commodityId, quantity, limitPrice, systemIndex) {
+    const error = this.validate(commodityId, quantity, limitPrice, systemIndex);
+    if (error) return { success: false, message: error };
+
+    const hold = this.game.cargoSystem;
+    const cargoItem = hold.items.find(item => item.itemId === commodityId);
+    if (!cargoItem || cargoItem.quantity < quantity) {
+      return { success: false, message: 'Not enough in cargo' };
+    }
+    if (this.game.missionSystem.getFreeQuantity(commodityId) < quantity) {
+      return { success: false, message: 'Contract freight is not yours to sell' };
+    }
+
+    const costBasis = cargoItem.purchasePrice;
+    hold.removeCargo(commodityId, quantity);
+
+    const order = this.createOrder('sell', commodityId, quantity, limitPrice, systemIndex);
+    order.costBasis = costBasis;
+
+    return { success: true, message: `Sell order placed: ${quantity} at ${limitPrice} CR or better`, order };
+  }
+
+  /**
+   * Leave credits at the current station to buy when the price drops
+   */
+  placeBuyOrder(commodityId, quantity, limitPrice, systemIndex) {
+    const error = this.validate(commodityId, quantity, limitPrice, systemIndex);
+    if (error) return { success: false, message: error };
+
+    const escrow = limitPrice * quantity;
+    if (!this.economy.canAfford(escrow)) {
+      return { success: false, message: 'Not enough credits' };
+    }
+
+    this.economy.credits -= escrow;
+    const order = this.createOrder('buy', commodityId, quantity, limitPrice, systemIndex);
+
+    return { success: true, message: `Buy order placed: ${quantity} at ${limitPrice} CR or better`, order };
+  }
+
+  /**
+   * Cancel an order at its own station: unsold goods return to the hold,
+   * unused credits come back
+   */
+  cancelOrder(orderId, systemIndex) {
+    const order = this.orders.find(candidate => candidate.id === orderId);
+    if (!order) return { success: false, message: 'No such order' };
+    if (order.systemIndex !== systemIndex) {
+      return { success: false, message: `Orders can only be cancelled at ${order.systemName}` };
+    }
+
+    const remaining = order.quantity - order.filled;
+    if (order.type === 'sell' && remaining > 0) {
+      const hold = this.game.cargoSystem;
+      const volume = this.economy.commodities[order.commodityId].volume;
+      if (!hold.hasSpace(volume * remaining)) {
+        return { success: false, message: 'Not enough cargo space for the unsold goods' };
+      }
+      hold.addCargo(order.commodityId, remaining, { purchasePrice: order.costBasis });
+    } else if (order.type === 'buy') {
+      this.economy.credits += order.limitPrice * remaining;
+    }
+
+    // Stop filling; anything already owed is settled as usual
+    order.quantity = order.filled;
+    this.settle(systemIndex);
+
+    return { success: true, message: `Order cancelled (${remaining} unfilled)` };
+  }
+
+  /**
+   * Fill open orders against current prices (called on market ticks)
+   */
+  fillOrders() {
+    const economy = this.economy;
+
+    for (const order of this.getOpenOrders()) {
+      const market = economy.systemMarkets.get(order.systemIndex);
+      if (!market) continue;
+
+      const commodityId = order.commodityId;
+      const maxUnits = Math.min(
+        order.quantity - order.filled,
+        Math.max(1, Math.round(market.production[commodityId] * ORDER_FILL_RATE))
+      );
+      const step = order.type === 'sell' ? 1 : -1;
+
+      // Trade unit by unit while the walked price still meets the limit; like
+      // EconomySystem.quoteTrade, each unit is priced at the stock it leaves behind
+      let units = 0;
+      let total = 0;
+      while (units < maxUnits) {
+        const stock = market.supply[commodityId] + step * (units + 1);
+        if (order.type === 'buy' && stock < 1) break;
+
+        const price = economy.calculatePrice(market, commodityId, stock);
+        if (order.type === 'sell' ? price < order.limitPrice : price > order.limitPrice) break;
+
+        units++;
+        total += price;
+      }
+      if (units === 0) continue;
+
+      market.supply[commodityId] += step * units;
+      economy.updatePrices(market);
+      order.filled += units;
+
+      const place = { systemIndex: order.systemIndex, systemName: order.systemName };
+      if (order.type === 'sell') {
+        order.unpaid += total;
+        economy.ledger.recordSell(commodityId, units, total, order.costBasis, place, economy.clock);
+      } else {
+        // The escrow covered the limit price, the difference is owed back
+        order.unpaid += order.limitPrice * units - total;
+        order.spent += total;
+        order.awaiting += units;
+        economy.ledger.recordBuy(commodityId, units, total, place, economy.clock);
+      }
+    }
+  }
+
+  /**
+   * Pay out filled orders and hand over goods bought at this station
+   * Called when the player docks.
+   * @returns {Object} { credits, delivered: [{ commodityId, quantity }] }
+   */
+  settle(systemIndex) {
+    const hold = this.game.cargoSystem;
+    const report = { credits: 0, delivered: [] };
+
+    for (const order of this.orders) {
+      report.credits += order.unpaid;
+      order.unpaid = 0;
+
+      if (order.awaiting > 0 && order.systemIndex === systemIndex) {
+        const purchasePrice = Math.round(order.spent / order.filled);
+        const result = hold.addCargo(order.commodityId, order.awaiting, { purchasePrice });
+        if (result.added > 0) {
+          order.awaiting -= result.added;
+          report.delivered.push({ commodityId: order.commodityId, quantity: result.added });
+        }
+      }
+    }
+
+    this.economy.credits += report.credits;
+
+    // Finished orders leave the book once nothing is waiting at the station
+    this.orders = this.orders.filter(order => order.filled < order.quantity || order.awaiting > 0);
+
+    return report;
+  }
+
+  /**
+   * Settle orders on docking and tell the player what came in
+   */
+  settleOnDock(systemIndex) {
+    const report = this.settle(systemIndex);
+
+    if (report.credits > 0) {
+      this.game.showNotification(`Market orders paid out ${report.credits} CR`, 'success');
+    }
+    for (const delivery of report.delivered) {
+      const name = this.economy.commodities[delivery.commodityId].name;
+      this.game.showNotification(`Collected ${delivery.quantity} ${name} from buy orders`, 'success');
+    }
+
+    return report;
+  }
+
+  /**
+   * Orders for save files
+   */
+  serialize() {
+    return { nextId: this.nextId, orders: this.orders };
+  }
+
+  /**
+   * Restore orders from a save (saves without orders start with none)
+   */
+  deserialize(data) {
+    this.nextId = data?.nextId || 1;
+    this.orders = data?.orders || [];
+  }
+}
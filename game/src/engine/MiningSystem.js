@@ -1,19 +1,159 @@
 /**
  * Mining System - Extract resources from asteroids
  * Based on PROMPT 16: Resource System - Mining Mechanics
+ *
+ * Every asteroid carries one ore at a grade and a limited reserve (see
+ * EnhancedSystemGenerator.generateAsteroidBelts). Each mining cycle takes ore
+ * in proportion to grade, laser tier and the health of the sections the laser
+ * depends on. Reserves the player takes grow back slowly, and the laser heats
+ * the ship until it cuts out.
  */
 
 import { RESOURCE_TYPES } from './ResourceSystem.js';
 
+// Units a Mk1 laser takes per cycle from grade 1 ore
+const BASE_CYCLE_YIELD = 20;
+
+// Yield multiplier and heat (degrees per second) per laser tier
+export const MINING_LASERS = {
+  1: { name: 'Mining Laser Mk1', yield: 1, heat: 18 },
+  2: { name: 'Mining Laser Mk2', yield: 1.5, heat: 22 },
+  3: { name: 'Mining Laser Mk3', yield: 2.2, heat: 26 }
+};
+
+// The laser cuts out when the ship gets this hot and restarts once it has cooled
+const OVERHEAT_TEMPERATURE = 90;
+const RESUME_TEMPERATURE = 60;
+
+// A badly damaged ship still mines, slowly
+const MIN_SECTION_EFFICIENCY = 0.2;
+
+// Game seconds for a fully mined-out asteroid to grow its reserves back
+const REPLENISH_SECONDS = 3600;
+
 export class MiningSystem {
   constructor(game) {
     this.game = game;
     this.miningTarget = null;
     this.miningProgress = 0;
-    this.miningTime = 3.0; // 3 seconds to mine an asteroid
+    this.miningTime = 3.0; // Seconds per mining cycle
     this.miningRange = 200; // Maximum mining range
     this.miningActive = false;
     this.miningBeam = null;
+    this.overheated = false;
+    // Ore taken from asteroids: 'system:belt:index' -> { extracted, at (economy clock) }
+    this.depletion = {};
+  }
+
+  get clock() {
+    return this.game.economySystem.clock;
+  }
+
+  getAsteroidKey(asteroid) {
+    return `${this.game.currentSystemIndex}:${asteroid.belt}:${asteroid.index}`;
+  }
+
+  /**
+   * Units of ore left in an asteroid, counting what has grown back
+   */
+  getReserves(asteroid) {
+    const record = this.depletion[this.getAsteroidKey(asteroid)];
+    if (!record) return asteroid.resources;
+
+    const regrown = (this.clock - record.at) * asteroid.resources / REPLENISH_SECONDS;
+    return Math.min(asteroid.resources, asteroid.resources - record.extracted + regrown);
+  }
+
+  /**
+   * Record ore taken, folding regrowth into the record first
+   */
+  deplete(asteroid, units) {
+    const key = this.getAsteroidKey(asteroid);
+    const extracted = asteroid.resources - this.getReserves(asteroid) + units;
+
+    if (extracted <= 0) {
+      delete this.depletion[key];
+    } else {
+      this.depletion[key] = { extracted, at: this.clock };
+    }
+    this.refreshAsteroid(asteroid);
+  }
+
+  /**
+   * Mined-out asteroids fade until their reserves grow back
+   */
+  refreshAsteroid(asteroid) {
+    const minedOut = this.getReserves(asteroid) < 1;
+    asteroid.mined = minedOut;
+    asteroid.opacity = minedOut ? 0.3 : 1;
+
+    // Fully regrown asteroids no longer need a record
+    const key = this.getAsteroidKey(asteroid);
+    if (this.depletion[key] && this.getReserves(asteroid) >= asteroid.resources) {
+      delete this.depletion[key];
+    }
+  }
+
+  /**
+   * Apply saved depletion to the asteroids of the system just loaded
+   */
+  applyDepletion() {
+    for (const asteroid of this.game.asteroids || []) {
+      this.refreshAsteroid(asteroid);
+    }
+  }
+
+  /**
+   * Share of a belt's reserves still in the rock (0-1)
+   */
+  getBeltReserves(beltIndex) {
+    let total = 0;
+    let left = 0;
+    for (const asteroid of this.game.asteroids || []) {
+      if (asteroid.belt !== beltIndex) continue;
+      total += asteroid.resources;
+      left += this.getReserves(asteroid);
+    }
+    return total > 0 ? left / total : 0;
+  }
+
+  /**
+   * What a scan reveals about an asteroid and its belt
+   */
+  getSurvey(asteroid) {
+    const belt = this.game.asteroidBelts?.[asteroid.belt];
+    return {
+      ore: RESOURCE_TYPES[asteroid.ore.toUpperCase()],
+      grade: asteroid.grade,
+      reserves: Math.floor(this.getReserves(asteroid)),
+      capacity: asteroid.resources,
+      yieldPerCycle: Math.floor(this.getCycleYield(asteroid)),
+      beltReserves: this.getBeltReserves(asteroid.belt),
+      beltComposition: belt ? belt.composition : {}
+    };
+  }
+
+  getLaser() {
+    return MINING_LASERS[this.game.player.miningLaserTier] || MINING_LASERS[1];
+  }
+
+  /**
+   * Laser output from the sections it depends on: mounted on the front
+   * section, powered by the reactor
+   */
+  getSectionEfficiency() {
+    const sections = this.game.shipDamageSystem?.sections;
+    if (!sections) return 1;
+
+    const health = section => (section.destroyed ? 0 : section.currentHealth / section.maxHealth);
+    return Math.max(MIN_SECTION_EFFICIENCY, (health(sections.frontSection) + health(sections.reactor)) / 2);
+  }
+
+  /**
+   * Units one cycle takes from an asteroid (before reserve and cargo limits)
+   */
+  getCycleYield(asteroid) {
+    return BASE_CYCLE_YIELD * asteroid.grade * this.getLaser().yield * this.getSectionEfficiency();
   }
 
   /**
@@ -29,7 +169,8 @@ export class MiningSystem {
     let minDist = Infinity;
 
     for (const asteroid of this.game.asteroids) {
-      if (asteroid.mined) continue; // Skip already mined asteroids
+      this.refreshAsteroid(asteroid); // Reserves may have grown back
+      if (asteroid.mined) continue; // Skip mined-out asteroids
 
       const dx = asteroid.x - player.x;
       const dy = asteroid.y - player.y;
@@ -46,13 +187,21 @@ export class MiningSystem {
 
   /**
    * Start mining process
+   * @param {Object} asteroid - Target to mine (defaults to the nearest one in range)
    */
-  startMining() {
-    const target = this.findNearestAsteroid();
+  startMining(asteroid = null) {
+    if (this.overheated) {
+      return { success: false, reason: 'overheated' };
+    }
+
+    const target = asteroid || this.findNearestAsteroid();
 
     if (!target) {
       return { success: false, reason: 'no_target' };
     }
+    if (this.getReserves(target) < 1) {
+      return { success: false, reason: 'mined_out' };
+    }
 
     this.miningTarget = target;
     this.miningProgress = 0;
@@ -86,10 +235,27 @@ export class MiningSystem {
    * Update mining progress
    */
   update(dt) {
+    const player = this.game.player;
+
+    // Let the laser restart once the ship has cooled down
+    if (this.overheated && (player.temperature || 20) <= RESUME_TEMPERATURE) {
+      this.overheated = false;
+      this.game.showNotification('Mining laser cooled down', 'info');
+    }
+
     if (!this.miningActive || !this.miningTarget) {
       return { success: false, reason: 'not_mining' };
     }
 
+    // The laser heats the ship on top of whatever the star is doing
+    player.temperature = Math.min(100, (player.temperature || 20) + this.getLaser().heat * dt);
+    if (player.temperature >= OVERHEAT_TEMPERATURE) {
+      this.overheated = true;
+      this.stopMining();
+      this.game.showNotification('Mining laser overheated! Let the ship cool down', 'warning');
+      return { success: false, reason: 'overheated' };
+    }
+
     // Check if target is still in range
     const dx = this.miningTarget.x - this.game.player.x;
     const dy = this.miningTarget.y - this.game.player.y;
@@ -154,27 +320,18 @@ export class MiningSystem {
     // Determine resources from asteroid
     const resources = this.extractResources(this.miningTarget);
 
-    // Mark asteroid as mined
-    this.miningTarget.mined = true;
-    this.miningTarget.opacity = 0.3; // Fade out mined asteroids
-
-    // Add resources to cargo
+    // Add resources to cargo; only what fits comes out of the rock
     const results = [];
     for (const resource of resources) {
       const result = this.game.cargoSystem.addCargo(resource.id, resource.quantity);
 
-      if (result.success) {
-        this.game.resourceSystem.addResource(resource.id, resource.quantity);
-        results.push({
-          resource: RESOURCE_TYPES[resource.id.toUpperCase()],
-          quantity: resource.quantity
-        });
-      } else if (result.success === 'partial') {
-        this.game.resourceSystem.addResource(resource.id, result.added);
+      if (result.added > 0) {
+        this.deplete(this.miningTarget, result.added);
+        this.game.missionSystem.onResourcesMined(resource.id, result.added);
         results.push({
           resource: RESOURCE_TYPES[resource.id.toUpperCase()],
           quantity: result.added,
-          partial: true
+          partial: result.success === 'partial'
         });
       }
     }
@@ -189,50 +346,30 @@ export class MiningSystem {
   }
 
   /**
-   * Extract resources based on asteroid properties
+   * Ore one cycle takes from an asteroid, capped by its reserves
+   * Fractional yield rounds up by chance so low grades still pay out
    */
   extractResources(asteroid) {
-    const resources = [];
-    const baseYield = 5 + Math.floor(Math.random() * 10); // 5-15 units
-
-    // Determine resource type based on asteroid size and random chance
-    const roll = Math.random();
-
-    if (roll < 0.5) {
-      // Common resources (50% chance)
-      const commonResources = ['iron', 'silicon', 'carbon', 'water'];
-      const resourceId = commonResources[Math.floor(Math.random() * commonResources.length)];
-      resources.push({
-        id: resourceId,
-        quantity: baseYield
-      });
-    } else if (roll < 0.85) {
-      // Uncommon resources (35% chance)
-      const uncommonResources = ['titanium', 'copper', 'platinum'];
-      const resourceId = uncommonResources[Math.floor(Math.random() * uncommonResources.length)];
-      resources.push({
-        id: resourceId,
-        quantity: Math.floor(baseYield * 0.6) // Less quantity
-      });
-    } else {
-      // Rare resources (15% chance)
-      const rareResources = ['exotic_matter', 'rare_isotopes', 'crystalline_matrix'];
-      const resourceId = rareResources[Math.floor(Math.random() * rareResources.length)];
-      resources.push({
-        id: resourceId,
-        quantity: Math.floor(baseYield * 0.3) // Even less quantity
-      });
-    }
+    const cycleYield = Math.min(this.getCycleYield(asteroid), this.getReserves(asteroid));
+    const quantity = Math.floor(cycleYield) + (Math.random() < cycleYield % 1 ? 1 : 0);
 
-    // Small chance of bonus resource
-    if (Math.random() > 0.8) {
-      resources.push({
-        id: 'iron',
-        quantity: Math.floor(baseYield * 0.5)
-      });
-    }
+    return quantity > 0 ? [{ id: asteroid.ore, quantity }] : [];
+  }
 
-    return resources;
+  /**
+   * Depleted asteroids for save files
+   */
+  serialize() {
+    return { depletion: this.depletion };
+  }
+
+  /**
+   * Restore depletion from a save (saves without it start with full belts)
+   */
+  deserialize(data) {
+    this.depletion = data?.depletion || {};
+    this.overheated = false;
+    this.applyDepletion();
   }
 
   /**
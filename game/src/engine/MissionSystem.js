@@ -0,0 +1,660 @@
+/**
+ * Mission System - Contracts offered on station boards and the player's mission log
+ *
+ * Every station posts a handful of procedurally generated contracts: cargo
+ * delivery, bounties on ships of an alien race, system surveys, convoy
+ * escorts, mining quotas and artifact retrieval. Boards are seeded per
+ * station and refresh every BOARD_REFRESH_SECONDS of game time, so the same
+ * seed shows the same offers. Accepted contracts run against the economy
+ * clock; each has a deadline, a reward, reputation with the issuing faction
+ * and its own failure conditions.
+ *
+ * Other systems report what the player does (kills, scans, mining, pickups,
+ * docking, death) and contracts advance from those reports.
+ *
+ * Escort contracts put a convoy of ConvoyFreighters on the player's wing.
+ * They follow the player from system to system and hostiles go after them;
+ * the contract fails when the whole convoy is lost.
+ */
+
+import { COMMODITIES } from './EconomySystem.js';
+import { getItemDefinition } from './ItemCatalog.js';
+import { ConvoyFreighter } from './Wingman.js';
+
+// Boards repost their offers this often (game seconds)
+const BOARD_REFRESH_SECONDS = 900;
+const OFFERS_PER_BOARD = [3, 5];
+
+export const MAX_ACTIVE_CONTRACTS = 5;
+
+// PERFORMANCE: Finished contracts kept in the mission log (and the save)
+const MAX_CONTRACT_HISTORY = 20;
+
+// Failure conditions are checked this often (game seconds)
+const CHECK_INTERVAL = 1;
+
+// Freighters per escorted convoy; the reward is paid per freighter delivered
+const CONVOY_SIZE = [2, 3];
+
+// Reward grows with the danger level of the system the work takes place in
+const DANGER_REWARD_BONUS = 0.25;
+
+// Reputation changes with the issuing faction
+const REPUTATION_GAIN = 3;
+const REPUTATION_LOSS = 5;
+
+// Per type: base reward, time limit (game seconds) and what the job involves
+const CONTRACT_TYPES = {
+  delivery: { label: 'DELIVERY', reward: 600, timeLimit: 900 },
+  bounty: { label: 'BOUNTY', reward: 900, timeLimit: 1200 },
+  survey: { label: 'SURVEY', reward: 500, timeLimit: 900 },
+  escort: { label: 'ESCORT', reward: 1100, timeLimit: 600 },
+  mining: { label: 'MINING QUOTA', reward: 450, timeLimit: 1200 },
+  artifact: { label: 'RETRIEVAL', reward: 2000, timeLimit: 1500 }
+};
+
+// Resources asteroids commonly yield (see MiningSystem.extractResources)
+const QUOTA_RESOURCES = ['iron', 'silicon', 'carbon', 'water', 'titanium', 'copper'];
+
+export class MissionSystem {
+  constructor(game) {
+    this.game = game;
+    this.contracts = []; // Active contracts, in acceptance order
+    this.history = []; // Finished contracts, newest last
+    this.acceptedOffers = new Map(); // offerId -> board epoch, so taken offers leave the board
+    this.boards = new Map(); // boardKey -> offers (regenerated from the seed, not saved)
+    this.nextId = 1;
+    this.checkTimer = 0;
+    this.convoyShips = []; // Freighters of active escort contracts, flying in this system
+  }
+
+  get clock() {
+    return this.game.economySystem.clock;
+  }
+
+  getEpoch() {
+    return Math.floor(this.clock / BOARD_REFRESH_SECONDS);
+  }
+
+  getStationName(station) {
+    return station.name || station.stationType || 'Station';
+  }
+
+  getSystemName(systemIndex) {
+    const systemData = this.game.getSystemData(systemIndex);
+    return systemData ? systemData.name : 'Unknown';
+  }
+
+  /**
+   * Contracts on offer at a station
+   * @param {Object} station - Station the player is docked at
+   * @param {number} systemIndex - System the station is in
+   * @returns {Array} Offers not yet taken
+   */
+  getOffers(station, systemIndex) {
+    const epoch = this.getEpoch();
+    const boardKey = `${systemIndex}:${this.getStationName(station)}:${epoch}`;
+
+    if (!this.boards.has(boardKey)) {
+      // Boards from earlier epochs are gone for good
+      for (const [key, offers] of this.boards) {
+        if (offers.epoch !== epoch) this.boards.delete(key);
+      }
+      for (const [offerId, offerEpoch] of this.acceptedOffers) {
+        if (offerEpoch !== epoch) this.acceptedOffers.delete(offerId);
+      }
+
+      const offers = this.generateOffers(station, systemIndex, boardKey);
+      offers.epoch = epoch;
+      this.boards.set(boardKey, offers);
+    }
+
+    return this.boards.get(boardKey).filter(offer => !this.acceptedOffers.has(offer.offerId));
+  }
+
+  /**
+   * Generate a station's board
+   * DETERMINISM: Seeded by station and epoch only, so reopening the board shows the same offers
+   */
+  generateOffers(station, systemIndex, boardKey) {
+    const game = this.game;
+    const rng = game.getGenerationRng('missions').child(boardKey);
+    const factionId = game.customsSystem.getStationFaction(station);
+    const neighbours = game.warpGateSystem.getConnectedSystems(systemIndex);
+
+    const issuer = {
+      issuerSystem: systemIndex,
+      issuerSystemName: this.getSystemName(systemIndex),
+      issuerStation: this.getStationName(station),
+      factionId
+    };
+
+    const offers = [];
+    const count = rng.int(OFFERS_PER_BOARD[0], OFFERS_PER_BOARD[1]);
+    for (let i = 0; i < count; i++) {
+      const type = rng.choice(Object.keys(CONTRACT_TYPES));
+      const terms = this.generateTerms(type, systemIndex, neighbours, rng);
+      // Types that need a neighbouring system are skipped where there is none
+      if (!terms) continue;
+
+      const targetSystem = terms.targetSystem ?? systemIndex;
+      const danger = this.game.getSystemData(targetSystem)?.dangerLevel || 0;
+      const reward = Math.round(
+        CONTRACT_TYPES[type].reward * (terms.rewardScale || 1) * (1 + danger * DANGER_REWARD_BONUS) * rng.range(0.85, 1.15)
+      );
+
+      offers.push({
+        offerId: `${boardKey}:${i}`,
+        type,
+        ...issuer,
+        targetSystem,
+        targetSystemName: this.getSystemName(targetSystem),
+        reward,
+        timeLimit: CONTRACT_TYPES[type].timeLimit,
+        reputationGain: REPUTATION_GAIN,
+        reputationLoss: REPUTATION_LOSS,
+        ...terms
+      });
+    }
+
+    return offers;
+  }
+
+  /**
+   * Type-specific terms of a contract
+   * @returns {Object|null} Terms, or null if this board can't offer the type
+   */
+  generateTerms(type, systemIndex, neighbours, rng) {
+    const game = this.game;
+
+    switch (type) {
+      case 'delivery': {
+        if (neighbours.length === 0) return null;
+        const legal = Object.values(COMMODITIES).filter(commodity => !commodity.illegal);
+        const commodity = rng.choice(legal);
+        const quantity = rng.int(5, 15);
+        return {
+          targetSystem: rng.choice(neighbours),
+          itemId: commodity.id,
+          required: quantity,
+          // Lost freight is charged at its base price (it can't be sold, see getFreeQuantity)
+          collateral: commodity.basePrice * quantity,
+          rewardScale: 1 + (commodity.basePrice * quantity) / 2000
+        };
+      }
+
+      case 'bounty': {
+        const races = game.alienRaceSystem.getRacesByRelationship('hostile');
+        const race = rng.choice(races.length > 0 ? races : Object.values(game.alienRaceSystem.races));
+        const kills = rng.int(2, 4);
+        return { raceId: race.id, raceName: race.name, required: kills, rewardScale: kills / 3 };
+      }
+
+      case 'survey': {
+        const targetSystem = rng.choice([systemIndex, ...neighbours]);
+        const planets = game.getSystemData(targetSystem)?.planetCount || 0;
+        if (planets === 0) return null;
+        return { targetSystem, required: Math.min(planets, rng.int(2, 4)), scanned: [] };
+      }
+
+      case 'escort': {
+        if (neighbours.length === 0) return null;
+        return { targetSystem: rng.choice(neighbours), required: 1, convoySize: rng.int(CONVOY_SIZE[0], CONVOY_SIZE[1]) };
+      }
+
+      case 'mining': {
+        const quantity = rng.int(10, 30);
+        const item = getItemDefinition(rng.choice(QUOTA_RESOURCES));
+        return { itemId: item.id, required: quantity, rewardScale: quantity / 20 };
+      }
+
+      case 'artifact': {
+        // Only systems that actually hold an artifact are worth sending someone to
+        for (const targetSystem of [systemIndex, ...neighbours]) {
+          const artifacts = game.artifactSystem.generateSystemArtifacts(
+            game.getSystemData(targetSystem),
+            targetSystem,
+            game.getGenerationRng('artifacts').child(targetSystem)
+          );
+          if (artifacts.length > 0) {
+            const artifact = rng.choice(artifacts);
+            return {
+              targetSystem,
+              artifactName: artifact.name,
+              artifactTypeId: artifact.typeId,
+              artifactPiece: artifact.pieceIndex,
+              required: 1
+            };
+          }
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Short description of what a contract asks for
+   */
+  describe(contract) {
+    switch (contract.type) {
+      case 'delivery':
+        return `Deliver ${contract.required} ${getItemDefinition(contract.itemId).name} to ${contract.targetSystemName}`;
+      case 'bounty':
+        return `Destroy ${contract.required} ${contract.raceName} ships`;
+      case 'survey':
+        return `Scan ${contract.required} planets or moons in ${contract.targetSystemName}`;
+      case 'escort':
+        return `Escort ${contract.convoySize || CONVOY_SIZE[0]} freighters to ${contract.targetSystemName}`;
+      case 'mining':
+        return `Mine ${contract.required} ${getItemDefinition(contract.itemId).name} for ${contract.issuerSystemName}`;
+      case 'artifact':
+        return `Recover ${contract.artifactName} from ${contract.targetSystemName}`;
+      default:
+        return 'Unknown contract';
+    }
+  }
+
+  /**
+   * Game seconds until an active contract's deadline
+   */
+  getTimeLeft(contract) {
+    return contract.deadline - this.clock;
+  }
+
+  getTypeLabel(type) {
+    return CONTRACT_TYPES[type] ? CONTRACT_TYPES[type].label : type.toUpperCase();
+  }
+
+  /**
+   * Take a contract from the current station's board
+   */
+  acceptContract(offerId, station, systemIndex) {
+    const offer = this.getOffers(station, systemIndex).find(candidate => candidate.offerId === offerId);
+    if (!offer) return { success: false, message: 'Contract no longer available' };
+    if (this.contracts.length >= MAX_ACTIVE_CONTRACTS) {
+      return { success: false, message: `No more than ${MAX_ACTIVE_CONTRACTS} active contracts` };
+    }
+
+    // Delivery freight is loaded on acceptance
+    if (offer.type === 'delivery') {
+      const hold = this.game.cargoSystem;
+      if (!hold.hasSpace(getItemDefinition(offer.itemId).volume * offer.required)) {
+        return { success: false, message: 'Not enough cargo space for the freight' };
+      }
+      hold.addCargo(offer.itemId, offer.required, { freight: true });
+    }
+
+    const contract = {
+      ...offer,
+      id: this.nextId++,
+      progress: 0,
+      acceptedAt: this.clock,
+      deadline: this.clock + offer.timeLimit,
+      status: 'active'
+    };
+    if (contract.scanned) contract.scanned = [];
+    delete contract.rewardScale;
+
+    this.contracts.push(contract);
+    this.acceptedOffers.set(offerId, this.getEpoch());
+    if (contract.type === 'escort') this.launchConvoy(contract);
+
+    console.log(`[MissionSystem] Accepted contract ${contract.id}: ${this.describe(contract)}`);
+    return { success: true, message: `Contract accepted: ${this.describe(contract)}`, contract };
+  }
+
+  /**
+   * Give up an active contract (counts as a failure)
+   */
+  abandonContract(contractId) {
+    const contract = this.contracts.find(candidate => candidate.id === contractId);
+    if (!contract) return { success: false, message: 'No such contract' };
+
+    this.failContract(contract, 'Abandoned');
+    return { success: true, message: 'Contract abandoned' };
+  }
+
+  /**
+   * Pay out a finished contract
+   */
+  completeContract(contract) {
+    const game = this.game;
+
+    game.economySystem.credits += contract.reward;
+    if (game.factionSystem) {
+      game.factionSystem.modifyReputation(contract.factionId, contract.reputationGain);
+    }
+    if (game.statistics) {
+      game.statistics.missionsCompleted++;
+    }
+
+    this.finish(contract, 'completed', null);
+    game.showNotification(`Contract complete: ${this.describe(contract)}. +${contract.reward} CR`, 'success');
+  }
+
+  /**
+   * Fail a contract: reputation loss with the issuer, and lost freight is paid for
+   */
+  failContract(contract, reason) {
+    const game = this.game;
+    const economy = game.economySystem;
+
+    if (game.factionSystem) {
+      game.factionSystem.modifyReputation(contract.factionId, -contract.reputationLoss);
+    }
+
+    // Collateral takes what the player has, it doesn't go into debt
+    if (contract.collateral) {
+      contract.collateralPaid = Math.min(economy.credits, contract.collateral);
+      economy.credits -= contract.collateralPaid;
+    }
+
+    // Freight still aboard has been paid for and is the player's now
+    if (contract.type === 'delivery') {
+      const perUnit = Math.round((contract.collateralPaid || 0) / contract.required);
+      game.cargoSystem.releaseFreight(contract.itemId, contract.required, perUnit);
+    }
+
+    this.finish(contract, 'failed', reason);
+    const charge = contract.collateralPaid ? ` Charged ${contract.collateralPaid} CR for the freight.` : '';
+    game.showNotification(`Contract failed (${reason}): ${this.describe(contract)}.${charge}`, 'error');
+  }
+
+  finish(contract, status, reason) {
+    contract.status = status;
+    contract.failReason = reason;
+    contract.finishedAt = this.clock;
+
+    this.contracts = this.contracts.filter(candidate => candidate !== contract);
+    this.convoyShips = this.convoyShips.filter(ship => ship.contract !== contract);
+    this.assignConvoySlots();
+    this.history.push(contract);
+    if (this.history.length > MAX_CONTRACT_HISTORY) {
+      this.history.splice(0, this.history.length - MAX_CONTRACT_HISTORY);
+    }
+
+    console.log(`[MissionSystem] Contract ${contract.id} ${status}${reason ? ` (${reason})` : ''}`);
+  }
+
+  /**
+   * Units of an item the hold must still carry for active deliveries
+   */
+  getFreightCarried(itemId) {
+    return this.contracts
+      .filter(contract => contract.type === 'delivery' && contract.itemId === itemId)
+      .reduce((sum, contract) => sum + contract.required, 0);
+  }
+
+  /**
+   * Units of an item in the hold that are the player's to sell or use up:
+   * delivery freight is loaded free and only charged at base price if lost,
+   * so it can't be sold, put up for sale or fed to the fabricator
+   */
+  getFreeQuantity(itemId) {
+    return Math.max(0, this.game.cargoSystem.getCargoQuantity(itemId) - this.getFreightCarried(itemId));
+  }
+
+  /**
+   * Check deadlines and failure conditions (called every frame)
+   */
+  update(dt) {
+    this.checkTimer += dt;
+    if (this.checkTimer < CHECK_INTERVAL) return;
+    this.checkTimer = 0;
+
+    for (const contract of [...this.contracts]) {
+      if (this.clock > contract.deadline) {
+        this.failContract(contract, 'Deadline passed');
+      } else if (contract.type === 'delivery' &&
+                 this.game.cargoSystem.getCargoQuantity(contract.itemId) < this.getFreightCarried(contract.itemId)) {
+        this.failContract(contract, 'Freight lost');
+      }
+    }
+  }
+
+  /**
+   * Put an escort contract's surviving freighters in space behind the player
+   */
+  launchConvoy(contract) {
+    const player = this.game.player;
+    // Contracts from saves made before convoys were flown get a fresh one
+    if (!contract.convoy) {
+      contract.convoy = Array.from({ length: contract.convoySize || CONVOY_SIZE[0] }, () => ({ hp: null, lost: false }));
+    }
+
+    const launched = [];
+    for (const freight of contract.convoy) {
+      if (freight.lost) continue;
+      const ship = new ConvoyFreighter(contract, player.x, player.y);
+      ship.freight = freight;
+      if (freight.hp !== null) ship.hp = Math.min(ship.maxHp, freight.hp);
+      ship.vx = player.vx || 0;
+      ship.vy = player.vy || 0;
+      ship.rotation = player.rotation;
+      launched.push(ship);
+    }
+    this.convoyShips.push(...launched);
+    this.assignConvoySlots();
+    for (const ship of launched) {
+      const slot = ship.getSlotPosition(player);
+      ship.x = slot.x;
+      ship.y = slot.y;
+    }
+  }
+
+  assignConvoySlots() {
+    this.convoyShips.forEach((ship, index) => {
+      ship.slot = index;
+    });
+  }
+
+  /**
+   * Keep each freighter's damage with its contract (for regrouping and saves)
+   */
+  stowConvoys() {
+    for (const ship of this.convoyShips) ship.freight.hp = ship.hp;
+  }
+
+  /**
+   * New system (or a loaded save): convoys form up on the player again
+   */
+  regroupConvoys() {
+    this.stowConvoys();
+    this.convoyShips = [];
+    for (const contract of this.contracts) {
+      if (contract.type === 'escort') this.launchConvoy(contract);
+    }
+  }
+
+  /**
+   * Fly the convoys (called with the wing, see FleetSystem.update)
+   * @param {Object} surroundings - { stations, star } as passed to alien ships
+   */
+  updateConvoys(dt, surroundings = {}) {
+    const game = this.game;
+    if (game.scene !== 'system') return;
+
+    for (const ship of [...this.convoyShips]) {
+      ship.update(dt, game.player, game.enemies, game.projectiles, surroundings);
+      if (ship.isDead || ship.hp <= 0) this.onFreighterLost(ship);
+    }
+  }
+
+  onFreighterLost(ship) {
+    const contract = ship.contract;
+    ship.freight.lost = true;
+    ship.freight.hp = 0;
+    this.game.createExplosion(ship.x, ship.y, ship.size || 30);
+    this.convoyShips = this.convoyShips.filter(entry => entry !== ship);
+    this.assignConvoySlots();
+
+    const left = contract.convoy.filter(freight => !freight.lost).length;
+    if (left === 0) {
+      this.failContract(contract, 'Convoy destroyed');
+    } else {
+      this.game.showNotification(`Convoy freighter lost - ${left} left for ${contract.targetSystemName}`, 'warning');
+    }
+  }
+
+  renderConvoys(ctx, camera) {
+    for (const ship of this.convoyShips) {
+      const sx = ship.x - camera.x;
+      const sy = ship.y - camera.y;
+      if (sx < -100 || sx > this.game.width + 100 || sy < -100 || sy > this.game.height + 100) continue;
+      ship.render(ctx, camera);
+    }
+  }
+
+  /**
+   * Count a kill toward bounties
+   * @param {AlienShip} ship - Ship that was destroyed
+   */
+  onShipDestroyed(ship) {
+    for (const contract of [...this.contracts]) {
+      if (contract.type !== 'bounty' || contract.raceId !== ship.race) continue;
+
+      contract.progress++;
+      if (contract.progress >= contract.required) {
+        this.completeContract(contract);
+      } else {
+        this.game.showNotification(`Bounty: ${contract.progress}/${contract.required} ${contract.raceName} ships`, 'info');
+      }
+    }
+  }
+
+  /**
+   * Count a scanned planet or moon toward surveys (each body counts once)
+   */
+  onBodyScanned(targetType, body) {
+    if (targetType !== 'planet' && targetType !== 'moon') return;
+
+    const systemIndex = this.game.currentSystemIndex;
+    const bodyName = body.name || `${targetType}@${Math.round(body.x)},${Math.round(body.y)}`;
+
+    for (const contract of [...this.contracts]) {
+      if (contract.type !== 'survey' || contract.targetSystem !== systemIndex) continue;
+      if (contract.scanned.includes(bodyName)) continue;
+
+      contract.scanned.push(bodyName);
+      contract.progress = contract.scanned.length;
+      if (contract.progress >= contract.required) {
+        this.completeContract(contract);
+      } else {
+        this.game.showNotification(`Survey: ${contract.progress}/${contract.required} bodies scanned`, 'info');
+      }
+    }
+  }
+
+  /**
+   * Count mined resources toward quotas
+   */
+  onResourcesMined(itemId, quantity) {
+    for (const contract of this.contracts) {
+      if (contract.type !== 'mining' || contract.itemId !== itemId) continue;
+      contract.progress = Math.min(contract.required, contract.progress + quantity);
+    }
+  }
+
+  /**
+   * Mark retrieval contracts whose artifact was just picked up
+   */
+  onArtifactCollected(artifact) {
+    for (const contract of this.contracts) {
+      if (contract.type !== 'artifact' || contract.progress >= contract.required) continue;
+      if (artifact.systemIndex !== contract.targetSystem || artifact.name !== contract.artifactName) continue;
+
+      contract.progress = 1;
+      this.game.showNotification(`${contract.artifactName} recovered. Return it to ${contract.issuerSystemName}.`, 'success');
+    }
+  }
+
+  /**
+   * Hand in contracts that finish at a station
+   */
+  onDock(station, systemIndex) {
+    const hold = this.game.cargoSystem;
+    const artifacts = this.game.artifactSystem;
+
+    for (const contract of [...this.contracts]) {
+      switch (contract.type) {
+        case 'delivery':
+          if (contract.targetSystem === systemIndex) {
+            hold.removeCargo(contract.itemId, contract.required, { freight: true });
+            this.completeContract(contract);
+          }
+          break;
+
+        case 'escort':
+          if (contract.targetSystem === systemIndex) {
+            // Paid for the freighters that made it
+            const delivered = contract.convoy.filter(freight => !freight.lost).length;
+            contract.reward = Math.round(contract.reward * delivered / contract.convoy.length);
+            this.completeContract(contract);
+          }
+          break;
+
+        case 'mining':
+          if (contract.issuerSystem === systemIndex && contract.progress >= contract.required &&
+              hold.getCargoQuantity(contract.itemId) >= contract.required) {
+            hold.removeCargo(contract.itemId, contract.required);
+            this.completeContract(contract);
+          }
+          break;
+
+        case 'artifact': {
+          if (contract.issuerSystem !== systemIndex || contract.progress < contract.required) break;
+          const index = artifacts.discoveredArtifacts.findIndex(piece =>
+            piece.typeId === contract.artifactTypeId && piece.pieceIndex === contract.artifactPiece
+          );
+          if (index === -1) {
+            this.failContract(contract, 'Artifact no longer in your possession');
+          } else {
+            artifacts.discoveredArtifacts.splice(index, 1);
+            this.completeContract(contract);
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Escorted convoys don't survive the escort's death
+   */
+  onPlayerDeath() {
+    for (const contract of [...this.contracts]) {
+      if (contract.type === 'escort') {
+        this.failContract(contract, 'Convoy destroyed');
+      }
+    }
+  }
+
+  /**
+   * Contracts for save files (boards are regenerated from the seed)
+   */
+  serialize() {
+    this.stowConvoys();
+    return {
+      nextId: this.nextId,
+      contracts: this.contracts,
+      history: this.history,
+      acceptedOffers: Array.from(this.acceptedOffers.entries())
+    };
+  }
+
+  /**
+   * Restore contracts from a save (saves without missions start with none)
+   */
+  deserialize(data) {
+    this.nextId = data?.nextId || 1;
+    this.contracts = data?.contracts || [];
+    this.history = data?.history || [];
+    this.acceptedOffers = new Map(data?.acceptedOffers || []);
+    this.boards.clear();
+    this.convoyShips = [];
+    this.regroupConvoys();
+  }
+}
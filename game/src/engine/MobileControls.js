@@ -121,6 +121,12 @@ export class MobileControls {
         position: 'top-left', offsetX: 10, offsetY: 10,
         action: () => this.targetNearestEnemy()
       },
+      subsystem: {
+        x: 0, y: 0, width: 60, height: 60,
+        label: 'SUB',
+        position: 'top-left', offsetX: 10, offsetY: 80,
+        action: () => this.game.targetingSystem.cycleSubsystem()
+      },
 
       // Inventory and interaction buttons
       inventory: {
@@ -556,30 +562,10 @@ export class MobileControls {
   }
 
   /**
-   * Target nearest enemy
+   * Lock the nearest enemy, then step outward on each further tap (see TargetingSystem)
    */
   targetNearestEnemy() {
-    // Find nearest enemy and set as target
-    if (!this.game.enemies || this.game.enemies.length === 0) return;
-
-    const player = this.game.player;
-    let nearest = null;
-    let minDist = Infinity;
-
-    for (const enemy of this.game.enemies) {
-      const dx = enemy.x - player.x;
-      const dy = enemy.y - player.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = enemy;
-      }
-    }
-
-    if (nearest) {
-      this.game.targetedEnemy = nearest;
-    }
+    this.game.targetingSystem.cycleTarget(1);
   }
 
   /**
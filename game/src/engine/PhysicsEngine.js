@@ -2,10 +2,10 @@
  * PhysicsEngine - Handles all game physics including movement, collisions, and interactions
  * Extracted from Game.js to improve code organization
  */
-import { MiningSystem } from './MiningSystem.js';
 import { getSystemSize } from './ScaleSystem.js';
 import { ThrusterEffects } from './ThrusterEffects.js';
 import { updateProjectile } from './WeaponSystem.js';
+import { FLEET_SIDE } from './Wingman.js';
 
 export class PhysicsEngine {
   constructor(game) {
@@ -18,12 +18,6 @@ export class PhysicsEngine {
   update(dt) {
     const p = this.game.player;
 
-    // Initialize mining system on first frame (after 'this' is fully constructed)
-    if (!this.game.miningSystemReady) {
-      this.game.miningSystem = new MiningSystem(this.game);
-      this.game.miningSystemReady = true;
-    }
-
     // PERFORMANCE: Progressive planet sprite generation - generate 1 planet per frame
     if (this.game.needsPlanetSpriteGeneration && this.game.planetSpriteGenerationQueue && this.game.planetSpriteGenerationQueue.length > 0) {
       const planetIdx = this.game.planetSpriteGenerationQueue.shift();
@@ -53,18 +47,25 @@ export class PhysicsEngine {
     if (p.landed) {
       // Launch with Space key
       if (this.game.input.keys.has('Space') || this.game.input.keys.has('KeyL')) {
-        this.game.launchFromSurface();
+        const result = this.game.launchFromSurface();
+        if (!result.success) {
+          this.game.showNotification(result.message, 'warning');
+        }
+        // Remove keys so a refused launch isn't retried every frame
+        this.game.input.keys.delete('Space');
+        this.game.input.keys.delete('KeyL');
       }
 
-      // Collect resources with C or E key
+      // Extract, search or unload with C or E key
       if (this.game.input.keys.has('KeyC') || this.game.input.keys.has('KeyE')) {
-        this.game.collectSurfaceResources();
-        // Remove key to prevent repeated collection
+        this.game.surfaceExploration.interact();
+        // Remove key to prevent repeated interaction
         this.game.input.keys.delete('KeyC');
         this.game.input.keys.delete('KeyE');
       }
 
-      // Skip normal movement physics when landed
+      // Drive the rover; normal movement physics is skipped when landed
+      this.game.surfaceExploration.update(dt);
       return;
     }
 
@@ -109,7 +110,7 @@ export class PhysicsEngine {
 
     // Forward thrust (main engine)
     if (this.game.input.thrust > 0 && p.fuel > 0 && p.power > 5) {
-      const force = this.game.input.thrust * 300;
+      const force = this.game.input.thrust * 300 * (p.thrustMultiplier || 1);
       p.vx += Math.cos(p.rotation) * force * dt;
       p.vy += Math.sin(p.rotation) * force * dt;
       // REALISTIC MECHANICS: Fuel consumption scales with ship mass
@@ -193,6 +194,9 @@ export class PhysicsEngine {
 
       // Start black hole warp effect when charging begins
       if (p.warpCharge > 0.15 && !this.game.blackHoleWarpEffect.active) {
+        if (this.game.saveSystem) {
+          this.game.saveSystem.createRestorePoint('Black hole warp');
+        }
         this.game.blackHoleWarpEffect.start(p.x, p.y);
       }
 
@@ -377,6 +381,11 @@ export class PhysicsEngine {
         station.rotationSpeed = station.rotationSpeed || 0;
         station.angle += station.orbitSpeed * dt;
         station.rotation += station.rotationSpeed * dt;
+        // Absolute position for alien targeting
+        if (this.game.star) {
+          station.x = this.game.star.x + Math.cos(station.angle) * station.distance;
+          station.y = this.game.star.y + Math.sin(station.angle) * station.distance;
+        }
       }
     }
 
@@ -411,20 +420,19 @@ export class PhysicsEngine {
         this.game.miningSystem.stopMining();
       }
 
-      if (this.game.miningSystem.isMining()) {
-        const result = this.game.miningSystem.update(dt);
-        if (result && result.success && result.resources) {
-          // Mining completed!
-
-          // Show notification
-          this.game.notifications = this.game.notifications || [];
-          for (const item of result.resources) {
-            this.game.notifications.push({
-              message: `+${item.quantity} ${item.resource.name}`,
-              life: 3.0,
-              color: item.resource.color
-            });
-          }
+      // Runs every frame so an overheated laser notices when the ship has cooled
+      const result = this.game.miningSystem.update(dt);
+      if (result.success && result.resources) {
+        // Mining completed!
+
+        // Show notification
+        this.game.notifications = this.game.notifications || [];
+        for (const item of result.resources) {
+          this.game.notifications.push({
+            message: `+${item.quantity} ${item.resource.name}`,
+            life: 3.0,
+            color: item.resource.color
+          });
         }
       }
     }
@@ -609,12 +617,18 @@ export class PhysicsEngine {
     p.damageFlash *= 0.85;
 
     // Enemy AI and physics
+    // Escorted convoys are fair game along with the wing
+    const surroundings = {
+      stations: this.game.stations,
+      star: this.game.star,
+      wingmen: [...this.game.fleetSystem.wingmen, ...this.game.missionSystem.convoyShips]
+    };
     for (let i = this.game.enemies.length - 1; i >= 0; i--) {
       const enemy = this.game.enemies[i];
 
       // Update using AlienShip class (all enemies should be AlienShip instances)
       if (enemy.update) {
-        enemy.update(dt, p, this.game.enemies, this.game.projectiles);
+        enemy.update(dt, p, this.game.enemies, this.game.projectiles, surroundings);
       } else {
         // SAFETY: Minimal fallback for any non-AlienShip enemies
         console.warn('[PhysicsEngine] Enemy without update method detected - skipping AI');
@@ -624,10 +638,24 @@ export class PhysicsEngine {
         enemy.vy *= 0.98;
       }
 
+      // Ships that reach the warp limit leave the system
+      if (enemy.warpedOut) {
+        this.game.enemies.splice(i, 1);
+        console.log(`[PhysicsEngine] ${enemy.raceName} ${enemy.type} warped out`);
+        continue;
+      }
+
       // Remove dead enemies
       if (enemy.isDead || enemy.hp <= 0) {
         this.game.createExplosion(enemy.x, enemy.y, enemy.size || 30);
         this.game.enemies.splice(i, 1);
+
+        // Wreckage, and reputation when the player took a side
+        this.game.factionWarfare.onShipDestroyed(enemy);
+
+        // Ships finished off by other aliens earn the player nothing (their wing's kills count)
+        if (!this.game.fleetSystem.isPlayerSide(enemy.lastAttacker)) continue;
+
         p.kills++;
         p.score += enemy.scoreValue || 100;
 
@@ -635,9 +663,16 @@ export class PhysicsEngine {
         if (this.game.statistics) {
           this.game.statistics.enemiesDestroyed++;
         }
+
+        // Bounties
+        this.game.missionSystem.onShipDestroyed(enemy);
       }
     }
 
+    // The player's wingmen and escorted convoys
+    this.game.fleetSystem.update(dt, surroundings);
+    this.game.missionSystem.updateConvoys(dt, surroundings);
+
     // PERFORMANCE: Update thruster effects system
     if (this.game.thrusterEffects) {
       this.game.thrusterEffects.update(dt, this.game.particles);
@@ -777,7 +812,10 @@ export class PhysicsEngine {
             } else {
               // Non-explosive projectiles: apply direct damage
               if (enemy.takeDamage) {
-                enemy.takeDamage(proj.damage);
+                const subsystem = proj.subsystemTarget === enemy ? proj.subsystem : null;
+                enemy.takeDamage(proj.damage, p, subsystem);
+                if (subsystem) this.game.targetingSystem.onSubsystemHit(enemy, subsystem);
+                if (proj.disableDuration && enemy.ionize) this.game.boardingSystem.onIonHit(enemy, proj);
                 if (enemy.shields > 0) {
                   this.game.createShieldImpact(enemy.x, enemy.y);
                 } else {
@@ -946,6 +984,18 @@ export class PhysicsEngine {
           }
         }
       } else {
+        // Alien fire can hit ships of other races, and raiders' fire hits stations
+        if (this.checkAlienProjectileHits(proj)) {
+          this.game.projectiles.splice(i, 1);
+          continue;
+        }
+
+        // Wingmen's fire passes the player by
+        if (proj.side === FLEET_SIDE) {
+          if (proj.life <= 0) this.game.projectiles.splice(i, 1);
+          continue;
+        }
+
         // Enemy projectile hit player
         const dx = p.x - proj.x;
         const dy = p.y - proj.y;
@@ -983,11 +1033,14 @@ export class PhysicsEngine {
             const damageMult = difficultyDamageMultipliers[this.game.gameConfig.difficulty] || 1.0;
             const modifiedDamage = proj.damage * damageMult;
 
+            // Armor plates soak part of the hit (alien bolts carry no type, so average resistance applies)
+            const hullDamage = this.game.armorSystem.processDamage(modifiedDamage, proj.projectileType || 'unknown', 1.0, dt);
+
             // HUD UI OVERHAUL: Apply damage to ship sections
             if (this.game.shipDamageSystem) {
-              this.game.shipDamageSystem.applyDamage(modifiedDamage);
+              this.game.shipDamageSystem.applyDamage(hullDamage);
             }
-            p.hull -= modifiedDamage;
+            p.hull -= hullDamage;
             p.damageFlash = 1;
             this.game.createHitSparks(proj.x, proj.y);
           }
@@ -1017,6 +1070,11 @@ export class PhysicsEngine {
       this.game.weaponSystem.update(dt);
     }
 
+    // Armor - regenerative plates and reactive charges
+    if (this.game.armorSystem) {
+      this.game.armorSystem.update(dt);
+    }
+
     // HUD UI OVERHAUL: Update ship damage system (repairs, performance modifiers)
     if (this.game.shipDamageSystem) {
       this.game.shipDamageSystem.update(dt);
@@ -1031,9 +1089,12 @@ export class PhysicsEngine {
 
     // Fire weapon using WeaponSystem
     if (this.game.input.fire && this.game.weaponSystem) {
+      const firstShot = this.game.projectiles.length;
       const fired = this.game.weaponSystem.fire(p, p.rotation, this.game.projectiles, this.game.enemies);
 
       if (fired) {
+        this.game.targetingSystem.tagShots(this.game.projectiles, firstShot);
+
         // Track shot statistics
         if (this.game.statistics) {
           this.game.statistics.shotsFired++;
@@ -1212,22 +1273,78 @@ export class PhysicsEngine {
     // Check player death (only trigger once)
     if (p.hull <= 0 && !p.isDying) {
       p.isDying = true;
+      // DETERMINISM: Counted in simulation time (not setTimeout) so headless runs and pauses behave the same
+      p.deathTimer = 2.0;
       this.game.createExplosion(p.x, p.y, 50);
+    }
+
+    if (p.isDying && p.deathTimer > 0) {
+      p.deathTimer -= dt;
+      if (p.deathTimer <= 0) {
+        this.game.statistics.deaths++;
+        this.game.missionSystem.onPlayerDeath();
 
-      // PERMADEATH MODE: Game over on death (no respawn)
-      if (this.game.gameConfig.permadeath) {
-        setTimeout(() => {
+        // PERMADEATH MODE: Game over on death (no respawn)
+        if (this.game.gameConfig.permadeath) {
           this.game.gameOver = true;
-          this.game.statistics.deaths++;
           console.log('[Game] PERMADEATH: Game Over');
-        }, 2000);
-      } else {
-        // Normal mode: respawn after delay
-        setTimeout(() => {
+        } else {
+          // Normal mode: respawn after delay
           this.game.resetGame();
-          this.game.statistics.deaths++;
-        }, 2000);
+        }
+      }
+    }
+  }
+
+  /**
+   * Alien, wingman or station projectile against ships of other sides (never
+   * the shooter's own race or faction) and, for shots aimed at a station, stations
+   * @returns {boolean} True when the projectile hit something and is spent
+   */
+  checkAlienProjectileHits(proj) {
+    if (!proj.source) return false;
+
+    if (this.checkProjectileShipHits(proj, this.game.enemies)) return true;
+    if (this.checkProjectileShipHits(proj, this.game.fleetSystem.wingmen)) return true;
+    if (this.checkProjectileShipHits(proj, this.game.missionSystem.convoyShips)) return true;
+
+    if (proj.raid && this.game.stations) {
+      for (const station of this.game.stations) {
+        if (station.destroyed || station.x === undefined || station.faction === proj.side) continue;
+        const dx = station.x - proj.x;
+        const dy = station.y - proj.y;
+        const radius = station.size || 40;
+        if (dx * dx + dy * dy < radius * radius) {
+          this.game.collisionSystem.handleWeaponDamageToStation(station, station, proj.damage, this.game.particles);
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * First ship in the list, not on the shooter's side, that the projectile hits
+   * @returns {boolean} True on a hit
+   */
+  checkProjectileShipHits(proj, ships) {
+    for (const ship of ships) {
+      if (ship.race === proj.side || ship.isDead) continue;
+      const dx = ship.x - proj.x;
+      const dy = ship.y - proj.y;
+      const hitRadius = ship.size || 20;
+      // PERFORMANCE: Use squared distance to avoid sqrt
+      if (dx * dx + dy * dy < hitRadius * hitRadius) {
+        ship.takeDamage(proj.damage, proj.source);
+        if (ship.shields > 0) {
+          this.game.createShieldImpact(ship.x, ship.y);
+        } else {
+          this.game.createHitSparks(proj.x, proj.y);
+        }
+        return true;
       }
     }
+    return false;
   }
 }
@@ -3,6 +3,7 @@
  * Based on PROMPT 16: Resource System
  */
 
+// Volume is hold space and mass is tonnes per unit (see ItemCatalog)
 export const RESOURCE_TYPES = {
   // Common Resources
   IRON: {
@@ -10,6 +11,8 @@ export const RESOURCE_TYPES = {
     name: 'Iron',
     rarity: 'common',
     baseValue: 10,
+    volume: 1,
+    mass: 8,
     description: 'Basic construction material',
     color: '#886644',
     icon: '⛏'
@@ -19,6 +22,8 @@ export const RESOURCE_TYPES = {
     name: 'Silicon',
     rarity: 'common',
     baseValue: 15,
+    volume: 1,
+    mass: 2,
     description: 'Electronics and computer components',
     color: '#888888',
     icon: '🔧'
@@ -28,6 +33,8 @@ export const RESOURCE_TYPES = {
     name: 'Water',
     rarity: 'common',
     baseValue: 8,
+    volume: 2,
+    mass: 2,
     description: 'Life support and fuel production',
     color: '#4488ff',
     icon: '💧'
@@ -37,6 +44,8 @@ export const RESOURCE_TYPES = {
     name: 'Carbon',
     rarity: 'common',
     baseValue: 12,
+    volume: 1,
+    mass: 2,
     description: 'Versatile building material',
     color: '#333333',
     icon: '◆'
@@ -48,6 +57,8 @@ export const RESOURCE_TYPES = {
     name: 'Titanium',
     rarity: 'uncommon',
     baseValue: 50,
+    volume: 1,
+    mass: 4.5,
     description: 'Strong, lightweight hull material',
     color: '#cccccc',
     icon: '🔩'
@@ -57,6 +68,8 @@ export const RESOURCE_TYPES = {
     name: 'Platinum',
     rarity: 'uncommon',
     baseValue: 75,
+    volume: 1,
+    mass: 21,
     description: 'Advanced electronics and catalysts',
     color: '#e5e4e2',
     icon: '💎'
@@ -66,6 +79,8 @@ export const RESOURCE_TYPES = {
     name: 'Deuterium',
     rarity: 'uncommon',
     baseValue: 60,
+    volume: 1,
+    mass: 0.2,
     description: 'Fusion reactor fuel',
     color: '#44ffff',
     icon: '⚛'
@@ -75,6 +90,8 @@ export const RESOURCE_TYPES = {
     name: 'Copper',
     rarity: 'uncommon',
     baseValue: 40,
+    volume: 1,
+    mass: 9,
     description: 'Electrical wiring and components',
     color: '#b87333',
     icon: '⚡'
@@ -86,6 +103,8 @@ export const RESOURCE_TYPES = {
     name: 'Exotic Matter',
     rarity: 'rare',
     baseValue: 250,
+    volume: 1,
+    mass: 0.5,
     description: 'Unknown properties, valuable research material',
     color: '#ff00ff',
     icon: '✦'
@@ -95,6 +114,8 @@ export const RESOURCE_TYPES = {
     name: 'Antimatter',
     rarity: 'rare',
     baseValue: 500,
+    volume: 1,
+    mass: 0.1,
     description: 'Extremely powerful energy source',
     color: '#ffff00',
     icon: '☢'
@@ -104,6 +125,8 @@ export const RESOURCE_TYPES = {
     name: 'Rare Isotopes',
     rarity: 'rare',
     baseValue: 180,
+    volume: 1,
+    mass: 10,
     description: 'Essential for advanced technology',
     color: '#00ff88',
     icon: '☣'
@@ -113,6 +136,8 @@ export const RESOURCE_TYPES = {
     name: 'Crystalline Matrix',
     rarity: 'rare',
     baseValue: 300,
+    volume: 1,
+    mass: 3,
     description: 'Quantum computing substrate',
     color: '#88ffff',
     icon: '💠'
@@ -120,88 +145,74 @@ export const RESOURCE_TYPES = {
 };
 
 export class ResourceSystem {
-  constructor() {
+  /**
+   * @param {CargoSystem} cargoSystem - The ship's hold; resource quantities are read from it
+   */
+  constructor(cargoSystem) {
+    this.cargoSystem = cargoSystem;
     this.resources = {};
     this.initializeResources();
   }
 
   /**
-   * Initialize all resource types with zero quantities
+   * Index resource definitions by id
    */
   initializeResources() {
     for (const resourceId in RESOURCE_TYPES) {
       const resource = RESOURCE_TYPES[resourceId];
-      this.resources[resource.id] = {
-        ...resource,
-        quantity: 0
-      };
+      this.resources[resource.id] = resource;
     }
   }
 
   /**
-   * Add resource to inventory
+   * Add resource to the hold
+   * @returns {boolean} True if any units fit
    */
   addResource(resourceId, quantity) {
-    if (this.resources[resourceId]) {
-      this.resources[resourceId].quantity += quantity;
-      return true;
-    }
-    return false;
+    if (!this.resources[resourceId]) return false;
+    return this.cargoSystem.addCargo(resourceId, quantity).added > 0;
   }
 
   /**
-   * Remove resource from inventory
+   * Remove resource from the hold
    */
   removeResource(resourceId, quantity) {
-    if (this.resources[resourceId] && this.resources[resourceId].quantity >= quantity) {
-      this.resources[resourceId].quantity -= quantity;
-      return true;
-    }
-    return false;
+    if (!this.resources[resourceId]) return false;
+    return this.cargoSystem.removeCargo(resourceId, quantity).success;
   }
 
   /**
    * Get resource quantity
    */
   getQuantity(resourceId) {
-    return this.resources[resourceId]?.quantity || 0;
+    return this.resources[resourceId] ? this.cargoSystem.getCargoQuantity(resourceId) : 0;
   }
 
   /**
    * Get total value of all resources
    */
   getTotalValue() {
-    let total = 0;
-    for (const resourceId in this.resources) {
-      const resource = this.resources[resourceId];
-      total += resource.quantity * resource.baseValue;
-    }
-    return total;
+    return this.getOwnedResources().reduce((total, resource) => total + resource.quantity * resource.baseValue, 0);
   }
 
   /**
    * Get resources by rarity
    */
   getResourcesByRarity(rarity) {
-    const result = [];
-    for (const resourceId in this.resources) {
-      const resource = this.resources[resourceId];
-      if (resource.rarity === rarity) {
-        result.push(resource);
-      }
-    }
-    return result;
+    return Object.values(this.resources)
+      .filter(resource => resource.rarity === rarity)
+      .map(resource => ({ ...resource, quantity: this.getQuantity(resource.id) }));
   }
 
   /**
-   * Get all resources with non-zero quantities
+   * Get all resources in the hold with their quantities
    */
   getOwnedResources() {
     const result = [];
     for (const resourceId in this.resources) {
-      const resource = this.resources[resourceId];
-      if (resource.quantity > 0) {
-        result.push(resource);
+      const quantity = this.getQuantity(resourceId);
+      if (quantity > 0) {
+        result.push({ ...this.resources[resourceId], quantity });
       }
     }
     return result;
@@ -213,26 +224,4 @@ export class ResourceSystem {
   getResource(resourceId) {
     return this.resources[resourceId];
   }
-
-  /**
-   * Serialize resources for saving
-   */
-  serialize() {
-    const data = {};
-    for (const resourceId in this.resources) {
-      data[resourceId] = this.resources[resourceId].quantity;
-    }
-    return data;
-  }
-
-  /**
-   * Load resources from saved data
-   */
-  deserialize(data) {
-    for (const resourceId in data) {
-      if (this.resources[resourceId]) {
-        this.resources[resourceId].quantity = data[resourceId];
-      }
-    }
-  }
 }
@@ -0,0 +1,113 @@
+/**
+ * SaveIntegrity - Content hashes and run signatures for save data
+ *
+ * Every save carries an `integrity` block: a SHA-256 hash of the save's
+ * canonical JSON and an HMAC of that hash keyed to the run's galaxy seed.
+ * Editing an exported file or localStorage without re-signing breaks one of
+ * the two. The key is derivable from the game's own code, so this catches
+ * casual edits rather than a determined attacker.
+ *
+ * Shared by SaveSystem and the leaderboard router (uses Web Crypto only, which
+ * browsers in secure contexts and Node both provide).
+ */
+
+const SIGNING_SALT = 'pixelversum-run-signature-v1';
+const INTEGRITY_ALGORITHM = 'sha256-hmac';
+
+// Results of verifySaveIntegrity
+export const INTEGRITY_STATUS = {
+  VALID: 'valid',
+  UNSIGNED: 'unsigned',
+  TAMPERED: 'tampered'
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Whether this environment can hash and sign saves (Web Crypto needs https or localhost)
+ */
+export function isIntegritySupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * JSON with object keys sorted, so key order never changes the hash
+ */
+export function canonicalJson(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (val && typeof val === 'object' && !Array.isArray(val)) {
+      return Object.keys(val).sort().reduce((sorted, k) => {
+        sorted[k] = val[k];
+        return sorted;
+      }, {});
+    }
+    return val;
+  });
+}
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+async function sha256(text) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+}
+
+async function hmacSha256(keyText, text) {
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(keyText), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
+}
+
+/**
+ * Compute the integrity block for a save (the existing block is ignored)
+ * @param {Object} saveData - Save data
+ * @returns {Promise<Object>} { algorithm, hash, signature }
+ */
+export async function computeSaveIntegrity(saveData) {
+  const content = { ...saveData };
+  delete content.integrity;
+  const seed = saveData.galaxy ? saveData.galaxy.seed : '';
+
+  const hash = await sha256(canonicalJson(content));
+  const signature = await hmacSha256(`${SIGNING_SALT}:${seed}`, hash);
+  return { algorithm: INTEGRITY_ALGORITHM, hash, signature };
+}
+
+/**
+ * Attach a fresh integrity block to a save
+ * @param {Object} saveData - Save data (modified in place)
+ * @returns {Promise<Object>} The same save data
+ */
+export async function signSave(saveData) {
+  saveData.integrity = await computeSaveIntegrity(saveData);
+  return saveData;
+}
+
+/**
+ * Check a save against its integrity block
+ * @param {Object} saveData - Save data as stored
+ * @returns {Promise<Object>} { status, error } with status one of INTEGRITY_STATUS
+ */
+export async function verifySaveIntegrity(saveData) {
+  const stored = saveData && saveData.integrity;
+  if (!stored || stored.algorithm !== INTEGRITY_ALGORITHM) {
+    return { status: INTEGRITY_STATUS.UNSIGNED, error: 'Save has no integrity data' };
+  }
+
+  const expected = await computeSaveIntegrity(saveData);
+  if (stored.hash !== expected.hash) {
+    return { status: INTEGRITY_STATUS.TAMPERED, error: 'Save contents do not match their checksum' };
+  }
+  if (stored.signature !== expected.signature) {
+    return { status: INTEGRITY_STATUS.TAMPERED, error: 'Save signature does not match the run seed' };
+  }
+
+  return { status: INTEGRITY_STATUS.VALID, error: null };
+}
+
+/**
+ * Whether a save belongs to an ironman run
+ */
+export function isIronmanSave(saveData) {
+  return !!(saveData && saveData.run && saveData.run.ironman);
+}
@@ -0,0 +1,243 @@
+/**
+ * SaveMigrations - Step-by-step upgrades for old save formats
+ *
+ * Each registry entry upgrades a save from format N to N+1. Loading an old
+ * save runs every step between its saveFormatVersion and the current one in
+ * order. Steps work on a copy, so a failed migration never leaves a
+ * half-upgraded save behind; the caller gets a report naming the failing step.
+ *
+ * When adding fields to the save format: bump CURRENT_SAVE_FORMAT_VERSION and
+ * register a step that fills the new fields for older saves.
+ */
+
+export const CURRENT_SAVE_FORMAT_VERSION = 5;
+
+// fromVersion -> { description, migrate(saveData) => saveData }
+const SAVE_MIGRATIONS = new Map();
+
+/**
+ * Register a migration step
+ * @param {number} fromVersion - Format version the step upgrades from
+ * @param {string} description - Human readable summary (shown in reports)
+ * @param {Function} migrate - Receives a save in fromVersion format, returns it in fromVersion + 1
+ */
+export function registerSaveMigration(fromVersion, description, migrate) {
+  if (SAVE_MIGRATIONS.has(fromVersion)) {
+    throw new Error(`Save migration from v${fromVersion} already registered`);
+  }
+  SAVE_MIGRATIONS.set(fromVersion, { description, migrate });
+}
+
+/**
+ * Format version of a save (saves written before versioning count as 0)
+ */
+export function getSaveFormatVersion(saveData) {
+  return Number.isInteger(saveData.saveFormatVersion) ? saveData.saveFormatVersion : 0;
+}
+
+/**
+ * Upgrade a save to the current format
+ * @param {Object} saveData - Parsed save data (not modified)
+ * @param {number} targetVersion - Format to upgrade to
+ * @returns {Object} Report: { success, saveData, fromVersion, toVersion, applied, error, failedStep }
+ */
+export function migrateSaveData(saveData, targetVersion = CURRENT_SAVE_FORMAT_VERSION) {
+  const fromVersion = saveData && typeof saveData === 'object' ? getSaveFormatVersion(saveData) : null;
+  const report = {
+    success: false,
+    saveData: null,
+    fromVersion,
+    toVersion: fromVersion,
+    applied: [],
+    error: null,
+    failedStep: null
+  };
+
+  if (fromVersion === null) {
+    report.error = 'Save data must be an object';
+    return report;
+  }
+
+  if (fromVersion > targetVersion) {
+    report.error = `Save format v${fromVersion} is newer than this game supports (v${targetVersion})`;
+    return report;
+  }
+
+  let current = JSON.parse(JSON.stringify(saveData));
+
+  for (let version = fromVersion; version < targetVersion; version++) {
+    const step = SAVE_MIGRATIONS.get(version);
+    if (!step) {
+      report.error = `No migration registered from save format v${version}`;
+      report.failedStep = { from: version, to: version + 1, description: null };
+      return report;
+    }
+
+    try {
+      current = step.migrate(current);
+      current.saveFormatVersion = version + 1;
+    } catch (error) {
+      report.error = `Migration v${version} -> v${version + 1} failed: ${error.message}`;
+      report.failedStep = { from: version, to: version + 1, description: step.description };
+      return report;
+    }
+
+    report.applied.push({ from: version, to: version + 1, description: step.description });
+    report.toVersion = version + 1;
+  }
+
+  report.success = true;
+  report.saveData = current;
+  return report;
+}
+
+// === MIGRATION STEPS ===
+
+registerSaveMigration(0, 'Fill sections missing from pre-versioned saves', (save) => {
+  if (!save.player || !save.galaxy) {
+    throw new Error('save has no player or galaxy section');
+  }
+
+  save.version = save.version || '0.1.0';
+  save.saveName = save.saveName || 'Recovered Save';
+  save.timestamp = save.timestamp || 0;
+  save.playtime = save.playtime || 0;
+  save.saveType = save.saveType || 'manual';
+
+  const player = save.player;
+  player.level = player.level || 1;
+  player.experience = player.experience || 0;
+  player.kills = player.kills || 0;
+  player.score = player.score || 0;
+  player.credits = player.credits || 0;
+
+  save.economy = save.economy || { cargo: [], cargoCapacity: 50, credits: player.credits };
+  save.factions = save.factions || {};
+  save.artifacts = save.artifacts || { inventory: [], assembled: [] };
+  save.stats = save.stats || {
+    systemsVisited: (save.galaxy.exploredSystems || []).length,
+    warpJumps: 0,
+    totalDistance: 0,
+    enemiesDestroyed: player.kills,
+    creditsEarned: 0
+  };
+  save.flags = save.flags || { tutorialCompleted: false, firstWarpGateUsed: false };
+
+  return save;
+});
+
+registerSaveMigration(1, 'Store discovered systems as an array', (save) => {
+  // v1 serialized the discoveredSystems Set directly, which JSON writes as {}.
+  // The contents are lost; fall back to the starting system like a new game.
+  if (!Array.isArray(save.galaxy.discoveredSystems)) {
+    save.galaxy.discoveredSystems = [save.galaxy.seed];
+  }
+  if (!Array.isArray(save.galaxy.exploredSystems)) {
+    save.galaxy.exploredSystems = [];
+  }
+
+  return save;
+});
+
+registerSaveMigration(2, 'Add run mode section', (save) => {
+  // Run modes were not saved before; older runs load as regular runs
+  save.run = save.run || { ironman: false, permadeath: false, difficulty: null, flagged: false };
+
+  return save;
+});
+
+registerSaveMigration(3, 'Move cargo into the unified hold', (save) => {
+  // Trade goods used to live in economy.cargo, apart from the ship's hold.
+  // The old trade capacity is dropped; the hold keeps the ship's capacity.
+  const economy = save.economy || {};
+  const items = (economy.cargo || [])
+    .map(entry => ({
+      itemId: entry.itemId || entry.commodityId,
+      quantity: entry.quantity || 0,
+      purchasePrice: entry.purchasePrice || 0
+    }))
+    .filter(entry => entry.itemId && entry.quantity > 0);
+
+  save.cargo = save.cargo || { maxCapacity: null, hiddenCapacity: economy.hiddenCargoCapacity || 0, items };
+
+  delete economy.cargo;
+  delete economy.cargoCapacity;
+  delete economy.hiddenCargoCapacity;
+
+  return save;
+});
+
+registerSaveMigration(4, 'Save the wallet', (save) => {
+  // economy.credits copied player.credits, which nothing updated, so it was
+  // always 0 and the wallet (EconomySystem.credits) was never saved. Drop the
+  // placeholder so the game keeps its starting credits; saves converted from
+  // GameStateManager did carry a real balance.
+  if (save.economy && !(save.economy.credits > 0)) {
+    delete save.economy.credits;
+  }
+
+  return save;
+});
+
+// === OTHER SAVE FORMATS ===
+
+/**
+ * Convert a save written by the old GameStateManager (React menus) into a
+ * pre-versioned SaveSystem save; the registered steps upgrade it from there
+ * @param {Object} save - Parsed GameStateManager save ({ id, name, player: { hp, shield, ... }, ... })
+ * @returns {Object} Save data in format v0
+ */
+export function convertGameStateManagerSave(save) {
+  const player = save.player || {};
+  const credits = save.credits || 0;
+  // Same default seed as a new Game without one
+  const seed = save.seed || 12345;
+
+  return {
+    version: '0.2.0',
+    saveName: save.name || 'Recovered Save',
+    timestamp: save.timestamp || 0,
+    playtime: save.playtime || 0,
+    saveType: save.id === 'autosave' ? 'autosave' : 'manual',
+    preview: {
+      thumbnail: save.thumbnail || null,
+      systemName: save.systemName || null,
+      location: save.location || null,
+      shipClass: save.shipClass || null,
+      hullPercent: save.hullPercent ?? Math.round(((player.hp || 100) / (player.maxHp || 100)) * 100)
+    },
+    player: {
+      callsign: save.callsign || player.callsign || 'PILOT',
+      shipName: save.shipName || player.shipName || 'WANDERER',
+      shipColor: save.shipColor || player.color || 'blue',
+      x: player.x || 0,
+      y: player.y || 0,
+      vx: player.vx || 0,
+      vy: player.vy || 0,
+      rotation: player.rotation || 0,
+      hull: player.hp || 100,
+      maxHull: player.maxHp || 100,
+      shields: player.shield || 100,
+      maxShields: player.maxShield || 100,
+      power: player.power || 100,
+      maxPower: player.maxPower || 100,
+      fuel: player.fuel || 100,
+      maxFuel: player.maxFuel || 100,
+      credits
+    },
+    galaxy: {
+      seed,
+      currentSystemIndex: Number.isInteger(save.currentSystem) ? save.currentSystem : 0,
+      exploredSystems: [],
+      // Not stored by GameStateManager; start from the home system like a new game
+      discoveredSystems: [seed]
+    },
+    economy: { cargo: save.cargo || [], cargoCapacity: 50, credits },
+    run: {
+      ironman: false,
+      permadeath: false,
+      difficulty: save.difficulty || null,
+      flagged: false
+    }
+  };
+}
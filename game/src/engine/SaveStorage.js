@@ -0,0 +1,174 @@
+/**
+ * SaveStorage - Compressed, chunked save storage on top of localStorage
+ *
+ * Saves are gzipped with CompressionStream, base64 encoded and split across
+ * several chunk keys. The slot key itself only holds a small manifest (chunk
+ * keys + save metadata), so save lists never have to decompress anything.
+ *
+ * Slot keys that still hold plain JSON from older versions are read as-is and
+ * replaced with the chunked format the next time the slot is written.
+ */
+
+const STORAGE_FORMAT = 'pixelversum-chunked';
+
+// Chunk keys deliberately do not start with 'pixelversum_save_' so code that
+// scans for save slots never picks them up
+const CHUNK_KEY_PREFIX = 'pixelversum_chunk_';
+
+// Characters per chunk (localStorage stores UTF-16, so ~1 MB per value)
+const CHUNK_SIZE = 512 * 1024;
+
+// Makes chunk generations unique even for two writes in the same millisecond
+let writeCounter = 0;
+
+/**
+ * Whether the browser can gzip saves (older browsers store plain JSON chunks)
+ */
+export function isCompressionSupported() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+  // PERFORMANCE: Convert in slices, spreading megabytes into fromCharCode overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Parse the manifest stored under a slot key
+ * @returns {Object|null} Manifest, or null for empty slots and legacy plain-JSON saves
+ */
+function readManifest(key) {
+  const json = localStorage.getItem(key);
+  // Manifests are written with storageFormat first, so legacy saves are never parsed here
+  if (!json || !json.startsWith('{"storageFormat"')) return null;
+
+  const manifest = JSON.parse(json);
+  return manifest.storageFormat === STORAGE_FORMAT ? manifest : null;
+}
+
+/**
+ * Write a save to a slot key
+ * @param {string} key - Slot key (see SaveSystem.getSlotKey)
+ * @param {Object} saveData - Full save data
+ * @param {Object} meta - Metadata kept uncompressed in the manifest for save lists
+ * @returns {Promise<Object>} Manifest that was stored (includes size and storedSize)
+ */
+export async function writeSave(key, saveData, meta = null) {
+  const json = JSON.stringify(saveData);
+  const compressed = isCompressionSupported();
+  const payload = compressed
+    ? bytesToBase64(await pipeBytes(new TextEncoder().encode(json), new CompressionStream('gzip')))
+    : json;
+
+  const previous = readManifest(key);
+  const generation = `${Date.now().toString(36)}${(writeCounter++).toString(36)}`;
+  const chunks = [];
+
+  const manifest = {
+    storageFormat: STORAGE_FORMAT,
+    encoding: compressed ? 'gzip-base64' : 'json',
+    chunks,
+    size: json.length,
+    storedSize: payload.length,
+    meta
+  };
+
+  try {
+    for (let offset = 0; offset < payload.length; offset += CHUNK_SIZE) {
+      const chunkKey = `${CHUNK_KEY_PREFIX}${key}_${generation}_${chunks.length}`;
+      localStorage.setItem(chunkKey, payload.slice(offset, offset + CHUNK_SIZE));
+      chunks.push(chunkKey);
+    }
+    localStorage.setItem(key, JSON.stringify(manifest));
+  } catch (error) {
+    // Leave the previous save intact if storage fills up mid-write
+    chunks.forEach(chunkKey => localStorage.removeItem(chunkKey));
+    throw error;
+  }
+
+  // Old chunks are only dropped once the new manifest points elsewhere
+  if (previous) {
+    previous.chunks.forEach(chunkKey => localStorage.removeItem(chunkKey));
+  }
+
+  return manifest;
+}
+
+/**
+ * Read a save from a slot key
+ * @param {string} key - Slot key
+ * @returns {Promise<Object|null>} Save data, or null if the slot is empty
+ */
+export async function readSave(key) {
+  const manifest = readManifest(key);
+
+  if (!manifest) {
+    // Empty slot or a legacy uncompressed save
+    const json = localStorage.getItem(key);
+    return json ? JSON.parse(json) : null;
+  }
+
+  let payload = '';
+  for (const chunkKey of manifest.chunks) {
+    const chunk = localStorage.getItem(chunkKey);
+    if (chunk === null) {
+      throw new Error(`Save chunk missing: ${chunkKey}`);
+    }
+    payload += chunk;
+  }
+
+  if (manifest.encoding === 'json') {
+    return JSON.parse(payload);
+  }
+
+  if (!isCompressionSupported()) {
+    throw new Error('This browser cannot decompress saves');
+  }
+
+  const bytes = await pipeBytes(base64ToBytes(payload), new DecompressionStream('gzip'));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Read save metadata without decompressing the save
+ * @param {string} key - Slot key
+ * @param {Function} extractMeta - Builds metadata from full save data (legacy saves)
+ * @returns {Object|null} Metadata, or null if the slot is empty
+ */
+export function readSaveMeta(key, extractMeta) {
+  const manifest = readManifest(key);
+  if (manifest) return manifest.meta;
+
+  const json = localStorage.getItem(key);
+  return json ? extractMeta(JSON.parse(json)) : null;
+}
+
+/**
+ * Remove a save and its chunks
+ * @param {string} key - Slot key
+ */
+export function removeSave(key) {
+  const manifest = readManifest(key);
+  if (manifest) {
+    manifest.chunks.forEach(chunkKey => localStorage.removeItem(chunkKey));
+  }
+  localStorage.removeItem(key);
+}
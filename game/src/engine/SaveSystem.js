@@ -2,13 +2,51 @@
  * SaveSystem - Handles game save/load functionality with LocalStorage
  *
  * Features:
- * - Manual save to multiple slots (1-10)
- * - Autosave system with configurable interval
+ * - Manual save to multiple slots (1-10) plus a quicksave slot
+ * - Rolling ring of autosaves with configurable interval and size
+ * - Restore points before risky actions (black hole warp, landing, hostile docking)
  * - Save data validation and error recovery
  * - Export/import save files
- * - Version compatibility checking
+ * - Gzip-compressed, chunked storage through SaveStorage
+ * - Integrity hashes and run signatures (modified ironman saves are rejected)
+ * - Version compatibility checking and step-by-step format migration
+ * - Optional cloud sync through CloudSaveBackend
+ * - One key scheme for the in-game screens, hotkeys and React menus, with a
+ *   one-time migration of keys written by older versions
  */
 
+import { validateSaveStructure, isNewerMajorVersion, getSaveCredits } from './SaveValidation.js';
+import {
+  migrateSaveData,
+  convertGameStateManagerSave,
+  CURRENT_SAVE_FORMAT_VERSION
+} from './SaveMigrations.js';
+import { writeSave, readSave, readSaveMeta, removeSave } from './SaveStorage.js';
+import {
+  signSave,
+  verifySaveIntegrity,
+  isIntegritySupported,
+  isIronmanSave,
+  INTEGRITY_STATUS
+} from './SaveIntegrity.js';
+import { loadSettings } from '../utils/GameStateManager.js';
+
+// Slot counts shared by the static helpers (instances copy them in the constructor)
+const MAX_SAVE_SLOTS = 10;
+const MAX_AUTOSAVE_SLOTS = 10;
+const MAX_RESTORE_POINTS = 5;
+const DEFAULT_AUTOSAVE_RING_SIZE = 3;
+
+// Set once the old key schemes have been moved into slots
+const KEY_MIGRATION_MARKER = 'pixelversum_keys_migrated';
+const KEY_SCHEME_VERSION = '2';
+
+// Old GameStateManager saves: 'pixelversum_save_<id>', where SaveSystem only uses save_1..10
+const LEGACY_SAVE_KEY = /^pixelversum_save_(.+)$/;
+
+// Shared by every caller so the migration only runs once per page load
+let legacyKeyMigration = null;
+
 export class SaveSystem {
   constructor(game) {
     this.game = game;
@@ -18,11 +56,32 @@ export class SaveSystem {
     this.autosaveTimer = null;
     this.lastAutosaveTime = 0;
 
-    // Save format version for compatibility
-    this.SAVE_FORMAT_VERSION = 1;
+    // Save format version for compatibility (older saves are migrated on load)
+    this.SAVE_FORMAT_VERSION = CURRENT_SAVE_FORMAT_VERSION;
+
+    // Report from the most recent loadGame/importSave (migration steps, errors)
+    this.lastLoadReport = null;
 
     // Maximum number of save slots
-    this.MAX_SAVE_SLOTS = 10;
+    this.MAX_SAVE_SLOTS = MAX_SAVE_SLOTS;
+
+    // Autosaves rotate through autosave_1..N, overwriting the oldest
+    this.autosaveRingSize = DEFAULT_AUTOSAVE_RING_SIZE;
+    this.MAX_AUTOSAVE_SLOTS = MAX_AUTOSAVE_SLOTS;
+
+    // Restore points rotate through restore_1..N the same way
+    this.MAX_RESTORE_POINTS = MAX_RESTORE_POINTS;
+    this.restorePointCooldown = 60 * 1000; // Per reason, so repeated warps don't flood the ring
+    this.lastRestorePointTimes = {};
+
+    // Thumbnail size stored with each save (height follows the canvas aspect ratio)
+    this.THUMBNAIL_WIDTH = 160;
+
+    // Optional remote storage (CloudSaveBackend), set by Game when cloud sync is enabled
+    this.cloudBackend = null;
+
+    // Move saves from older key schemes into slots (no-op after the first run)
+    SaveSystem.migrateLegacyKeys();
   }
 
   /**
@@ -35,7 +94,7 @@ export class SaveSystem {
 
     this.lastAutosaveTime = Date.now();
     this.autosaveTimer = setInterval(() => {
-      this.saveGame('autosave', 'Autosave');
+      this.autosave();
     }, this.autosaveInterval);
 
     console.log('[SaveSystem] Autosave started (interval: 5 minutes)');
@@ -52,40 +111,143 @@ export class SaveSystem {
     }
   }
 
+  /**
+   * Change how many autosaves are kept (slots past the new size are deleted)
+   * @param {number} size - Number of autosave slots
+   */
+  setAutosaveRingSize(size) {
+    this.autosaveRingSize = Math.max(1, Math.min(this.MAX_AUTOSAVE_SLOTS, Math.round(size) || 1));
+
+    for (let i = this.autosaveRingSize + 1; i <= this.MAX_AUTOSAVE_SLOTS; i++) {
+      removeSave(SaveSystem.getSlotKey(`autosave_${i}`));
+    }
+  }
+
+  getAutosaveSlots() {
+    return Array.from({ length: this.autosaveRingSize }, (_, i) => `autosave_${i + 1}`);
+  }
+
+  getRestorePointSlots() {
+    return Array.from({ length: this.MAX_RESTORE_POINTS }, (_, i) => `restore_${i + 1}`);
+  }
+
+  /**
+   * Pick the next slot of a ring: the first empty one, otherwise the oldest
+   * @param {Array<string>} slots - Ring slot names
+   * @returns {string} Slot to write
+   */
+  pickRingSlot(slots) {
+    let oldestSlot = slots[0];
+    let oldestTime = Infinity;
+
+    for (const slot of slots) {
+      const meta = this.getSaveMetadata(slot);
+      if (!meta) return slot;
+      if ((meta.timestamp || 0) < oldestTime) {
+        oldestTime = meta.timestamp || 0;
+        oldestSlot = slot;
+      }
+    }
+
+    return oldestSlot;
+  }
+
+  /**
+   * Write the next autosave in the ring
+   * @returns {Promise<boolean>} Success status
+   */
+  autosave() {
+    return this.saveGame(this.pickRingSlot(this.getAutosaveSlots()), 'Autosave', { saveType: 'autosave' });
+  }
+
+  /**
+   * Save to the quicksave slot (F5)
+   * @returns {Promise<boolean>} Success status
+   */
+  quickSave() {
+    return this.saveGame('quicksave', 'Quick Save');
+  }
+
+  /**
+   * Load the most recent manual save, quicksave or autosave (F9)
+   * @returns {Promise<Object|null>} Load report, or null if there is nothing to load
+   */
+  async quickLoad() {
+    const slot = this.getLatestSaveSlot();
+
+    if (!slot) {
+      if (this.game.notificationSystem) {
+        this.game.notificationSystem.show('No saves found', 'warning');
+      }
+      return null;
+    }
+
+    return this.loadGame(slot);
+  }
+
+  /**
+   * Save a restore point before a risky action
+   * @param {string} reason - What is about to happen (e.g. 'Black hole warp')
+   * @returns {Promise<boolean>} Success status (false if skipped by cooldown)
+   */
+  async createRestorePoint(reason) {
+    const now = Date.now();
+    if (now - (this.lastRestorePointTimes[reason] || 0) < this.restorePointCooldown) {
+      return false;
+    }
+    this.lastRestorePointTimes[reason] = now;
+
+    const slot = this.pickRingSlot(this.getRestorePointSlots());
+    const saved = await this.saveGame(slot, `Before ${reason}`, { saveType: 'restore', reason, notify: false });
+
+    if (saved && this.game.notificationSystem) {
+      this.game.notificationSystem.show(`Restore point saved: ${reason}`, 'info');
+    }
+    return saved;
+  }
+
   /**
    * Save game to specified slot
-   * @param {string} slot - 'autosave', 'save_1', 'save_2', etc.
+   * @param {string} slot - 'autosave_1', 'restore_1', 'save_1', 'save_2', etc.
    * @param {string} saveName - User-friendly name for save
-   * @returns {boolean} Success status
+   * @param {Object} options
+   * @param {string} options.saveType - 'manual', 'autosave' or 'restore'
+   * @param {string} options.reason - Why a restore point was taken
+   * @param {boolean} options.notify - Show the "Game saved" notification
+   * @returns {Promise<boolean>} Success status
    */
-  saveGame(slot, saveName) {
+  async saveGame(slot, saveName, { saveType = 'manual', reason = null, notify = true } = {}) {
     try {
       console.log(`[SaveSystem] Saving to ${slot}: ${saveName}`);
 
       // Gather all game state
       const saveData = this.gatherSaveData(saveName);
+      saveData.saveType = saveType;
+      if (reason) {
+        saveData.preview.reason = reason;
+      }
 
-      // Serialize to JSON
-      const json = JSON.stringify(saveData);
-
-      // Check size
-      const sizeKB = (json.length / 1024).toFixed(2);
-      console.log(`[SaveSystem] Save size: ${sizeKB} KB`);
-
-      // PERFORMANCE FIX: Check localStorage size before saving to prevent quota exceeded crash
-      // Most browsers have 5-10MB limit, we'll enforce 4MB to be safe
-      const MAX_SAVE_SIZE = 4 * 1024 * 1024; // 4MB in bytes
-      if (json.length > MAX_SAVE_SIZE) {
-        console.error(`[SaveSystem] Save too large: ${sizeKB} KB exceeds 4MB limit`);
+      // Sign the save so edits outside the game can be detected
+      if (isIntegritySupported()) {
+        await signSave(saveData);
+      } else if (isIronmanSave(saveData)) {
+        // An unsigned ironman save would be rejected on load, so refuse to write it
+        console.error('[SaveSystem] Web Crypto unavailable, cannot sign ironman save');
         if (this.game.notificationSystem) {
-          this.game.notificationSystem.show('Save too large! Game state exceeds storage limit.', 'error');
+          this.game.notificationSystem.show('Ironman saves need a secure (https) connection!', 'error');
         }
         return false;
+      } else {
+        console.warn('[SaveSystem] Web Crypto unavailable, writing unsigned save');
       }
 
-      // Save to localStorage
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      localStorage.setItem(key, json);
+      // Compress and store (quota errors are handled below, the old save stays intact)
+      const key = SaveSystem.getSlotKey(slot);
+      const manifest = await writeSave(key, saveData, SaveSystem.extractMetadata(saveData));
+
+      const sizeKB = (manifest.size / 1024).toFixed(2);
+      const storedKB = (manifest.storedSize / 1024).toFixed(2);
+      console.log(`[SaveSystem] Save size: ${sizeKB} KB (stored: ${storedKB} KB in ${manifest.chunks.length} chunks)`);
 
       // Update last save timestamp
       if (this.game.lastSaveTime !== undefined) {
@@ -93,11 +255,17 @@ export class SaveSystem {
       }
 
       // Show notification
-      if (this.game.notificationSystem) {
+      if (notify && this.game.notificationSystem) {
         this.game.notificationSystem.show(`Game saved: ${saveName}`, 'success');
       }
 
       console.log(`[SaveSystem] Save successful: ${slot}`);
+
+      // Mirror to the server in the background (restore points stay local)
+      if (saveType !== 'restore') {
+        this.pushToCloud(slot);
+      }
+
       return true;
 
     } catch (error) {
@@ -118,64 +286,170 @@ export class SaveSystem {
     }
   }
 
+  /**
+   * Upload a slot to the cloud backend without blocking the game
+   * @param {string} slot - Save slot name
+   */
+  pushToCloud(slot) {
+    if (!this.cloudBackend) return;
+
+    this.cloudBackend.push(slot).catch(error => {
+      if (error.name === 'SyncConflictError') {
+        console.warn(`[SaveSystem] Cloud copy of ${slot} changed on another device`);
+        if (this.game.notificationSystem) {
+          this.game.notificationSystem.show('Cloud save conflict! Resolve it from the load screen.', 'warning');
+        }
+      } else {
+        console.error('[SaveSystem] Cloud upload failed:', error);
+      }
+    });
+  }
+
   /**
    * Load game from specified slot
-   * @param {string} slot - 'autosave', 'save_1', 'save_2', etc.
-   * @returns {boolean} Success status
+   * The save's integrity is checked first, then old formats are upgraded
+   * through SaveMigrations before validation.
+   * @param {string} slot - 'autosave_1', 'restore_1', 'save_1', 'save_2', etc.
+   * @returns {Promise<Object>} Load report: { success, slot, error, integrity, migration }
    */
-  loadGame(slot) {
+  async loadGame(slot) {
+    const report = { success: false, slot, error: null, integrity: null, migration: null };
+    this.lastLoadReport = report;
+
     try {
       console.log(`[SaveSystem] Loading from ${slot}`);
 
-      // Get save data from localStorage
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      const json = localStorage.getItem(key);
+      // Read (and decompress) save data from localStorage
+      const stored = await readSave(SaveSystem.getSlotKey(slot));
 
-      if (!json) {
+      if (!stored) {
+        report.error = 'No save found in this slot';
         if (this.game.notificationSystem) {
           this.game.notificationSystem.show('No save found in this slot', 'warning');
         }
-        return false;
+        return report;
+      }
+
+      // Check for edits made outside the game (before migration changes the content)
+      const integrity = await this.checkIntegrity(stored);
+      report.integrity = integrity;
+
+      if (integrity.rejected) {
+        report.error = integrity.error;
+        if (this.game.notificationSystem) {
+          this.game.notificationSystem.show(`Ironman save rejected: ${integrity.error}`, 'error');
+        }
+        return report;
+      }
+
+      // Upgrade to the current format
+      const migration = this.migrateSaveData(stored);
+      report.migration = migration;
+
+      if (!migration.success) {
+        // Keep the stored save untouched so it can be recovered by a fixed migration
+        report.error = migration.error;
+        if (this.game.notificationSystem) {
+          this.game.notificationSystem.show(`Save upgrade failed: ${migration.error}`, 'error');
+        }
+        return report;
       }
 
-      // Parse JSON
-      const saveData = JSON.parse(json);
+      const saveData = migration.saveData;
 
       // Validate save data
       if (!this.validateSaveData(saveData)) {
         console.error('[SaveSystem] Save data validation failed');
+        report.error = validateSaveStructure(saveData).error || 'Save data validation failed';
         if (this.game.notificationSystem) {
           this.game.notificationSystem.show('Save data corrupted!', 'error');
         }
-        return false;
+        return report;
       }
 
       // Apply save data to game
       this.applySaveData(saveData);
 
+      // A flagged run stays flagged through later saves
+      if (integrity.flagged) {
+        this.game.runIntegrityFlagged = true;
+      }
+
       // Show notification
       if (this.game.notificationSystem) {
         this.game.notificationSystem.show(`Game loaded: ${saveData.saveName}`, 'success');
+        if (integrity.status === INTEGRITY_STATUS.TAMPERED) {
+          this.game.notificationSystem.show('Save was modified - run no longer eligible for leaderboards', 'warning');
+        }
       }
 
       console.log(`[SaveSystem] Load successful: ${slot}`);
-      return true;
+      report.success = true;
+      return report;
 
     } catch (error) {
       console.error('[SaveSystem] Load failed:', error);
 
-      // Try autosave fallback if loading manual save failed
-      if (slot !== 'autosave') {
-        console.log('[SaveSystem] Attempting autosave fallback...');
-        return this.loadGame('autosave');
+      // Try the latest autosave if this slot is unreadable
+      const fallbackSlot = this.getLatestAutosaveSlot();
+      if (fallbackSlot && fallbackSlot !== slot) {
+        console.log(`[SaveSystem] Attempting autosave fallback (${fallbackSlot})...`);
+        const fallback = await this.loadGame(fallbackSlot);
+        fallback.fallbackFrom = { slot, error: error.message };
+        return fallback;
       }
 
+      report.error = error.message;
       if (this.game.notificationSystem) {
         this.game.notificationSystem.show('Load failed! Save corrupted.', 'error');
       }
 
-      return false;
+      return report;
+    }
+  }
+
+  /**
+   * Verify a stored save and decide what to do with it
+   * Ironman saves must verify; other runs load but are flagged.
+   * @param {Object} saveData - Save data as stored (before migration)
+   * @returns {Promise<Object>} { status, error, rejected, flagged }
+   */
+  async checkIntegrity(saveData) {
+    if (!isIntegritySupported()) {
+      console.warn('[SaveSystem] Web Crypto unavailable, skipping integrity check');
+      return { status: INTEGRITY_STATUS.UNSIGNED, error: null, rejected: false, flagged: true };
+    }
+
+    const result = await verifySaveIntegrity(saveData);
+    const valid = result.status === INTEGRITY_STATUS.VALID;
+
+    if (!valid) {
+      console.warn(`[SaveSystem] Integrity check ${result.status}: ${result.error}`);
+    }
+
+    return {
+      ...result,
+      rejected: !valid && isIronmanSave(saveData),
+      flagged: !valid
+    };
+  }
+
+  /**
+   * Upgrade parsed save data to the current format
+   * @param {Object} saveData - Parsed save data
+   * @returns {Object} Migration report (see SaveMigrations.migrateSaveData)
+   */
+  migrateSaveData(saveData) {
+    const migration = migrateSaveData(saveData, this.SAVE_FORMAT_VERSION);
+
+    if (!migration.success) {
+      console.error(`[SaveSystem] ${migration.error}`);
+    } else if (migration.applied.length > 0) {
+      const steps = migration.applied.map(step => `v${step.from}->v${step.to} (${step.description})`);
+      console.log(`[SaveSystem] Migrated save: ${steps.join(', ')}`);
     }
+
+    return migration;
   }
 
   /**
@@ -184,6 +458,7 @@ export class SaveSystem {
   gatherSaveData(saveName) {
     const game = this.game;
     const player = game.player;
+    const config = game.gameConfig || {};
 
     return {
       // === METADATA ===
@@ -194,6 +469,9 @@ export class SaveSystem {
       playtime: game.playtime || 0,
       saveType: 'manual',
 
+      // === PREVIEW (shown on the load screen) ===
+      preview: this.buildPreview(),
+
       // === PLAYER DATA ===
       player: {
         callsign: player.callsign || 'PILOT',
@@ -230,22 +508,50 @@ export class SaveSystem {
         seed: game.seed,
         currentSystemIndex: game.currentSystemIndex,
         exploredSystems: game.exploredSystems || [],
-        discoveredSystems: game.discoveredSystems || []
+        discoveredSystems: Array.from(game.discoveredSystems || [])
       },
 
-      // === ECONOMY & CARGO ===
+      // === SHIP & LOADOUT ===
+      ship: game.shipyardSystem ? game.shipyardSystem.serialize() : null,
+
+      // === CARGO HOLD ===
+      cargo: game.cargoSystem ? game.cargoSystem.serialize() : null,
+
+      // === ECONOMY ===
       economy: {
-        cargo: game.economySystem ? game.economySystem.cargo : [],
-        cargoCapacity: game.economySystem ? game.economySystem.cargoCapacity : 50,
-        credits: player.credits || 0
+        // The wallet open buy orders were paid from; saved with them so their escrow can't be refunded twice
+        credits: game.economySystem ? game.economySystem.credits : 0,
+        // Markets drift over time and remember player trades, so they can't be regenerated
+        markets: game.economySystem ? game.economySystem.serializeMarkets() : null,
+        ledger: game.economySystem ? game.economySystem.ledger.serialize() : null,
+        orders: game.economySystem ? game.economySystem.orders.serialize() : null
       },
 
+      // === CONTRACTS ===
+      missions: game.missionSystem ? game.missionSystem.serialize() : null,
+
+      // === ASTEROID BELTS ===
+      mining: game.miningSystem ? game.miningSystem.serialize() : null,
+
+      // === PLANET SURFACES ===
+      // Only what the player took is saved, the surfaces themselves regenerate from the seed
+      surface: game.surfaceExploration ? game.surfaceExploration.serialize() : null,
+
+      // === REFINING & FABRICATION ===
+      crafting: game.craftingSystem ? game.craftingSystem.serialize() : null,
+
+      // === WINGMEN ===
+      fleet: game.fleetSystem ? game.fleetSystem.serialize() : null,
+
+      // === CREW INJURIES & PRIZE SHIPS ===
+      boarding: game.boardingSystem ? game.boardingSystem.serialize() : null,
+
       // === FACTION RELATIONSHIPS ===
       factions: game.factionSystem ? game.factionSystem.factions : {},
 
       // === ARTIFACTS ===
       artifacts: {
-        inventory: game.artifactSystem ? game.artifactSystem.inventory : [],
+        inventory: game.artifactSystem ? game.artifactSystem.discoveredArtifacts : [],
         assembled: game.artifactSystem ? game.artifactSystem.assembledArtifacts : []
       },
 
@@ -258,6 +564,16 @@ export class SaveSystem {
         creditsEarned: game.creditsEarned || 0
       },
 
+      // === RUN MODE ===
+      run: {
+        ironman: config.ironman || false,
+        permadeath: config.permadeath || false,
+        crewPermadeath: config.crewPermadeath || false,
+        difficulty: config.difficulty || null,
+        // Set once a modified save was loaded; such runs are kept off the leaderboard
+        flagged: game.runIntegrityFlagged || false
+      },
+
       // === FLAGS & PROGRESS ===
       flags: {
         tutorialCompleted: game.tutorialCompleted || false,
@@ -267,35 +583,73 @@ export class SaveSystem {
   }
 
   /**
-   * Validate save data structure and integrity
+   * Thumbnail and summary shown for a save on the load screens
+   * @returns {Object} { thumbnail, systemName, location, shipClass, hullPercent }
    */
-  validateSaveData(saveData) {
-    // Check required fields
-    if (!saveData.version || !saveData.player || !saveData.galaxy) {
-      console.error('[SaveSystem] Missing required fields');
-      return false;
+  buildPreview() {
+    const game = this.game;
+    const player = game.player;
+
+    return {
+      thumbnail: this.captureThumbnail(),
+      systemName: game.currentSystemData ? game.currentSystemData.name : null,
+      location: this.describeLocation(),
+      shipClass: player.shipClass || (game.gameConfig && game.gameConfig.shipClass) || null,
+      hullPercent: player.maxHull ? Math.round((player.hull / player.maxHull) * 100) : null
+    };
+  }
+
+  /**
+   * Capture a small JPEG of the current frame for the load screen
+   * @returns {string|null} Data URL, or null if the canvas is unavailable
+   */
+  captureThumbnail() {
+    const source = this.game.canvas;
+    if (!source || !source.width || typeof document === 'undefined') return null;
+
+    try {
+      const thumb = document.createElement('canvas');
+      thumb.width = this.THUMBNAIL_WIDTH;
+      thumb.height = Math.round(this.THUMBNAIL_WIDTH * source.height / source.width);
+      thumb.getContext('2d').drawImage(source, 0, 0, thumb.width, thumb.height);
+      return thumb.toDataURL('image/jpeg', 0.6);
+    } catch (error) {
+      console.warn('[SaveSystem] Thumbnail capture failed:', error);
+      return null;
     }
+  }
 
-    // Check player position
-    if (typeof saveData.player.x !== 'number' ||
-        typeof saveData.player.y !== 'number' ||
-        isNaN(saveData.player.x) ||
-        isNaN(saveData.player.y)) {
-      console.error('[SaveSystem] Invalid player position');
-      return false;
+  /**
+   * Short description of where the player is (e.g. "Sol - Docked at Vega Station")
+   */
+  describeLocation() {
+    const game = this.game;
+    const player = game.player;
+    const systemName = game.currentSystemData ? game.currentSystemData.name : `System ${game.currentSystemIndex}`;
+
+    if (player.docked && player.dockedStation) {
+      const station = player.dockedStation;
+      return `${systemName} - Docked at ${station.name || station.stationType || 'station'}`;
+    }
+    if (player.landed && player.landedOn) {
+      return `${systemName} - Landed on ${player.landedOn.name || player.landedOn.type}`;
     }
+    return systemName;
+  }
 
-    // Check galaxy seed
-    if (typeof saveData.galaxy.seed !== 'number') {
-      console.error('[SaveSystem] Invalid galaxy seed');
+  /**
+   * Validate save data structure and integrity
+   */
+  validateSaveData(saveData) {
+    // Structural checks are shared with the server savegame router
+    const result = validateSaveStructure(saveData);
+    if (!result.valid) {
+      console.error(`[SaveSystem] ${result.error}`);
       return false;
     }
 
     // Version compatibility check (warn if newer version)
-    const saveVersion = saveData.version.split('.')[0];
-    const gameVersion = (this.game.VERSION || '0.2.0').split('.')[0];
-
-    if (parseInt(saveVersion) > parseInt(gameVersion)) {
+    if (isNewerMajorVersion(saveData.version, this.game.VERSION || '0.2.0')) {
       console.warn('[SaveSystem] Save from newer game version, may have compatibility issues');
     }
 
@@ -310,6 +664,11 @@ export class SaveSystem {
 
     console.log('[SaveSystem] Applying save data...');
 
+    // Refit the ship first; its stats come from the loadout, saved levels are applied below
+    if (game.shipyardSystem) {
+      game.shipyardSystem.deserialize(saveData.ship);
+    }
+
     // Apply player data
     const p = game.player;
     p.x = saveData.player.x;
@@ -337,7 +696,7 @@ export class SaveSystem {
     game.seed = saveData.galaxy.seed;
     game.currentSystemIndex = saveData.galaxy.currentSystemIndex;
     game.exploredSystems = saveData.galaxy.exploredSystems || [];
-    game.discoveredSystems = saveData.galaxy.discoveredSystems || [];
+    game.discoveredSystems = new Set(saveData.galaxy.discoveredSystems || []);
 
     // Regenerate galaxy from seed (if galaxy generator exists)
     if (game.galaxyGenerator && typeof game.galaxyGenerator.setSeed === 'function') {
@@ -345,31 +704,85 @@ export class SaveSystem {
       game.galaxy = game.galaxyGenerator.generate();
     }
 
+    // Restore markets first, loading the system would generate a fresh market
+    if (game.economySystem) {
+      // Saves from before the wallet was saved keep the starting credits (see SaveMigrations)
+      if (saveData.economy && Number.isFinite(saveData.economy.credits)) {
+        game.economySystem.credits = saveData.economy.credits;
+      }
+      game.economySystem.restoreMarkets(saveData.economy ? saveData.economy.markets : null);
+      game.economySystem.ledger.deserialize(saveData.economy ? saveData.economy.ledger : null);
+      game.economySystem.orders.deserialize(saveData.economy ? saveData.economy.orders : null);
+    }
+
     // Load current star system
     if (typeof game.loadStarSystem === 'function') {
       game.loadStarSystem(saveData.galaxy.currentSystemIndex);
     }
 
-    // Apply economy data
-    if (game.economySystem && saveData.economy) {
-      game.economySystem.cargo = saveData.economy.cargo || [];
-      game.economySystem.cargoCapacity = saveData.economy.cargoCapacity || 50;
+    // Apply cargo hold
+    if (game.cargoSystem && saveData.cargo) {
+      game.cargoSystem.deserialize(saveData.cargo);
+    }
+
+    // Apply contracts
+    if (game.missionSystem) {
+      game.missionSystem.deserialize(saveData.missions);
+    }
+
+    // Apply belt depletion
+    if (game.miningSystem) {
+      game.miningSystem.deserialize(saveData.mining);
+    }
+
+    // Apply surface sites
+    if (game.surfaceExploration) {
+      game.surfaceExploration.deserialize(saveData.surface);
+    }
+
+    // Apply fabrication queue and known schematics
+    if (game.craftingSystem) {
+      game.craftingSystem.deserialize(saveData.crafting);
+    }
+
+    // Apply hired pilots (the wing forms up on the restored player)
+    if (game.fleetSystem) {
+      game.fleetSystem.deserialize(saveData.fleet);
+    }
+
+    // Apply crew injuries and prize ships
+    if (game.boardingSystem) {
+      game.boardingSystem.deserialize(saveData.boarding);
     }
 
     // Apply faction data
     if (game.factionSystem && saveData.factions) {
-      game.factionSystem.factions = saveData.factions;
+      // Factions added after the save was made keep their starting standing
+      game.factionSystem.factions = { ...game.factionSystem.factions, ...saveData.factions };
     }
 
     // Apply artifact data
     if (game.artifactSystem && saveData.artifacts) {
-      game.artifactSystem.inventory = saveData.artifacts.inventory || [];
+      game.artifactSystem.discoveredArtifacts = saveData.artifacts.inventory || [];
       game.artifactSystem.assembledArtifacts = saveData.artifacts.assembled || [];
     }
 
     // Apply playtime
     game.playtime = saveData.playtime || 0;
 
+    // Apply run mode
+    if (saveData.run) {
+      if (game.gameConfig) {
+        game.gameConfig.ironman = saveData.run.ironman;
+        game.gameConfig.permadeath = saveData.run.permadeath;
+        game.gameConfig.crewPermadeath = saveData.run.crewPermadeath || false;
+        if (saveData.run.difficulty) {
+          game.gameConfig.difficulty = saveData.run.difficulty;
+        }
+      }
+      game.runIntegrityFlagged = saveData.run.flagged || false;
+    }
+
     // Apply flags
     if (saveData.flags) {
       game.tutorialCompleted = saveData.flags.tutorialCompleted || false;
@@ -386,10 +799,10 @@ export class SaveSystem {
   getSaveList() {
     const saves = [];
 
-    // Check autosave
-    const autosave = this.getSaveMetadata('autosave');
-    if (autosave) {
-      saves.push({ slot: 'autosave', ...autosave });
+    // Latest autosave first
+    const autosaves = this.getAutosaveList();
+    if (autosaves.length > 0) {
+      saves.push({ ...autosaves[0], isAutosave: true });
     }
 
     // Check manual saves
@@ -405,32 +818,72 @@ export class SaveSystem {
     return saves;
   }
 
+  /**
+   * Autosaves with metadata, newest first
+   * @returns {Array} Array of save info objects
+   */
+  getAutosaveList() {
+    return this.getRingList(this.getAutosaveSlots());
+  }
+
+  /**
+   * Restore points with metadata, newest first
+   * @returns {Array} Array of save info objects
+   */
+  getRestorePointList() {
+    return this.getRingList(this.getRestorePointSlots());
+  }
+
+  getRingList(slots) {
+    const saves = [];
+    for (const slot of slots) {
+      const save = this.getSaveMetadata(slot);
+      if (save) {
+        saves.push({ slot, ...save });
+      }
+    }
+    return saves.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
+
+  /**
+   * Slot of the most recent autosave, or null if there is none
+   */
+  getLatestAutosaveSlot() {
+    const autosaves = this.getAutosaveList();
+    return autosaves.length > 0 ? autosaves[0].slot : null;
+  }
+
+  /**
+   * Slot of the most recent manual save, quicksave or autosave (restore points excluded)
+   */
+  getLatestSaveSlot() {
+    const slots = ['quicksave', ...this.getAutosaveSlots()];
+    for (let i = 1; i <= this.MAX_SAVE_SLOTS; i++) {
+      slots.push(`save_${i}`);
+    }
+
+    const saves = this.getRingList(slots);
+    return saves.length > 0 ? saves[0].slot : null;
+  }
+
   /**
    * Get metadata for a save without fully loading it
    * @param {string} slot - Save slot name
    * @returns {Object|null} Save metadata or null if not found
    */
   getSaveMetadata(slot) {
+    return SaveSystem.readMetadata(slot);
+  }
+
+  /**
+   * Metadata for a slot (usable without a running game, e.g. from the React menus)
+   * @param {string} slot - Save slot name
+   * @returns {Object|null} Save metadata or null if not found
+   */
+  static readMetadata(slot) {
     try {
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      const json = localStorage.getItem(key);
-
-      if (!json) return null;
-
-      const saveData = JSON.parse(json);
-
-      // Extract only metadata
-      return {
-        saveName: saveData.saveName,
-        timestamp: saveData.timestamp,
-        playtime: saveData.playtime,
-        callsign: saveData.player.callsign,
-        shipName: saveData.player.shipName,
-        level: saveData.player.level || 1,
-        credits: saveData.player.credits || 0,
-        currentSystem: saveData.galaxy.currentSystemIndex,
-        systemsVisited: saveData.stats ? saveData.stats.systemsVisited : 0
-      };
+      // Compressed saves keep their metadata uncompressed in the manifest
+      return readSaveMeta(SaveSystem.getSlotKey(slot), SaveSystem.extractMetadata);
 
     } catch (error) {
       console.error('[SaveSystem] Failed to read save metadata:', error);
@@ -438,14 +891,193 @@ export class SaveSystem {
     }
   }
 
+  /**
+   * Every stored save with its slot, newest first
+   * @returns {Array} Array of save info objects
+   */
+  static listStoredSaves() {
+    const slots = ['quicksave'];
+    for (let i = 1; i <= MAX_SAVE_SLOTS; i++) slots.push(`save_${i}`);
+    for (let i = 1; i <= MAX_AUTOSAVE_SLOTS; i++) slots.push(`autosave_${i}`);
+    for (let i = 1; i <= MAX_RESTORE_POINTS; i++) slots.push(`restore_${i}`);
+
+    const saves = [];
+    for (const slot of slots) {
+      const save = SaveSystem.readMetadata(slot);
+      if (save) {
+        saves.push({ slot, ...save });
+      }
+    }
+    return saves.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  }
+
+  /**
+   * Game config needed to start a Game that a slot can then be loaded into
+   * @param {string} slot - Save slot name
+   * @returns {Promise<Object|null>} Config for the Game constructor, or null if the slot is empty
+   */
+  static async readRunConfig(slot) {
+    const saveData = await readSave(SaveSystem.getSlotKey(slot));
+    if (!saveData || !saveData.player || !saveData.galaxy) return null;
+
+    const run = saveData.run || {};
+    const preview = saveData.preview || {};
+
+    return {
+      callsign: saveData.player.callsign,
+      shipName: saveData.player.shipName,
+      shipColor: saveData.player.shipColor,
+      shipClass: preview.shipClass || undefined,
+      seed: saveData.galaxy.seed,
+      difficulty: run.difficulty || undefined,
+      ironman: run.ironman || false,
+      permadeath: run.permadeath || false
+    };
+  }
+
+  /**
+   * Move saves written under older key schemes into slots (once per browser)
+   * - 'pixelversum_autosave' (before the autosave ring) goes to a free autosave slot
+   * - GameStateManager saves ('pixelversum_save_<id>') are converted and go to
+   *   the quicksave slot, a free autosave slot or the first free manual slot
+   * Saves that find no free slot are left where they are and tried again on
+   * the next start; the migration only counts as done once none are left.
+   * @returns {Promise<Array>} Moves made: { from, to }
+   */
+  static migrateLegacyKeys() {
+    if (!legacyKeyMigration) {
+      legacyKeyMigration = SaveSystem.runLegacyKeyMigration().catch(error => {
+        console.error('[SaveSystem] Save key migration failed:', error);
+        return [];
+      });
+    }
+    return legacyKeyMigration;
+  }
+
+  static async runLegacyKeyMigration() {
+    const moved = [];
+    let leftInPlace = 0;
+    if (localStorage.getItem(KEY_MIGRATION_MARKER) === KEY_SCHEME_VERSION) {
+      return moved;
+    }
+
+    // Autosave slots past the configured ring size are pruned by setAutosaveRingSize
+    const settings = loadSettings().settings;
+    const ringSize = Math.min(MAX_AUTOSAVE_SLOTS, (settings && settings.autoSaveSlots) || DEFAULT_AUTOSAVE_RING_SIZE);
+
+    const isFree = (slot) => localStorage.getItem(SaveSystem.getSlotKey(slot)) === null;
+    const firstFree = (prefix, count) => {
+      for (let i = 1; i <= count; i++) {
+        if (isFree(`${prefix}_${i}`)) return `${prefix}_${i}`;
+      }
+      return null;
+    };
+
+    // Pre-ring autosave: same format, so the stored value moves as-is (chunk keys stay valid)
+    const legacyAutosave = localStorage.getItem('pixelversum_autosave');
+    if (legacyAutosave !== null) {
+      const slot = firstFree('autosave', ringSize);
+      if (slot) {
+        localStorage.setItem(SaveSystem.getSlotKey(slot), legacyAutosave);
+        localStorage.removeItem('pixelversum_autosave');
+        moved.push({ from: 'pixelversum_autosave', to: slot });
+      } else {
+        leftInPlace++;
+      }
+    }
+
+    // GameStateManager saves (collected first, the loop below changes localStorage)
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const match = key && key.match(LEGACY_SAVE_KEY);
+      if (match && !/^([1-9]|10)$/.test(match[1])) {
+        legacyKeys.push({ key, id: match[1] });
+      }
+    }
+
+    for (const { key, id } of legacyKeys) {
+      let legacy;
+      try {
+        legacy = JSON.parse(localStorage.getItem(key));
+      } catch (error) {
+        console.warn(`[SaveSystem] Skipping unreadable legacy save ${key}`);
+        continue;
+      }
+
+      let slot;
+      if (id === 'quicksave') {
+        slot = isFree('quicksave') ? 'quicksave' : null;
+      } else if (id === 'autosave') {
+        slot = firstFree('autosave', ringSize);
+      } else {
+        slot = firstFree('save', MAX_SAVE_SLOTS);
+      }
+
+      if (!slot) {
+        console.warn(`[SaveSystem] No free slot for legacy save ${key}, leaving it in place`);
+        leftInPlace++;
+        continue;
+      }
+
+      // Written unsigned: the first load flags the run like any save from before signing
+      const saveData = convertGameStateManagerSave(legacy);
+      await writeSave(SaveSystem.getSlotKey(slot), saveData, SaveSystem.extractMetadata(saveData));
+      localStorage.removeItem(key);
+      moved.push({ from: key, to: slot });
+    }
+
+    if (leftInPlace === 0) {
+      localStorage.setItem(KEY_MIGRATION_MARKER, KEY_SCHEME_VERSION);
+    }
+
+    if (moved.length > 0) {
+      console.log(`[SaveSystem] Migrated save keys: ${moved.map(move => `${move.from} -> ${move.to}`).join(', ')}`);
+    }
+    return moved;
+  }
+
+  /**
+   * Extract the metadata shown in save lists from full save data
+   * @param {Object} saveData - Full save data
+   * @returns {Object} Save metadata
+   */
+  static extractMetadata(saveData) {
+    const preview = saveData.preview || {};
+
+    return {
+      saveName: saveData.saveName,
+      timestamp: saveData.timestamp,
+      playtime: saveData.playtime,
+      callsign: saveData.player.callsign,
+      shipName: saveData.player.shipName,
+      level: saveData.player.level || 1,
+      credits: getSaveCredits(saveData),
+      currentSystem: saveData.galaxy.currentSystemIndex,
+      systemsVisited: saveData.stats ? saveData.stats.systemsVisited : 0,
+      saveType: saveData.saveType || 'manual',
+      thumbnail: preview.thumbnail || null,
+      systemName: preview.systemName || null,
+      location: preview.location || preview.systemName || null,
+      shipClass: preview.shipClass || null,
+      hullPercent: preview.hullPercent !== undefined ? preview.hullPercent : null,
+      reason: preview.reason || null
+    };
+  }
+
   /**
    * Delete save from slot
    * @param {string} slot - Save slot name
    */
   deleteSave(slot) {
     try {
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      localStorage.removeItem(key);
+      removeSave(SaveSystem.getSlotKey(slot));
+
+      if (this.cloudBackend) {
+        this.cloudBackend.deleteRemote(slot).catch(error => {
+          console.error('[SaveSystem] Cloud delete failed:', error);
+        });
+      }
 
       if (this.game.notificationSystem) {
         this.game.notificationSystem.show('Save deleted', 'success');
@@ -462,14 +1094,15 @@ export class SaveSystem {
 
   /**
    * Export save to downloadable file
+   * Exports are written as plain JSON so they stay readable and portable.
    * @param {string} slot - Save slot name
+   * @returns {Promise<boolean>} Success status
    */
-  exportSave(slot) {
+  async exportSave(slot) {
     try {
-      const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-      const json = localStorage.getItem(key);
+      const saveData = await readSave(SaveSystem.getSlotKey(slot));
 
-      if (!json) {
+      if (!saveData) {
         if (this.game.notificationSystem) {
           this.game.notificationSystem.show('No save to export', 'warning');
         }
@@ -477,7 +1110,7 @@ export class SaveSystem {
       }
 
       // Create downloadable file
-      const blob = new Blob([json], { type: 'application/json' });
+      const blob = new Blob([JSON.stringify(saveData)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
@@ -511,10 +1144,32 @@ export class SaveSystem {
   importSave(file, slot) {
     const reader = new FileReader();
 
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
-        const json = e.target.result;
-        const saveData = JSON.parse(json);
+        const imported = JSON.parse(e.target.result);
+
+        // Refuse edited ironman files, flag other edited runs
+        const integrity = await this.checkIntegrity(imported);
+        if (integrity.rejected) {
+          this.lastLoadReport = { success: false, slot, error: integrity.error, integrity, migration: null };
+          if (this.game.notificationSystem) {
+            this.game.notificationSystem.show('Import failed: ironman save was modified', 'error');
+          }
+          return;
+        }
+
+        // Upgrade old exports before validating them
+        const migration = this.migrateSaveData(imported);
+        this.lastLoadReport = { success: migration.success, slot, error: migration.error, integrity, migration };
+
+        if (!migration.success) {
+          if (this.game.notificationSystem) {
+            this.game.notificationSystem.show(`Import failed: ${migration.error}`, 'error');
+          }
+          return;
+        }
+
+        const saveData = migration.saveData;
 
         // Validate
         if (!this.validateSaveData(saveData)) {
@@ -524,9 +1179,21 @@ export class SaveSystem {
           return;
         }
 
+        // Re-sign what changed: an edited run keeps its flag (the import does not
+        // launder it), and a migrated export would fail its old signature on load
+        let stored = saveData;
+        if (integrity.flagged || migration.applied.length > 0) {
+          if (integrity.flagged) saveData.run.flagged = true;
+          if (isIntegritySupported()) {
+            await signSave(saveData);
+          } else if (!integrity.flagged) {
+            // Can't sign here: keep the export as it was, loadGame migrates it
+            stored = imported;
+          }
+        }
+
         // Save to slot
-        const key = slot === 'autosave' ? 'pixelversum_autosave' : `pixelversum_${slot}`;
-        localStorage.setItem(key, json);
+        await writeSave(SaveSystem.getSlotKey(slot), stored, SaveSystem.extractMetadata(saveData));
 
         if (this.game.notificationSystem) {
           this.game.notificationSystem.show('Save imported!', 'success');
@@ -551,6 +1218,15 @@ export class SaveSystem {
     reader.readAsText(file);
   }
 
+  /**
+   * Get the localStorage key for a save slot
+   * @param {string} slot - 'save_1', 'quicksave', 'autosave_1', 'restore_1', etc.
+   * @returns {string} Storage key
+   */
+  static getSlotKey(slot) {
+    return `pixelversum_${slot}`;
+  }
+
   /**
    * Format playtime for display (converts ms to readable string)
    * @param {number} ms - Playtime in milliseconds
@@ -0,0 +1,65 @@
+/**
+ * SaveValidation - Structural checks for save data
+ *
+ * Shared by the client SaveSystem and the Express savegame router so both
+ * sides accept exactly the same save shape. Kept free of browser APIs so it
+ * can be imported from Node.
+ */
+
+/**
+ * Check the structure of a save data object
+ * @param {Object} saveData - Save data as produced by SaveSystem.gatherSaveData
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+export function validateSaveStructure(saveData) {
+  if (!saveData || typeof saveData !== 'object') {
+    return { valid: false, error: 'Save data must be an object' };
+  }
+
+  // Check required fields
+  if (!saveData.version || !saveData.player || !saveData.galaxy) {
+    return { valid: false, error: 'Missing required fields' };
+  }
+
+  if (typeof saveData.version !== 'string') {
+    return { valid: false, error: 'Invalid version' };
+  }
+
+  // Check player position
+  if (typeof saveData.player.x !== 'number' ||
+      typeof saveData.player.y !== 'number' ||
+      isNaN(saveData.player.x) ||
+      isNaN(saveData.player.y)) {
+    return { valid: false, error: 'Invalid player position' };
+  }
+
+  // Check galaxy seed
+  if (typeof saveData.galaxy.seed !== 'number') {
+    return { valid: false, error: 'Invalid galaxy seed' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Credits in the saved wallet (economy.credits)
+ * player.credits is never updated in play, so it is not read.
+ * @param {Object} saveData - Save data as produced by SaveSystem.gatherSaveData
+ * @returns {number} Credits, 0 if the save has no wallet
+ */
+export function getSaveCredits(saveData) {
+  const credits = saveData.economy ? saveData.economy.credits : undefined;
+  return Number.isFinite(credits) ? credits : 0;
+}
+
+/**
+ * Compare the major version of a save against the running game version
+ * @param {string} saveVersion - Version stored in the save
+ * @param {string} gameVersion - Version of the running game
+ * @returns {boolean} True if the save was written by a newer major version
+ */
+export function isNewerMajorVersion(saveVersion, gameVersion) {
+  const saveMajor = parseInt(String(saveVersion).split('.')[0]);
+  const gameMajor = parseInt(String(gameVersion).split('.')[0]);
+  return saveMajor > gameMajor;
+}
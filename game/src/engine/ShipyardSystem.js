@@ -0,0 +1,600 @@
+/**
+ * Shipyard System - Station outfitting and ship purchase
+ *
+ * Docked players can buy and sell weapons (WeaponSystem), shields
+ * (ShieldSystem), armor plates (ArmorSystem) and installable EnhancedItems
+ * components, within the hardpoints their hull class allows. What a station
+ * stocks depends on its type; shipyards also sell new hulls, taking the
+ * current one in part exchange. Ship stats are derived from the hull class,
+ * the shields fitted and the components installed (see applyLoadout).
+ *
+ * The player can also own one spare hull (a captured ship refitted at a yard,
+ * see BoardingSystem) and swap into it at any yard. A laid-up hull keeps the
+ * hull damage, shield charge and fuel it had; only new hulls leave the yard
+ * repaired and fuelled.
+ */
+
+import { ShieldSystem } from './ShieldSystem.js';
+import { ENHANCED_ARTIFACTS } from './EnhancedItems.js';
+import { WARHEADS } from './WeaponSystem.js';
+
+// Hull classes: stat multipliers, price and hardpoints per equipment kind
+export const SHIP_CLASSES = {
+  scout: { name: 'Scout', price: 12000, hull: 0.7, shields: 0.8, speed: 1.4, fuel: 1.2, cargo: 0.6, slots: { weapon: 8, shield: 2, armor: 1, component: 2 } },
+  explorer: { name: 'Explorer', price: 20000, hull: 1.0, shields: 1.0, speed: 1.0, fuel: 1.5, cargo: 1.0, slots: { weapon: 8, shield: 2, armor: 2, component: 3 } },
+  fighter: { name: 'Fighter', price: 28000, hull: 0.8, shields: 1.2, speed: 1.2, fuel: 0.8, cargo: 0.5, slots: { weapon: 10, shield: 3, armor: 2, component: 2 } },
+  trader: { name: 'Trader', price: 30000, hull: 0.9, shields: 0.9, speed: 0.8, fuel: 1.0, cargo: 2.0, slots: { weapon: 8, shield: 2, armor: 3, component: 4 } },
+  research: { name: 'Research Vessel', price: 34000, hull: 0.85, shields: 1.1, speed: 0.9, fuel: 1.3, cargo: 1.2, slots: { weapon: 8, shield: 3, armor: 1, component: 4 } },
+  military: { name: 'Military Cruiser', price: 55000, hull: 1.5, shields: 1.5, speed: 0.7, fuel: 0.9, cargo: 0.8, slots: { weapon: 12, shield: 4, armor: 4, component: 3 } }
+};
+
+// What every new ship leaves the yard with
+export const STOCK_LOADOUT = {
+  weapons: ['plasma_cannon', 'kinetic_cannon', 'laser_beam', 'missile_launcher', 'railgun', 'nuclear_missile', 'mine_launcher', 'point_defense'],
+  shields: ['energy_shield', 'kinetic_barrier']
+};
+
+// Base prices of Mk1 equipment; higher marks cost more
+const WEAPON_PRICES = {
+  kinetic_cannon: 1500, plasma_cannon: 2000, laser_beam: 2500, missile_launcher: 3000, railgun: 4000,
+  point_defense: 1800, nuclear_missile: 8000, mine_launcher: 2200, ion_cannon: 5000, graviton_beam: 7000, disruptor: 6000
+};
+const SHIELD_PRICES = {
+  energy_shield: 2000, kinetic_barrier: 2200, ablative_armor: 1500, adaptive_shield: 5000, phase_shield: 7000, regenerative_shield: 6000
+};
+const ARMOR_PRICES = {
+  ablative: 1200, reactive: 2500, composite: 1800, kinetic_plating: 2000, energy_diffuser: 2200, regenerative: 5000, reflective: 4000
+};
+const TIER_PRICE_MULTIPLIERS = [1, 2.5, 5];
+
+// Components with effects the ship model applies (EnhancedItems ids); priced at item value
+const COMPONENT_EFFECTS = {
+  engine_basic: { thrust: 0.1 },
+  engine_advanced: { thrust: 0.25 },
+  engine_quantum: { thrust: 0.5 },
+  hull_plating: { hull: 0.5 },
+  advanced_shields: { shields: 1.0 },
+  cargo_expansion: { cargo: 100 },
+  reactor_fusion: { power: 100, powerRegen: 5 },
+  reactor_antimatter: { power: 250, powerRegen: 15 },
+  mining_laser_mk2: { miningTier: 2 },
+  mining_laser_mk3: { miningTier: 3 },
+  refinery_module: { refining: true }
+};
+
+// Equipment sells back for half its price; hulls are taken in part exchange
+const RESALE_RATE = 0.5;
+const TRADE_IN_RATE = 0.6;
+
+// New hulls leave the yard repaired and fuelled
+const FULL_CONDITION = { hull: 1, shields: 1, fuel: 1 };
+
+// Stock by station type (maxTier caps the marks on sale)
+const STATION_STOCK = {
+  orbital_shipyard: {
+    maxTier: 3,
+    weapon: Object.keys(WEAPON_PRICES),
+    shield: Object.keys(SHIELD_PRICES),
+    armor: Object.keys(ARMOR_PRICES),
+    component: Object.keys(COMPONENT_EFFECTS),
+    ship: Object.keys(SHIP_CLASSES)
+  },
+  military: {
+    maxTier: 3,
+    weapon: ['kinetic_cannon', 'plasma_cannon', 'railgun', 'missile_launcher', 'point_defense', 'nuclear_missile', 'mine_launcher'],
+    shield: ['energy_shield', 'kinetic_barrier'],
+    armor: ['composite', 'reactive', 'kinetic_plating', 'ablative'],
+    component: ['hull_plating'],
+    ship: ['fighter', 'military']
+  },
+  research: {
+    maxTier: 2,
+    weapon: ['laser_beam', 'ion_cannon', 'graviton_beam', 'disruptor'],
+    shield: ['energy_shield', 'adaptive_shield', 'phase_shield', 'regenerative_shield'],
+    armor: ['energy_diffuser', 'reflective', 'regenerative'],
+    component: ['advanced_shields', 'reactor_fusion', 'reactor_antimatter', 'engine_quantum']
+  },
+  science_outpost: {
+    maxTier: 2,
+    weapon: ['laser_beam', 'ion_cannon'],
+    shield: ['energy_shield', 'adaptive_shield'],
+    armor: ['energy_diffuser'],
+    component: ['reactor_fusion']
+  },
+  trading: {
+    maxTier: 1,
+    weapon: ['kinetic_cannon', 'plasma_cannon', 'point_defense'],
+    shield: ['energy_shield'],
+    armor: ['composite'],
+    component: ['cargo_expansion', 'engine_basic']
+  },
+  habitat_ring: {
+    maxTier: 1,
+    shield: ['energy_shield'],
+    component: ['cargo_expansion', 'engine_basic', 'reactor_fusion']
+  },
+  mining: {
+    maxTier: 2,
+    weapon: ['kinetic_cannon', 'mine_launcher'],
+    armor: ['kinetic_plating', 'ablative', 'composite'],
+    component: ['hull_plating', 'mining_laser_mk2', 'mining_laser_mk3', 'refinery_module']
+  },
+  refinery: {
+    maxTier: 2,
+    armor: ['ablative', 'composite', 'reactive'],
+    component: ['reactor_fusion', 'mining_laser_mk2', 'refinery_module']
+  },
+  listening_post: {
+    maxTier: 2,
+    weapon: ['point_defense', 'railgun'],
+    shield: ['energy_shield'],
+    component: ['engine_advanced']
+  },
+  fuel_depot: {
+    maxTier: 1,
+    component: ['engine_basic', 'engine_advanced']
+  },
+  medical_station: {
+    maxTier: 1,
+    shield: ['regenerative_shield'],
+    armor: ['regenerative']
+  },
+  agricultural_station: {
+    maxTier: 1,
+    component: ['cargo_expansion']
+  }
+};
+
+export const EQUIPMENT_KINDS = ['weapon', 'shield', 'armor', 'component'];
+
+let stockShieldStrength = null;
+
+/**
+ * Combined strength of the stock shields, the reference for a class's shield rating
+ */
+function getStockShieldStrength() {
+  if (stockShieldStrength === null) {
+    const reference = new ShieldSystem();
+    STOCK_LOADOUT.shields.forEach(type => reference.addShield(type, 1));
+    stockShieldStrength = reference.maxTotalShieldStrength;
+  }
+  return stockShieldStrength;
+}
+
+export class ShipyardSystem {
+  constructor(game) {
+    this.game = game;
+    this.spareHull = null; // Ship class id of the second hull laid up at the yards
+    this.spareCondition = null; // Its hull, shields and fuel as shares of their maximum
+  }
+
+  getShipClass() {
+    return this.game.gameConfig.shipClass || 'explorer';
+  }
+
+  /**
+   * Station the player is docked at, if the terminal is showing it
+   */
+  getDockedStation() {
+    const game = this.game;
+    const station = game.player.dockedStation;
+    if (!game.player.docked || !station) return null;
+    if (station !== game.uiState.selectedStation || !game.stations.includes(station)) return null;
+    return station;
+  }
+
+  /**
+   * Stations that sell hulls also refit, buy and store them
+   */
+  isDockyard(station) {
+    return !!station && this.getStock(station).ship.length > 0;
+  }
+
+  /**
+   * Equipment fitted to the ship, by kind
+   */
+  getInstalled(kind) {
+    const game = this.game;
+    switch (kind) {
+      case 'weapon': return game.weaponSystem.weapons;
+      case 'shield': return game.shieldSystem.shields;
+      case 'armor': return game.armorSystem.plates;
+      case 'component': return game.player.components;
+      default: return [];
+    }
+  }
+
+  getSlots(kind) {
+    return SHIP_CLASSES[this.getShipClass()].slots[kind];
+  }
+
+  /**
+   * Price of one piece of equipment
+   * @param {string} kind - 'weapon', 'shield', 'armor' or 'component'
+   * @param {string} type - Equipment type (component: EnhancedItems id)
+   */
+  getPrice(kind, type, tier = 1) {
+    const index = Math.min(Math.max(1, Math.floor(tier) || 1), TIER_PRICE_MULTIPLIERS.length) - 1;
+    const multiplier = TIER_PRICE_MULTIPLIERS[index];
+    switch (kind) {
+      case 'weapon': return Math.round(WEAPON_PRICES[type] * multiplier);
+      case 'shield': return Math.round(SHIELD_PRICES[type] * multiplier);
+      case 'armor': return Math.round(ARMOR_PRICES[type] * multiplier);
+      case 'component': return ENHANCED_ARTIFACTS[type].value;
+      default: return 0;
+    }
+  }
+
+  /**
+   * What installed equipment sells back for (damaged armor is worth less)
+   */
+  getResaleValue(kind, item) {
+    if (kind === 'component') return Math.round(this.getPrice(kind, item) * RESALE_RATE);
+
+    const value = this.getPrice(kind, item.type, item.tier) * RESALE_RATE;
+    const condition = kind === 'armor' && item.maxHp > 0 ? item.hp / item.maxHp : 1;
+    return Math.round(value * condition);
+  }
+
+  /**
+   * Equipment and hulls on sale at a station
+   * @returns {Object} { maxTier, weapon: [{ type, name, prices }], shield, armor, component, ship: [classId] }
+   */
+  getStock(station) {
+    const stock = STATION_STOCK[station.stationType] || {};
+    const maxTier = stock.maxTier || 1;
+    const tiers = Array.from({ length: maxTier }, (_, i) => i + 1);
+    const game = this.game;
+
+    const listing = { maxTier, ship: stock.ship || [] };
+    for (const kind of EQUIPMENT_KINDS) {
+      listing[kind] = (stock[kind] || []).map(type => {
+        if (kind === 'component') {
+          return { type, name: ENHANCED_ARTIFACTS[type].name, prices: [this.getPrice(kind, type)] };
+        }
+        const name = kind === 'weapon' ? game.weaponSystem.createWeapon(type, 1).name
+          : kind === 'shield' ? game.shieldSystem.createShield(type, 1).name
+          : game.armorSystem.createArmorPlate(type, 1).name;
+        return { type, name: name.replace(/ Mk1$/, ''), prices: tiers.map(tier => this.getPrice(kind, type, tier)) };
+      });
+    }
+    return listing;
+  }
+
+  /**
+   * Buy and fit a piece of equipment at the docked station
+   */
+  buyEquipment(kind, type, tier = 1) {
+    const game = this.game;
+    const economy = game.economySystem;
+    const station = this.getDockedStation();
+    if (!station) return { success: false, message: 'Outfitting requires docking' };
+
+    const stock = this.getStock(station);
+    const listing = (stock[kind] || []).find(entry => entry.type === type);
+    if (!listing || (kind !== 'component' && tier > stock.maxTier)) {
+      return { success: false, message: 'Not sold here' };
+    }
+    if (this.getInstalled(kind).length >= this.getSlots(kind)) {
+      return { success: false, message: `No free ${kind} hardpoints` };
+    }
+    if (kind === 'component' && game.player.components.includes(type)) {
+      return { success: false, message: 'Already installed' };
+    }
+
+    const price = this.getPrice(kind, type, tier);
+    if (!economy.canAfford(price)) return { success: false, message: 'Not enough credits' };
+    economy.credits -= price;
+
+    let name;
+    if (kind === 'weapon') {
+      name = game.weaponSystem.addWeapon(type, tier).name;
+    } else if (kind === 'shield') {
+      name = game.shieldSystem.addShield(type, tier).name;
+    } else if (kind === 'armor') {
+      name = game.armorSystem.addArmorPlate(type, tier).name;
+    } else {
+      name = this.fitComponent(type);
+    }
+
+    this.applyLoadout();
+    console.log(`[ShipyardSystem] Installed ${name} for ${price} CR`);
+    return { success: true, message: `${name} installed (-${price} CR)` };
+  }
+
+  fitComponent(type) {
+    this.game.player.components.push(type);
+    const cargoBonus = COMPONENT_EFFECTS[type].cargo;
+    if (cargoBonus) this.game.cargoSystem.upgradeCapacity(cargoBonus);
+    return ENHANCED_ARTIFACTS[type].name;
+  }
+
+  /**
+   * Components in the hold (fabricated or salvaged) the yard can fit
+   */
+  getFittableCargo() {
+    return this.game.cargoSystem.items
+      .filter(entry => COMPONENT_EFFECTS[entry.itemId])
+      .map(entry => entry.itemId);
+  }
+
+  /**
+   * Fit a component from the hold at any station with a berth (labour is free)
+   */
+  installFromCargo(type) {
+    const game = this.game;
+    if (!this.getDockedStation()) return { success: false, message: 'Outfitting requires docking' };
+    if (!COMPONENT_EFFECTS[type]) return { success: false, message: 'Not a ship component' };
+    if (game.cargoSystem.getCargoQuantity(type) < 1) return { success: false, message: 'Not in the hold' };
+    if (this.getInstalled('component').length >= this.getSlots('component')) {
+      return { success: false, message: 'No free component hardpoints' };
+    }
+    if (game.player.components.includes(type)) return { success: false, message: 'Already installed' };
+
+    game.cargoSystem.removeCargo(type, 1);
+    const name = this.fitComponent(type);
+    this.applyLoadout();
+    console.log(`[ShipyardSystem] Installed ${name} from the hold`);
+    return { success: true, message: `${name} installed` };
+  }
+
+  /**
+   * Remove and sell a piece of installed equipment
+   * @param {number} index - Position in the installed list for that kind
+   */
+  sellEquipment(kind, index) {
+    const game = this.game;
+    if (!this.getDockedStation()) return { success: false, message: 'Outfitting requires docking' };
+
+    const installed = this.getInstalled(kind);
+    const item = installed[index];
+    if (item === undefined) return { success: false, message: 'Nothing installed there' };
+    if (kind === 'weapon' && installed.length === 1) {
+      return { success: false, message: 'A ship needs at least one weapon' };
+    }
+
+    if (kind === 'component') {
+      const cargoBonus = COMPONENT_EFFECTS[item].cargo;
+      if (cargoBonus) {
+        if (game.cargoSystem.getAvailableSpace() < cargoBonus) {
+          return { success: false, message: 'Empty the expanded hold first' };
+        }
+        game.cargoSystem.upgradeCapacity(-cargoBonus);
+      }
+    }
+
+    const value = this.getResaleValue(kind, item);
+    installed.splice(index, 1);
+
+    // Keep the selected weapon/shield pointing at something that exists
+    if (kind === 'weapon') {
+      game.weaponSystem.activeWeaponIndex = Math.min(game.weaponSystem.activeWeaponIndex, installed.length - 1);
+    } else if (kind === 'shield') {
+      game.shieldSystem.activeShieldIndex = Math.max(0, Math.min(game.shieldSystem.activeShieldIndex, installed.length - 1));
+      game.shieldSystem.updateTotalStrength();
+    } else if (kind === 'armor') {
+      game.armorSystem.recalculateArmorStats();
+    }
+
+    game.economySystem.credits += value;
+    this.applyLoadout();
+
+    const name = kind === 'component' ? ENHANCED_ARTIFACTS[item].name : item.name;
+    return { success: true, message: `${name} sold (+${value} CR)` };
+  }
+
+  /**
+   * Price of a new hull after the current one is taken in part exchange
+   * Negative when the trade-in is worth more (the yard pays the difference).
+   * The yard pays for hull damage and empty tanks out of the trade-in.
+   */
+  getTradeInPrice(classId) {
+    const condition = this.getCondition();
+    const wear = (Math.min(1, condition.hull) + Math.min(1, condition.fuel)) / 2;
+    const tradeIn = Math.round(SHIP_CLASSES[this.getShipClass()].price * TRADE_IN_RATE * wear);
+    return SHIP_CLASSES[classId].price - tradeIn;
+  }
+
+  /**
+   * Trade the current hull in for a new ship class; equipment moves across
+   */
+  buyShip(classId) {
+    const economy = this.game.economySystem;
+    const station = this.getDockedStation();
+    if (!station) return { success: false, message: 'Outfitting requires docking' };
+
+    const shipClass = SHIP_CLASSES[classId];
+    if (!shipClass || !this.getStock(station).ship.includes(classId)) {
+      return { success: false, message: 'Not sold here' };
+    }
+    if (classId === this.getShipClass()) return { success: false, message: 'You already fly one' };
+
+    const refitError = this.getRefitError(classId);
+    if (refitError) return { success: false, message: refitError };
+
+    const price = this.getTradeInPrice(classId);
+    if (price > 0 && !economy.canAfford(price)) return { success: false, message: 'Not enough credits' };
+    economy.credits -= price;
+
+    const oldClass = SHIP_CLASSES[this.getShipClass()];
+    this.moveAboard(classId);
+
+    console.log(`[ShipyardSystem] Traded in ${oldClass.name} for ${shipClass.name} (${price} CR)`);
+    const payment = price >= 0 ? `-${price} CR` : `+${-price} CR`;
+    return { success: true, message: `Welcome aboard your new ${shipClass.name} (${payment})` };
+  }
+
+  /**
+   * Why the current equipment and cargo can't move to another hull, or null if they can
+   */
+  getRefitError(classId) {
+    const shipClass = SHIP_CLASSES[classId];
+
+    // Everything fitted and carried has to fit the new hull
+    for (const kind of EQUIPMENT_KINDS) {
+      if (this.getInstalled(kind).length > shipClass.slots[kind]) {
+        return `The ${shipClass.name} has only ${shipClass.slots[kind]} ${kind} hardpoints`;
+      }
+    }
+    const capacityChange = Math.floor(100 * shipClass.cargo) - Math.floor(100 * SHIP_CLASSES[this.getShipClass()].cargo);
+    if (this.game.cargoSystem.getAvailableSpace() + capacityChange < 0) {
+      return `The ${shipClass.name}'s hold is too small for your cargo`;
+    }
+    return null;
+  }
+
+  /**
+   * Hull, shields and fuel of the ship being flown, as shares of their maximum
+   */
+  getCondition() {
+    const p = this.game.player;
+    return {
+      hull: p.hull / p.maxHull,
+      shields: p.maxShields > 0 ? p.shields / p.maxShields : 0,
+      fuel: p.fuel / p.maxFuel
+    };
+  }
+
+  /**
+   * Move ship, equipment and cargo into another hull (checked with getRefitError)
+   * @param {Object} [condition] - Laid-up hull's condition (see getCondition); new hulls come repaired and fuelled
+   */
+  moveAboard(classId, condition = FULL_CONDITION) {
+    const game = this.game;
+    const p = game.player;
+    const shipClass = SHIP_CLASSES[classId];
+    const capacityChange = Math.floor(100 * shipClass.cargo) - Math.floor(100 * SHIP_CLASSES[this.getShipClass()].cargo);
+
+    game.gameConfig.shipClass = classId;
+    p.shipClass = classId;
+    game.cargoSystem.upgradeCapacity(capacityChange);
+    this.applyLoadout();
+
+    p.hull = Math.max(1, Math.round(p.maxHull * condition.hull));
+    p.shields = Math.round(p.maxShields * condition.shields);
+    p.fuel = Math.round(p.maxFuel * condition.fuel);
+  }
+
+  /**
+   * Lay up the current hull and fly the spare, at any yard
+   */
+  swapHull() {
+    const station = this.getDockedStation();
+    if (!station || !this.isDockyard(station)) return { success: false, message: 'Hulls are swapped at shipyards' };
+    if (!this.spareHull) return { success: false, message: 'No spare hull' };
+
+    const classId = this.spareHull;
+    const refitError = this.getRefitError(classId);
+    if (refitError) return { success: false, message: refitError };
+
+    const oldClassId = this.getShipClass();
+    const oldCondition = this.getCondition();
+    this.moveAboard(classId, this.spareCondition || FULL_CONDITION);
+    this.spareHull = oldClassId;
+    this.spareCondition = oldCondition;
+
+    console.log(`[ShipyardSystem] Swapped ${SHIP_CLASSES[oldClassId].name} for spare ${SHIP_CLASSES[classId].name}`);
+    return { success: true, message: `Now flying your ${SHIP_CLASSES[classId].name}; the ${SHIP_CLASSES[oldClassId].name} is laid up` };
+  }
+
+  /**
+   * Derive ship stats from hull class, fitted shields and components
+   */
+  applyLoadout() {
+    const game = this.game;
+    const p = game.player;
+    const shipClass = SHIP_CLASSES[this.getShipClass()] || SHIP_CLASSES.explorer;
+
+    const mods = { thrust: 0, hull: 0, shields: 0, power: 0, powerRegen: 0 };
+    for (const componentId of p.components) {
+      for (const [stat, value] of Object.entries(COMPONENT_EFFECTS[componentId] || {})) {
+        if (stat in mods) mods[stat] += value;
+      }
+    }
+
+    const shieldRating = game.shieldSystem.maxTotalShieldStrength / getStockShieldStrength();
+
+    p.maxHull = Math.floor(100 * shipClass.hull * (1 + mods.hull));
+    p.maxShields = Math.floor(100 * shipClass.shields * shieldRating * (1 + mods.shields));
+    p.maxFuel = Math.floor(1000 * shipClass.fuel);
+    p.maxPower = 100 + mods.power;
+    p.powerRegen = 25 + mods.powerRegen;
+    p.thrustMultiplier = 1 + mods.thrust;
+    // Lasers don't stack, the best one fitted does the cutting
+    p.miningLaserTier = Math.max(1, ...p.components.map(componentId => COMPONENT_EFFECTS[componentId]?.miningTier || 1));
+    p.mass = Math.floor(100 * (2.0 - shipClass.speed));
+
+    p.hull = Math.min(p.hull, p.maxHull);
+    p.shields = Math.min(p.shields, p.maxShields);
+    p.fuel = Math.min(p.fuel, p.maxFuel);
+    p.power = Math.min(p.power, p.maxPower);
+
+    if (game.inertialSystem) {
+      game.inertialSystem.mass = p.mass;
+    }
+  }
+
+  /**
+   * Hull class and fitted equipment for save files
+   */
+  serialize() {
+    const game = this.game;
+    return {
+      shipClass: this.getShipClass(),
+      weapons: game.weaponSystem.weapons.map(weapon => ({ type: weapon.type, tier: weapon.tier, magazine: weapon.magazine || null })),
+      shields: game.shieldSystem.shields.map(shield => ({ type: shield.type, tier: shield.tier })),
+      armor: game.armorSystem.plates.map(plate => ({ type: plate.type, tier: plate.tier, hp: plate.hp })),
+      components: [...game.player.components],
+      spareHull: this.spareHull,
+      spareCondition: this.spareCondition
+    };
+  }
+
+  /**
+   * Refit the ship from a save (saves without one keep the stock loadout)
+   */
+  deserialize(data) {
+    this.spareHull = null;
+    this.spareCondition = null;
+    if (!data) return;
+    const game = this.game;
+    this.spareHull = SHIP_CLASSES[data.spareHull] ? data.spareHull : null;
+    // Spare hulls from older saves were not recorded damaged
+    if (this.spareHull && data.spareCondition) {
+      const share = value => (Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1);
+      this.spareCondition = {
+        hull: share(data.spareCondition.hull),
+        shields: share(data.spareCondition.shields),
+        fuel: share(data.spareCondition.fuel)
+      };
+    }
+
+    if (SHIP_CLASSES[data.shipClass]) {
+      game.gameConfig.shipClass = data.shipClass;
+      game.player.shipClass = data.shipClass;
+    }
+
+    game.weaponSystem.weapons = (data.weapons || []).map(saved => {
+      const weapon = game.weaponSystem.createWeapon(saved.type, saved.tier);
+      if (saved.magazine && WARHEADS[saved.magazine.ammoId] && saved.magazine.rounds > 0) {
+        weapon.magazine = { ammoId: saved.magazine.ammoId, rounds: saved.magazine.rounds };
+      }
+      return weapon;
+    });
+    game.weaponSystem.activeWeaponIndex = 0;
+
+    game.shieldSystem.shields = (data.shields || []).map(shield => game.shieldSystem.createShield(shield.type, shield.tier));
+    game.shieldSystem.activeShieldIndex = 0;
+    game.shieldSystem.updateTotalStrength();
+
+    game.armorSystem.plates = (data.armor || []).map(saved => {
+      const plate = game.armorSystem.createArmorPlate(saved.type, saved.tier);
+      plate.hp = Math.min(plate.maxHp, saved.hp ?? plate.maxHp);
+      return plate;
+    });
+    game.armorSystem.recalculateArmorStats();
+
+    game.player.components = (data.components || []).filter(id => COMPONENT_EFFECTS[id]);
+    this.applyLoadout();
+  }
+}
@@ -0,0 +1,506 @@
+/**
+ * Surface Exploration - Rover mini-mode for landed planets and moons
+ *
+ * Landing lays out a tile map for the body from the surface stream, so the
+ * same planet always has the same terrain, deposits and ruins. The rover
+ * drives out from the lander, extracts deposits into its bay and searches
+ * ruins for artifact pieces and schematics; the bay is unloaded into the
+ * cargo hold at the lander. Heat, cold and a hostile atmosphere wear the
+ * rover down, and a rover that breaks down is towed back to the lander
+ * without its load.
+ */
+
+import { getItemDefinition } from './ItemCatalog.js';
+import { BLUEPRINTS } from './CraftingSystem.js';
+
+export const SURFACE_WIDTH = 40;
+export const SURFACE_HEIGHT = 28;
+
+// Terrain codes stored in the tile map
+export const TERRAIN = { GROUND: 0, ROUGH: 1, ROCK: 2, HAZARD: 3 };
+
+export const ROVER_BAY_CAPACITY = 20; // Volume units
+export const ROVER_MAX_INTEGRITY = 100;
+
+const ROVER_SPEED = 5; // Tiles per second on open ground
+const ROUGH_SPEED_FACTOR = 0.5;
+const ROVER_REPAIR_RATE = 10; // Integrity per second while parked at the lander
+const HAZARD_DAMAGE = 20; // Integrity per second on hazard tiles
+const EXPOSURE_DAMAGE = 5; // Integrity per second at full severity
+const SAFE_SEVERITY = 0.35; // Below this the rover can stay out indefinitely
+const INTERACT_RANGE = 0.8; // Tiles between rover and a site
+
+const NOISE_CELL = 6; // Tiles per terrain noise cell
+const LANDER_CLEARING = 2; // Flat ground around the lander
+const DEPOSITS_PER_SURFACE = [6, 10];
+const RARE_DEPOSIT_CHANCE = 0.15;
+const RUIN_SEARCH_ROLLS = 6; // Artifact rolls before a ruin counts as picked clean
+const RUIN_SCHEMATIC_CHANCE = 0.3; // Ruins holding a data core with a fabrication schematic
+
+// Temperatures (Kelvin) past which the climate, not the terrain, sets the hazard
+const HOT_LIMIT = 360;
+const COLD_LIMIT = 200;
+
+export const HAZARDS = {
+  lava: { name: 'Magma Flows', color: '#ff5522' },
+  cryo: { name: 'Cryo Geysers', color: '#88eeff' },
+  toxic: { name: 'Toxic Vents', color: '#99dd33' }
+};
+
+const SURFACE_TYPES = {
+  volcanic: {
+    hazard: 'lava', volatility: 0.3,
+    colors: ['#5a3a2a', '#3e2a22', '#221814'],
+    deposits: ['iron', 'titanium', 'platinum'], rare: 'rare_isotopes'
+  },
+  frozen: {
+    hazard: 'cryo', volatility: 0.1,
+    colors: ['#a8c4d8', '#7e9cb4', '#4c6074'],
+    deposits: ['water', 'deuterium', 'carbon'], rare: 'rare_isotopes'
+  },
+  temperate: {
+    hazard: 'toxic', volatility: 0,
+    colors: ['#4a6a3a', '#3a5030', '#2a3426'],
+    deposits: ['water', 'food', 'carbon'], rare: 'crystalline_matrix'
+  },
+  desert: {
+    hazard: 'toxic', volatility: 0.05,
+    colors: ['#b08850', '#8c6a40', '#5a4430'],
+    deposits: ['silicon', 'iron', 'copper'], rare: 'rare_isotopes'
+  },
+  carbon: {
+    hazard: 'toxic', volatility: 0.1,
+    colors: ['#44445a', '#333344', '#1e1e28'],
+    deposits: ['carbon', 'silicon', 'minerals'], rare: 'crystalline_matrix'
+  },
+  barren: {
+    hazard: 'toxic', volatility: 0.05,
+    colors: ['#7a7068', '#5c5450', '#3a3634'],
+    deposits: ['iron', 'minerals', 'titanium', 'copper'], rare: 'platinum'
+  }
+};
+
+// Planet types and moon subtypes to surface types (anything else is barren rock)
+const BODY_SURFACES = {
+  lava_planet: 'volcanic', volcanic_moon: 'volcanic',
+  ice_planet: 'frozen', ice_moon: 'frozen',
+  terran_planet: 'temperate', ocean_planet: 'temperate', super_earth: 'temperate', titan_moon: 'temperate',
+  desert_planet: 'desert',
+  carbon_planet: 'carbon'
+};
+
+// Moons aren't given a temperature by the system generator
+const DEFAULT_TEMPERATURES = { volcanic: 600, frozen: 120, temperate: 260, desert: 330, carbon: 300, barren: 250 };
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Smooth value noise over a coarse grid of random values
+ * @param {SeededRandom} rng
+ * @returns {Function} (x, y) => 0..1
+ */
+function createNoise(rng) {
+  const cols = Math.ceil(SURFACE_WIDTH / NOISE_CELL) + 1;
+  const rows = Math.ceil(SURFACE_HEIGHT / NOISE_CELL) + 1;
+  const grid = [];
+  for (let i = 0; i < cols * rows; i++) grid.push(rng.next());
+
+  const smooth = t => t * t * (3 - 2 * t);
+  return (x, y) => {
+    const gx = x / NOISE_CELL;
+    const gy = y / NOISE_CELL;
+    const x0 = Math.floor(gx);
+    const y0 = Math.floor(gy);
+    const tx = smooth(gx - x0);
+    const ty = smooth(gy - y0);
+    const at = (cx, cy) => grid[cy * cols + cx];
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+    return top + (bottom - top) * ty;
+  };
+}
+
+export class SurfaceExploration {
+  constructor(game) {
+    this.game = game;
+    this.surface = null; // Map of the body the player is landed on
+    this.rover = null;
+    // What the player has already taken, per body: { deposits: { index: remaining }, ruins: [index] }
+    this.sites = {};
+  }
+
+  /**
+   * Surface type id for a planet type or moon subtype
+   */
+  getSurfaceType(body) {
+    return BODY_SURFACES[body.type] || BODY_SURFACES[body.subtype] || 'barren';
+  }
+
+  /**
+   * Climate of a body and how hard it is on the rover
+   * @returns {Object} { temperature, habitability, severity (0-1), hazard }
+   */
+  getEnvironment(body, surfaceTypeId) {
+    const surfaceType = SURFACE_TYPES[surfaceTypeId];
+    const temperature = body.temperature ?? DEFAULT_TEMPERATURES[surfaceTypeId];
+    const habitability = body.habitability || 0;
+
+    const heat = clamp01((temperature - 330) / 200);
+    const cold = clamp01((240 - temperature) / 120);
+    const severity = clamp01(Math.max(heat, cold) * 0.6 + (1 - habitability) * 0.4 + surfaceType.volatility);
+
+    let hazard = surfaceType.hazard;
+    if (temperature > HOT_LIMIT) hazard = 'lava';
+    else if (temperature < COLD_LIMIT) hazard = 'cryo';
+
+    return { temperature, habitability, severity, hazard };
+  }
+
+  /**
+   * Generate the surface of a body
+   * DETERMINISM: Everything comes from the body's surface stream
+   * @param {Object} body - Planet or moon
+   * @param {SeededRandom} rng - Surface stream for this body
+   */
+  generateSurface(body, rng) {
+    const surfaceTypeId = this.getSurfaceType(body);
+    const surfaceType = SURFACE_TYPES[surfaceTypeId];
+    const environment = this.getEnvironment(body, surfaceTypeId);
+
+    const height = createNoise(rng.child('height'));
+    const vents = createNoise(rng.child('hazard'));
+    const hazardShare = 0.05 + environment.severity * 0.2;
+    const lander = { x: Math.floor(SURFACE_WIDTH / 2), y: Math.floor(SURFACE_HEIGHT / 2) };
+
+    const tiles = new Uint8Array(SURFACE_WIDTH * SURFACE_HEIGHT);
+    for (let y = 0; y < SURFACE_HEIGHT; y++) {
+      for (let x = 0; x < SURFACE_WIDTH; x++) {
+        if (Math.max(Math.abs(x - lander.x), Math.abs(y - lander.y)) <= LANDER_CLEARING) continue;
+
+        const h = height(x, y);
+        let terrain = TERRAIN.GROUND;
+        if (h > 0.75) terrain = TERRAIN.ROCK;
+        else if (vents(x, y) > 1 - hazardShare) terrain = TERRAIN.HAZARD;
+        else if (h > 0.6) terrain = TERRAIN.ROUGH;
+        tiles[y * SURFACE_WIDTH + x] = terrain;
+      }
+    }
+
+    // Sites only go where the rover can actually drive to
+    const reachable = this.findReachable(tiles, lander);
+    const sites = reachable.filter(({ x, y }) =>
+      tiles[y * SURFACE_WIDTH + x] !== TERRAIN.HAZARD &&
+      Math.max(Math.abs(x - lander.x), Math.abs(y - lander.y)) > LANDER_CLEARING
+    );
+    const takeSite = () => sites.splice(rng.nextInt(sites.length), 1)[0];
+
+    const deposits = [];
+    const depositCount = Math.min(sites.length, rng.int(DEPOSITS_PER_SURFACE[0], DEPOSITS_PER_SURFACE[1]));
+    for (let i = 0; i < depositCount; i++) {
+      const rare = rng.next() < RARE_DEPOSIT_CHANCE;
+      const itemId = rare ? surfaceType.rare : rng.choice(surfaceType.deposits);
+      const quantity = rare ? rng.int(2, 6) : rng.int(8, 25);
+      deposits.push({ ...takeSite(), itemId, quantity, remaining: quantity });
+    }
+
+    const ruins = [];
+    const ruinCount = Math.min(sites.length, rng.int(0, 2) + (environment.habitability > 0.3 ? 1 : 0));
+    for (let i = 0; i < ruinCount; i++) {
+      ruins.push({ ...takeSite(), searched: false });
+    }
+
+    return {
+      name: body.name || body.type || 'Unknown',
+      surfaceType: surfaceTypeId,
+      colors: surfaceType.colors,
+      environment,
+      tiles,
+      lander,
+      deposits,
+      ruins
+    };
+  }
+
+  /**
+   * Tiles the rover can reach from the lander (rock blocks, hazards don't)
+   */
+  findReachable(tiles, start) {
+    const seen = new Uint8Array(tiles.length);
+    const queue = [start];
+    const reachable = [];
+    seen[start.y * SURFACE_WIDTH + start.x] = 1;
+
+    while (queue.length > 0) {
+      const tile = queue.shift();
+      reachable.push(tile);
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const x = tile.x + dx;
+        const y = tile.y + dy;
+        if (x < 0 || y < 0 || x >= SURFACE_WIDTH || y >= SURFACE_HEIGHT) continue;
+        const index = y * SURFACE_WIDTH + x;
+        if (seen[index] || tiles[index] === TERRAIN.ROCK) continue;
+        seen[index] = 1;
+        queue.push({ x, y });
+      }
+    }
+
+    return reachable;
+  }
+
+  /**
+   * Set down on a body and roll the rover out
+   */
+  land(body, systemIndex) {
+    const key = `${systemIndex}_${body.name || body.type || 'planet'}`;
+    const surface = this.generateSurface(body, this.game.getGenerationRng('surface').child(key));
+    surface.key = key;
+    surface.systemIndex = systemIndex;
+
+    // Deposits and ruins keep what earlier visits took
+    const site = this.sites[key];
+    if (site) {
+      for (const [index, remaining] of Object.entries(site.deposits)) {
+        if (surface.deposits[index]) surface.deposits[index].remaining = remaining;
+      }
+      for (const index of site.ruins) {
+        if (surface.ruins[index]) surface.ruins[index].searched = true;
+      }
+    }
+
+    this.surface = surface;
+    this.rover = {
+      x: surface.lander.x + 0.5,
+      y: surface.lander.y + 0.5,
+      integrity: ROVER_MAX_INTEGRITY,
+      bay: [], // [{ itemId, quantity }]
+      atLander: true
+    };
+
+    return surface;
+  }
+
+  /**
+   * Leave the surface; anything still in the rover bay stays behind
+   */
+  leave() {
+    if (this.rover && this.rover.bay.length > 0) {
+      this.game.showNotification('Rover bay contents left on the surface', 'warning');
+    }
+    this.surface = null;
+    this.rover = null;
+  }
+
+  getSite(key) {
+    if (!this.sites[key]) this.sites[key] = { deposits: {}, ruins: [] };
+    return this.sites[key];
+  }
+
+  getTerrain(x, y) {
+    const tx = Math.floor(x);
+    const ty = Math.floor(y);
+    if (tx < 0 || ty < 0 || tx >= SURFACE_WIDTH || ty >= SURFACE_HEIGHT) return TERRAIN.ROCK;
+    return this.surface.tiles[ty * SURFACE_WIDTH + tx];
+  }
+
+  isAtLander() {
+    const { lander } = this.surface;
+    return Math.floor(this.rover.x) === lander.x && Math.floor(this.rover.y) === lander.y;
+  }
+
+  canLaunch() {
+    return !this.rover || this.isAtLander();
+  }
+
+  getBayVolume() {
+    return this.rover.bay.reduce((sum, entry) => sum + getItemDefinition(entry.itemId).volume * entry.quantity, 0);
+  }
+
+  /**
+   * Drive the rover, apply hazards and service it at the lander
+   */
+  update(dt) {
+    if (!this.surface || !this.game.player.landed) return;
+    const rover = this.rover;
+    const keys = this.game.input.keys;
+
+    let dx = 0;
+    let dy = 0;
+    if (keys.has('KeyW') || keys.has('ArrowUp')) dy -= 1;
+    if (keys.has('KeyS') || keys.has('ArrowDown')) dy += 1;
+    if (keys.has('KeyA') || keys.has('ArrowLeft')) dx -= 1;
+    if (keys.has('KeyD') || keys.has('ArrowRight')) dx += 1;
+    if (dx !== 0 || dy !== 0) this.moveRover(dx, dy, dt);
+
+    const terrain = this.getTerrain(rover.x, rover.y);
+    const exposure = Math.max(0, this.surface.environment.severity - SAFE_SEVERITY) / (1 - SAFE_SEVERITY);
+    let damage = exposure * EXPOSURE_DAMAGE * dt;
+    if (terrain === TERRAIN.HAZARD) damage += HAZARD_DAMAGE * dt;
+
+    const atLander = this.isAtLander();
+    if (atLander) {
+      rover.integrity = Math.min(ROVER_MAX_INTEGRITY, rover.integrity + ROVER_REPAIR_RATE * dt);
+      if (!rover.atLander && rover.bay.length > 0) this.unloadBay();
+    } else {
+      rover.integrity -= damage;
+      if (rover.integrity <= 0) this.breakDown();
+    }
+    rover.atLander = this.isAtLander();
+  }
+
+  /**
+   * Move in a direction, sliding along rock
+   */
+  moveRover(dx, dy, dt) {
+    const rover = this.rover;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    const roughness = this.getTerrain(rover.x, rover.y) === TERRAIN.ROUGH ? ROUGH_SPEED_FACTOR : 1;
+    const step = ROVER_SPEED * roughness * dt / length;
+
+    const nextX = rover.x + dx * step;
+    if (this.getTerrain(nextX, rover.y) !== TERRAIN.ROCK) rover.x = nextX;
+    const nextY = rover.y + dy * step;
+    if (this.getTerrain(rover.x, nextY) !== TERRAIN.ROCK) rover.y = nextY;
+  }
+
+  /**
+   * Rover gives out: towed back to the lander, its load is lost
+   */
+  breakDown() {
+    const rover = this.rover;
+    rover.integrity = 0;
+    rover.bay = [];
+    rover.x = this.surface.lander.x + 0.5;
+    rover.y = this.surface.lander.y + 0.5;
+    this.game.showNotification('Rover broke down! Towed back to the lander, cargo lost', 'error');
+  }
+
+  /**
+   * Work whatever is under the rover: extract a deposit, search a ruin or unload at the lander
+   */
+  interact() {
+    if (!this.surface) return { success: false, message: 'Not on a surface' };
+    const rover = this.rover;
+    const near = site => Math.hypot(site.x + 0.5 - rover.x, site.y + 0.5 - rover.y) <= INTERACT_RANGE;
+
+    const depositIndex = this.surface.deposits.findIndex(deposit => deposit.remaining > 0 && near(deposit));
+    if (depositIndex !== -1) return this.extractDeposit(depositIndex);
+
+    const ruinIndex = this.surface.ruins.findIndex(ruin => !ruin.searched && near(ruin));
+    if (ruinIndex !== -1) return this.searchRuin(ruinIndex);
+
+    if (this.isAtLander()) return this.unloadBay();
+
+    this.game.showNotification('Nothing to work here', 'info');
+    return { success: false, message: 'Nothing to work here' };
+  }
+
+  /**
+   * Load as much of a deposit as fits into the rover bay
+   */
+  extractDeposit(index) {
+    const deposit = this.surface.deposits[index];
+    const item = getItemDefinition(deposit.itemId);
+    const space = ROVER_BAY_CAPACITY - this.getBayVolume();
+    const units = Math.min(deposit.remaining, Math.floor(space / item.volume));
+    if (units <= 0) {
+      this.game.showNotification('Rover bay full - return to the lander', 'warning');
+      return { success: false, message: 'Rover bay full' };
+    }
+
+    const entry = this.rover.bay.find(existing => existing.itemId === deposit.itemId);
+    if (entry) entry.quantity += units;
+    else this.rover.bay.push({ itemId: deposit.itemId, quantity: units });
+
+    deposit.remaining -= units;
+    this.getSite(this.surface.key).deposits[index] = deposit.remaining;
+
+    this.game.showNotification(`Extracted ${units} ${item.name}`, 'success');
+    return { success: true, itemId: deposit.itemId, quantity: units };
+  }
+
+  /**
+   * Search a ruin for artifact pieces (each ruin can only be searched once)
+   */
+  searchRuin(index) {
+    const ruin = this.surface.ruins[index];
+    ruin.searched = true;
+    this.getSite(this.surface.key).ruins.push(index);
+
+    // DETERMINISM: Each ruin holds the same find in the same seed
+    const rng = this.game.getGenerationRng('surface').child(`${this.surface.key}_ruin_${index}`);
+    let artifact = null;
+    for (let roll = 0; roll < RUIN_SEARCH_ROLLS && !artifact; roll++) {
+      artifact = this.game.artifactSystem.generateArtifact(rng);
+    }
+
+    // Data cores are small enough to ride along whatever the bay holds
+    const schematicRng = this.game.getGenerationRng('surface').child(`${this.surface.key}_ruin_${index}_schematic`);
+    const schematic = schematicRng.next() < RUIN_SCHEMATIC_CHANCE ? schematicRng.choice(BLUEPRINTS) : null;
+    if (schematic) {
+      const entry = this.rover.bay.find(existing => existing.itemId === schematic);
+      if (entry) entry.quantity++;
+      else this.rover.bay.push({ itemId: schematic, quantity: 1 });
+      this.game.showNotification(`Recovered a ${getItemDefinition(schematic).name}`, 'success');
+    }
+
+    if (!artifact) {
+      if (!schematic) this.game.showNotification('The ruins have been picked clean', 'info');
+      return { success: true, artifact: null, schematic };
+    }
+
+    artifact.systemIndex = this.surface.systemIndex;
+    this.game.artifactSystem.addArtifact(artifact);
+    this.game.missionSystem.onArtifactCollected(artifact);
+    if (this.game.statistics) this.game.statistics.artifactsFound++;
+
+    this.game.showNotification(`Found ${artifact.name} in the ruins!`, 'success');
+    return { success: true, artifact, schematic };
+  }
+
+  /**
+   * Move the rover's load into the cargo hold; what doesn't fit stays in the bay
+   */
+  unloadBay() {
+    const hold = this.game.cargoSystem;
+    let full = false;
+
+    for (const entry of this.rover.bay) {
+      const result = hold.addCargo(entry.itemId, entry.quantity);
+      if (!result.added) {
+        full = true;
+        continue;
+      }
+
+      entry.quantity -= result.added;
+      if (entry.quantity > 0) full = true;
+      if (!BLUEPRINTS.includes(entry.itemId)) {
+        this.game.missionSystem.onResourcesMined(entry.itemId, result.added);
+        if (this.game.statistics) this.game.statistics.resourcesMined += result.added;
+      }
+      this.game.showNotification(`+${result.added} ${getItemDefinition(entry.itemId).name}`, 'success');
+    }
+
+    this.rover.bay = this.rover.bay.filter(entry => entry.quantity > 0);
+    if (full) {
+      this.game.showNotification('Cargo hold full - load left in the rover bay', 'warning');
+    }
+
+    return { success: !full };
+  }
+
+  /**
+   * Depleted deposits and searched ruins for save files
+   */
+  serialize() {
+    return { sites: this.sites };
+  }
+
+  /**
+   * Restore surface sites from a save (saves without them start untouched)
+   */
+  deserialize(data) {
+    this.sites = data?.sites || {};
+  }
+}
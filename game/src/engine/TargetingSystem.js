@@ -0,0 +1,313 @@
+/**
+ * Targeting System - Target lock, subsystem targeting and the lead indicator
+ *
+ * The player locks a ship by cycling through those in range (Tab, nearest
+ * first), snapping to the nearest (R, or the touch TARGET button) or clicking
+ * it. With a lock:
+ * - a lead pip shows where to aim so the active weapon's shots meet the
+ *   target, from projectileSpeed and the target's velocity
+ * - homing weapons fly at the locked ship instead of the nearest one
+ * - G cycles through the target's subsystems (see SUBSYSTEMS in AlienShip);
+ *   shots fired at a subsystem mostly damage it rather than the hull, so a
+ *   ship can be disabled instead of destroyed
+ *
+ * Wingmen ordered to attack go after the locked target (see FleetSystem).
+ */
+
+import { SUBSYSTEMS } from './AlienShip.js';
+
+const TARGET_RANGE = 4000; // Ships further out than this can't be locked or cycled to
+const CLICK_TOLERANCE = 30; // Extra pixels around a ship's hull that still lock it
+const INHERITED_VELOCITY = 0.5; // Share of the ship's velocity shots carry (see WeaponSystem.fireStandard)
+const SUBSYSTEM_ORDER = [null, ...Object.keys(SUBSYSTEMS)]; // null is the hull
+
+const LOCK_COLOR = '#ff4444';
+const NEUTRAL_LOCK_COLOR = '#ffaa44';
+const PIP_COLOR = '#44ff88';
+
+export class TargetingSystem {
+  constructor(game) {
+    this.game = game;
+    this.locked = null;
+    this.subsystem = null; // Key of SUBSYSTEMS, or null for the hull
+    this.reported = new WeakSet(); // Subsystems already announced as knocked out
+  }
+
+  /**
+   * The locked ship, if it's still there to shoot at
+   */
+  get target() {
+    if (this.locked && !this.isTargetable(this.locked)) this.clearTarget();
+    return this.locked;
+  }
+
+  isTargetable(ship) {
+    return !ship.isDead && ship.hp > 0 && !ship.warpedOut && this.game.enemies.includes(ship);
+  }
+
+  distanceTo(ship) {
+    const player = this.game.player;
+    return Math.sqrt((ship.x - player.x) ** 2 + (ship.y - player.y) ** 2);
+  }
+
+  /**
+   * Ships that can be locked, nearest first
+   */
+  getCandidates() {
+    return this.game.enemies
+      .filter(ship => this.isTargetable(ship) && this.distanceTo(ship) <= TARGET_RANGE)
+      .sort((a, b) => this.distanceTo(a) - this.distanceTo(b));
+  }
+
+  lock(ship) {
+    if (ship === this.locked) return;
+    this.locked = ship;
+    this.subsystem = null;
+    this.game.showNotification(`Target locked: ${ship.raceName} ${ship.type}`, 'info');
+  }
+
+  clearTarget() {
+    this.locked = null;
+    this.subsystem = null;
+  }
+
+  /**
+   * Step to the next (dir 1) or previous (dir -1) ship by distance
+   */
+  cycleTarget(dir = 1) {
+    const candidates = this.getCandidates();
+    if (candidates.length === 0) {
+      this.clearTarget();
+      this.game.showNotification('No targets in range', 'warning');
+      return;
+    }
+    const index = candidates.indexOf(this.target);
+    const next = index === -1
+      ? (dir > 0 ? 0 : candidates.length - 1)
+      : (index + dir + candidates.length) % candidates.length;
+    this.lock(candidates[next]);
+  }
+
+  targetNearest() {
+    const nearest = this.getCandidates()[0];
+    if (nearest) this.lock(nearest);
+    else this.game.showNotification('No targets in range', 'warning');
+  }
+
+  /**
+   * Lock the ship under a click or tap
+   * @returns {boolean} Whether a ship was there
+   */
+  lockAt(worldX, worldY) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const ship of this.game.enemies) {
+      if (!this.isTargetable(ship)) continue;
+      const dist = Math.sqrt((ship.x - worldX) ** 2 + (ship.y - worldY) ** 2);
+      if (dist < (ship.size || 20) + CLICK_TOLERANCE && dist < bestDist) {
+        best = ship;
+        bestDist = dist;
+      }
+    }
+    if (best) this.lock(best);
+    return !!best;
+  }
+
+  /**
+   * Hull -> engines -> weapons -> shields -> hull
+   */
+  cycleSubsystem() {
+    const target = this.target;
+    if (!target || !target.subsystems) {
+      this.game.showNotification('No target locked', 'warning');
+      return;
+    }
+    const index = SUBSYSTEM_ORDER.indexOf(this.subsystem);
+    this.subsystem = SUBSYSTEM_ORDER[(index + 1) % SUBSYSTEM_ORDER.length];
+    const label = this.subsystem ? SUBSYSTEMS[this.subsystem].name : 'Hull';
+    this.game.showNotification(`Targeting: ${label.toUpperCase()}`, 'info');
+  }
+
+  /**
+   * Mark shots just fired (projectiles from fromIndex on) with the lock:
+   * homing shots chase the target, and all of them aim at the subsystem
+   */
+  tagShots(projectiles, fromIndex) {
+    const target = this.target;
+    if (!target) return;
+    for (let i = fromIndex; i < projectiles.length; i++) {
+      const proj = projectiles[i];
+      if (proj.homing) proj.homingTarget = target;
+      if (this.subsystem) {
+        proj.subsystemTarget = target;
+        proj.subsystem = this.subsystem;
+      }
+    }
+  }
+
+  /**
+   * After a shot at a subsystem lands: announce it if that knocked it out
+   */
+  onSubsystemHit(ship, subsystem) {
+    const system = ship.subsystems?.[subsystem];
+    if (!system || !system.destroyed || this.reported.has(system)) return;
+    this.reported.add(system);
+    const message = subsystem === 'engines' ? 'Target disabled: engines offline' : `Target ${system.name.toLowerCase()} destroyed`;
+    this.game.showNotification(message, 'success');
+  }
+
+  /**
+   * Where to aim so the active weapon's shots meet the target, or null when
+   * they never can (or there's no lock)
+   */
+  getLeadPoint() {
+    const target = this.target;
+    const weapon = this.game.weaponSystem?.getActiveWeapon();
+    if (!target || !weapon) return null;
+    if (!weapon.projectileSpeed || weapon.beamWeapon) return { x: target.x, y: target.y, time: 0 };
+
+    // Solve |d + v t| = speed * t for the first t > 0, with d the target's
+    // offset and v its velocity relative to what the shot inherits
+    const player = this.game.player;
+    const dx = target.x - player.x;
+    const dy = target.y - player.y;
+    const vx = (target.vx || 0) - (player.vx || 0) * INHERITED_VELOCITY;
+    const vy = (target.vy || 0) - (player.vy || 0) * INHERITED_VELOCITY;
+    const speed = weapon.projectileSpeed;
+
+    const a = vx * vx + vy * vy - speed * speed;
+    const b = 2 * (dx * vx + dy * vy);
+    const c = dx * dx + dy * dy;
+
+    let time;
+    if (Math.abs(a) < 1e-6) {
+      time = b < 0 ? -c / b : -1;
+    } else {
+      const disc = b * b - 4 * a * c;
+      if (disc < 0) return null;
+      const root = Math.sqrt(disc);
+      const t1 = (-b - root) / (2 * a);
+      const t2 = (-b + root) / (2 * a);
+      time = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+    }
+    if (!(time > 0)) return null;
+
+    return { x: target.x + vx * time, y: target.y + vy * time, time };
+  }
+
+  /**
+   * Lock brackets, the target's hull and subsystem readout, and the lead pip
+   */
+  render(ctx, camera) {
+    const target = this.target;
+    if (!target) return;
+
+    const game = this.game;
+    const x = Math.floor(target.x - camera.x);
+    const y = Math.floor(target.y - camera.y);
+    const color = target.isHostile ? LOCK_COLOR : NEUTRAL_LOCK_COLOR;
+
+    ctx.save();
+
+    // Off screen: an arrow at the edge pointing the way
+    const margin = 30;
+    if (x < 0 || x > game.width || y < 0 || y > game.height) {
+      const cx = game.width / 2;
+      const cy = game.height / 2;
+      const angle = Math.atan2(y - cy, x - cx);
+      const reach = Math.min(
+        Math.abs((cx - margin) / (Math.cos(angle) || 1e-6)),
+        Math.abs((cy - margin) / (Math.sin(angle) || 1e-6))
+      );
+      ctx.translate(cx + Math.cos(angle) * reach, cy + Math.sin(angle) * reach);
+      ctx.rotate(angle);
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(12, 0);
+      ctx.lineTo(-8, -8);
+      ctx.lineTo(-8, 8);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+      return;
+    }
+
+    // Corner brackets
+    const r = (target.size || 20) + 12;
+    const arm = r * 0.4;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const [sx, sy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      ctx.moveTo(x + sx * r, y + sy * (r - arm));
+      ctx.lineTo(x + sx * r, y + sy * r);
+      ctx.lineTo(x + sx * (r - arm), y + sy * r);
+    }
+    ctx.stroke();
+
+    // Name and range
+    ctx.font = '12px monospace';
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    const labelX = x + r + 8;
+    let labelY = y - r;
+    ctx.fillText(`${target.raceName} ${target.type}`.toUpperCase(), labelX, labelY);
+    labelY += 14;
+    ctx.fillText(`${Math.round(this.distanceTo(target))}m`, labelX, labelY);
+    if (target.systemsOffline > 0) {
+      labelY += 14;
+      ctx.fillStyle = '#00ffff';
+      ctx.fillText(`SYSTEMS OFFLINE ${Math.ceil(target.systemsOffline)}s`, labelX, labelY);
+    }
+
+    // Hull, shields and each subsystem, with the aimed-at one marked
+    const rows = [
+      { label: 'HULL', value: target.hp / target.maxHp, selected: !this.subsystem },
+      { label: 'SHLD', value: target.maxShields ? target.shields / target.maxShields : 0, selected: false }
+    ];
+    for (const [id, system] of Object.entries(target.subsystems || {})) {
+      rows.push({
+        label: system.icon,
+        value: system.currentHealth / system.maxHealth,
+        selected: this.subsystem === id,
+        destroyed: system.destroyed
+      });
+    }
+    for (const row of rows) {
+      labelY += 14;
+      ctx.fillStyle = row.selected ? '#ffffff' : color;
+      ctx.fillText(`${row.selected ? '>' : ' '}${row.label}`, labelX, labelY);
+      const barX = labelX + 52;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.fillRect(barX, labelY - 8, 50, 6);
+      ctx.fillStyle = row.destroyed ? '#666666' : row.value > 0.5 ? game.PALETTE.statusGreen
+        : row.value > 0.25 ? game.PALETTE.cautionOrange : game.PALETTE.alertRed;
+      ctx.fillRect(barX, labelY - 8, 50 * Math.max(0, row.value), 6);
+    }
+
+    // Lead pip, joined to the target
+    const lead = this.getLeadPoint();
+    if (lead && lead.time > 0) {
+      const lx = Math.floor(lead.x - camera.x);
+      const ly = Math.floor(lead.y - camera.y);
+      ctx.strokeStyle = PIP_COLOR;
+      ctx.globalAlpha = 0.4;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(lx, ly);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(lx, ly, 7, 0, Math.PI * 2);
+      ctx.moveTo(lx - 11, ly);
+      ctx.lineTo(lx - 4, ly);
+      ctx.moveTo(lx + 4, ly);
+      ctx.lineTo(lx + 11, ly);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+}
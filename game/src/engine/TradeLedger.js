@@ -0,0 +1,204 @@
+/**
+ * Trade Ledger - The player's trading books
+ *
+ * Logs every buy, sell and refuel with where and when it happened, keeps
+ * per-commodity totals (average cost basis, realized profit and loss) and
+ * remembers the prices seen in each visited system, which is what route
+ * suggestions are built from. Totals are kept apart from the log, so
+ * trimming old log entries never changes the books.
+ */
+
+// PERFORMANCE: Only the most recent entries are kept in the log (and the save)
+const MAX_LEDGER_ENTRIES = 200;
+
+// Route suggestions shown by default
+const DEFAULT_ROUTE_LIMIT = 5;
+
+export class TradeLedger {
+  constructor() {
+    this.entries = []; // Oldest first: { type, commodityId, systemIndex, systemName, quantity, price, total, costBasis, time }
+    this.commodities = {}; // commodityId -> { bought, spent, sold, revenue, costOfSold }
+    this.fuel = { units: 0, spent: 0 };
+    this.observedMarkets = {}; // systemIndex -> { systemIndex, systemName, time, prices, supply }
+    this.routeCache = null;
+  }
+
+  getTotals(commodityId) {
+    if (!this.commodities[commodityId]) {
+      this.commodities[commodityId] = { bought: 0, spent: 0, sold: 0, revenue: 0, costOfSold: 0 };
+    }
+    return this.commodities[commodityId];
+  }
+
+  addEntry(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > MAX_LEDGER_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_LEDGER_ENTRIES);
+    }
+  }
+
+  /**
+   * Record a purchase
+   * @param {number} total - Credits paid for all units (prices slip unit by unit, so not price * quantity)
+   * @param {Object} place - { systemIndex, systemName }
+   * @param {number} time - Game time in seconds
+   */
+  recordBuy(commodityId, quantity, total, place, time) {
+    const totals = this.getTotals(commodityId);
+    totals.bought += quantity;
+    totals.spent += total;
+
+    this.addEntry({ type: 'buy', commodityId, ...place, quantity, price: Math.round(total / quantity), total, time });
+  }
+
+  /**
+   * Record a sale
+   * @param {number} total - Credits received for all units
+   * @param {number} costBasis - Average price paid per unit for the units sold (0 if mined or found)
+   */
+  recordSell(commodityId, quantity, total, costBasis, place, time) {
+    const totals = this.getTotals(commodityId);
+    totals.sold += quantity;
+    totals.revenue += total;
+    totals.costOfSold += costBasis * quantity;
+
+    this.addEntry({ type: 'sell', commodityId, ...place, quantity, price: Math.round(total / quantity), total, costBasis, time });
+  }
+
+  /**
+   * Record a refuel (fuel is an expense against trading profit)
+   */
+  recordRefuel(units, total, place, time) {
+    this.fuel.units += units;
+    this.fuel.spent += total;
+
+    this.addEntry({ type: 'refuel', commodityId: null, ...place, quantity: units, price: total / units, total, time });
+  }
+
+  /**
+   * Remember the prices a market showed the player
+   * @param {Object} market - Market from EconomySystem
+   */
+  observeMarket(market, systemName, time) {
+    this.observedMarkets[market.systemIndex] = {
+      systemIndex: market.systemIndex,
+      systemName,
+      time,
+      prices: { ...market.prices },
+      supply: { ...market.supply }
+    };
+    this.routeCache = null;
+  }
+
+  /**
+   * Books for one commodity
+   * @returns {Object} Totals plus averageCost (per unit bought) and realizedProfit
+   */
+  getCommodityStats(commodityId) {
+    const totals = this.commodities[commodityId] || { bought: 0, spent: 0, sold: 0, revenue: 0, costOfSold: 0 };
+    return {
+      commodityId,
+      ...totals,
+      averageCost: totals.bought > 0 ? Math.round(totals.spent / totals.bought) : 0,
+      realizedProfit: totals.revenue - totals.costOfSold
+    };
+  }
+
+  /**
+   * Books for every commodity traded, best performers first
+   */
+  getAllCommodityStats() {
+    return Object.keys(this.commodities)
+      .map(commodityId => this.getCommodityStats(commodityId))
+      .sort((a, b) => b.realizedProfit - a.realizedProfit);
+  }
+
+  /**
+   * Overall result: realized trading profit less fuel spent
+   */
+  getSummary() {
+    const tradeProfit = this.getAllCommodityStats().reduce((sum, stats) => sum + stats.realizedProfit, 0);
+    return { tradeProfit, fuelSpent: this.fuel.spent, net: tradeProfit - this.fuel.spent };
+  }
+
+  /**
+   * Most profitable known routes, from prices the player has actually seen
+   * Ranked by profit per unit of hold space; one suggestion per system pair.
+   * @param {Object} commodities - Commodity definitions (EconomySystem.commodities)
+   * @param {number} limit - Number of routes to return
+   * @returns {Array} [{ commodityId, from, to, fromName, toName, buyPrice, sellPrice, profitPerUnit, profitPerVolume, observedAt }]
+   */
+  getBestRoutes(commodities, limit = DEFAULT_ROUTE_LIMIT) {
+    // PERFORMANCE: Every market pair is compared, so the result is kept until prices are seen again
+    if (!this.routeCache) {
+      this.routeCache = this.findRoutes(commodities);
+    }
+    return this.routeCache.slice(0, limit);
+  }
+
+  findRoutes(commodities) {
+    const markets = Object.values(this.observedMarkets);
+    const bestByPair = new Map();
+
+    for (const source of markets) {
+      for (const destination of markets) {
+        if (source === destination) continue;
+
+        for (const [commodityId, commodity] of Object.entries(commodities)) {
+          // Contraband can't be sold on the open market
+          if (commodity.illegal) continue;
+          if (!(source.supply[commodityId] > 0)) continue;
+
+          const buyPrice = source.prices[commodityId];
+          const sellPrice = destination.prices[commodityId];
+          const profitPerUnit = sellPrice - buyPrice;
+          if (!(profitPerUnit > 0)) continue;
+
+          const profitPerVolume = profitPerUnit / commodity.volume;
+          const key = `${source.systemIndex}>${destination.systemIndex}`;
+          const best = bestByPair.get(key);
+          if (best && best.profitPerVolume >= profitPerVolume) continue;
+
+          bestByPair.set(key, {
+            commodityId,
+            from: source.systemIndex,
+            to: destination.systemIndex,
+            fromName: source.systemName,
+            toName: destination.systemName,
+            buyPrice,
+            sellPrice,
+            profitPerUnit,
+            profitPerVolume,
+            // Routes are only as fresh as the older of the two price readings
+            observedAt: Math.min(source.time, destination.time)
+          });
+        }
+      }
+    }
+
+    return Array.from(bestByPair.values()).sort((a, b) => b.profitPerVolume - a.profitPerVolume);
+  }
+
+  /**
+   * Ledger state for save files
+   */
+  serialize() {
+    return {
+      entries: this.entries,
+      commodities: this.commodities,
+      fuel: this.fuel,
+      observedMarkets: this.observedMarkets
+    };
+  }
+
+  /**
+   * Restore the ledger from a save (saves without one start with empty books)
+   */
+  deserialize(data) {
+    this.entries = data?.entries || [];
+    this.commodities = data?.commodities || {};
+    this.fuel = data?.fuel || { units: 0, spent: 0 };
+    this.observedMarkets = data?.observedMarkets || {};
+    this.routeCache = null;
+  }
+}
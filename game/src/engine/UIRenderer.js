@@ -9,6 +9,17 @@
  * Uses DigitalDisco custom font throughout
  */
 
+import { HIDDEN_COMPARTMENT } from './CustomsSystem.js';
+import { ORDER_LOT_SIZE, ORDER_LIMIT_MARGIN, MAX_OPEN_ORDERS } from './MarketOrders.js';
+import { MAX_ACTIVE_CONTRACTS } from './MissionSystem.js';
+import { SHIP_CLASSES, EQUIPMENT_KINDS } from './ShipyardSystem.js';
+import { getItemDefinition } from './ItemCatalog.js';
+import { RECIPES, BLUEPRINTS } from './CraftingSystem.js';
+import { WARHEADS } from './WeaponSystem.js';
+import { MAX_WINGMEN, WAGE_PERIOD } from './FleetSystem.js';
+import { SQUAD_COMMANDS } from './Wingman.js';
+import { SURFACE_WIDTH, SURFACE_HEIGHT, TERRAIN, HAZARDS, ROVER_BAY_CAPACITY, ROVER_MAX_INTEGRITY } from './SurfaceExploration.js';
+
 export class UIRenderer {
   constructor(game) {
     this.game = game;
@@ -27,6 +38,9 @@ export class UIRenderer {
     this.gradientCache = new Map();
     this.scanlinesCache = new Map();
     this.noiseCache = new Map();
+
+    // Decoded save thumbnails for the load screen, keyed by data URL
+    this.thumbnailCache = new Map();
   }
 
   /**
@@ -974,8 +988,8 @@ export class UIRenderer {
     });
 
     // Tab buttons
-    const tabs = ['CARGO', 'ARTIFACTS', 'SHIP STATUS'];
-    const tabNames = ['cargo', 'artifacts', 'ship'];
+    const tabs = ['CARGO', 'ARTIFACTS', 'SHIP STATUS', 'MISSION LOG', 'FABRICATION'];
+    const tabNames = ['cargo', 'artifacts', 'ship', 'missions', 'crafting'];
     const tabW = 200;
     const tabH = 40;
     const tabY = y + 80;
@@ -1006,6 +1020,10 @@ export class UIRenderer {
       this.renderCargoTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else if (this.game.uiState.selectedTab === 'artifacts') {
       this.renderArtifactsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTab === 'missions') {
+      this.renderMissionLogTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTab === 'crafting') {
+      this.renderFabricationTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else {
       this.renderShipStatusTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     }
@@ -1026,9 +1044,10 @@ export class UIRenderer {
   }
 
   renderCargoTab(ctx, x, y, w, h, palette) {
-    const cargo = this.game.economySystem.cargo;
-    const capacity = this.game.economySystem.cargoCapacity;
-    const used = this.game.economySystem.getCargoSpaceUsed();
+    const hold = this.game.cargoSystem;
+    const cargo = hold.getAllCargo();
+    const capacity = hold.maxCapacity;
+    const used = hold.getUsedSpace();
 
     // Header section with data panel
     this.drawDataPanel(ctx, x, y, w, 80, palette);
@@ -1041,6 +1060,8 @@ export class UIRenderer {
     ctx.font = 'bold 16px DigitalDisco, monospace';
     ctx.textAlign = 'left';
     ctx.fillText(`CARGO CAPACITY: ${used} / ${capacity} UNITS`, x + 15, y + 25);
+    ctx.textAlign = 'right';
+    ctx.fillText(`MASS: ${hold.getTotalMass().toFixed(1)} t`, x + w - 15, y + 25);
     ctx.restore();
 
     this.drawTerminalProgressBar(ctx, x + 15, y + 35, w - 30, 30, used, capacity, palette.statusGreen, palette);
@@ -1101,11 +1122,11 @@ export class UIRenderer {
     ctx.fillStyle = palette.plasmaGreen;
     ctx.font = 'bold 15px DigitalDisco, monospace';
     ctx.textAlign = 'left';
-    ctx.fillText(cargoItem.commodity.name.toUpperCase(), x + 12, y + 28);
+    ctx.fillText(cargoItem.item.name.toUpperCase(), x + 12, y + 28);
     ctx.shadowBlur = 0;
 
     // Category badge with depth
-    const categoryColor = this.getCategoryColor(cargoItem.commodity.category, palette);
+    const categoryColor = this.getCategoryColor(cargoItem.item.category, palette);
 
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
     ctx.fillRect(x + 14, y + 40, 90, 24);
@@ -1119,14 +1140,15 @@ export class UIRenderer {
     ctx.fillStyle = '#000000';
     ctx.font = 'bold 11px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    ctx.fillText(cargoItem.commodity.category.toUpperCase(), x + 57, y + 52);
+    ctx.fillText(cargoItem.item.category.toUpperCase(), x + 57, y + 52);
 
     // Quantity and volume
     ctx.fillStyle = '#aabbcc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'left';
     ctx.fillText(`QTY: ${cargoItem.quantity}`, x + 12, y + 80);
-    ctx.fillText(`VOL: ${cargoItem.commodity.volume * cargoItem.quantity} units`, x + 12, y + 98);
+    ctx.fillText(`VOL: ${cargoItem.item.volume * cargoItem.quantity} units`, x + 12, y + 98);
+    ctx.fillText(`MASS: ${(cargoItem.item.mass * cargoItem.quantity).toFixed(1)} t`, x + w / 2, y + 98);
 
     // Purchase price with shadow
     ctx.shadowBlur = 4;
@@ -1536,7 +1558,7 @@ export class UIRenderer {
     for (let i = 0; i < weapons.length && i < 4; i++) {
       const weapon = weapons[i];
       ctx.fillStyle = palette.statusBlue;
-      ctx.fillText(`[${i + 1}] ${weapon.name}`, leftPanel.x + 20, yPos);
+      ctx.fillText(`[${i + 1}] ${weapon.name}${weapon.magazine ? ` +${weapon.magazine.rounds}` : ''}`, leftPanel.x + 20, yPos);
       ctx.fillStyle = '#88aacc';
       ctx.fillText(`DMG: ${Math.floor(weapon.damage)} | CD: ${weapon.maxCooldown.toFixed(2)}s`, leftPanel.x + 260, yPos);
       yPos += 22;
@@ -1589,6 +1611,274 @@ export class UIRenderer {
     ctx.restore();
   }
 
+  /**
+   * Mission log: active contracts with progress and time left, and recent results
+   */
+  renderMissionLogTab(ctx, x, y, w, h, palette) {
+    const missions = this.game.missionSystem;
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 16px DigitalDisco, monospace';
+    ctx.fillText(`ACTIVE CONTRACTS (${missions.contracts.length}/${MAX_ACTIVE_CONTRACTS})`, x + 15, y + 30);
+
+    let rowY = y + 65;
+    if (missions.contracts.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('No active contracts. Station boards post new work regularly.', x + 25, rowY);
+      rowY += 30;
+    }
+
+    const btnW = 90;
+    const btnH = 22;
+
+    for (const contract of missions.contracts) {
+      const timeLeft = missions.getTimeLeft(contract);
+
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      ctx.fillText(missions.getTypeLabel(contract.type), x + 25, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(missions.describe(contract), x + 170, rowY);
+
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(
+        `Issued by ${contract.issuerStation}, ${contract.issuerSystemName} | ${contract.reward} CR | REP +${contract.reputationGain}/-${contract.reputationLoss}`,
+        x + 170,
+        rowY + 18
+      );
+
+      this.drawTerminalProgressBar(ctx, x + 760, rowY - 12, 200, 16, contract.progress, contract.required, palette.statusGreen, palette);
+      ctx.fillStyle = timeLeft < 120 ? palette.alertRed : '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`${this.formatContractTime(timeLeft)} LEFT`, x + 975, rowY);
+
+      const btnX = x + w - btnW - 20;
+      const btnY = rowY - 14;
+      ctx.strokeStyle = palette.alertRed;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(btnX, btnY, btnW, btnH);
+      ctx.fillStyle = palette.alertRed;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('ABANDON', btnX + btnW / 2, btnY + btnH / 2 + 4);
+      ctx.textAlign = 'left';
+
+      this.game.inventoryButtonBounds.push({
+        x: btnX,
+        y: btnY,
+        w: btnW,
+        h: btnH,
+        action: () => {
+          const result = missions.abandonContract(contract.id);
+          this.game.showNotification(result.message, result.success ? 'info' : 'warning');
+        }
+      });
+
+      rowY += 50;
+    }
+
+    // Recent results, newest first
+    rowY += 10;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 16px DigitalDisco, monospace';
+    ctx.fillText('RECENT CONTRACTS', x + 15, rowY);
+    rowY += 30;
+
+    for (const contract of [...missions.history].reverse()) {
+      const completed = contract.status === 'completed';
+      ctx.fillStyle = completed ? palette.statusGreen : palette.alertRed;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(completed ? 'COMPLETED' : 'FAILED', x + 25, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(missions.describe(contract), x + 170, rowY);
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(completed ? `+${contract.reward} CR` : contract.failReason, x + 760, rowY);
+
+      rowY += 22;
+      if (rowY > y + h - 15) break;
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Refining and fabrication: recipes, the job queue, schematics and usable parts in the hold
+   */
+  renderFabricationTab(ctx, x, y, w, h, palette) {
+    const crafting = this.game.craftingSystem;
+    const items = this.game.ENHANCED_ARTIFACTS;
+    const p = this.game.player;
+    const bounds = this.game.inventoryButtonBounds;
+    const listW = Math.floor(w * 0.62);
+    const sideX = x + listW + 15;
+    const sideW = w - listW - 15;
+
+    const drawButton = (bx, by, bw, bh, label, color, action) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(bx, by, bw, bh);
+      ctx.fillStyle = color;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(label, bx + bw / 2, by + bh / 2 + 4);
+      ctx.textAlign = 'left';
+      bounds.push({ x: bx, y: by, w: bw, h: bh, action });
+    };
+    const describeItems = items => Object.entries(items)
+      .map(([itemId, quantity]) => `${quantity} ${getItemDefinition(itemId).name}`)
+      .join(' + ');
+
+    // Recipe list
+    this.drawDataPanel(ctx, x, y, listW, h, palette);
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    let rowY = y + 28;
+    for (const facility of ['refinery', 'fabricator']) {
+      ctx.fillStyle = palette.statusBlue;
+      ctx.font = 'bold 14px DigitalDisco, monospace';
+      ctx.fillText(facility === 'refinery' ? 'REFINING' : 'FABRICATION', x + 15, rowY);
+      rowY += 22;
+
+      for (const [recipeId, recipe] of Object.entries(RECIPES)) {
+        if (recipe.facility !== facility) continue;
+        const unlocked = crafting.isUnlocked(recipeId);
+        const blocker = crafting.getBlocker(recipeId);
+
+        ctx.fillStyle = unlocked ? palette.plasmaGreen : '#556677';
+        ctx.font = 'bold 11px DigitalDisco, monospace';
+        ctx.fillText(describeItems(recipe.outputs), x + 20, rowY);
+        ctx.fillStyle = unlocked ? '#aabbcc' : '#445566';
+        ctx.font = '10px DigitalDisco, monospace';
+        ctx.fillText(describeItems(recipe.inputs), x + 250, rowY);
+        ctx.fillText(`${Math.round(crafting.getCraftTime(recipeId))}s  ${recipe.energy}E`, x + listW - 180, rowY);
+
+        if (!blocker) {
+          drawButton(x + listW - 95, rowY - 13, 80, 18, 'QUEUE', palette.statusGreen, () => crafting.queueRecipe(recipeId));
+        } else if (!unlocked) {
+          ctx.fillText('LOCKED', x + listW - 80, rowY);
+        }
+        rowY += 24;
+      }
+      rowY += 8;
+    }
+    ctx.restore();
+
+    // Facilities and queue
+    this.drawDataPanel(ctx, sideX, y, sideW, h, palette);
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    const refinery = crafting.getRefinery();
+    ctx.fillStyle = refinery ? palette.statusGreen : palette.alertRed;
+    ctx.font = 'bold 12px DigitalDisco, monospace';
+    ctx.fillText(
+      refinery === 'station' ? 'REFINERY: STATION' : refinery === 'onboard' ? 'REFINERY: ONBOARD (SLOW)' : 'REFINERY: NONE',
+      sideX + 15, y + 28
+    );
+    ctx.fillStyle = palette.statusBlue;
+    ctx.fillText(`POWER: ${Math.floor(p.power)} / ${p.maxPower}`, sideX + 15, y + 48);
+
+    let sideY = y + 80;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText(`QUEUE (${crafting.queue.length})`, sideX + 15, sideY);
+    sideY += 22;
+
+    const status = crafting.getStatus();
+    crafting.queue.forEach((job, index) => {
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      let label = getItemDefinition(job.recipeId).name;
+      if (index === 0 && status === 'refinery') label += ' - NO REFINERY';
+      if (index === 0 && status === 'power') label += ' - WAITING FOR POWER';
+      if (index === 0 && status === 'hold_full') label += ' - HOLD FULL';
+      ctx.fillText(label, sideX + 15, sideY);
+      this.drawTerminalProgressBar(ctx, sideX + 15, sideY + 6, sideW - 120, 10, job.time - job.remaining, job.time, palette.statusGreen, palette);
+      drawButton(sideX + sideW - 95, sideY - 8, 80, 18, 'CANCEL', palette.alertRed, () => crafting.cancelJob(index));
+      sideY += 34;
+    });
+    if (crafting.queue.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText('Fabricator idle', sideX + 15, sideY);
+      sideY += 24;
+    }
+
+    // Schematics: known, and unread ones in the hold
+    sideY += 10;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText('SCHEMATICS', sideX + 15, sideY);
+    sideY += 22;
+    for (const blueprintId of BLUEPRINTS) {
+      const known = crafting.knownBlueprints.has(blueprintId);
+      const held = this.game.cargoSystem.getCargoQuantity(blueprintId);
+      ctx.fillStyle = known ? palette.plasmaGreen : '#556677';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`${items[blueprintId].name}${known ? '' : held > 0 ? ` (x${held} in hold)` : ''}`, sideX + 15, sideY);
+      if (!known && held > 0) {
+        drawButton(sideX + sideW - 95, sideY - 13, 80, 18, 'DECODE', palette.cautionOrange, () => {
+          const result = crafting.learnBlueprint(blueprintId);
+          if (!result.success) this.game.showNotification(result.message, 'warning');
+        });
+      }
+      sideY += 24;
+    }
+
+    // Parts in the hold: consumables can be used, warheads loaded, components fitted while docked
+    sideY += 10;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText('PARTS IN HOLD', sideX + 15, sideY);
+    sideY += 22;
+
+    const shipyard = this.game.shipyardSystem;
+    const fittable = shipyard.getFittableCargo();
+    const usable = this.game.cargoSystem.items
+      .map(entry => entry.itemId)
+      .filter(itemId => items[itemId]?.category === 'consumable' || WARHEADS[itemId]);
+    for (const itemId of [...usable, ...fittable]) {
+      if (sideY > y + h - 15) break;
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`${getItemDefinition(itemId).name} x${this.game.cargoSystem.getCargoQuantity(itemId)}`, sideX + 15, sideY);
+      if (usable.includes(itemId)) {
+        drawButton(sideX + sideW - 95, sideY - 13, 80, 18, WARHEADS[itemId] ? 'LOAD' : 'USE', palette.statusGreen, () => crafting.useItem(itemId));
+      } else if (shipyard.getDockedStation()) {
+        drawButton(sideX + sideW - 95, sideY - 13, 80, 18, 'FIT', palette.statusGreen, () => {
+          const result = shipyard.installFromCargo(itemId);
+          this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+        });
+      }
+      sideY += 24;
+    }
+    if (usable.length + fittable.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText('Nothing to use or fit', sideX + 15, sideY);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Contract time as M:SS
+   */
+  formatContractTime(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  }
+
   /**
    * TRADING SCREEN - Enhanced Terminal Style
    */
@@ -1631,8 +1921,10 @@ export class UIRenderer {
     ctx.font = '14px DigitalDisco, monospace';
     ctx.textAlign = 'left';
     const systemName = this.game.currentSystemData ? this.game.currentSystemData.name : 'Unknown';
-    const factionName = this.game.currentSystemData && this.game.currentSystemData.faction
-      ? this.game.currentSystemData.faction.replace(/_/g, ' ').toUpperCase()
+    // The docked station's flag, whose customs scan the hold
+    const station = this.game.uiState.selectedStation;
+    const factionName = station
+      ? this.game.customsSystem.getStationFaction(station).replace(/_/g, ' ').toUpperCase()
       : 'INDEPENDENT';
     ctx.fillText(`SYSTEM: ${systemName} | FACTION: ${factionName}`, x + 35, y + 100);
 
@@ -1646,29 +1938,71 @@ export class UIRenderer {
     ctx.shadowBlur = 0;
     ctx.restore();
 
-    // Tab buttons
-    const tabs = ['BUY', 'SELL', 'REFUEL'];
-    const tabW = 170;
+    // Tab buttons (black market only at friendly pirate stations)
+    const tabs = [
+      { id: 'buy', label: 'BUY' },
+      { id: 'sell', label: 'SELL' },
+      { id: 'refuel', label: 'REFUEL' },
+      { id: 'orders', label: 'ORDERS' },
+      { id: 'ledger', label: 'LEDGER' },
+      { id: 'contracts', label: 'CONTRACTS' },
+      { id: 'wingmen', label: 'WINGMEN' }
+    ];
+    const customs = this.game.customsSystem;
+    const blackMarketOpen = customs && customs.isBlackMarketOpen(this.game.uiState.selectedStation);
+    if (blackMarketOpen) {
+      tabs.push({ id: 'blackmarket', label: 'BLACK MARKET' });
+    } else if (this.game.uiState.selectedTradeTab === 'blackmarket') {
+      this.game.uiState.selectedTradeTab = 'buy';
+    }
+
+    // Outfitting only while docked at this station
+    if (this.game.shipyardSystem.getDockedStation()) {
+      tabs.push({ id: 'shipyard', label: 'SHIPYARD' });
+    } else if (this.game.uiState.selectedTradeTab === 'shipyard') {
+      this.game.uiState.selectedTradeTab = 'buy';
+    }
+
+    const tabW = 140;
     const tabH = 42;
     const tabY = y + 145;
 
     for (let i = 0; i < tabs.length; i++) {
-      const tabX = x + 25 + i * (tabW + 15);
-      const isSelected = (i === 0 && this.game.uiState.selectedTradeTab === 'buy') ||
-                         (i === 1 && this.game.uiState.selectedTradeTab === 'sell') ||
-                         (i === 2 && this.game.uiState.selectedTradeTab === 'refuel');
+      const tabX = x + 25 + i * (tabW + 12);
+      const isSelected = this.game.uiState.selectedTradeTab === tabs[i].id;
 
-      this.drawTerminalButton(ctx, tabX, tabY, tabW, tabH, tabs[i], isSelected, palette);
+      this.drawTerminalButton(ctx, tabX, tabY, tabW, tabH, tabs[i].label, isSelected, palette);
+      this.game.tradingButtonBounds.push({
+        x: tabX,
+        y: tabY,
+        w: tabW,
+        h: tabH,
+        action: () => {
+          this.game.uiState.selectedTradeTab = tabs[i].id;
+        }
+      });
     }
 
     // Content area
     const contentY = tabY + tabH + 25;
     const contentH = h - 200 - tabH;
 
-    if (this.game.uiState.selectedTradeTab === 'buy') {
+    if (this.game.uiState.selectedTradeTab === 'blackmarket') {
+      this.renderBlackMarketTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'buy') {
       this.renderBuyTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else if (this.game.uiState.selectedTradeTab === 'sell') {
       this.renderSellTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'orders') {
+      this.renderOrdersTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'ledger') {
+      this.renderLedgerTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'contracts') {
+      this.renderContractsTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'wingmen') {
+      this.renderWingmenTab(ctx, x + 25, contentY, w - 50, contentH, palette);
+    } else if (this.game.uiState.selectedTradeTab === 'shipyard') {
+      this.renderShipyardTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     } else {
       this.renderRefuelTab(ctx, x + 25, contentY, w - 50, contentH, palette);
     }
@@ -1826,19 +2160,22 @@ export class UIRenderer {
     ctx.fillText('COMMODITY', x + 25, headerY + 20);
     ctx.fillText('CATEGORY', x + 270, headerY + 20);
     ctx.fillText('PRICE', x + 430, headerY + 20);
-    ctx.fillText('STOCK', x + 590, headerY + 20);
-    ctx.fillText('SPACE', x + 750, headerY + 20);
+    ctx.fillText('STOCK', x + 560, headerY + 20);
+    ctx.fillText('SPACE', x + 680, headerY + 20);
+    ctx.fillText(`AVG x${ORDER_LOT_SIZE}`, x + 770, headerY + 20);
     ctx.fillText('BUY', x + 890, headerY + 20);
 
     // Commodity list
     let rowY = headerY + 45;
-    const commodities = this.game.economySystem.commodities;
+    const economy = this.game.economySystem;
+    const commodities = economy.commodities;
 
     for (const [commodityId, commodity] of Object.entries(commodities)) {
       const price = market.prices[commodityId];
       const stock = market.supply[commodityId];
 
-      if (stock <= 0) continue;
+      // Contraband is traded on the black market tab
+      if (stock <= 0 || commodity.illegal) continue;
 
       // Row background (alternating with depth)
       const rowIndex = Math.floor((rowY - headerY - 45) / 35);
@@ -1871,39 +2208,49 @@ export class UIRenderer {
       // Stock
       ctx.fillStyle = stock < 20 ? palette.alertRed : palette.statusGreen;
       ctx.font = '11px DigitalDisco, monospace';
-      ctx.fillText(`${stock}`, x + 590, rowY + 10);
+      ctx.fillText(`${stock}`, x + 560, rowY + 10);
 
       // Cargo space needed
       ctx.fillStyle = '#88aacc';
-      ctx.fillText(`${commodity.volume}`, x + 750, rowY + 10);
+      ctx.fillText(`${commodity.volume}`, x + 680, rowY + 10);
 
-      // Buy button
+      // Market depth: average price of a full lot (price rises as stock is taken)
+      const lot = Math.min(ORDER_LOT_SIZE, stock);
+      ctx.fillText(`${economy.quoteTrade(market, commodityId, lot, 'buy').averagePrice} CR`, x + 770, rowY + 10);
+
+      // Buy buttons
       const btnW = 80;
       const btnH = 24;
-      const btnX = x + 880;
       const btnY = rowY - 6;
+      const buttons = [
+        { label: 'BUY +1', btnX: x + 880, quantity: 1 },
+        { label: `BUY +${lot}`, btnX: x + 970, quantity: lot }
+      ];
 
-      ctx.fillStyle = 'rgba(68, 136, 255, 0.2)';
-      ctx.fillRect(btnX, btnY, btnW, btnH);
-      ctx.strokeStyle = palette.statusBlue;
-      ctx.lineWidth = 1;
-      ctx.strokeRect(btnX, btnY, btnW, btnH);
+      for (const button of buttons) {
+        ctx.fillStyle = 'rgba(68, 136, 255, 0.2)';
+        ctx.fillRect(button.btnX, btnY, btnW, btnH);
+        ctx.strokeStyle = palette.statusBlue;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(button.btnX, btnY, btnW, btnH);
 
-      ctx.fillStyle = palette.statusBlue;
-      ctx.font = 'bold 10px DigitalDisco, monospace';
-      ctx.textAlign = 'center';
-      ctx.fillText('BUY +1', btnX + btnW / 2, btnY + btnH / 2 + 4);
+        ctx.fillStyle = palette.statusBlue;
+        ctx.font = 'bold 10px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(button.label, button.btnX + btnW / 2, btnY + btnH / 2 + 4);
+        ctx.textAlign = 'left';
 
-      this.game.tradingButtonBounds.push({
-        x: btnX,
-        y: btnY,
-        w: btnW,
-        h: btnH,
-        action: () => {
-          console.log('Buy commodity:', commodity.name);
-          // Future: Implement buy logic
-        }
-      });
+        this.game.tradingButtonBounds.push({
+          x: button.btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            const result = economy.buyCommodity(commodityId, button.quantity, this.game.currentSystemIndex);
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
 
       rowY += 35;
       if (rowY > y + h - 25) break;
@@ -2037,9 +2384,120 @@ export class UIRenderer {
     ctx.restore();
   }
 
+  renderBlackMarketTab(ctx, x, y, w, h, palette) {
+    const market = this.game.currentMarket;
+    const economy = this.game.economySystem;
+    const customs = this.game.customsSystem;
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = palette.alertRed;
+    ctx.fillStyle = palette.alertRed;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('◆ BLACK MARKET - NO QUESTIONS ASKED ◆', x + 15, y + 25);
+    ctx.shadowBlur = 0;
+
+    // Table header
+    const headerY = y + 45;
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(x + 10, headerY, w - 20, 32);
+    ctx.strokeStyle = palette.alertRed;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + 10, headerY, w - 20, 32);
+
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.fillText('COMMODITY', x + 25, headerY + 20);
+    ctx.fillText('PRICE', x + 270, headerY + 20);
+    ctx.fillText('FENCE PAYS', x + 430, headerY + 20);
+    ctx.fillText('STOCK', x + 590, headerY + 20);
+    ctx.fillText('IN HOLD', x + 750, headerY + 20);
+
+    let rowY = headerY + 45;
+    const btnW = 80;
+    const btnH = 24;
+
+    for (const [commodityId, commodity] of Object.entries(economy.commodities)) {
+      if (!commodity.illegal) continue;
+
+      const held = this.game.cargoSystem.getCargoQuantity(commodityId);
+
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.textAlign = 'left';
+      ctx.fillText(commodity.name, x + 25, rowY + 10);
+
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(`${market.prices[commodityId]} CR`, x + 270, rowY + 10);
+      ctx.fillText(`${economy.getSellPrice(market, commodityId, true)} CR`, x + 430, rowY + 10);
+
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`${market.supply[commodityId]}`, x + 590, rowY + 10);
+      ctx.fillText(`${held}`, x + 750, rowY + 10);
+
+      const buttons = [
+        { label: 'BUY +1', btnX: x + 880, action: () => customs.buyContraband(commodityId, 1) },
+        { label: 'SELL 1', btnX: x + 970, action: () => customs.sellContraband(commodityId, 1), disabled: held === 0 }
+      ];
+      for (const button of buttons) {
+        const btnY = rowY - 6;
+        const color = button.disabled ? '#445566' : palette.alertRed;
+
+        ctx.fillStyle = 'rgba(255, 68, 68, 0.15)';
+        ctx.fillRect(button.btnX, btnY, btnW, btnH);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(button.btnX, btnY, btnW, btnH);
+
+        ctx.fillStyle = color;
+        ctx.font = 'bold 10px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(button.label, button.btnX + btnW / 2, btnY + btnH / 2 + 4);
+
+        if (!button.disabled) {
+          this.game.tradingButtonBounds.push({ x: button.btnX, y: btnY, w: btnW, h: btnH, action: button.action });
+        }
+      }
+
+      rowY += 35;
+    }
+
+    // Hidden compartments (ship upgrade)
+    rowY += 20;
+    const hiddenUsed = customs.getContrabandManifest()
+      .reduce((sum, { entry, hidden }) => sum + hidden * entry.item.volume, 0);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 12px DigitalDisco, monospace';
+    ctx.fillText(`HIDDEN COMPARTMENTS: ${hiddenUsed} / ${this.game.cargoSystem.hiddenCapacity} CONCEALED`, x + 25, rowY + 10);
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillText(`Contraband in hidden compartments passes routine customs scans (+${HIDDEN_COMPARTMENT.capacity} per compartment)`, x + 25, rowY + 30);
+
+    const installW = 230;
+    const installX = x + w - installW - 30;
+    const installY = rowY - 8;
+    this.drawTerminalButton(ctx, installX, installY, installW, 32, `INSTALL (${HIDDEN_COMPARTMENT.cost} CR)`, false, palette);
+    this.game.tradingButtonBounds.push({
+      x: installX,
+      y: installY,
+      w: installW,
+      h: 32,
+      action: () => customs.installHiddenCompartment()
+    });
+
+    ctx.restore();
+  }
+
   renderSellTab(ctx, x, y, w, h, palette) {
     const market = this.game.currentMarket;
-    const cargo = this.game.economySystem.cargo;
+    const cargo = this.game.cargoSystem.getAllCargo();
 
     if (cargo.length === 0) {
       ctx.save();
@@ -2085,14 +2543,23 @@ export class UIRenderer {
     ctx.fillText('QUANTITY', x + 270, headerY + 22);
     ctx.fillText('BOUGHT AT', x + 430, headerY + 22);
     ctx.fillText('SELL PRICE', x + 590, headerY + 22);
-    ctx.fillText('PROFIT/LOSS', x + 750, headerY + 22);
+    ctx.fillText('PROFIT/LOSS (ALL)', x + 750, headerY + 22);
+    ctx.fillText('SELL', x + 960, headerY + 22);
 
     // Cargo list
     let rowY = headerY + 50;
+    const economy = this.game.economySystem;
 
     for (const cargoItem of cargo) {
-      const sellPrice = market.prices[cargoItem.commodityId];
-      const profit = (sellPrice - cargoItem.purchasePrice) * cargoItem.quantity;
+      // Mined resources and equipment have no buyer at the commodity exchange, contraband goes to fences
+      const sellPrice = market.prices[cargoItem.itemId];
+      const tradable = sellPrice !== undefined && !cargoItem.item.illegal;
+      // Contract freight stays in the hold, only the rest of the stack is for sale
+      const free = this.game.missionSystem.getFreeQuantity(cargoItem.itemId);
+      // Selling everything walks the price down, profit is for the whole sellable stack
+      const profit = tradable
+        ? economy.quoteTrade(market, cargoItem.itemId, free, 'sell').total - cargoItem.purchasePrice * free
+        : 0;
 
       // Row background
       const rowIndex = Math.floor((rowY - headerY - 50) / 38);
@@ -2104,7 +2571,7 @@ export class UIRenderer {
       // Commodity name
       ctx.fillStyle = '#aabbcc';
       ctx.font = '12px DigitalDisco, monospace';
-      ctx.fillText(cargoItem.commodity.name, x + 25, rowY + 12);
+      ctx.fillText(cargoItem.item.name, x + 25, rowY + 12);
 
       // Quantity
       ctx.fillStyle = palette.statusBlue;
@@ -2119,9 +2586,19 @@ export class UIRenderer {
       ctx.shadowColor = palette.cautionOrange;
       ctx.fillStyle = palette.cautionOrange;
       ctx.font = 'bold 12px DigitalDisco, monospace';
-      ctx.fillText(`${sellPrice} CR`, x + 590, rowY + 12);
+      ctx.fillText(tradable ? `${sellPrice} CR` : (cargoItem.item.illegal ? 'BLACK MARKET' : 'NO BUYER'), x + 590, rowY + 12);
       ctx.shadowBlur = 0;
 
+      if (!tradable || free === 0) {
+        if (tradable) {
+          ctx.fillStyle = '#556677';
+          ctx.font = 'bold 10px DigitalDisco, monospace';
+          ctx.fillText('CONTRACT FREIGHT', x + 950, rowY + 12);
+        }
+        rowY += 38;
+        continue;
+      }
+
       // Profit/Loss
       const profitColor = profit >= 0 ? palette.statusGreen : palette.alertRed;
       ctx.shadowBlur = 6;
@@ -2130,6 +2607,40 @@ export class UIRenderer {
       ctx.fillText(`${profit >= 0 ? '+' : ''}${profit} CR`, x + 750, rowY + 12);
       ctx.shadowBlur = 0;
 
+      // Sell buttons
+      const btnW = 80;
+      const btnH = 24;
+      const btnY = rowY - 4;
+      const buttons = [
+        { label: 'SELL 1', btnX: x + 950, quantity: 1 },
+        { label: 'SELL ALL', btnX: x + 1040, quantity: free }
+      ];
+
+      for (const button of buttons) {
+        ctx.fillStyle = 'rgba(255, 170, 0, 0.15)';
+        ctx.fillRect(button.btnX, btnY, btnW, btnH);
+        ctx.strokeStyle = palette.cautionOrange;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(button.btnX, btnY, btnW, btnH);
+
+        ctx.fillStyle = palette.cautionOrange;
+        ctx.font = 'bold 10px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(button.label, button.btnX + btnW / 2, btnY + btnH / 2 + 4);
+        ctx.textAlign = 'left';
+
+        this.game.tradingButtonBounds.push({
+          x: button.btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            const result = economy.sellCommodity(cargoItem.itemId, button.quantity, this.game.currentSystemIndex);
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
+
       rowY += 38;
     }
     ctx.restore();
@@ -2217,19 +2728,720 @@ export class UIRenderer {
   }
 
   /**
-   * DIPLOMACY SCREEN - Enhanced Terminal Style
+   * Standing orders: place buy/sell orders at this station, review and cancel open ones
    */
-  renderDiplomacyScreen(ctx) {
-    const palette = this.game.PALETTE;
-    const w = 1400;
-    const h = 880;
-    const x = (this.game.width - w) / 2;
-    const y = (this.game.height - h) / 2;
+  renderOrdersTab(ctx, x, y, w, h, palette) {
+    const market = this.game.currentMarket;
+    const economy = this.game.economySystem;
+    const orders = economy.orders;
+    const systemIndex = this.game.currentSystemIndex;
+    const hold = this.game.cargoSystem;
 
-    // Clear and initialize button bounds for touch interaction
-    this.game.diplomacyButtonBounds = [];
+    this.drawDataPanel(ctx, x, y, w, h, palette);
 
-    // Main panel
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    // Left: place orders at this station
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('PLACE ORDERS', x + 15, y + 30);
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillText(`Limits ${Math.round(ORDER_LIMIT_MARGIN * 100)}% from market. Filled while you travel, paid on your next dock.`, x + 170, y + 30);
+
+    let rowY = y + 60;
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.fillText('COMMODITY', x + 25, rowY);
+    ctx.fillText('PRICE', x + 220, rowY);
+    ctx.fillText('IN HOLD', x + 310, rowY);
+    rowY += 25;
+
+    const btnW = 130;
+    const btnH = 22;
+    const canPlace = market && orders.getOpenOrders().length < MAX_OPEN_ORDERS;
+
+    for (const [commodityId, commodity] of Object.entries(economy.commodities)) {
+      if (!market || commodity.illegal) continue;
+
+      const price = market.prices[commodityId];
+      const held = hold.getCargoQuantity(commodityId);
+      const sellLot = Math.min(ORDER_LOT_SIZE, this.game.missionSystem.getFreeQuantity(commodityId));
+      const sellLimit = Math.round(price * (1 + ORDER_LIMIT_MARGIN));
+      const buyLimit = Math.max(1, Math.round(price * (1 - ORDER_LIMIT_MARGIN)));
+
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(commodity.name, x + 25, rowY);
+      ctx.fillText(`${price} CR`, x + 220, rowY);
+      ctx.fillText(`${held}`, x + 310, rowY);
+
+      const buttons = [
+        {
+          label: `SELL ${sellLot} @ ${sellLimit}`,
+          btnX: x + 390,
+          disabled: !canPlace || sellLot === 0,
+          action: () => orders.placeSellOrder(commodityId, sellLot, sellLimit, systemIndex)
+        },
+        {
+          label: `BUY ${ORDER_LOT_SIZE} @ ${buyLimit}`,
+          btnX: x + 530,
+          disabled: !canPlace,
+          action: () => orders.placeBuyOrder(commodityId, ORDER_LOT_SIZE, buyLimit, systemIndex)
+        }
+      ];
+
+      for (const button of buttons) {
+        const btnY = rowY - 15;
+        const color = button.disabled ? '#445566' : palette.statusBlue;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(button.btnX, btnY, btnW, btnH);
+        ctx.fillStyle = color;
+        ctx.font = 'bold 10px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(button.label, button.btnX + btnW / 2, btnY + btnH / 2 + 4);
+        ctx.textAlign = 'left';
+
+        if (!button.disabled) {
+          this.game.tradingButtonBounds.push({
+            x: button.btnX,
+            y: btnY,
+            w: btnW,
+            h: btnH,
+            action: () => {
+              const result = button.action();
+              this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+            }
+          });
+        }
+      }
+
+      rowY += 30;
+    }
+
+    // Right: the player's orders anywhere in the galaxy
+    const listX = x + 720;
+    rowY = y + 30;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText(`YOUR ORDERS (${orders.getOpenOrders().length}/${MAX_OPEN_ORDERS} OPEN)`, listX, rowY);
+    rowY += 30;
+
+    if (orders.orders.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('No standing orders', listX, rowY);
+    }
+
+    for (const order of orders.orders) {
+      const commodity = economy.commodities[order.commodityId];
+      const here = order.systemIndex === systemIndex;
+
+      ctx.fillStyle = order.type === 'sell' ? palette.cautionOrange : palette.statusGreen;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(`${order.type.toUpperCase()} ${commodity.name}`, listX, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(`${order.filled}/${order.quantity} @ ${order.limitPrice} CR | ${order.systemName}`, listX + 190, rowY);
+
+      const status = [];
+      if (order.unpaid > 0) status.push(`${order.unpaid} CR due`);
+      if (order.awaiting > 0) status.push(`${order.awaiting} awaiting pickup`);
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(status.join(' | ') || (order.filled < order.quantity ? 'open' : 'filled'), listX + 190, rowY + 15);
+
+      if (here && order.filled < order.quantity) {
+        const cancelX = listX + 560;
+        const cancelY = rowY - 14;
+        ctx.strokeStyle = palette.alertRed;
+        ctx.strokeRect(cancelX, cancelY, 80, btnH);
+        ctx.fillStyle = palette.alertRed;
+        ctx.font = 'bold 10px DigitalDisco, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('CANCEL', cancelX + 40, cancelY + btnH / 2 + 4);
+        ctx.textAlign = 'left';
+
+        this.game.tradingButtonBounds.push({
+          x: cancelX,
+          y: cancelY,
+          w: 80,
+          h: btnH,
+          action: () => {
+            const result = orders.cancelOrder(order.id, systemIndex);
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
+
+      rowY += 40;
+      if (rowY > y + h - 20) break;
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Trade ledger: profit and loss per commodity and the best routes from observed prices
+   */
+  renderLedgerTab(ctx, x, y, w, h, palette) {
+    const economy = this.game.economySystem;
+    const ledger = economy.ledger;
+    const stats = ledger.getAllCommodityStats();
+    const summary = ledger.getSummary();
+    const routes = ledger.getBestRoutes(economy.commodities);
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    // Summary
+    const netColor = summary.net >= 0 ? palette.statusGreen : palette.alertRed;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('TRADE LEDGER', x + 15, y + 30);
+    ctx.font = 'bold 13px DigitalDisco, monospace';
+    ctx.fillStyle = '#88aacc';
+    ctx.fillText(`TRADE PROFIT: ${summary.tradeProfit} CR   FUEL: -${summary.fuelSpent} CR`, x + 250, y + 30);
+    ctx.fillStyle = netColor;
+    ctx.fillText(`NET: ${summary.net >= 0 ? '+' : ''}${summary.net} CR`, x + 700, y + 30);
+
+    // Per-commodity books
+    let rowY = y + 60;
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.fillText('COMMODITY', x + 25, rowY);
+    ctx.fillText('BOUGHT', x + 270, rowY);
+    ctx.fillText('AVG COST', x + 400, rowY);
+    ctx.fillText('SOLD', x + 530, rowY);
+    ctx.fillText('REVENUE', x + 660, rowY);
+    ctx.fillText('REALIZED P&L', x + 810, rowY);
+    rowY += 25;
+
+    if (stats.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('No trades recorded yet', x + 25, rowY);
+      rowY += 25;
+    }
+
+    ctx.font = '11px DigitalDisco, monospace';
+    for (const entry of stats.slice(0, 8)) {
+      const commodity = economy.commodities[entry.commodityId];
+      ctx.fillStyle = '#aabbcc';
+      ctx.fillText(commodity ? commodity.name : entry.commodityId, x + 25, rowY);
+      ctx.fillText(`${entry.bought}`, x + 270, rowY);
+      ctx.fillText(entry.bought > 0 ? `${entry.averageCost} CR` : '—', x + 400, rowY);
+      ctx.fillText(`${entry.sold}`, x + 530, rowY);
+      ctx.fillText(`${entry.revenue} CR`, x + 660, rowY);
+      ctx.fillStyle = entry.realizedProfit >= 0 ? palette.statusGreen : palette.alertRed;
+      ctx.fillText(`${entry.realizedProfit >= 0 ? '+' : ''}${entry.realizedProfit} CR`, x + 810, rowY);
+      rowY += 24;
+    }
+
+    // Best known routes
+    rowY = Math.max(rowY + 20, y + 310);
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('BEST KNOWN ROUTES', x + 15, rowY);
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillText('From prices seen in visited systems (also shown on the galaxy map)', x + 250, rowY);
+    rowY += 30;
+
+    ctx.fillStyle = palette.warpBlue;
+    ctx.font = 'bold 11px DigitalDisco, monospace';
+    ctx.fillText('COMMODITY', x + 25, rowY);
+    ctx.fillText('ROUTE', x + 200, rowY);
+    ctx.fillText('BUY', x + 620, rowY);
+    ctx.fillText('SELL', x + 730, rowY);
+    ctx.fillText('PROFIT/UNIT', x + 840, rowY);
+    ctx.fillText('PRICES SEEN', x + 990, rowY);
+    rowY += 25;
+
+    if (routes.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('Visit more systems to compare prices', x + 25, rowY);
+    }
+
+    ctx.font = '11px DigitalDisco, monospace';
+    for (const route of routes) {
+      const minutesAgo = Math.floor((economy.clock - route.observedAt) / 60);
+      ctx.fillStyle = '#aabbcc';
+      ctx.fillText(economy.commodities[route.commodityId].name, x + 25, rowY);
+      ctx.fillText(`${route.fromName} -> ${route.toName}`, x + 200, rowY);
+      ctx.fillText(`${route.buyPrice} CR`, x + 620, rowY);
+      ctx.fillText(`${route.sellPrice} CR`, x + 730, rowY);
+      ctx.fillStyle = palette.statusGreen;
+      ctx.fillText(`+${route.profitPerUnit} CR`, x + 840, rowY);
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(minutesAgo < 1 ? 'JUST NOW' : `${minutesAgo} MIN AGO`, x + 990, rowY);
+      rowY += 24;
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Shipyard: buy equipment and hulls the station stocks, sell what is fitted
+   */
+  renderShipyardTab(ctx, x, y, w, h, palette) {
+    const shipyard = this.game.shipyardSystem;
+    const station = shipyard.getDockedStation();
+    const stock = shipyard.getStock(station);
+    const credits = this.game.economySystem.credits;
+    const category = this.game.uiState.shipyardCategory || 'weapon';
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    const smallButton = (label, btnX, btnY, btnW, enabled, color, action) => {
+      const btnH = 20;
+      const drawColor = enabled ? color : '#445566';
+      ctx.strokeStyle = drawColor;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(btnX, btnY, btnW, btnH);
+      ctx.fillStyle = drawColor;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(label, btnX + btnW / 2, btnY + btnH / 2 + 4);
+      ctx.textAlign = 'left';
+
+      if (enabled) {
+        this.game.tradingButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            const result = action();
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
+    };
+
+    // Left: what this station sells
+    const categories = [
+      { id: 'weapon', label: 'WEAPONS' },
+      { id: 'shield', label: 'SHIELDS' },
+      { id: 'armor', label: 'ARMOR' },
+      { id: 'component', label: 'COMPONENTS' },
+      { id: 'ship', label: 'SHIPS' },
+      { id: 'prize', label: 'PRIZES' }
+    ];
+    const boarding = this.game.boardingSystem;
+    for (let i = 0; i < categories.length; i++) {
+      const catX = x + 15 + i * 112;
+      const isSelected = category === categories[i].id;
+      const count = categories[i].id === 'prize' ? boarding.prizes.length : stock[categories[i].id].length;
+      ctx.fillStyle = isSelected ? 'rgba(68, 136, 255, 0.3)' : 'rgba(0, 0, 0, 0.5)';
+      ctx.fillRect(catX, y + 15, 106, 26);
+      ctx.strokeStyle = isSelected ? palette.statusBlue : '#445566';
+      ctx.strokeRect(catX, y + 15, 106, 26);
+      ctx.fillStyle = isSelected ? palette.statusBlue : '#88aacc';
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${categories[i].label} (${count})`, catX + 53, y + 32);
+      ctx.textAlign = 'left';
+
+      this.game.tradingButtonBounds.push({
+        x: catX,
+        y: y + 15,
+        w: 106,
+        h: 26,
+        action: () => {
+          this.game.uiState.shipyardCategory = categories[i].id;
+        }
+      });
+    }
+
+    let rowY = y + 70;
+    if (category !== 'prize' && stock[category].length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText(`This ${station.stationType.replace(/_/g, ' ')} doesn't sell these.`, x + 25, rowY);
+    }
+
+    if (category === 'prize') {
+      // Captured ships (see BoardingSystem) and the spare hull; only a yard that builds ships buys or refits them
+      const atDockyard = shipyard.isDockyard(station);
+      const spareHull = shipyard.spareHull;
+
+      ctx.fillStyle = '#88aacc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(atDockyard ? 'Prize hulls can be sold or refitted here.' : 'This station has no yard to sell or refit prize hulls.', x + 25, rowY);
+      rowY += 25;
+
+      ctx.fillStyle = spareHull ? palette.statusGreen : '#556677';
+      ctx.font = 'bold 12px DigitalDisco, monospace';
+      const spareCondition = shipyard.spareCondition;
+      ctx.fillText(
+        `SPARE HULL: ${spareHull ? SHIP_CLASSES[spareHull].name.toUpperCase() : 'NONE'}` +
+          (spareHull && spareCondition ? ` | HULL ${Math.round(spareCondition.hull * 100)}% | FUEL ${Math.round(spareCondition.fuel * 100)}%` : ''),
+        x + 25,
+        rowY
+      );
+      if (spareHull) {
+        smallButton('SWAP', x + 560, rowY - 14, 100, atDockyard, palette.statusBlue, () => shipyard.swapHull());
+      }
+      rowY += 35;
+
+      if (boarding.prizes.length === 0) {
+        ctx.fillStyle = '#556677';
+        ctx.font = '12px DigitalDisco, monospace';
+        ctx.fillText('No prizes. Board an ion-disabled ship to take one.', x + 25, rowY);
+      }
+
+      for (const prize of boarding.prizes) {
+        const value = boarding.getPrizeValue(prize);
+        const classId = boarding.getPrizeClass(prize);
+        const fee = boarding.getRefitFee(prize);
+        const cargoLeft = Object.values(prize.cargo).reduce((sum, quantity) => sum + quantity, 0);
+
+        ctx.fillStyle = '#aabbcc';
+        ctx.font = 'bold 12px DigitalDisco, monospace';
+        ctx.fillText(prize.name.toUpperCase(), x + 25, rowY);
+        ctx.fillStyle = '#88aacc';
+        ctx.font = '11px DigitalDisco, monospace';
+        ctx.fillText(
+          `CONDITION ${Math.round(prize.condition * 100)}% | CARGO ABOARD ${cargoLeft} | REFITS AS ${classId ? SHIP_CLASSES[classId].name.toUpperCase() : 'N/A'}`,
+          x + 25,
+          rowY + 16
+        );
+
+        smallButton('LOOT', x + 300, rowY + 26, 100, cargoLeft > 0, palette.statusBlue, () => boarding.lootPrize(prize.id));
+        smallButton(`SELL +${value}`, x + 410, rowY + 26, 120, atDockyard, palette.cautionOrange, () => boarding.sellPrize(prize.id));
+        smallButton(classId ? `KEEP -${fee}` : 'KEEP', x + 540, rowY + 26, 120,
+          atDockyard && !!classId && !spareHull && credits >= fee, palette.statusGreen, () => boarding.keepPrize(prize.id));
+        rowY += 62;
+      }
+    } else if (category === 'ship') {
+      const currentClass = shipyard.getShipClass();
+      for (const classId of stock.ship) {
+        const shipClass = SHIP_CLASSES[classId];
+        const price = shipyard.getTradeInPrice(classId);
+        const owned = classId === currentClass;
+
+        ctx.fillStyle = owned ? palette.statusGreen : '#aabbcc';
+        ctx.font = 'bold 12px DigitalDisco, monospace';
+        ctx.fillText(shipClass.name.toUpperCase(), x + 25, rowY);
+        ctx.fillStyle = '#88aacc';
+        ctx.font = '11px DigitalDisco, monospace';
+        ctx.fillText(
+          `HULL ${Math.floor(100 * shipClass.hull)} | SHIELD x${shipClass.shields} | SPEED x${shipClass.speed} | CARGO ${Math.floor(100 * shipClass.cargo)}`,
+          x + 25,
+          rowY + 16
+        );
+        const slots = shipClass.slots;
+        ctx.fillText(`HARDPOINTS: ${slots.weapon} WPN | ${slots.shield} SHD | ${slots.armor} ARM | ${slots.component} CMP`, x + 25, rowY + 31);
+
+        if (owned) {
+          ctx.fillStyle = palette.statusGreen;
+          ctx.fillText('CURRENT SHIP', x + 520, rowY);
+        } else {
+          ctx.fillStyle = '#ffaa00';
+          ctx.fillText(price >= 0 ? `${price.toLocaleString()} CR after trade-in` : `Trade-in pays ${(-price).toLocaleString()} CR`, x + 440, rowY);
+          smallButton('TRADE IN', x + 560, rowY + 8, 100, credits >= price, palette.statusGreen, () => shipyard.buyShip(classId));
+        }
+        rowY += 55;
+      }
+    } else {
+      for (const listing of stock[category]) {
+        ctx.fillStyle = '#aabbcc';
+        ctx.font = '12px DigitalDisco, monospace';
+        ctx.fillText(listing.name, x + 25, rowY + 14);
+
+        listing.prices.forEach((price, i) => {
+          const label = category === 'component' ? `${price} CR` : `MK${i + 1} ${price} CR`;
+          smallButton(label, x + 300 + i * 125, rowY, 118, credits >= price, palette.statusBlue,
+            () => shipyard.buyEquipment(category, listing.type, i + 1));
+        });
+        rowY += 28;
+        if (rowY > y + h - 30) break;
+      }
+    }
+
+    // Right: fitted equipment against the hull's hardpoints
+    const listX = x + 720;
+    rowY = y + 30;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText(`FITTED: ${SHIP_CLASSES[shipyard.getShipClass()].name.toUpperCase()}`, listX, rowY);
+    rowY += 25;
+
+    for (const kind of EQUIPMENT_KINDS) {
+      const installed = shipyard.getInstalled(kind);
+      ctx.fillStyle = palette.warpBlue;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(`${categories.find(entry => entry.id === kind).label} ${installed.length}/${shipyard.getSlots(kind)}`, listX, rowY);
+      rowY += 18;
+
+      installed.forEach((item, index) => {
+        const name = kind === 'component' ? this.game.ENHANCED_ARTIFACTS[item].name : item.name;
+        const condition = kind === 'armor' && item.maxHp > 0 ? ` (${Math.round((item.hp / item.maxHp) * 100)}%)` : '';
+        ctx.fillStyle = '#aabbcc';
+        ctx.font = '11px DigitalDisco, monospace';
+        ctx.fillText(`${name}${condition}`, listX + 15, rowY + 13);
+        const value = shipyard.getResaleValue(kind, item);
+        smallButton(`SELL +${value}`, listX + 470, rowY, 110, true, palette.cautionOrange,
+          () => shipyard.sellEquipment(kind, index));
+        rowY += 22;
+      });
+      rowY += 6;
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Contract board: offers posted at this station and the player's active contracts
+   */
+  renderContractsTab(ctx, x, y, w, h, palette) {
+    const missions = this.game.missionSystem;
+    const station = this.game.uiState.selectedStation;
+    const systemIndex = this.game.currentSystemIndex;
+    const offers = station ? missions.getOffers(station, systemIndex) : [];
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    // Left: the board
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('CONTRACT BOARD', x + 15, y + 30);
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillText('Failed or abandoned contracts cost reputation with the issuer.', x + 200, y + 30);
+
+    let rowY = y + 65;
+    if (offers.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('No contracts posted. Check back later.', x + 25, rowY);
+    }
+
+    const btnW = 90;
+    const btnH = 22;
+    const canAccept = missions.contracts.length < MAX_ACTIVE_CONTRACTS;
+
+    for (const offer of offers) {
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(missions.getTypeLabel(offer.type), x + 25, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(missions.describe(offer), x + 150, rowY);
+
+      ctx.fillStyle = '#88aacc';
+      const terms = [`${offer.reward} CR`, `${Math.round(offer.timeLimit / 60)} MIN`, `REP +${offer.reputationGain}/-${offer.reputationLoss}`];
+      if (offer.collateral) terms.push(`COLLATERAL ${offer.collateral} CR`);
+      ctx.fillText(terms.join(' | '), x + 150, rowY + 16);
+
+      const btnX = x + 580;
+      const btnY = rowY - 14;
+      const color = canAccept ? palette.statusGreen : '#445566';
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(btnX, btnY, btnW, btnH);
+      ctx.fillStyle = color;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('ACCEPT', btnX + btnW / 2, btnY + btnH / 2 + 4);
+      ctx.textAlign = 'left';
+
+      if (canAccept) {
+        this.game.tradingButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            const result = missions.acceptContract(offer.offerId, station, systemIndex);
+            this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
+
+      rowY += 45;
+      if (rowY > y + h - 20) break;
+    }
+
+    // Right: active contracts (full log in the inventory screen)
+    const listX = x + 720;
+    rowY = y + 30;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText(`ACTIVE CONTRACTS (${missions.contracts.length}/${MAX_ACTIVE_CONTRACTS})`, listX, rowY);
+    rowY += 35;
+
+    if (missions.contracts.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('No active contracts', listX, rowY);
+    }
+
+    for (const contract of missions.contracts) {
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(missions.getTypeLabel(contract.type), listX, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(missions.describe(contract), listX + 125, rowY);
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(
+        `${contract.progress}/${contract.required} | ${this.formatContractTime(missions.getTimeLeft(contract))} left | ${contract.reward} CR`,
+        listX + 125,
+        rowY + 16
+      );
+      rowY += 45;
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Pilots for hire at this station, and the player's wing with squad orders
+   */
+  renderWingmenTab(ctx, x, y, w, h, palette) {
+    const fleet = this.game.fleetSystem;
+    const station = this.game.uiState.selectedStation;
+    const systemIndex = this.game.currentSystemIndex;
+    const roster = station ? fleet.getRoster(station, systemIndex) : [];
+    const credits = this.game.economySystem.credits;
+
+    this.drawDataPanel(ctx, x, y, w, h, palette);
+
+    const smallButton = (label, btnX, btnY, btnW, enabled, color, action) => {
+      const btnH = 20;
+      const drawColor = enabled ? color : '#445566';
+      ctx.strokeStyle = drawColor;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(btnX, btnY, btnW, btnH);
+      ctx.fillStyle = drawColor;
+      ctx.font = 'bold 10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(label, btnX + btnW / 2, btnY + btnH / 2 + 4);
+      ctx.textAlign = 'left';
+
+      if (enabled) {
+        this.game.tradingButtonBounds.push({
+          x: btnX,
+          y: btnY,
+          w: btnW,
+          h: btnH,
+          action: () => {
+            const result = action();
+            if (result) this.game.showNotification(result.message, result.success ? 'success' : 'warning');
+          }
+        });
+      }
+    };
+
+    ctx.save();
+    ctx.textAlign = 'left';
+
+    // Left: pilots looking for work
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText('PILOTS FOR HIRE', x + 15, y + 30);
+    ctx.fillStyle = '#88aacc';
+    ctx.font = '11px DigitalDisco, monospace';
+    ctx.fillText(`Wages are paid every ${Math.round(WAGE_PERIOD / 60)} minutes. Unpaid pilots quit.`, x + 200, y + 30);
+
+    let rowY = y + 65;
+    if (roster.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('No pilots looking for work. Check back later.', x + 25, rowY);
+    }
+
+    const wingFull = fleet.pilots.length >= MAX_WINGMEN;
+    for (const pilot of roster) {
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(pilot.hull.toUpperCase(), x + 25, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(pilot.name, x + 125, rowY);
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(`SKILL ${Math.round(pilot.skill * 100)}% | FEE ${pilot.hireFee} CR | WAGE ${pilot.wage} CR/DAY`, x + 125, rowY + 16);
+
+      smallButton('HIRE', x + 580, rowY - 14, 90, !wingFull && credits >= pilot.hireFee, palette.statusGreen,
+        () => fleet.hire(pilot.pilotId, station, systemIndex));
+      rowY += 45;
+      if (rowY > y + h - 20) break;
+    }
+
+    // Right: the player's wing
+    const listX = x + 720;
+    rowY = y + 30;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 15px DigitalDisco, monospace';
+    ctx.fillText(`YOUR WING (${fleet.pilots.length}/${MAX_WINGMEN})`, listX, rowY);
+    rowY += 35;
+
+    if (fleet.pilots.length === 0) {
+      ctx.fillStyle = '#556677';
+      ctx.font = '12px DigitalDisco, monospace';
+      ctx.fillText('Flying solo', listX, rowY);
+    }
+
+    for (const pilot of fleet.pilots) {
+      const wingman = fleet.wingmen.find(entry => entry.pilot === pilot);
+      ctx.fillStyle = palette.cautionOrange;
+      ctx.font = 'bold 11px DigitalDisco, monospace';
+      ctx.fillText(pilot.hull.toUpperCase(), listX, rowY);
+      ctx.fillStyle = '#aabbcc';
+      ctx.font = '11px DigitalDisco, monospace';
+      ctx.fillText(pilot.name, listX + 100, rowY);
+      ctx.fillStyle = pilot.downed ? palette.alertRed : '#88aacc';
+      const status = pilot.downed
+        ? 'EJECTED - REJOINS ON DOCKING'
+        : wingman ? `HULL ${Math.round((wingman.hp / wingman.maxHp) * 100)}%` : 'STANDING BY';
+      ctx.fillText(`${status} | ${pilot.wage} CR/DAY`, listX + 100, rowY + 16);
+
+      smallButton('DISMISS', listX + 500, rowY - 14, 90, true, palette.cautionOrange, () => fleet.dismiss(pilot.pilotId));
+      rowY += 45;
+    }
+
+    // Squad orders (also on keys 1-4 in flight)
+    rowY += 10;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 13px DigitalDisco, monospace';
+    ctx.fillText('SQUAD ORDERS', listX, rowY);
+    rowY += 15;
+    Object.entries(SQUAD_COMMANDS).forEach(([command, { label }], index) => {
+      const color = fleet.command === command ? palette.statusGreen : palette.warpBlue;
+      smallButton(`${index + 1} ${label}`, listX, rowY + index * 26, 250, fleet.wingmen.length > 0, color,
+        () => fleet.issueCommand(command));
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * DIPLOMACY SCREEN - Enhanced Terminal Style
+   */
+  renderDiplomacyScreen(ctx) {
+    const palette = this.game.PALETTE;
+    const w = 1400;
+    const h = 880;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
+
+    // Clear and initialize button bounds for touch interaction
+    this.game.diplomacyButtonBounds = [];
+
+    // Main panel
     this.drawTerminalPanel(ctx, x, y, w, h, '[DIP] GALACTIC DIPLOMACY & FACTION RELATIONS', palette);
 
     // Close button (X) in top-right corner
@@ -2735,6 +3947,31 @@ export class UIRenderer {
     const currentSystem = this.game.currentSystemData ?
       this.game.galaxy.find(s => s.name === this.game.currentSystemData.name) : null;
 
+    // Best known trade routes (from the trade ledger)
+    const economy = this.game.economySystem;
+    const knownRoutes = economy.ledger.getBestRoutes(economy.commodities);
+    ctx.strokeStyle = palette.statusGreen;
+    ctx.fillStyle = palette.statusGreen;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 6]);
+    ctx.font = '9px DigitalDisco, monospace';
+    ctx.textAlign = 'center';
+    for (const route of knownRoutes) {
+      const from = this.game.galaxy[route.from];
+      const to = this.game.galaxy[route.to];
+      const x1 = mapX + mapW / 2 + from.position.x * state.zoom + state.offsetX;
+      const y1 = mapY + mapH / 2 + from.position.y * state.zoom + state.offsetY;
+      const x2 = mapX + mapW / 2 + to.position.x * state.zoom + state.offsetX;
+      const y2 = mapY + mapH / 2 + to.position.y * state.zoom + state.offsetY;
+
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+      ctx.fillText(`${economy.commodities[route.commodityId].name} +${route.profitPerUnit}`, (x1 + x2) / 2, (y1 + y2) / 2 - 6);
+    }
+    ctx.setLineDash([]);
+
     // Draw star systems
     this.game.galaxy.forEach(system => {
       const screenX = mapX + mapW / 2 + system.position.x * state.zoom + state.offsetX;
@@ -3062,6 +4299,17 @@ export class UIRenderer {
           const playtime = this.game.saveSystem.constructor.formatPlaytime(save.playtime);
           ctx.fillText(`Playtime: ${playtime}`, slotX + 15, slotY + 85);
         }
+
+        // Rich metadata column and thumbnail
+        ctx.fillText(`System: ${save.systemName || 'Unknown'}`, slotX + 260, slotY + 48);
+        if (save.hullPercent !== null && save.hullPercent !== undefined) {
+          ctx.fillStyle = save.hullPercent < 30 ? palette.alertRed : '#88aacc';
+          ctx.fillText(`Hull: ${save.hullPercent}%`, slotX + 260, slotY + 68);
+        }
+        ctx.fillStyle = '#88aacc';
+        ctx.fillText(`Ship: ${save.shipClass || 'Unknown'}`, slotX + 260, slotY + 85);
+
+        this.drawSaveThumbnail(ctx, save.thumbnail, slotX + slotW - 138, slotY + 14, 128, 72);
       }
 
       ctx.restore();
@@ -3145,112 +4393,70 @@ export class UIRenderer {
     ctx.fillText('⚠ AUTOSAVE available in first slot', x + 35, infoY + 45);
     ctx.restore();
 
-    // Show autosave first
-    const autosave = saves.find(s => s.slot === 'autosave');
-    if (autosave) {
-      const slotX = x + 30;
-      const slotY = infoY + 80;
-      const slotW = w - 60;
-      const slotH = 90;
-
-      ctx.save();
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-      ctx.fillRect(slotX + 4, slotY + 4, slotW, slotH);
-      ctx.fillStyle = '#0a0a0f';
-      ctx.fillRect(slotX, slotY, slotW, slotH);
-
-      ctx.strokeStyle = palette.cautionOrange;
-      ctx.lineWidth = 2;
-      ctx.shadowBlur = 10;
-      ctx.shadowColor = palette.cautionOrange;
-      ctx.strokeRect(slotX, slotY, slotW, slotH);
-      ctx.shadowBlur = 0;
-
-      ctx.fillStyle = palette.cautionOrange;
-      ctx.font = 'bold 16px DigitalDisco, monospace';
-      ctx.textAlign = 'left';
-      ctx.fillText('AUTOSAVE', slotX + 15, slotY + 25);
-
-      ctx.fillStyle = '#aabbcc';
-      ctx.font = '12px DigitalDisco, monospace';
-      ctx.fillText(`Credits: ${autosave.credits}`, slotX + 15, slotY + 48);
-      if (this.game.saveSystem) {
-        const playtime = this.game.saveSystem.constructor.formatPlaytime(autosave.playtime);
-        const timestamp = this.game.saveSystem.constructor.formatTimestamp(autosave.timestamp);
-        ctx.fillText(`Playtime: ${playtime} | Last saved: ${timestamp}`, slotX + 15, slotY + 68);
-      }
-
-      ctx.restore();
-
+    // Tabs: manual slots / autosave ring and restore points
+    const activeTab = this.game.uiState.loadScreenTab || 'slots';
+    const tabs = [
+      { id: 'slots', label: 'SAVE SLOTS' },
+      { id: 'recovery', label: 'AUTOSAVES & RESTORE' }
+    ];
+    tabs.forEach((tab, i) => {
+      const tabW = 260;
+      const tabX = x + w - 40 - (tabs.length - i) * (tabW + 10);
+      const tabY = infoY + 10;
+      this.drawTerminalButton(ctx, tabX, tabY, tabW, 40, tab.label, tab.id === activeTab, palette);
       this.game.loadScreenButtonBounds.push({
-        x: slotX,
-        y: slotY,
-        w: slotW,
-        h: slotH,
+        x: tabX,
+        y: tabY,
+        w: tabW,
+        h: 40,
         action: () => {
-          if (this.game.saveSystem) {
-            this.game.saveSystem.loadGame('autosave');
-            this.game.uiState.showLoadScreen = false;
-          }
+          this.game.uiState.loadScreenTab = tab.id;
         }
       });
-    }
-
-    // Manual save slots grid
-    const slotStartY = infoY + (autosave ? 190 : 80);
-    const slotW = (w - 80) / 2;
-    const slotH = 100;
-    const slotGap = 20;
-
-    for (let i = 0; i < 10; i++) {
-      const col = i % 2;
-      const row = Math.floor(i / 2);
-      const slotX = x + 30 + col * (slotW + slotGap);
-      const slotY = slotStartY + row * (slotH + 15);
-
-      const save = saves.find(s => s.slotNumber === i + 1);
-      const isEmpty = !save || save.empty;
+    });
 
-      ctx.save();
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-      ctx.fillRect(slotX + 4, slotY + 4, slotW, slotH);
-      ctx.fillStyle = '#0a0a0f';
-      ctx.fillRect(slotX, slotY, slotW, slotH);
+    if (activeTab === 'recovery') {
+      this.renderRecoveryPoints(ctx, x, infoY + 80, w, palette);
+    } else {
+      // Show autosave first
+      const autosave = saves.find(s => s.isAutosave);
+      if (autosave) {
+        const slotX = x + 30;
+        const slotY = infoY + 80;
+        const slotW = w - 60;
+        const slotH = 90;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(slotX + 4, slotY + 4, slotW, slotH);
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(slotX, slotY, slotW, slotH);
 
-      const isHovered = this.game.uiState.selectedSaveSlot === i + 1;
-      ctx.strokeStyle = isHovered ? palette.cautionOrange : palette.statusBlue;
-      ctx.lineWidth = isHovered ? 3 : 2;
-      ctx.shadowBlur = isHovered ? 12 : 6;
-      ctx.shadowColor = isHovered ? palette.cautionOrange : palette.statusBlue;
-      ctx.strokeRect(slotX, slotY, slotW, slotH);
-      ctx.shadowBlur = 0;
+        ctx.strokeStyle = palette.cautionOrange;
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = palette.cautionOrange;
+        ctx.strokeRect(slotX, slotY, slotW, slotH);
+        ctx.shadowBlur = 0;
 
-      ctx.fillStyle = palette.plasmaGreen;
-      ctx.font = 'bold 16px DigitalDisco, monospace';
-      ctx.textAlign = 'left';
-      ctx.fillText(`SLOT ${i + 1}`, slotX + 15, slotY + 25);
+        ctx.fillStyle = palette.cautionOrange;
+        ctx.font = 'bold 16px DigitalDisco, monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('AUTOSAVE', slotX + 15, slotY + 25);
 
-      if (isEmpty) {
-        ctx.fillStyle = '#556677';
-        ctx.font = '14px DigitalDisco, monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('[ EMPTY SLOT ]', slotX + slotW / 2, slotY + slotH / 2);
-      } else {
         ctx.fillStyle = '#aabbcc';
         ctx.font = '12px DigitalDisco, monospace';
-        ctx.textAlign = 'left';
-        ctx.fillText(`${save.saveName}`, slotX + 15, slotY + 48);
-        ctx.fillStyle = '#88aacc';
-        ctx.fillText(`Credits: ${save.credits}`, slotX + 15, slotY + 68);
+        ctx.fillText(`Credits: ${autosave.credits} | ${autosave.location || 'Unknown location'}`, slotX + 15, slotY + 48);
         if (this.game.saveSystem) {
-          const playtime = this.game.saveSystem.constructor.formatPlaytime(save.playtime);
-          ctx.fillText(`Playtime: ${playtime}`, slotX + 15, slotY + 85);
+          const playtime = this.game.saveSystem.constructor.formatPlaytime(autosave.playtime);
+          const timestamp = this.game.saveSystem.constructor.formatTimestamp(autosave.timestamp);
+          ctx.fillText(`Playtime: ${playtime} | Last saved: ${timestamp}`, slotX + 15, slotY + 68);
         }
-      }
 
-      ctx.restore();
+        this.drawSaveThumbnail(ctx, autosave.thumbnail, slotX + slotW - 138, slotY + 9, 128, 72);
+
+        ctx.restore();
 
-      if (!isEmpty) {
         this.game.loadScreenButtonBounds.push({
           x: slotX,
           y: slotY,
@@ -3258,13 +4464,84 @@ export class UIRenderer {
           h: slotH,
           action: () => {
             if (this.game.saveSystem) {
-              const slotName = `save_${i + 1}`;
-              this.game.saveSystem.loadGame(slotName);
+              this.game.saveSystem.loadGame(autosave.slot);
               this.game.uiState.showLoadScreen = false;
             }
           }
         });
       }
+
+      // Manual save slots grid
+      const slotStartY = infoY + (autosave ? 190 : 80);
+      const slotW = (w - 80) / 2;
+      const slotH = 100;
+      const slotGap = 20;
+
+      for (let i = 0; i < 10; i++) {
+        const col = i % 2;
+        const row = Math.floor(i / 2);
+        const slotX = x + 30 + col * (slotW + slotGap);
+        const slotY = slotStartY + row * (slotH + 15);
+
+        const save = saves.find(s => s.slotNumber === i + 1);
+        const isEmpty = !save || save.empty;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(slotX + 4, slotY + 4, slotW, slotH);
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(slotX, slotY, slotW, slotH);
+
+        const isHovered = this.game.uiState.selectedSaveSlot === i + 1;
+        ctx.strokeStyle = isHovered ? palette.cautionOrange : palette.statusBlue;
+        ctx.lineWidth = isHovered ? 3 : 2;
+        ctx.shadowBlur = isHovered ? 12 : 6;
+        ctx.shadowColor = isHovered ? palette.cautionOrange : palette.statusBlue;
+        ctx.strokeRect(slotX, slotY, slotW, slotH);
+        ctx.shadowBlur = 0;
+
+        ctx.fillStyle = palette.plasmaGreen;
+        ctx.font = 'bold 16px DigitalDisco, monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(`SLOT ${i + 1}`, slotX + 15, slotY + 25);
+
+        if (isEmpty) {
+          ctx.fillStyle = '#556677';
+          ctx.font = '14px DigitalDisco, monospace';
+          ctx.textAlign = 'center';
+          ctx.fillText('[ EMPTY SLOT ]', slotX + slotW / 2, slotY + slotH / 2);
+        } else {
+          ctx.fillStyle = '#aabbcc';
+          ctx.font = '12px DigitalDisco, monospace';
+          ctx.textAlign = 'left';
+          ctx.fillText(`${save.saveName}`, slotX + 15, slotY + 48);
+          ctx.fillStyle = '#88aacc';
+          ctx.fillText(`Credits: ${save.credits}`, slotX + 15, slotY + 68);
+          if (this.game.saveSystem) {
+            const playtime = this.game.saveSystem.constructor.formatPlaytime(save.playtime);
+            ctx.fillText(`Playtime: ${playtime}`, slotX + 15, slotY + 85);
+          }
+        }
+
+        ctx.restore();
+
+        if (!isEmpty) {
+          this.game.loadScreenButtonBounds.push({
+            x: slotX,
+            y: slotY,
+            w: slotW,
+            h: slotH,
+            action: () => {
+              if (this.game.saveSystem) {
+                const slotName = `save_${i + 1}`;
+                this.game.saveSystem.loadGame(slotName);
+                this.game.uiState.showLoadScreen = false;
+              }
+            }
+          });
+        }
+      }
+
     }
 
     // CRT effects
@@ -3282,6 +4559,120 @@ export class UIRenderer {
     ctx.restore();
   }
 
+  /**
+   * Quicksave and autosave ring (left) and restore points (right), newest first
+   */
+  renderRecoveryPoints(ctx, x, y, w, palette) {
+    const saveSystem = this.game.saveSystem;
+    if (!saveSystem) return;
+
+    const columns = [
+      {
+        title: 'QUICKSAVE & AUTOSAVES',
+        saves: saveSystem.getRingList(['quicksave', ...saveSystem.getAutosaveSlots()]),
+        color: palette.cautionOrange
+      },
+      { title: 'RESTORE POINTS', saves: saveSystem.getRestorePointList(), color: palette.plasmaGreen }
+    ];
+    const colW = (w - 80) / 2;
+    const rowH = 110;
+
+    columns.forEach((column, col) => {
+      const colX = x + 30 + col * (colW + 20);
+
+      ctx.save();
+      ctx.fillStyle = column.color;
+      ctx.font = 'bold 16px DigitalDisco, monospace';
+      ctx.textAlign = 'left';
+      ctx.fillText(column.title, colX, y);
+      ctx.restore();
+
+      if (column.saves.length === 0) {
+        ctx.save();
+        ctx.fillStyle = '#556677';
+        ctx.font = '14px DigitalDisco, monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText('[ NONE YET ]', colX, y + 35);
+        ctx.restore();
+        return;
+      }
+
+      column.saves.slice(0, 5).forEach((save, row) => {
+        const rowY = y + 15 + row * (rowH + 10);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(colX + 4, rowY + 4, colW, rowH);
+        ctx.fillStyle = '#0a0a0f';
+        ctx.fillRect(colX, rowY, colW, rowH);
+        ctx.strokeStyle = column.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(colX, rowY, colW, rowH);
+
+        // Thumbnail (160x90 box)
+        this.drawSaveThumbnail(ctx, save.thumbnail, colX + 10, rowY + 10, 160, 90);
+
+        const textX = colX + 185;
+        ctx.fillStyle = column.color;
+        ctx.font = 'bold 14px DigitalDisco, monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(save.reason ? `BEFORE ${save.reason.toUpperCase()}` : save.saveName, textX, rowY + 28);
+
+        ctx.fillStyle = '#aabbcc';
+        ctx.font = '12px DigitalDisco, monospace';
+        ctx.fillText(saveSystem.constructor.formatTimestamp(save.timestamp), textX, rowY + 50);
+        ctx.fillText(save.location || `System ${save.currentSystem}`, textX, rowY + 70);
+        ctx.fillStyle = '#88aacc';
+        ctx.fillText(`Credits: ${save.credits} | Playtime: ${saveSystem.constructor.formatPlaytime(save.playtime || 0)}`, textX, rowY + 90);
+        ctx.restore();
+
+        this.game.loadScreenButtonBounds.push({
+          x: colX,
+          y: rowY,
+          w: colW,
+          h: rowH,
+          action: () => {
+            saveSystem.loadGame(save.slot);
+            this.game.uiState.showLoadScreen = false;
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Draw a save thumbnail (data URL) letterboxed into a box
+   * PERFORMANCE: Decoded images are cached by data URL
+   */
+  drawSaveThumbnail(ctx, dataUrl, x, y, w, h) {
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(x, y, w, h);
+
+    if (!dataUrl) {
+      ctx.fillStyle = '#334455';
+      ctx.font = '10px DigitalDisco, monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('NO IMAGE', x + w / 2, y + h / 2 + 4);
+      ctx.textAlign = 'left';
+      return;
+    }
+
+    let image = this.thumbnailCache.get(dataUrl);
+    if (!image) {
+      // Keep the cache bounded (load screens show at most ~20 thumbnails)
+      if (this.thumbnailCache.size > 40) this.thumbnailCache.clear();
+      image = new Image();
+      image.src = dataUrl;
+      this.thumbnailCache.set(dataUrl, image);
+    }
+    if (!image.complete || !image.naturalWidth) return;
+
+    const scale = Math.min(w / image.naturalWidth, h / image.naturalHeight);
+    const drawW = image.naturalWidth * scale;
+    const drawH = image.naturalHeight * scale;
+    ctx.drawImage(image, x + (w - drawW) / 2, y + (h - drawH) / 2, drawW, drawH);
+  }
+
   /**
    * POPUP WINDOW - For celestial bodies, stations, and other interactive objects
    */
@@ -3396,6 +4787,7 @@ export class UIRenderer {
     else if (type === 'asteroid') title = '[AST] ASTEROID FIELD';
     else if (type === 'artifact') title = '[ART] ARTIFACT DETECTED';
     else if (type === 'warpgate') title = '[WRP] WARP GATE';
+    else if (type === 'ship') title = '[SHP] DISABLED SHIP';
 
     // Main panel with terminal styling
     this.drawTerminalPanel(ctx, x, y, w, h, title, palette, true);
@@ -3533,8 +4925,8 @@ export class UIRenderer {
     ctx.fillText(`${body.radius ? Math.floor(body.radius) : 'Unknown'} km`, x + 150, yPos);
     yPos += 30;
 
-    // Temperature
-    const temp = body.temperature || body.surfaceTemp || 'Unknown';
+    // Temperature (generated in Kelvin)
+    const temp = body.temperature ? Math.round(body.temperature - 273) : body.surfaceTemp || 'Unknown';
     ctx.fillStyle = palette.statusBlue;
     ctx.font = 'bold 14px DigitalDisco, monospace';
     ctx.fillText('TEMPERATURE:', x + 15, yPos);
@@ -3875,75 +5267,146 @@ export class UIRenderer {
 
   /**
    * Render Surface Exploration UI - Shows when player is landed on a planet
+   * Tile map with the rover, lander, deposits and ruins, plus a climate and rover readout
    */
   renderSurfaceExplorationUI(ctx) {
     const p = this.game.player;
     const palette = this.game.PALETTE;
+    const exploration = this.game.surfaceExploration;
+    const surface = exploration.surface;
 
-    if (!p.landed || !p.landedOn) return;
+    if (!p.landed || !surface) return;
 
-    const x = 30;
-    const y = this.game.height - 240;
-    const w = 450;
-    const h = 200;
+    const w = 1100;
+    const h = 720;
+    const x = (this.game.width - w) / 2;
+    const y = (this.game.height - h) / 2;
 
     ctx.save();
 
-    // Terminal panel with depth
-    this.drawTerminalPanel(ctx, x, y, w, h, palette);
+    this.drawTerminalPanel(ctx, x, y, w, h, `[SRF] SURFACE OPERATIONS - ${surface.name.toUpperCase()}`, palette);
 
-    // Header
-    ctx.fillStyle = palette.statusBlue;
-    ctx.shadowBlur = 8;
-    ctx.shadowColor = palette.statusBlue;
-    ctx.font = 'bold 18px DigitalDisco, monospace';
-    ctx.textAlign = 'left';
-    ctx.fillText(`◆ SURFACE OPERATIONS ◆`, x + 20, y + 35);
+    // Tile map
+    const sidebarW = 300;
+    const tile = Math.floor(Math.min((w - sidebarW - 60) / SURFACE_WIDTH, (h - 120) / SURFACE_HEIGHT));
+    const mapX = x + 20;
+    const mapY = y + 80;
+    const environment = surface.environment;
+
+    for (let ty = 0; ty < SURFACE_HEIGHT; ty++) {
+      for (let tx = 0; tx < SURFACE_WIDTH; tx++) {
+        const terrain = surface.tiles[ty * SURFACE_WIDTH + tx];
+        ctx.fillStyle = terrain === TERRAIN.HAZARD ? HAZARDS[environment.hazard].color : surface.colors[terrain];
+        ctx.fillRect(mapX + tx * tile, mapY + ty * tile, tile, tile);
+      }
+    }
+
+    // Lander pad
+    ctx.strokeStyle = palette.statusBlue;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(mapX + surface.lander.x * tile, mapY + surface.lander.y * tile, tile, tile);
+
+    // Deposits (diamonds) and ruins (squares)
+    for (const deposit of surface.deposits) {
+      if (deposit.remaining <= 0) continue;
+      const cx = mapX + (deposit.x + 0.5) * tile;
+      const cy = mapY + (deposit.y + 0.5) * tile;
+      ctx.fillStyle = getItemDefinition(deposit.itemId).color || palette.plasmaGreen;
+      ctx.beginPath();
+      ctx.moveTo(cx, cy - tile * 0.4);
+      ctx.lineTo(cx + tile * 0.4, cy);
+      ctx.lineTo(cx, cy + tile * 0.4);
+      ctx.lineTo(cx - tile * 0.4, cy);
+      ctx.closePath();
+      ctx.fill();
+    }
+    for (const ruin of surface.ruins) {
+      ctx.fillStyle = ruin.searched ? '#555566' : '#cc88ff';
+      ctx.fillRect(mapX + ruin.x * tile + tile * 0.2, mapY + ruin.y * tile + tile * 0.2, tile * 0.6, tile * 0.6);
+    }
+
+    // Rover
+    const rover = exploration.rover;
+    ctx.fillStyle = palette.engineBright;
+    ctx.shadowBlur = 6;
+    ctx.shadowColor = palette.engineBright;
+    ctx.beginPath();
+    ctx.arc(mapX + rover.x * tile, mapY + rover.y * tile, tile * 0.35, 0, Math.PI * 2);
+    ctx.fill();
     ctx.shadowBlur = 0;
 
-    // Location info
-    ctx.fillStyle = '#88aacc';
-    ctx.font = '13px DigitalDisco, monospace';
-    ctx.fillText(`Location: ${p.landedOn.name || p.landedOn.type || 'Unknown'}`, x + 20, y + 60);
+    // Readout
+    const sideX = mapX + SURFACE_WIDTH * tile + 20;
+    let yPos = mapY + 10;
+    ctx.textAlign = 'left';
 
-    // Surface resources section
-    let yPos = y + 90;
-    ctx.fillStyle = palette.plasmaGreen;
+    ctx.fillStyle = palette.statusBlue;
     ctx.font = 'bold 14px DigitalDisco, monospace';
-    ctx.fillText('AVAILABLE RESOURCES:', x + 20, yPos);
-    yPos += 25;
+    ctx.fillText('ENVIRONMENT', sideX, yPos);
+    yPos += 24;
 
-    if (p.surfaceResources && p.surfaceResources.length > 0) {
-      ctx.fillStyle = '#aabbcc';
-      ctx.font = '12px DigitalDisco, monospace';
-      for (const resource of p.surfaceResources.slice(0, 3)) {
-        ctx.shadowBlur = 2;
-        ctx.shadowColor = palette.plasmaGreen;
-        ctx.fillStyle = palette.plasmaGreen;
-        ctx.fillText(`• ${resource.quantity}x ${resource.name}`, x + 30, yPos);
-        ctx.shadowBlur = 0;
-        yPos += 18;
-      }
-    } else {
+    ctx.font = '12px DigitalDisco, monospace';
+    const severityColor = environment.severity > 0.6 ? palette.alertRed
+      : environment.severity > 0.35 ? palette.cautionOrange : palette.statusGreen;
+    const climate = [
+      ['Terrain', surface.surfaceType.toUpperCase(), '#aabbcc'],
+      ['Temperature', `${Math.round(environment.temperature)} K`, '#aabbcc'],
+      ['Habitability', `${Math.round(environment.habitability * 100)}%`, '#aabbcc'],
+      ['Hazard', HAZARDS[environment.hazard].name, HAZARDS[environment.hazard].color],
+      ['Exposure', `${Math.round(environment.severity * 100)}%`, severityColor]
+    ];
+    for (const [label, value, color] of climate) {
+      ctx.fillStyle = '#88aacc';
+      ctx.fillText(label, sideX, yPos);
+      ctx.fillStyle = color;
+      ctx.fillText(value, sideX + 120, yPos);
+      yPos += 20;
+    }
+
+    yPos += 16;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText('ROVER', sideX, yPos);
+    yPos += 14;
+    const integrityColor = rover.integrity < 30 ? palette.alertRed : palette.statusGreen;
+    this.drawTerminalProgressBar(ctx, sideX, yPos, 240, 16, Math.round(rover.integrity), ROVER_MAX_INTEGRITY, integrityColor, palette);
+    yPos += 36;
+
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillStyle = '#88aacc';
+    ctx.fillText(`Bay: ${exploration.getBayVolume()}/${ROVER_BAY_CAPACITY}`, sideX, yPos);
+    yPos += 20;
+    if (rover.bay.length === 0) {
       ctx.fillStyle = '#666677';
-      ctx.font = '13px DigitalDisco, monospace';
-      ctx.fillText('No resources collected yet', x + 30, yPos);
+      ctx.fillText('Empty', sideX + 10, yPos);
+      yPos += 18;
     }
+    for (const entry of rover.bay) {
+      ctx.fillStyle = palette.plasmaGreen;
+      ctx.fillText(`• ${entry.quantity}x ${getItemDefinition(entry.itemId).name}`, sideX + 10, yPos);
+      yPos += 18;
+    }
+
+    yPos += 16;
+    ctx.fillStyle = palette.statusBlue;
+    ctx.font = 'bold 14px DigitalDisco, monospace';
+    ctx.fillText('SITES', sideX, yPos);
+    yPos += 22;
+    ctx.font = '12px DigitalDisco, monospace';
+    ctx.fillStyle = '#aabbcc';
+    ctx.fillText(`Deposits: ${surface.deposits.filter(deposit => deposit.remaining > 0).length}`, sideX, yPos);
+    yPos += 20;
+    ctx.fillText(`Unsearched ruins: ${surface.ruins.filter(ruin => !ruin.searched).length}`, sideX, yPos);
 
     // Controls
-    const controlsY = y + h - 35;
     ctx.fillStyle = '#88aacc';
     ctx.font = '12px DigitalDisco, monospace';
     ctx.textAlign = 'center';
-    const controlText = p.surfaceResources && p.surfaceResources.length > 0
-      ? '[C or E] Collect Resources | [SPACE or L] Launch'
-      : '[SPACE or L] Launch';
-    ctx.fillText(controlText, x + w / 2, controlsY);
-
-    // CRT effects
-    this.drawCRTScanlines(ctx, x, y, w, h);
-    this.drawCRTNoise(ctx, x, y, w, h);
-    this.drawMetalVignette(ctx, x, y, w, h, palette);
+    ctx.fillText(
+      '[WASD] Drive | [C or E] Extract / Search / Unload | [SPACE or L] Launch from the lander',
+      x + w / 2,
+      y + h - 20
+    );
 
     ctx.restore();
   }
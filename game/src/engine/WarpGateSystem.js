@@ -12,8 +12,10 @@ export class WarpGateSystem {
   /**
    * Generate warp gate network for galaxy
    * Creates gates connecting nearby and strategically important systems
+   * @param {Array} galaxy - Galaxy systems
+   * @param {SeededRandom} rng - Warp gate generation stream (same seed = same network)
    */
-  generateGateNetwork(galaxy) {
+  generateGateNetwork(galaxy, rng) {
     this.gates = [];
     this.connections.clear();
 
@@ -22,7 +24,7 @@ export class WarpGateSystem {
       const system = galaxy[i];
 
       // Only some systems get gates (about 40%)
-      if (Math.random() > 0.4) continue;
+      if (rng.next() > 0.4) continue;
 
       // Find 1-3 nearby systems to connect
       const nearby = this.findNearestSystems(i, galaxy, 3);
@@ -44,7 +46,7 @@ export class WarpGateSystem {
         const capB = capitals[j];
 
         // 50% chance to connect capitals (not all connected)
-        if (Math.random() < 0.5) {
+        if (rng.next() < 0.5) {
           this.createGateConnection(capA.index, capB.index, 'strategic');
         }
       }
@@ -54,8 +56,8 @@ export class WarpGateSystem {
     // Connecting distant parts of galaxy
     const numHighways = Math.floor(galaxy.length / 30);
     for (let i = 0; i < numHighways; i++) {
-      const systemA = Math.floor(Math.random() * galaxy.length);
-      const systemB = Math.floor(Math.random() * galaxy.length);
+      const systemA = rng.nextInt(galaxy.length);
+      const systemB = rng.nextInt(galaxy.length);
 
       if (systemA !== systemB) {
         this.createGateConnection(systemA, systemB, 'highway');
@@ -9,8 +9,24 @@
  * 6. Laser Beam - Continuous damage beam
  * 7. Mines - Proximity-triggered explosives
  * 8. Point Defense - Auto-targeting defensive weapons
+ *
+ * Missile launchers can be loaded with warheads from the hold (ammo items,
+ * see CraftingSystem.useItem). Loaded rounds are fired before the launcher's
+ * own missiles and are lost if the launcher is sold.
  */
 
+/**
+ * Launcher warheads by ammo item id: rounds per pack in the hold, and how
+ * they change the launcher's missile (damage/speed are multipliers)
+ */
+export const WARHEADS = {
+  ammo_standard: { rounds: 10, damage: 1.5 },
+  ammo_torpedo: { rounds: 5, damage: 3, speed: 0.7, size: 9, color: '#ff5522' },
+  ammo_emp: { rounds: 4, damage: 0.5, color: '#00ffff', disableDuration: 4 }
+};
+
+const MAGAZINE_SIZE = 20;
+
 export class WeaponSystem {
   constructor() {
     this.weapons = [];
@@ -288,6 +304,7 @@ export class WeaponSystem {
           burstCount: 1,
           phaseShift: true, // Bypasses shields
           disruptorEffect: true,
+          disableDuration: 1.0 + tier * 0.5, // Knocks systems out, through shields (see AlienShip.ionize)
           range: 2200,
           description: 'Phase-shifted energy weapon. Bypasses shields to damage hull directly.'
         };
@@ -297,6 +314,37 @@ export class WeaponSystem {
     }
   }
 
+  /**
+   * Launcher that takes warheads: the active weapon if it is one, else the first fitted
+   */
+  getLauncher() {
+    const takesWarheads = weapon => weapon && weapon.homing && !weapon.explosive;
+    const active = this.getActiveWeapon();
+    return takesWarheads(active) ? active : this.weapons.find(takesWarheads) || null;
+  }
+
+  /**
+   * Load one pack of warheads into a launcher
+   * @param {string} ammoId - Ammo item id (see WARHEADS)
+   */
+  loadWarheads(ammoId) {
+    const warhead = WARHEADS[ammoId];
+    if (!warhead) return { success: false, message: 'No launcher takes that ammunition' };
+
+    const launcher = this.getLauncher();
+    if (!launcher) return { success: false, message: 'No missile launcher fitted' };
+
+    const magazine = launcher.magazine;
+    if (magazine && magazine.ammoId !== ammoId) {
+      return { success: false, message: `${launcher.name} is loaded with other warheads` };
+    }
+    const rounds = (magazine ? magazine.rounds : 0) + warhead.rounds;
+    if (rounds > MAGAZINE_SIZE) return { success: false, message: `${launcher.name} magazine full` };
+
+    launcher.magazine = { ammoId, rounds };
+    return { success: true, message: `${launcher.name} loaded (${rounds} warheads)` };
+  }
+
   /**
    * Fire active weapon
    */
@@ -358,6 +406,8 @@ export class WeaponSystem {
           color: weapon.projectileColor,
           type: weapon.projectileType,
           piercing: weapon.piercing || false,
+          disableDuration: weapon.disableDuration || 0,
+          phaseShift: weapon.phaseShift || false,
           range: weapon.range || 2000,
           maxRange: weapon.range || 2000,
           startX: ship.x,
@@ -390,19 +440,26 @@ export class WeaponSystem {
       }
     }
 
+    // Loaded warheads go first
+    const magazine = weapon.magazine;
+    const warhead = magazine ? WARHEADS[magazine.ammoId] : {};
+    if (magazine && --magazine.rounds <= 0) weapon.magazine = null;
+    const speed = weapon.projectileSpeed * (warhead.speed || 1);
+
     projectiles.push({
       x: ship.x + Math.cos(targetAngle) * 25,
       y: ship.y + Math.sin(targetAngle) * 25,
-      vx: Math.cos(targetAngle) * weapon.projectileSpeed,
-      vy: Math.sin(targetAngle) * weapon.projectileSpeed,
-      damage: weapon.damage,
+      vx: Math.cos(targetAngle) * speed,
+      vy: Math.sin(targetAngle) * speed,
+      damage: weapon.damage * (warhead.damage || 1),
       armorPenetration: weapon.armorPenetration,
       shieldPenetration: weapon.shieldPenetration,
       life: 10,
       maxLife: 10,
-      size: weapon.projectileSize,
-      color: weapon.projectileColor,
+      size: warhead.size || weapon.projectileSize,
+      color: warhead.color || weapon.projectileColor,
       type: weapon.projectileType,
+      disableDuration: warhead.disableDuration || 0,
       homing: true,
       homingTarget: target,
       homingStrength: weapon.homingStrength,
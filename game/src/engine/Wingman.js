@@ -0,0 +1,187 @@
+/**
+ * Wingman - A hired escort flying with the player
+ *
+ * Uses AlienShip's physics, guns and steering, but takes its orders from the
+ * player's squad command instead of the utility AI:
+ * - formation: keep station off the player's wing, firing only at what comes in range
+ * - attack: go after the player's target
+ * - defend: engage whatever is attacking the player (or the wing)
+ * - hold: stay where the order was given and fire on anything in range
+ *
+ * ConvoyFreighter is the unarmed ship an escort contract puts under the
+ * player's protection (see MissionSystem); it only keeps station.
+ */
+
+import { AlienShip } from './AlienShip.js';
+import { isTargetAlive } from './AlienBehavior.js';
+
+// Wingmen's shots carry this side, so they never hit the player or each other
+export const FLEET_SIDE = 'player_fleet';
+
+export const SQUAD_COMMANDS = {
+  attack: { key: 'Digit1', label: 'ATTACK MY TARGET' },
+  defend: { key: 'Digit2', label: 'DEFEND ME' },
+  hold: { key: 'Digit3', label: 'HOLD POSITION' },
+  formation: { key: 'Digit4', label: 'RETURN TO FORMATION' }
+};
+
+const FLEET_RACE = {
+  id: FLEET_SIDE,
+  name: 'Wing',
+  shipColor: '#44ff88',
+  traits: { aggression: 0.5, helpfulness: 1 },
+  doctrine: { standoff: 0.6, focusFire: 1, retreatAt: 0, warpAt: 0 }
+};
+
+// Formation slots: [distance behind, distance to the side] of the player
+const FORMATION_SLOTS = [[90, -70], [90, 70], [160, 0], [160, -140], [160, 140]];
+// Convoy freighters fly further back, clear of the wing
+const CONVOY_SLOTS = [[260, -90], [260, 90], [340, 0], [340, -180], [340, 180]];
+const FREIGHTER_HULL = 'bomber';
+const FREIGHTER_SPEED = 250; // Cruise speed, so the convoy keeps up with its escort
+const FORMATION_TOLERANCE = 40; // Close enough to the slot to match the player's speed
+const DEFEND_RADIUS = 1500; // Threats to the player further out than this are left alone
+const LEASH_DISTANCE = 2500; // Wingmen on the attack break off this far from the player
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * World position of a formation slot, relative to the player's heading
+ */
+function slotPosition(player, [back, side]) {
+  const cos = Math.cos(player.rotation);
+  const sin = Math.sin(player.rotation);
+  return {
+    x: player.x - cos * back - sin * side,
+    y: player.y - sin * back + cos * side
+  };
+}
+
+export class Wingman extends AlienShip {
+  /**
+   * @param {Object} pilot - Hired pilot (see FleetSystem.generatePilot)
+   */
+  constructor(pilot, x, y) {
+    super(pilot.hull, x, y, false, FLEET_RACE);
+    this.pilot = pilot;
+    this.isWingman = true;
+    this.command = 'formation';
+    this.slot = 0;
+    this.holdPoint = null;
+    this.weaponDamage = Math.round(this.weaponDamage * pilot.skill);
+  }
+
+  /**
+   * Fly the current squad command
+   * @param {Object} surroundings - { stations, star, fleet } as for AlienShip, plus the
+   *   player's target and the wing
+   */
+  updateAI(dt, player, allEnemies, projectiles, surroundings = {}) {
+    const fleet = surroundings.fleet;
+
+    let target = null;
+    if (this.command === 'attack') {
+      target = fleet.getPlayerTarget();
+      if (target && distance(target, player) > LEASH_DISTANCE) target = null;
+    } else if (this.command === 'defend') {
+      target = this.findThreat(player, allEnemies, fleet.wingmen);
+    }
+    this.target = target;
+
+    if (target) {
+      this.aiState = 'attack';
+      this.engage(dt, target, projectiles);
+      return;
+    }
+
+    // Formation and hold (and attack/defend with nothing to shoot): keep
+    // station, shooting at hostiles that stray into range
+    this.aiState = this.command === 'hold' ? 'hold' : 'formation';
+    if (this.command === 'hold' && this.holdPoint) {
+      this.keepStation(dt, this.holdPoint.x, this.holdPoint.y, 0, 0);
+    } else {
+      const slot = this.getSlotPosition(player);
+      this.keepStation(dt, slot.x, slot.y, player.vx || 0, player.vy || 0);
+    }
+
+    const threat = this.findThreat(this, allEnemies, fleet.wingmen, this.engageRange);
+    if (threat) {
+      const dx = threat.x - this.x;
+      const dy = threat.y - this.y;
+      this.rotation = this.turnToward(Math.atan2(dy, dx), dt);
+      this.fireWhenReady(threat, Math.sqrt(dx * dx + dy * dy), projectiles);
+    }
+  }
+
+  /**
+   * Nearest ship attacking the player or the wing, or hostile to the player
+   * @param {Object} center - Where to look from
+   */
+  findThreat(center, ships, wingmen, radius = DEFEND_RADIUS) {
+    let best = null;
+    let bestDist = radius;
+    for (const ship of ships) {
+      if (!isTargetAlive(ship)) continue;
+      const threatening = ship.isHostile || ship.target === center || wingmen.includes(ship.target) ||
+        this.aggressors.has(ship);
+      if (!threatening) continue;
+      const dist = distance(center, ship);
+      if (dist < bestDist) {
+        best = ship;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * This wingman's slot in the formation, relative to the player's heading
+   */
+  getSlotPosition(player) {
+    return slotPosition(player, FORMATION_SLOTS[this.slot % FORMATION_SLOTS.length]);
+  }
+
+  /**
+   * Fly to a point and then match the given velocity there
+   */
+  keepStation(dt, x, y, vx, vy) {
+    const dist = Math.sqrt((x - this.x) ** 2 + (y - this.y) ** 2);
+    if (dist > FORMATION_TOLERANCE) {
+      this.moveToward(x, y, this.speed * Math.min(1, dist / 300) * dt * 2);
+    } else {
+      // Settle: bleed off velocity relative to the anchor
+      this.vx += (vx - this.vx) * Math.min(1, dt * 4);
+      this.vy += (vy - this.vy) * Math.min(1, dt * 4);
+    }
+  }
+}
+
+export class ConvoyFreighter extends Wingman {
+  /**
+   * @param {Object} contract - Escort contract the freighter belongs to
+   */
+  constructor(contract, x, y) {
+    super({ hull: FREIGHTER_HULL, skill: 0, name: 'Convoy freighter' }, x, y);
+    this.contract = contract;
+    this.isConvoy = true;
+    this.speed = FREIGHTER_SPEED;
+  }
+
+  /**
+   * Keep station behind the player whatever the wing is doing
+   */
+  updateAI(dt, player) {
+    this.target = null;
+    this.aiState = 'formation';
+    const slot = this.getSlotPosition(player);
+    this.keepStation(dt, slot.x, slot.y, player.vx || 0, player.vy || 0);
+  }
+
+  getSlotPosition(player) {
+    return slotPosition(player, CONVOY_SLOTS[this.slot % CONVOY_SLOTS.length]);
+  }
+}
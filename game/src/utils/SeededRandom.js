@@ -44,4 +44,29 @@ export class SeededRandom {
   nextInt(max) {
     return Math.floor(this.next() * max);
   }
+
+  /**
+   * Derive an independent child stream (e.g. one per generation subsystem)
+   * Depends only on the initial seed and the stream name, so the child
+   * sequence is the same no matter how much was drawn from this stream.
+   * @param {string|number} streamName - Stream identifier
+   * @returns {SeededRandom} Child generator
+   */
+  child(streamName) {
+    return new SeededRandom(SeededRandom.hashSeed(this.initialSeed, streamName));
+  }
+
+  /**
+   * Hash a seed and a label into a new seed (FNV-1a)
+   */
+  static hashSeed(seed, label) {
+    const input = `${seed}:${label}`;
+    let hash = 2166136261;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    // Keep within the generator's modulus
+    return (hash >>> 0) % 233280;
+  }
 }